@@ -20,7 +20,8 @@ class GenericMqttRawAdapter {
       throw new Error('mqtt-raw zone requires payload or message');
     }
 
-    const publishOptions = {};
+    // Raw payloads drive devices directly (maglocks, relays), so they are queued like zone commands.
+    const publishOptions = { messageClass: 'command' };
     if (options.qos !== undefined) publishOptions.qos = options.qos;
     if (options.retain !== undefined) publishOptions.retain = options.retain;
 
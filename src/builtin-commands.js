@@ -0,0 +1,364 @@
+/**
+ * PxO's own commands, as registry definitions (see command-registry.js).
+ * Handlers receive the state machine and the command payload.
+ */
+const log = require('./logger');
+const { CommandRegistry } = require('./command-registry');
+const { stopAllAcrossZones } = require('./engineUtils');
+
+const LIVE_GAME = ['gameplay', 'paused'];
+const ID_ARG = { type: ['string', 'number'], required: true, aliases: ['puzzle', 'name', 'value'], description: 'Logic-graph node id' };
+
+// Control sequences with an imperative fallback when the sequence fails.
+function controlSequence(sequence, fallback, { fallbackLabel, safeState } = {}) {
+    return async (sm) => {
+        if (safeState) await sm.applySafeState(safeState);
+        const result = await sm.sequenceRunner.runControlSequence(sequence, { gameMode: sm.gameType });
+        if (!result.ok) {
+            log.warn(`${sequence} failed, falling back to ${fallbackLabel}`);
+            fallback(sm);
+        }
+        return result.ok;
+    };
+}
+
+function runSequence(sequence) {
+    return sm => sm.sequenceRunner.runControlSequence(sequence, { gameMode: sm.gameType });
+}
+
+function puzzleCommand(name, method, eventName, warningPrefix, description, role) {
+    return {
+        name,
+        description,
+        ...(role ? { role } : {}),
+        args: { id: ID_ARG },
+        handler: (sm, cmd) => sm._logicPuzzleCommand(name, cmd, method, eventName, warningPrefix)
+    };
+}
+
+const builtinCommands = [
+    {
+        name: 'start',
+        aliases: ['startGame'],
+        description: 'Start a game',
+        args: {
+            mode: { type: 'string', aliases: ['value', 'gameType'], description: 'Game mode; defaults to the current one' },
+            force: { type: 'boolean', description: 'Start even while a :required zone is offline' }
+        },
+        handler: async (sm, cmd) => {
+            const mode = cmd.mode || cmd.value || cmd.gameType;
+            if (!sm._safetyAllows('start') || !sm._healthAllowsStart(cmd) || !sm._checklistAllowsStart()) return false;
+            const started = await sm._startViaSequences(mode || sm.currentGameMode || (Object.keys(sm.cfg.game || {})[0]));
+            if (started && sm.checklist) {
+                const { outcome, file } = sm.checklist.complete({ mode: sm.gameType });
+                sm.publishEvent('checklist_completed', { outcome, file: file || null, mode: sm.gameType });
+            }
+            return started;
+        }
+    },
+    {
+        name: 'pause',
+        description: 'Pause the countdown timer',
+        states: ['gameplay'],
+        handler: sm => sm._pauseViaSequence()
+    },
+    {
+        name: 'resume',
+        description: 'Resume the countdown timer',
+        states: ['paused'],
+        handler: sm => sm._resumeViaSequence()
+    },
+    {
+        name: 'reset',
+        aliases: ['resetGame'],
+        description: 'Reset the room to the ready state',
+        handler: async (sm) => {
+            if (!sm._safetyAllows('reset')) return false;
+            return await sm._runResetSequence();
+        }
+    },
+    {
+        name: 'solve',
+        aliases: ['solveGame'],
+        description: 'Trigger the win outcome',
+        handler: (sm) => {
+            sm._triggerEnd('win');
+            return true;
+        }
+    },
+    {
+        name: 'fail',
+        aliases: ['failGame'],
+        description: 'Trigger the fail outcome',
+        handler: (sm) => {
+            sm._triggerEnd('fail');
+            return true;
+        }
+    },
+    {
+        name: 'abort',
+        aliases: ['abortGame'],
+        description: 'Abort the current game',
+        handler: sm => sm._runAbortSequence({ source: 'command', force: true })
+    },
+    {
+        name: 'emergencyStop',
+        description: 'Stop everything, apply zone safe states and reset',
+        handler: sm => sm.emergencyStop({ source: 'command' })
+    },
+    {
+        name: 'recover',
+        description: 'Resume the game saved before a PxO restart (requires persist_state)',
+        handler: sm => sm.recoverFromSnapshot({ source: 'command' })
+    },
+    {
+        name: 'triggerPhase',
+        description: 'Jump to a named phase',
+        args: { phase: { type: 'string', required: true, aliases: ['name', 'value'], missingWarning: 'trigger_phase_missing_name' } },
+        handler: async (sm, cmd) => {
+            const phaseName = String(cmd.phase || cmd.name || cmd.value).trim();
+            if (!sm.phases || !sm.phases[phaseName]) {
+                sm.publishWarning('trigger_phase_unknown', {
+                    phase: phaseName,
+                    available: Object.keys(sm.phases || {})
+                });
+                return false;
+            }
+            await sm.transitionToPhase(phaseName);
+            return true;
+        }
+    },
+    {
+        name: 'adjustTime',
+        description: 'Add (or with a negative delta, remove) seconds from the game clock',
+        args: { delta: { type: 'number', required: true, aliases: ['seconds'], numericStrings: true } },
+        states: LIVE_GAME,
+        handler: (sm, cmd) => sm.adjustTime(cmd.delta ?? cmd.seconds)
+    },
+    {
+        name: 'adjustScore',
+        description: 'Add or deduct score points during play',
+        args: {
+            delta: { type: 'number', required: true, aliases: ['points'], numericStrings: true },
+            reason: { type: 'string' }
+        },
+        states: LIVE_GAME,
+        handler: (sm, cmd) => sm.adjustScore(cmd.delta ?? cmd.points, cmd.reason || null)
+    },
+    {
+        name: 'executeHint',
+        description: 'Fire a hint by id',
+        args: {
+            id: { type: ['string', 'number'], required: true, missingWarning: 'executeHint_missing_id' },
+            force: { type: 'boolean', description: 'Bypass an exhausted hint budget' }
+        },
+        handler: (sm, cmd) => sm.fireHint(cmd.id, 'manual', null, { force: cmd.force === true })
+    },
+    {
+        name: 'nextHint',
+        description: 'Fire the next tier of a puzzle hint ladder',
+        args: {
+            puzzle: { type: 'string', required: true, aliases: ['id'] },
+            force: { type: 'boolean' }
+        },
+        handler: (sm, cmd) => sm.fireNextHint(cmd.puzzle ?? cmd.id, { source: 'manual', force: cmd.force === true })
+    },
+    {
+        name: 'vetoHint',
+        description: 'Cancel the pending stuck-team hint recommendation',
+        handler: sm => sm.vetoHintRecommendation()
+    },
+    {
+        name: 'sendHint',
+        description: 'Publish a free-text hint event',
+        args: {
+            text: { type: 'string', required: true, missingWarning: 'sendHint_no_text' },
+            duration: { type: 'number', description: 'Seconds; defaults to :hint-default-sec' },
+            queue: { type: 'any' }
+        },
+        handler: (sm, cmd) => {
+            const { text, queue } = cmd;
+            if (!text) {
+                sm.publishWarning('sendHint_no_text', { command: 'sendHint', errors: [{ arg: 'text', error: 'missing' }] });
+                return false;
+            }
+            const duration = cmd.duration || sm.cfg.global.hintDefaultSec || 10;
+            log.info(`Sending direct hint: "${text}" (${duration}s)`);
+            sm.publishEvent('hint_sent', { text, duration, queue });
+            return true;
+        }
+    },
+    {
+        name: 'checklistMark',
+        description: 'Tick off a manual checklist item',
+        args: {
+            item: { type: 'string', required: true, aliases: ['id'] },
+            ready: { type: 'boolean', description: 'false un-ticks the item' },
+            by: { type: 'string' },
+            notes: { type: 'string' }
+        },
+        handler: (sm, cmd) => sm._checklistCommand(cmd, 'mark')
+    },
+    {
+        name: 'checklistOverride',
+        description: 'Accept a checklist item, or the whole checklist when item is omitted',
+        role: 'technician',
+        args: {
+            item: { type: 'string', aliases: ['id'] },
+            by: { type: 'string' },
+            reason: { type: 'string' }
+        },
+        handler: (sm, cmd) => sm._checklistCommand(cmd, 'override')
+    },
+    {
+        name: 'safetyClear',
+        description: 'Clear a latched safety alarm',
+        role: 'technician',
+        args: {
+            by: { type: 'string' },
+            force: { type: 'boolean', description: 'Clear while a safety input is still active' }
+        },
+        handler: (sm, cmd) => sm._safetyClear(cmd)
+    },
+    puzzleCommand('solvePuzzle', 'forceSolve', 'puzzle_solved', 'solve_puzzle', 'Force a logic-graph node true and fire its :on-true'),
+    puzzleCommand('resetPuzzle', 'forceReset', 'puzzle_reset', 'reset_puzzle', "Clear a logic-graph node's state and bypass"),
+    puzzleCommand('enablePuzzle', 'forceEnable', 'puzzle_enabled', 'enable_puzzle', 'Clear an operator disable on a logic-graph node', 'technician'),
+    puzzleCommand('disablePuzzle', 'forceDisable', 'puzzle_disabled', 'disable_puzzle', 'Ignore hardware for a logic-graph node', 'technician'),
+    puzzleCommand('bypassPuzzle', 'forceBypass', 'puzzle_bypassed', 'bypass_puzzle', 'Bypass a logic-graph node as solved', 'technician'),
+    {
+        name: 'markAction',
+        description: 'Record a named operator action',
+        args: { action: { type: 'string', aliases: ['value'] } },
+        handler: (sm, cmd) => sm.markAction(cmd.action || cmd.value)
+    },
+    {
+        name: 'pauseResetTimer',
+        description: 'Hold the closing-phase countdown',
+        handler: sm => sm.pauseResetTimer()
+    },
+    {
+        name: 'resumeResetTimer',
+        description: 'Continue the closing-phase countdown',
+        handler: sm => sm.resumeResetTimer()
+    },
+    {
+        name: 'getState',
+        description: 'Publish the current state now',
+        role: 'viewer',
+        handler: (sm) => {
+            sm.publishState();
+            sm.publishEvent('state_requested');
+            return true;
+        }
+    },
+    {
+        name: 'listModes',
+        description: 'Publish the configured game modes as a modes_list event',
+        role: 'viewer',
+        handler: (sm) => {
+            const modes = Object.keys(sm.cfg.game || {});
+            sm.publishEvent('modes_list', { modes });
+            return modes;
+        }
+    },
+    {
+        name: 'setGameMode',
+        description: 'Select the game mode for the next start',
+        args: { mode: { type: 'string', required: true, aliases: ['value', 'gameMode'] } },
+        handler: (sm, cmd) => sm.setGameMode(cmd.mode || cmd.value || cmd.gameMode)
+    },
+    {
+        name: 'stopAll',
+        description: 'Run stopAll-sequence and stop all media',
+        handler: async (sm) => {
+            const result = await sm.sequenceRunner.runControlSequence('stopAll-sequence', { gameMode: sm.gameType });
+            if (!result.ok && result.error !== 'sequence_not_found') {
+                sm.publishWarning('stopall_sequence_failed', {
+                    message: `stopAll-sequence failed: ${result.error || 'unknown_error'}`,
+                    error: result.error || 'unknown_error'
+                });
+            }
+            // Always hard-stop media as fallback/safety behavior.
+            stopAllAcrossZones(sm.zones);
+            sm.publishEvent('all_stopped');
+            return true;
+        }
+    },
+    {
+        name: 'sleep',
+        description: 'Run props-sleep-sequence',
+        role: 'technician',
+        handler: runSequence('props-sleep-sequence')
+    },
+    {
+        name: 'wake',
+        description: 'Run props-wake-sequence',
+        role: 'technician',
+        handler: runSequence('props-wake-sequence')
+    },
+    {
+        name: 'restartAdapters',
+        description: 'Run the restart-adapters sequence',
+        role: 'technician',
+        handler: runSequence('restart-adapters')
+    },
+    {
+        name: 'shutdown',
+        description: 'Apply zone safe states and shut PxO down',
+        role: 'admin',
+        handler: controlSequence('software-shutdown-sequence', sm => sm._fallbackShutdown(), { fallbackLabel: 'imperative shutdown', safeState: 'shutdown' })
+    },
+    {
+        name: 'reboot',
+        description: 'Restart PxO',
+        role: 'admin',
+        handler: controlSequence('software-restart-sequence', sm => sm._fallbackReboot(), { fallbackLabel: 'imperative reboot' })
+    },
+    {
+        name: 'halt',
+        description: 'Halt PxO',
+        role: 'admin',
+        handler: controlSequence('software-halt-sequence', sm => sm.gracefulHalt(), { fallbackLabel: 'graceful halt' })
+    },
+    {
+        name: 'machineShutdown',
+        description: 'Apply zone safe states and shut down the controller OS',
+        role: 'admin',
+        handler: controlSequence('machine-shutdown-sequence', sm => sm.machineShutdown(), { fallbackLabel: 'imperative machine shutdown', safeState: 'machine_shutdown' })
+    },
+    {
+        name: 'machineReboot',
+        description: 'Reboot the controller OS',
+        role: 'admin',
+        handler: controlSequence('machine-reboot-sequence', sm => sm._fallbackReboot(), { fallbackLabel: 'imperative machine reboot' })
+    },
+    {
+        name: 'debugLog',
+        description: 'Write a line to the PxO log and publish it as a debug_log event',
+        args: {
+            message: { type: ['string', 'number'], required: true, aliases: ['msg', 'text', 'value'], missingWarning: 'debug_log_empty' },
+            tag: { type: 'string', aliases: ['scope', 'category'] }
+        },
+        handler: (sm, cmd) => {
+            const out = String(cmd.message ?? cmd.msg ?? cmd.text ?? cmd.value).trim();
+            const tag = cmd.tag || cmd.scope || cmd.category || 'debug';
+            if (out.length === 0) {
+                sm.publishWarning('debug_log_empty', { payload: cmd });
+                return false;
+            }
+            log.info(`[${tag}] ${out}`);
+            sm.publishEvent('debug_log', { message: out, tag });
+            return true;
+        }
+    }
+];
+
+/** A registry holding the built-in commands plus any extra definitions. */
+function createCommandRegistry(extra = []) {
+    return new CommandRegistry([...builtinCommands, ...extra]);
+}
+
+module.exports = {
+    builtinCommands,
+    createCommandRegistry
+};
@@ -0,0 +1,303 @@
+/**
+ * Pre-game readiness checklist (`:global :checklist`).
+ *
+ *   :checklist {:items {:handcuffs {:label "Handcuffs on the table"}
+ *                       :lights    {:label "Lights idle" :topic "room/lights/state"
+ *                                   :ready {:state "idle"}}
+ *                       :safe      {:label "Safe closed" :topic "room/safe/state"
+ *                                   :ready {:door "closed"}
+ *                                   :reset {:zone "safe" :command "reset"}
+ *                                   :verify-ms 5000 :retries 2}}}
+ *
+ * Manual items (no `:topic`) are ticked off by the GM with `checklistMark`.
+ * Automated items follow the last message on `:topic`, matched against
+ * `:ready` like a trigger condition. Items with `:reset` have that action run
+ * at every room reset and must then report ready within `:verify-ms`; after
+ * `:retries` further attempts they are marked failed. The checklist is ready
+ * when every item is ready or overridden.
+ */
+const fs = require('fs');
+const path = require('path');
+const { matchTopic, validateTopicFilter } = require('./logic/bindings');
+const { matchTriggerCondition, validateTriggerCondition } = require('./trigger-conditions');
+const { formatFileTimestamp } = require('./gameplay-logger');
+
+const DEFAULT_VERIFY_MS = 5000;
+const DEFAULT_RETRIES = 1;
+const ITEM_KEYS = ['label', 'description', 'topic', 'ready', 'reset', 'verify-ms', 'retries'];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Shape checks for a `:checklist` block. Reset actions are validated by the
+ * config validator as trigger actions.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateChecklist(checklist, at = 'checklist') {
+    if (!isPlainObject(checklist)) return [`${at} must be a map`];
+    if (!isPlainObject(checklist.items) || Object.keys(checklist.items).length === 0) {
+        return [`${at} :items must be a non-empty map of item id to item`];
+    }
+    return Object.entries(checklist.items).flatMap(([id, item]) => {
+        const where = `${at}.items.${id}`;
+        if (!isPlainObject(item)) return [`${where} must be a map`];
+        const problems = Object.keys(item).filter(key => !ITEM_KEYS.includes(key))
+            .map(key => `${where} has unknown key :${key}`);
+        if ((item.topic === undefined) !== (item.ready === undefined)) {
+            problems.push(`${where} needs both :topic and :ready to be checked automatically`);
+        }
+        if (item.topic !== undefined) {
+            const topicProblem = typeof item.topic === 'string' && item.topic ? validateTopicFilter(item.topic) : 'topic must be a non-empty string';
+            if (topicProblem) problems.push(`${where} ${topicProblem}`);
+        }
+        problems.push(...validateTriggerCondition(item.ready, `${where}.ready`));
+        if (item.reset !== undefined && item.topic === undefined) problems.push(`${where} :reset needs :topic and :ready to verify the reset`);
+        if (item['verify-ms'] !== undefined && !(Number.isFinite(item['verify-ms']) && item['verify-ms'] > 0)) {
+            problems.push(`${where} :verify-ms must be a positive number of milliseconds`);
+        }
+        if (item.retries !== undefined && !(Number.isInteger(item.retries) && item.retries >= 0)) {
+            problems.push(`${where} :retries must be a non-negative integer`);
+        }
+        return problems;
+    });
+}
+
+function createItem(id, def = {}) {
+    const automatic = typeof def.topic === 'string' && def.ready !== undefined;
+    return {
+        id,
+        label: def.label || id,
+        description: def.description || null,
+        type: automatic ? 'auto' : 'manual',
+        topic: automatic ? def.topic : null,
+        ready: automatic ? def.ready : null,
+        reset: automatic && def.reset ? def.reset : null,
+        verifyMs: Number.isFinite(def['verify-ms']) && def['verify-ms'] > 0 ? def['verify-ms'] : DEFAULT_VERIFY_MS,
+        retries: Number.isInteger(def.retries) && def.retries >= 0 ? def.retries : DEFAULT_RETRIES,
+        status: automatic ? 'waiting' : 'pending',
+        by: null,
+        at: null,
+        notes: null,
+        attempt: 0,
+        overridden: null,
+        waiter: null
+    };
+}
+
+class Checklist {
+    /**
+     * @param {object} config `:global :checklist`
+     * @param {object} hooks
+     * @param {(action: object, label: string) => Promise<any>} hooks.executeAction runs `:reset` actions
+     * @param {() => void} [hooks.onChange] called after any item or override changes
+     * @param {(item: object) => void} [hooks.onResetFailed]
+     * @param {() => object} [hooks.conditionContext] game state for `:ready` conditions
+     */
+    constructor(config = {}, { executeAction, onChange, onResetFailed, conditionContext, logger, now = Date.now } = {}) {
+        this.items = Object.entries((config && config.items) || {}).map(([id, def]) => createItem(id, def));
+        this.executeAction = executeAction || (async () => { });
+        this.onChange = onChange || (() => { });
+        this.onResetFailed = onResetFailed || (() => { });
+        this.conditionContext = conditionContext || (() => ({}));
+        this.log = logger || console;
+        this.now = now;
+        this.override = null;
+        this.recordDir = null;
+        this.recordPrefix = 'checklist';
+        // Bumped by reset() so reset loops from an earlier reset stop early.
+        this._generation = 0;
+    }
+
+    /** Completed checklists are written as JSON into `dir`, named like the gameplay logs. */
+    setRecordLocation(dir, prefix) {
+        this.recordDir = dir || null;
+        if (prefix) this.recordPrefix = prefix;
+    }
+
+    topics() {
+        return [...new Set(this.items.filter(item => item.topic).map(item => item.topic))];
+    }
+
+    getItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    pending() {
+        return this.items.filter(item => item.status !== 'ready' && !item.overridden).map(item => item.id);
+    }
+
+    isReady() {
+        return Boolean(this.override) || this.pending().length === 0;
+    }
+
+    noteMessage(topic, payload) {
+        let changed = false;
+        this.items.forEach((item) => {
+            if (!item.topic || !matchTopic(item.topic, topic)) return;
+            const matched = matchTriggerCondition(payload, item.ready, this.conditionContext());
+            if (item.waiter) {
+                // A reset is being verified; only a ready report settles it.
+                if (matched) item.waiter(true);
+                return;
+            }
+            const status = matched ? 'ready' : (item.status === 'failed' ? 'failed' : 'notready');
+            if (status !== item.status) {
+                item.status = status;
+                item.at = this.now();
+                changed = true;
+            }
+        });
+        if (changed) this.onChange();
+    }
+
+    /**
+     * Tick off (or un-tick) a manual item.
+     * @returns {{ ok: boolean, error?: string }}
+     */
+    mark(id, { ready = true, by = null, notes = null } = {}) {
+        const item = this.getItem(id);
+        if (!item) return { ok: false, error: 'unknown_item' };
+        if (item.type !== 'manual') return { ok: false, error: 'automatic_item' };
+        item.status = ready ? 'ready' : 'pending';
+        item.by = by;
+        item.at = this.now();
+        if (notes !== null) item.notes = notes;
+        this.onChange();
+        return { ok: true };
+    }
+
+    /**
+     * Accept one item, or the whole checklist when `id` is empty, as it is.
+     * @returns {{ ok: boolean, error?: string }}
+     */
+    overrideItem(id, { by = null, reason = null } = {}) {
+        const entry = { by, reason, at: this.now() };
+        if (!id) {
+            this.override = entry;
+        } else {
+            const item = this.getItem(id);
+            if (!item) return { ok: false, error: 'unknown_item' };
+            item.overridden = entry;
+        }
+        this.onChange();
+        return { ok: true };
+    }
+
+    /**
+     * Start a fresh checklist for the next game: manual ticks and overrides are
+     * cleared and `:reset` actions are sent. Resolves when every reset has been
+     * verified or has failed.
+     */
+    reset() {
+        const generation = ++this._generation;
+        this.override = null;
+        this.items.forEach((item) => {
+            item.overridden = null;
+            item.attempt = 0;
+            if (item.waiter) item.waiter(false);
+            if (item.type === 'manual') {
+                Object.assign(item, { status: 'pending', by: null, at: null, notes: null });
+            }
+        });
+        this.onChange();
+        return Promise.all(this.items.filter(item => item.reset).map(item => this._resetItem(item, generation)));
+    }
+
+    async _resetItem(item, generation) {
+        for (let attempt = 1; attempt <= item.retries + 1; attempt += 1) {
+            if (generation !== this._generation) return false;
+            item.status = 'resetting';
+            item.attempt = attempt;
+            this.onChange();
+            const verified = this._awaitReady(item);
+            try {
+                await this.executeAction(item.reset, `checklist:${item.id}`);
+            } catch (e) {
+                this.log.warn(`[checklist] Reset of '${item.id}' failed to send: ${e.message}`);
+            }
+            if (await verified) {
+                if (generation !== this._generation) return false;
+                Object.assign(item, { status: 'ready', at: this.now() });
+                this.onChange();
+                return true;
+            }
+        }
+        if (generation !== this._generation) return false;
+        Object.assign(item, { status: 'failed', at: this.now() });
+        this.log.warn(`[checklist] '${item.id}' did not report ready after ${item.attempt} reset attempt(s)`);
+        this.onResetFailed(item);
+        this.onChange();
+        return false;
+    }
+
+    _awaitReady(item) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => settle(false), item.verifyMs);
+            if (timer && typeof timer.unref === 'function') timer.unref();
+            const settle = (ok) => {
+                clearTimeout(timer);
+                if (item.waiter === settle) item.waiter = null;
+                resolve(ok);
+            };
+            item.waiter = settle;
+        });
+    }
+
+    /** Payload for the retained `{game-topic}/checklist` topic. */
+    snapshot() {
+        return {
+            t: this.now(),
+            status: this.isReady() ? 'ready' : 'notready',
+            override: this.override,
+            pending: this.pending(),
+            items: this.items.map(item => ({
+                id: item.id,
+                label: item.label,
+                description: item.description,
+                type: item.type,
+                status: item.status,
+                by: item.by,
+                at: item.at,
+                notes: item.notes,
+                overridden: item.overridden,
+                ...(item.reset ? { attempt: item.attempt } : {})
+            }))
+        };
+    }
+
+    /**
+     * Record the checklist a game was started with. Written to the record
+     * directory when one is set; returns the record either way.
+     */
+    complete({ mode = null } = {}) {
+        const now = this.now();
+        const { items, override } = this.snapshot();
+        // Overridden items don't count as pending, so look at the overrides themselves.
+        const overridden = Boolean(override) || items.some(item => item.overridden);
+        const record = {
+            completedAt: new Date(now).toISOString(),
+            mode,
+            outcome: overridden ? 'overridden' : 'complete',
+            override,
+            items
+        };
+        if (this.recordDir) {
+            const file = path.join(this.recordDir, `${this.recordPrefix}_${formatFileTimestamp(now)}_checklist.json`);
+            try {
+                fs.mkdirSync(this.recordDir, { recursive: true });
+                fs.writeFileSync(file, `${JSON.stringify(record, null, 2)}\n`);
+                record.file = file;
+            } catch (e) {
+                this.log.warn(`[checklist] Could not write ${file}: ${e.message}`);
+            }
+        }
+        return record;
+    }
+}
+
+module.exports = {
+    Checklist,
+    validateChecklist
+};
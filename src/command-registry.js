@@ -0,0 +1,248 @@
+/**
+ * Command registry behind `GameStateMachine.handleCommand` and the published
+ * `{game-topic}/schema`.
+ *
+ * A command definition:
+ *
+ *   {
+ *     name: 'adjustTime',
+ *     aliases: ['addTime'],                  // matched case-insensitively, like the name
+ *     description: 'Add or remove seconds',
+ *     args: { delta: { type: 'number', required: true, aliases: ['seconds'], description: '...' } },
+ *     states: ['gameplay', 'paused'],        // omit for "any state"
+ *     role: 'gm',                            // minimum operator role, see operator-auth.js
+ *     handler: (sm, cmd) => ...              // return false to reject
+ *   }
+ *
+ * Argument types: string, number, integer, boolean, object, array, any, or a
+ * list of them when several are accepted. With `numericStrings: true` a
+ * number or integer arg also takes a numeric string ("30"), left for the
+ * handler to convert. An arg's `missingWarning` names the warning published
+ * when it is missing, for commands whose older warning codes clients still
+ * match on.
+ * Keys that are not declared are passed through unchecked.
+ */
+
+const { DEFAULT_COMMAND_ROLE, ROLES } = require('./operator-auth');
+
+const ARG_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'any'];
+const DEF_KEYS = ['name', 'aliases', 'description', 'args', 'states', 'role', 'handler'];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeMatches(type, value) {
+    if (Array.isArray(type)) return type.some(t => typeMatches(t, value));
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        default: return true;
+    }
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Shape checks for a command definition.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateCommandDefinition(def, at = 'command') {
+    if (!isPlainObject(def)) return [`${at} must be a map`];
+    const problems = Object.keys(def).filter(key => !DEF_KEYS.includes(key))
+        .map(key => `${at} has unknown key ${key}`);
+    if (typeof def.name !== 'string' || !def.name.trim()) problems.push(`${at} needs a name`);
+    if (def.aliases !== undefined && !(Array.isArray(def.aliases) && def.aliases.every(a => typeof a === 'string' && a))) {
+        problems.push(`${at} aliases must be a list of names`);
+    }
+    if (def.states !== undefined && def.states !== null
+        && !(Array.isArray(def.states) && def.states.length > 0 && def.states.every(s => typeof s === 'string' && s))) {
+        problems.push(`${at} states must be a non-empty list of state names`);
+    }
+    if (def.role !== undefined && !ROLES.includes(def.role)) {
+        problems.push(`${at} role must be one of ${ROLES.join(', ')}`);
+    }
+    if (def.args !== undefined) {
+        if (!isPlainObject(def.args)) {
+            problems.push(`${at} args must be a map of argument name to spec`);
+        } else {
+            Object.entries(def.args).forEach(([arg, spec]) => {
+                if (!isPlainObject(spec)) {
+                    problems.push(`${at} arg ${arg} must be a map`);
+                    return;
+                }
+                const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+                if (spec.type !== undefined && !(types.length > 0 && types.every(t => ARG_TYPES.includes(t)))) {
+                    problems.push(`${at} arg ${arg} type must be one of ${ARG_TYPES.join(', ')}`);
+                }
+                if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+                    problems.push(`${at} arg ${arg} required must be true or false`);
+                }
+                if (spec.enum !== undefined && !(Array.isArray(spec.enum) && spec.enum.length > 0)) {
+                    problems.push(`${at} arg ${arg} enum must be a non-empty list`);
+                }
+                if (spec.numericStrings !== undefined && typeof spec.numericStrings !== 'boolean') {
+                    problems.push(`${at} arg ${arg} numericStrings must be true or false`);
+                }
+                if (spec.missingWarning !== undefined && !(typeof spec.missingWarning === 'string' && spec.missingWarning)) {
+                    problems.push(`${at} arg ${arg} missingWarning must be a warning code`);
+                }
+            });
+        }
+    }
+    return problems;
+}
+
+class CommandRegistry {
+    constructor(definitions = []) {
+        this.commands = new Map(); // name -> definition
+        this.lookup = new Map(); // lower-cased name or alias -> name
+        definitions.forEach(def => this.register(def));
+    }
+
+    /**
+     * Add a command. Names and aliases must not collide with existing ones;
+     * pass `{ replace: true }` to swap out a command of the same name.
+     */
+    register(def, { replace = false } = {}) {
+        const problems = validateCommandDefinition(def, `command ${def && def.name ? `'${def.name}'` : ''}`.trim());
+        if (typeof (def && def.handler) !== 'function') problems.push(`command '${def && def.name}' needs a handler function`);
+        if (problems.length > 0) throw new Error(problems.join('; '));
+
+        const keys = [def.name, ...(def.aliases || [])].map(key => key.toLowerCase());
+        if (replace) this.unregister(def.name);
+        keys.forEach((key) => {
+            if (this.lookup.has(key)) {
+                throw new Error(`command '${def.name}': '${key}' is already registered for '${this.lookup.get(key)}'`);
+            }
+        });
+        const command = { aliases: [], args: {}, states: null, description: '', ...def };
+        this.commands.set(def.name, command);
+        keys.forEach(key => this.lookup.set(key, def.name));
+        return command;
+    }
+
+    unregister(name) {
+        const command = this.resolve(name);
+        if (!command) return false;
+        this.commands.delete(command.name);
+        [...this.lookup].forEach(([key, target]) => {
+            if (target === command.name) this.lookup.delete(key);
+        });
+        return true;
+    }
+
+    /** The definition for a name or alias, or null. */
+    resolve(name) {
+        if (typeof name !== 'string') return null;
+        const target = this.lookup.get(name.trim().toLowerCase());
+        return target ? this.commands.get(target) : null;
+    }
+
+    canonicalName(name) {
+        const command = this.resolve(name);
+        return command ? command.name : null;
+    }
+
+    allowedIn(command, state) {
+        return !command.states || command.states.includes(state);
+    }
+
+    /**
+     * Check a payload against the command's argument schema.
+     * @returns {Array<{ arg: string, error: string, expected?: any, received?: string }>}
+     */
+    validate(command, payload = {}) {
+        return Object.entries(command.args || {}).flatMap(([arg, spec]) => {
+            const key = [arg, ...(spec.aliases || [])].find(name => payload[name] !== undefined && payload[name] !== null);
+            if (key === undefined) return spec.required ? [{ arg, error: 'missing' }] : [];
+            const value = payload[key];
+            const checked = spec.numericStrings && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (spec.type && !typeMatches(spec.type, checked)) {
+                return [{ arg: key, error: 'wrong_type', expected: spec.type, received: describeType(value) }];
+            }
+            if (spec.enum && !spec.enum.includes(value)) {
+                return [{ arg: key, error: 'not_allowed', expected: spec.enum }];
+            }
+            return [];
+        });
+    }
+
+    /** Commands as published on `{game-topic}/schema`. */
+    schema() {
+        return [...this.commands.values()].map(command => ({
+            command: command.name,
+            description: command.description,
+            ...(command.aliases.length > 0 ? { aliases: command.aliases } : {}),
+            args: Object.fromEntries(Object.entries(command.args).map(([arg, spec]) => [arg, {
+                type: spec.type || 'any',
+                required: Boolean(spec.required),
+                ...(spec.aliases ? { aliases: spec.aliases } : {}),
+                ...(spec.enum ? { enum: spec.enum } : {}),
+                ...(spec.description ? { description: spec.description } : {})
+            }])),
+            states: command.states,
+            role: command.role || DEFAULT_COMMAND_ROLE
+        }));
+    }
+}
+
+/**
+ * Problems in `:global :custom-commands`. Actions are checked by the config
+ * validator like trigger actions.
+ */
+function validateCustomCommands(customCommands, reserved = [], at = 'custom-commands') {
+    if (!isPlainObject(customCommands)) return [`${at} must be a map of command name to definition`];
+    const taken = new Set(reserved.map(name => name.toLowerCase()));
+    return Object.entries(customCommands).flatMap(([name, def]) => {
+        const where = `${at}.${name}`;
+        if (!isPlainObject(def)) return [`${where} must be a map`];
+        const { actions, ...rest } = def;
+        const problems = validateCommandDefinition({ name, ...rest }, where);
+        [name, ...(Array.isArray(def.aliases) ? def.aliases : [])].forEach((key) => {
+            if (typeof key === 'string' && taken.has(key.toLowerCase())) problems.push(`${where} name or alias '${key}' is already a command`);
+            if (typeof key === 'string') taken.add(key.toLowerCase());
+        });
+        if (!Array.isArray(actions) || actions.length === 0) problems.push(`${where} :actions must be a non-empty vector of actions`);
+        return problems;
+    });
+}
+
+/**
+ * Registry definitions for `:global :custom-commands`. Each runs its
+ * `:actions` in order; declared arguments fill `{{arg}}` placeholders.
+ * @param {(action: object, label: string, vars: object) => Promise<any>} runAction
+ */
+function customCommandDefinitions(customCommands = {}, runAction) {
+    return Object.entries(customCommands || {}).map(([name, def]) => ({
+        name,
+        aliases: def.aliases || [],
+        description: def.description || `Custom command (${def.actions.length} action${def.actions.length === 1 ? '' : 's'})`,
+        args: def.args || {},
+        states: def.states || null,
+        ...(def.role ? { role: def.role } : {}),
+        handler: async (sm, cmd) => {
+            const vars = Object.fromEntries(Object.keys(def.args || {})
+                .filter(arg => cmd[arg] !== undefined)
+                .map(arg => [arg, cmd[arg]]));
+            for (const [index, action] of def.actions.entries()) {
+                await runAction(action, `command:${name}[${index}]`, vars);
+            }
+            return true;
+        }
+    }));
+}
+
+module.exports = {
+    CommandRegistry,
+    customCommandDefinitions,
+    validateCommandDefinition,
+    validateCustomCommands
+};
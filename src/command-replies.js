@@ -0,0 +1,119 @@
+/**
+ * Replies for commands on `{game-topic}/commands`.
+ *
+ * A command that carries `correlationId`, or that arrives with an MQTT v5
+ * response topic, gets structured replies:
+ *
+ *   {"correlationId": "ui-42", "command": "start", "status": "completed", "result": true, "error": null, "t": ...}
+ *
+ * `status` goes `accepted` → `completed` | `failed`, or straight to
+ * `rejected`. Replies go to the v5 response topic when there is one (with the
+ * request's correlation data), otherwise to `{game-topic}/replies`. The same
+ * command with the same correlation id seen again within the dedup window is
+ * not run twice; the latest reply for it is published again with
+ * `duplicate: true`.
+ */
+
+const DEFAULT_DEDUP_MS = 60000;
+
+function stringId(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+}
+
+/**
+ * The correlation id a command payload carries, if any. `id` is never one:
+ * many commands take it as a parameter.
+ * @param {object} payload command payload
+ */
+function correlationIdOf(payload) {
+    if (!payload || typeof payload !== 'object') return null;
+    return stringId(payload.correlationId);
+}
+
+class CommandReplies {
+    /**
+     * @param {object} options
+     * @param {object} options.mqtt client with publish(topic, payload, options)
+     * @param {string} options.topic default reply topic, `{game-topic}/replies`
+     * @param {number} [options.dedupMs] how long a correlation id is remembered
+     * @param {() => string} [options.generateId] ids for v5 requests without one
+     */
+    constructor({ mqtt, topic, dedupMs = DEFAULT_DEDUP_MS, generateId, now = Date.now }) {
+        this.mqtt = mqtt;
+        this.topic = topic;
+        this.dedupMs = dedupMs;
+        this.now = now;
+        this.generateId = generateId || (() => `cmd-${this.now()}`);
+        this.seen = new Map(); // command + correlationId -> { at, last }
+    }
+
+    /**
+     * Open a reply context for an incoming command.
+     * @param {any} payload parsed command payload
+     * @param {object} [packet] the MQTT packet, for v5 response topic and correlation data
+     * @param {string} [command] canonical command name
+     * @param {object} [options]
+     * @param {boolean} [options.record] false answers without entering the dedup window,
+     *   for requests rejected before they are known to be genuine
+     * @returns {{ correlationId: string, duplicate: boolean, reply: Function } | null}
+     *   null when the sender asked for no reply
+     */
+    begin(payload, packet = null, command = payload && payload.command, { record = true } = {}) {
+        const properties = (packet && packet.properties) || {};
+        const responseTopic = typeof properties.responseTopic === 'string' && properties.responseTopic ? properties.responseTopic : null;
+        const correlationData = properties.correlationData !== undefined ? properties.correlationData : null;
+        let correlationId = correlationIdOf(payload);
+        if (!correlationId && correlationData !== null) correlationId = stringId(correlationData.toString()) || null;
+        if (!correlationId && !responseTopic) return null;
+        if (!correlationId) correlationId = this.generateId();
+
+        this._prune();
+        // Keyed by command too, so a UI reusing an id for a different command is not swallowed.
+        const key = `${command || ''}\n${correlationId}`;
+        const previous = record ? this.seen.get(key) : null;
+        const route = { responseTopic, correlationData };
+        if (previous) {
+            if (previous.last) this._publish(route, { ...previous.last, duplicate: true });
+            return { correlationId, duplicate: true, reply: () => false };
+        }
+        const entry = { at: this.now(), last: null };
+        if (record) this.seen.set(key, entry);
+
+        const reply = (status, { result = null, error = null, message } = {}) => {
+            entry.last = {
+                correlationId,
+                command: command || null,
+                status,
+                result: result === undefined ? null : result,
+                error,
+                ...(message ? { message } : {}),
+                t: this.now()
+            };
+            return this._publish(route, entry.last);
+        };
+        return { correlationId, duplicate: false, reply };
+    }
+
+    _publish({ responseTopic, correlationData }, body) {
+        if (responseTopic) {
+            const properties = correlationData !== null ? { correlationData } : undefined;
+            return this.mqtt.publish(responseTopic, body, { qos: 1, ...(properties ? { properties } : {}) });
+        }
+        return this.mqtt.publish(this.topic, body, { qos: 1 });
+    }
+
+    _prune() {
+        const cutoff = this.now() - this.dedupMs;
+        for (const [id, entry] of this.seen) {
+            if (entry.at >= cutoff) break;
+            this.seen.delete(id);
+        }
+    }
+}
+
+module.exports = {
+    CommandReplies,
+    correlationIdOf,
+    DEFAULT_DEDUP_MS
+};
@@ -0,0 +1,86 @@
+/**
+ * Fail-safe support: per-zone `:safe-state` commands and the "orchestrator
+ * alive" beacon that prop firmware can watch.
+ *
+ *   :zones {:maglocks {:type "mqtt" :base-topic "paradox/room/maglocks"
+ *                      :safe-state [{:command "releaseAll"}]}
+ *           :door     {:type "mqtt-raw" :base-topic "paradox/room/door"
+ *                      :safe-state {:payload "0"}}}
+ *
+ * Safe-state commands target their own zone; `:zone`/`:zones` are not allowed.
+ */
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function safeStateCommands(def) {
+    const safeState = def && def['safe-state'];
+    if (safeState === undefined || safeState === null) return [];
+    return Array.isArray(safeState) ? safeState : [safeState];
+}
+
+/**
+ * Cue-style actions for every zone that declares `:safe-state`, in config order.
+ * @returns {Array<{ zone: string, action: object }>}
+ */
+function safeStateActions(zones = {}) {
+    return Object.entries(zones || {}).flatMap(([zone, def]) => safeStateCommands(def)
+        .filter(isPlainObject)
+        .map(command => ({ zone, action: { ...command, zone } })));
+}
+
+function validateSafeState(def, at) {
+    const safeState = def && def['safe-state'];
+    if (safeState === undefined) return [];
+    const commands = Array.isArray(safeState) ? safeState : [safeState];
+    if (commands.length === 0) return [`${at} :safe-state must not be empty`];
+    return commands.flatMap((command, index) => {
+        const where = Array.isArray(safeState) ? `${at} :safe-state[${index}]` : `${at} :safe-state`;
+        if (!isPlainObject(command)) return [`${where} must be a command map`];
+        if (command.zone !== undefined || command.zones !== undefined) return [`${where} must not name a zone; it targets its own zone`];
+        if (command.command === undefined && command.payload === undefined && command.message === undefined) {
+            return [`${where} needs :command (or :payload for mqtt-raw zones)`];
+        }
+        return [];
+    });
+}
+
+/**
+ * Publishes a non-retained `{ t, seq, state }` token every `intervalMs`.
+ * Props treat a missing token as "orchestrator gone" and fail safe on their own.
+ */
+class AliveBeacon {
+    constructor({ mqtt, topic, intervalMs, getState = () => null, now = Date.now }) {
+        this.mqtt = mqtt;
+        this.topic = topic;
+        this.intervalMs = intervalMs;
+        this.getState = getState;
+        this.now = now;
+        this.seq = 0;
+        this._timer = null;
+    }
+
+    beat() {
+        this.seq += 1;
+        this.mqtt.publish(this.topic, { t: this.now(), seq: this.seq, state: this.getState() });
+    }
+
+    start() {
+        this.stop();
+        this.beat();
+        this._timer = setInterval(() => this.beat(), this.intervalMs);
+        if (typeof this._timer.unref === 'function') this._timer.unref();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+}
+
+module.exports = {
+    AliveBeacon,
+    safeStateActions,
+    validateSafeState
+};
@@ -5,11 +5,40 @@ const { loadConfig } = require('./config');
 const log = require('./logger');
 const GameStateMachine = require('./stateMachine');
 const { getUiTopics } = require('./engineUtils');
-const { isLogicSourceName, logicSourceNodeName, virtualLogicTopic } = require('./logic/bindings');
+const {
+  isLogicSourceName,
+  logicSourceNodeName,
+  matchTopic,
+  topicVariables,
+  validateTopicFilter,
+  virtualLogicTopic
+} = require('./logic/bindings');
 const { loadIniConfig } = require('./ini-config-loader');
 const LogCleanup = require('./log-cleanup');
 const { GameplayLogger } = require('./gameplay-logger');
+const { StatePersistence } = require('./state-persistence');
+const { Leaderboard } = require('./leaderboard');
+const {
+  conditionEntryMatches,
+  getValueByPath,
+  matchTriggerCondition,
+  normalizeEventToken,
+  triggerConditionContext,
+  validateTriggerCondition
+} = require('./trigger-conditions');
+const { executeTriggerAction, normalizeTriggerCompleteTarget, normalizeTriggerEndCommand } = require('./trigger-actions');
+const { buildInputSourceMap } = require('./input-sources');
+const { TriggerGates, isGameResetEvent } = require('./trigger-gate');
+const { InputTransformer } = require('./input-transforms');
+const { HealthMonitor, hasHealthExpectations } = require('./health-monitor');
+const { AliveBeacon } = require('./fail-safe');
+const { CommandReplies } = require('./command-replies');
+const { HttpApi } = require('./http-api');
+const { OperatorAuth, loadOperators } = require('./operator-auth');
+const { HotStandby } = require('./hot-standby');
+const { createCommandRegistry } = require('./builtin-commands');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const minimist = require('minimist');
 
@@ -48,24 +77,8 @@ function _publishMqttMetadata(mqtt, cfg, sm) {
     const schemaPayload = {
       application: 'pxo',
       commandsTopic: `${gameTopic}/commands`,
-      commands: [
-        { command: 'start', description: 'Start or resume the game' },
-        { command: 'pause', description: 'Pause the countdown timer' },
-        { command: 'resume', description: 'Resume the countdown timer' },
-        { command: 'reset', description: 'Reset game to ready state' },
-        { command: 'solve', description: 'Trigger win/solved outcome' },
-        { command: 'fail', description: 'Trigger fail outcome' },
-        { command: 'abort', description: 'Abort current game' },
-        { command: 'setTime', description: 'Set remaining time (seconds: number)' },
-        { command: 'executeHint', description: 'Fire a hint by id (id: string)' },
-        { command: 'listhints', description: 'Publish hints registry to hintsRegistry topic' },
-        { command: 'getconfig', description: 'Publish full UI config to config topic' },
-        { command: 'solvePuzzle', description: 'Force a logic-graph node true (id: string)' },
-        { command: 'resetPuzzle', description: 'Reset a logic-graph node (id: string)' },
-        { command: 'enablePuzzle', description: 'Enable a logic-graph node (id: string)' },
-        { command: 'disablePuzzle', description: 'Disable a logic-graph node (id: string)' },
-        { command: 'bypassPuzzle', description: 'Bypass a logic-graph node as solved (id: string)' }
-      ]
+      // Generated from the command registry, so custom commands are listed too.
+      commands: (sm && sm.commands ? sm.commands : createCommandRegistry()).schema()
     };
     mqtt.publish(`${gameTopic}/schema`, schemaPayload, { retain: true });
 
@@ -144,6 +157,24 @@ function isStartCommand(commandName) {
   return c === 'start';
 }
 
+/**
+ * Authenticate a command and open its reply context. Signature and clock are
+ * checked first; then the (command, correlationId) dedup window; only then
+ * the signature replay check, so a retried signed command is answered as a
+ * duplicate rather than rejected as a replay. Requests that fail the
+ * signature check never enter the dedup window.
+ * @returns {{ identity: object, request: object|null }} identity as from OperatorAuth#authenticate
+ */
+function admitCommand(payload, { operatorAuth = null, commandReplies, packet = null, command }) {
+  const verified = operatorAuth ? operatorAuth.verify(payload) : { ok: true, operator: null };
+  if (!verified.ok) {
+    return { identity: verified, request: commandReplies.begin(payload, packet, command, { record: false }) };
+  }
+  const request = commandReplies.begin(payload, packet, command);
+  if (request && request.duplicate) return { identity: verified, request };
+  return { identity: operatorAuth ? operatorAuth.consume(payload, verified) : verified, request };
+}
+
 function inferStartMode(commandName, payload, cfg, sm) {
   const explicit = payload?.mode || payload?.value || payload?.gameType;
   if (explicit) return String(explicit);
@@ -164,67 +195,12 @@ function normalizeTriggerStrictMode(value) {
   return 'warn';
 }
 
-function buildInputSourceMap(cfg) {
-  const sourceMap = new Map();
-  const diagnostics = {
-    invalidSources: [],
-    duplicateSources: []
-  };
-
-  const candidates = cfg?.global?.inputs || {};
-
-  if (Array.isArray(candidates)) {
-    candidates.forEach((entry, index) => {
-      if (!entry || typeof entry !== 'object') return;
-
-      const sourceNameRaw = entry.name || entry.id;
-      const sourceName = typeof sourceNameRaw === 'string' ? sourceNameRaw.trim() : '';
-      if (!sourceName) {
-        diagnostics.invalidSources.push({ index, reason: 'missing_name' });
-        return;
-      }
-
-      const topic = typeof entry.topic === 'string' ? entry.topic.trim() : '';
-      if (!topic) {
-        diagnostics.invalidSources.push({ index, source: sourceName, reason: 'missing_topic' });
-        return;
-      }
-
-      if (sourceMap.has(sourceName)) {
-        diagnostics.duplicateSources.push({ source: sourceName, index });
-        return;
-      }
-
-      sourceMap.set(sourceName, { ...entry, topic });
-    });
-
-    return { sourceMap, diagnostics };
-  }
-
-  Object.entries(candidates).forEach(([name, definition]) => {
-    if (!definition || typeof definition !== 'object') return;
-    const sourceName = typeof name === 'string' ? name.trim() : '';
-    if (!sourceName) {
-      diagnostics.invalidSources.push({ source: String(name), reason: 'invalid_name' });
-      return;
-    }
-
-    const topic = typeof definition.topic === 'string' ? definition.topic.trim() : '';
-    if (!topic) {
-      diagnostics.invalidSources.push({ source: sourceName, reason: 'missing_topic' });
-      return;
-    }
-
-    sourceMap.set(sourceName, { ...definition, topic });
-  });
-
-  return { sourceMap, diagnostics };
-}
-
 function buildTriggerRules(rawTriggerRules, inputSources) {
   const diagnostics = {
     unresolvedRules: [],
-    unknownSourceRules: []
+    unknownSourceRules: [],
+    invalidConditions: [],
+    invalidTopicRules: []
   };
 
   const triggerRules = rawTriggerRules
@@ -254,6 +230,29 @@ function buildTriggerRules(rawTriggerRules, inputSources) {
         return null;
       }
 
+      const topicProblem = validateTopicFilter(resolvedTopic);
+      if (topicProblem) {
+        diagnostics.invalidTopicRules.push({
+          name: rule.name || `rule-${index + 1}`,
+          index,
+          topic: resolvedTopic,
+          problem: topicProblem
+        });
+        return null;
+      }
+
+      // A malformed expression would silently never (or always) match, so the
+      // rule is left out and reported instead.
+      const conditionProblems = validateTriggerCondition(trigger.condition, 'condition');
+      if (conditionProblems.length > 0) {
+        diagnostics.invalidConditions.push({
+          name: rule.name || `rule-${index + 1}`,
+          index,
+          problems: conditionProblems
+        });
+        return null;
+      }
+
       if (sourceName && !inputSources.has(sourceName) && !logicNode) {
         diagnostics.unknownSourceRules.push({
           name: rule.name || `rule-${index + 1}`,
@@ -285,11 +284,15 @@ function logTriggerDiagnostics({ strictMode, rawTriggerRules, inputSources, trig
     strictMode,
     configuredRules: rawTriggerRules.length,
     activeRules: triggerRules.length,
-    skippedRules: triggerDiagnostics.unresolvedRules.length,
+    skippedRules: triggerDiagnostics.unresolvedRules.length
+      + triggerDiagnostics.invalidConditions.length
+      + triggerDiagnostics.invalidTopicRules.length,
     sources: inputSources.size,
     invalidSources: sourceDiagnostics.invalidSources.length,
     duplicateSources: sourceDiagnostics.duplicateSources.length,
-    unknownSourceRules: triggerDiagnostics.unknownSourceRules.length
+    unknownSourceRules: triggerDiagnostics.unknownSourceRules.length,
+    invalidConditions: triggerDiagnostics.invalidConditions.length,
+    invalidTopicRules: triggerDiagnostics.invalidTopicRules.length
   };
 
   log.info(`Trigger startup diagnostics: ${JSON.stringify(report)}`);
@@ -312,6 +315,18 @@ function logTriggerDiagnostics({ strictMode, rawTriggerRules, inputSources, trig
     });
   }
 
+  if (triggerDiagnostics.invalidTopicRules.length > 0) {
+    triggerDiagnostics.invalidTopicRules.forEach((entry) => {
+      log.warn(`Skipping trigger rule '${entry.name}': ${entry.problem}`);
+    });
+  }
+
+  if (triggerDiagnostics.invalidConditions.length > 0) {
+    triggerDiagnostics.invalidConditions.forEach((entry) => {
+      log.warn(`Skipping trigger rule '${entry.name}': invalid condition: ${entry.problems.join('; ')}`);
+    });
+  }
+
   if (triggerDiagnostics.unknownSourceRules.length > 0) {
     triggerDiagnostics.unknownSourceRules.forEach((entry) => {
       log.warn(`Trigger rule '${entry.name}' references unknown source '${entry.source}', using explicit topic '${entry.topic}'`);
@@ -331,7 +346,9 @@ function shouldFailForTriggerDiagnostics(strictMode, sourceDiagnostics, triggerD
   return sourceDiagnostics.invalidSources.length > 0
     || sourceDiagnostics.duplicateSources.length > 0
     || triggerDiagnostics.unresolvedRules.length > 0
-    || triggerDiagnostics.unknownSourceRules.length > 0;
+    || triggerDiagnostics.unknownSourceRules.length > 0
+    || triggerDiagnostics.invalidConditions.length > 0
+    || triggerDiagnostics.invalidTopicRules.length > 0;
 }
 
 function getRulePhaseConstraint(rule) {
@@ -352,171 +369,8 @@ function getRulePhaseConstraint(rule) {
   return phases.length > 0 ? phases : null;
 }
 
-function getValueByPath(obj, pathExpr) {
-  if (!obj || typeof obj !== 'object') return undefined;
-  if (!pathExpr || typeof pathExpr !== 'string') return undefined;
-  const parts = pathExpr.split('.').map((part) => part.trim()).filter(Boolean);
-  if (parts.length === 0) return undefined;
-
-  let cursor = obj;
-  for (const part of parts) {
-    if (!cursor || typeof cursor !== 'object' || !(part in cursor)) {
-      return undefined;
-    }
-    cursor = cursor[part];
-  }
-  return cursor;
-}
-
-function normalizeEventToken(value) {
-  const token = String(value || '').trim().toLowerCase();
-  const aliases = {
-    opened: 'open',
-    open: 'open',
-    closed: 'close',
-    close: 'close',
-    activated: 'activate',
-    activate: 'activate',
-    deactivated: 'deactivate',
-    deactivate: 'deactivate',
-    pressed: 'press',
-    press: 'press',
-    released: 'release',
-    release: 'release'
-  };
-  return aliases[token] || token;
-}
-
-function conditionEntryMatches(actualValue, expectedValue, key) {
-  if (Array.isArray(expectedValue)) {
-    return expectedValue.some((candidate) => conditionEntryMatches(actualValue, candidate, key));
-  }
-
-  if (typeof actualValue === 'string' && typeof expectedValue === 'string') {
-    const keyName = String(key || '').trim().toLowerCase();
-    const keyLeaf = keyName.includes('.') ? keyName.split('.').pop() : keyName;
-    if (keyLeaf === 'event') {
-      return normalizeEventToken(actualValue) === normalizeEventToken(expectedValue);
-    }
-  }
-
-  return actualValue === expectedValue;
-}
-
-function doesTriggerConditionMatch(payload, condition = {}) {
-  const entries = Object.entries(condition || {});
-  if (entries.length === 0) return true;
-
-  for (const [key, expectedValue] of entries) {
-    let actualValue = payload ? payload[key] : undefined;
-
-    // Support nested key paths, e.g. input_event.event
-    if (actualValue === undefined && key.includes('.')) {
-      actualValue = getValueByPath(payload, key);
-    }
-
-    if (!conditionEntryMatches(actualValue, expectedValue, key)) {
-      return false;
-    }
-  }
-
-  return true;
-}
-
-function normalizeTriggerEndCommand(endValue) {
-  const normalized = String(endValue || '').trim().toLowerCase();
-  const aliases = {
-    solve: 'solve',
-    solved: 'solve',
-    sovled: 'solve',
-    win: 'solve',
-    fail: 'fail',
-    failed: 'fail',
-    lose: 'fail',
-    loss: 'fail'
-  };
-
-  return aliases[normalized] || null;
-}
-
-function normalizeTriggerCompleteTarget(completeValue) {
-  const normalized = String(completeValue || '').trim().toLowerCase();
-  if (normalized === 'intro' || normalized === 'closing' || normalized === 'reset') {
-    return normalized;
-  }
-  return null;
-}
-
-async function executeTriggerAction(action, triggerName, { sm, log: logger = log } = {}) {
-  if (!action || typeof action !== 'object') {
-    logger.warn(`Invalid trigger action in ${triggerName}: expected object`);
-    return false;
-  }
-
-  if (!sm) {
-    throw new Error('executeTriggerAction requires a state machine instance');
-  }
-
-  if (action.fire !== undefined) {
-    if (typeof action.fire !== 'string' || action.fire.trim() === '') {
-      logger.warn(`Trigger ${triggerName} has invalid fire action; expected non-empty string target`);
-      return false;
-    }
-
-    const fireContext = typeof sm._buildFireContext === 'function'
-      ? sm._buildFireContext(action)
-      : {};
-    await sm.fireByName(action.fire, fireContext);
-    logger.info(`Fired trigger action '${action.fire}' for ${triggerName}`);
-    return true;
-  }
-
-  if (action.end !== undefined) {
-    const command = normalizeTriggerEndCommand(action.end);
-    if (!command) {
-      logger.warn(`Trigger ${triggerName} has invalid end action '${action.end}'; use win or fail`);
-      return false;
-    }
-
-    await sm.handleCommand({ command });
-    logger.info(`Executed trigger end '${command}' for ${triggerName}`);
-    return true;
-  }
-
-  if (action.complete !== undefined) {
-    const target = normalizeTriggerCompleteTarget(action.complete);
-    if (!target) {
-      logger.warn(`Trigger ${triggerName} has invalid complete action '${action.complete}'; use intro, closing, or reset`);
-      return false;
-    }
-
-    if (typeof sm.completePhase !== 'function') {
-      logger.warn(`Trigger ${triggerName} complete '${target}' skipped: state machine has no completePhase`);
-      return false;
-    }
-
-    const ok = await sm.completePhase(target);
-    if (ok) {
-      logger.info(`Executed trigger complete '${target}' for ${triggerName}`);
-    }
-    return Boolean(ok);
-  }
-
-  const rawMqttAction = action.publish || action.command === 'publish';
-  const zoneAction = Boolean(
-    action.zone
-    || action.zones
-    || ((action.command || action.publish) && (action.zone || action.zones))
-  );
-
-  if (rawMqttAction || zoneAction) {
-    await sm.executeCueAction(action, `trigger:${triggerName}`);
-    logger.info(`Executed trigger cue-style action for ${triggerName}`);
-    return true;
-  }
-
-  logger.warn(`Unsupported trigger action in ${triggerName}; use fire, end, complete, zone/zones action, or raw MQTT publish`);
-  return false;
+function doesTriggerConditionMatch(payload, condition = {}, context = {}) {
+  return matchTriggerCondition(payload, condition, context);
 }
 
 async function main(rawArgs = process.argv.slice(2)) {
@@ -643,9 +497,28 @@ async function main(rawArgs = process.argv.slice(2)) {
   }
 
   log.info(`Connecting to MQTT broker: ${cfg.global.mqtt.broker}`);
-  const mqtt = new MqttClient(cfg.global.mqtt.broker).connect();
+  const gameTopic = cfg.global.mqtt['game-topic'];
+  const protocolVersion = cfg.global.mqtt['protocol-version'];
+  // Hot standby ([ha] in pxo.ini): each instance's last-will goes to its own
+  // status topic, and whichever instance leads publishes {game-topic}/status.
+  // The follower marks {game-topic}/status offline when the leader's will fires.
+  const haCfg = iniConfig.ha || {};
+  const haEnabled = Boolean(haCfg.enabled && gameTopic);
+  const haInstanceId = haCfg.instance_id || os.hostname();
+  // Credentials, TLS and per-class QoS/retain/queueing come from [mqtt] in pxo.ini.
+  const mqtt = new MqttClient(cfg.global.mqtt.broker, {
+    ...MqttClient.optionsFromIni(iniConfig.mqtt),
+    statusTopic: !gameTopic ? null : haEnabled ? HotStandby.instanceTopic(gameTopic, haInstanceId) : `${gameTopic}/status`,
+    ...(protocolVersion ? { protocolVersion } : {})
+  }).connect();
   let shuttingDown = false;
 
+  // Start following straight away so nothing below reaches the broker until this instance leads.
+  const standby = haEnabled
+    ? new HotStandby({ mqtt, gameTopic, instanceId: haInstanceId, leaseMs: haCfg.lease_ms, snapshotIntervalMs: haCfg.snapshot_interval_ms, logger: log })
+    : null;
+  if (standby) standby.start();
+
   // Derive UI topics using shared helper (preserves prior defaults and shapes)
   const uiTopics = getUiTopics(cfg);
 
@@ -656,7 +529,95 @@ async function main(rawArgs = process.argv.slice(2)) {
   // Legacy media registry is no longer needed.
 
   const sm = new GameStateMachine({ cfg, mqtt });
-  sm.init();
+  mqtt.on('backlog-flushed', summary => sm.publishEvent('mqtt_backlog_flushed', summary));
+
+  // Operator auth ([auth] in pxo.ini). A bad operator or credentials file stops startup rather than running open.
+  if (iniConfig.auth?.enabled) {
+    const operators = loadOperators(iniConfig.auth, iniConfig.operators);
+    sm.setOperatorAuth(new OperatorAuth({
+      operators,
+      commandRoles: iniConfig.auth.commands,
+      anonymousRole: iniConfig.auth.anonymous_role,
+      maxSkewMs: iniConfig.auth.max_skew_sec * 1000
+    }));
+    log.info(`Operator auth enabled for ${Object.keys(operators).length} operator(s)${iniConfig.auth.anonymous_role ? `; unsigned commands run as ${iniConfig.auth.anonymous_role}` : ''}`);
+  }
+
+  // Command replies reuse the adapter registry's correlation ids for v5 requests that bring none.
+  const dedupMs = Number(cfg.global.mqtt['command-dedup-ms']);
+  const commandReplies = new CommandReplies({
+    mqtt,
+    topic: `${gameTopic}/replies`,
+    ...(Number.isFinite(dedupMs) && dedupMs > 0 ? { dedupMs } : {}),
+    generateId: () => sm.zones.generateCorrelationId()
+  });
+
+  // Crash recovery: load any snapshot left by a previous run before the boot reset.
+  let statePersistence = null;
+  let recoverySnapshot = null;
+  let autoRecover = false;
+  const shouldAutoRecover = (snapshot, { takeover = false } = {}) => {
+    if (snapshot.safety) {
+      log.warn(`Saved state has a safety alarm latched since ${new Date(Number(snapshot.safety.since)).toISOString()}; the room stays stopped until safetyClear`);
+      return false;
+    }
+    const ageSec = Math.round((Date.now() - (Number(snapshot.savedAt) || 0)) / 1000);
+    const maxAgeSec = iniConfig.game?.recover_max_age_sec;
+    // A standby takeover always resumes a fresh game; that is what the standby is for.
+    const resume = (takeover || !!iniConfig.game?.auto_recover) && (!maxAgeSec || ageSec <= maxAgeSec);
+    log.info(`Found saved game state from ${ageSec}s ago (${snapshot.gameType} / ${snapshot.state}); ${resume ? 'resuming automatically' : 'send the recover command to resume'}`);
+    return resume;
+  };
+  if (iniConfig.game?.persist_state) {
+    statePersistence = new StatePersistence({
+      filePath: iniConfig.game.state_file,
+      intervalMs: iniConfig.game.snapshot_interval_ms,
+      logger: log
+    });
+    // A follower reads the snapshot when it takes over, not now.
+    recoverySnapshot = standby ? null : statePersistence.load();
+    if (recoverySnapshot) autoRecover = shouldAutoRecover(recoverySnapshot);
+  }
+  // The leader also mirrors every snapshot to the broker for the follower.
+  if (standby) statePersistence = standby.persistence(statePersistence);
+  if (statePersistence) sm.setStatePersistence(statePersistence);
+
+  if (sm.checklist) {
+    // Completed checklists are kept next to the gameplay logs.
+    if (gameplayLogDirectory) sm.checklist.setRecordLocation(gameplayLogDirectory, ednBase);
+    // Subscribe before the boot reset sends any :reset actions, so their replies are seen.
+    sm.checklist.topics().forEach((topic) => {
+      log.info(`Subscribing to checklist topic ${topic}`);
+      mqtt.subscribe(topic);
+    });
+  }
+
+  if (sm.safety) {
+    sm.safety.topics().forEach((topic) => {
+      log.info(`Subscribing to safety topic ${topic}`);
+      mqtt.subscribe(topic);
+    });
+  }
+
+  const startRoom = () => {
+    sm.init({ recoverySnapshot, autoRecover });
+    if (statePersistence) {
+      statePersistence.start(() => sm.flushSnapshot());
+    }
+  };
+  // A hot-standby follower stays idle until it takes over (see standby.on('leader') below).
+  if (!standby) startRoom();
+
+  // Health watchdog only runs when a zone or input declares :expect-every-ms.
+  if (hasHealthExpectations(cfg.global || {})) {
+    sm.setHealthMonitor(new HealthMonitor({ zones: cfg.global?.mqtt?.zones, inputs: cfg.global?.inputs }));
+  }
+
+  // Leaderboard is only kept for configs where at least one mode defines :scoring.
+  if (Object.values(cfg.game || {}).some(mode => mode && mode.scoring)) {
+    sm.setLeaderboard(new Leaderboard({ filePath: iniConfig.game?.leaderboard_file, logger: log }));
+    sm.publishLeaderboard();
+  }
 
   const gameplayGameName =
     (iniConfig.global?.game_name && String(iniConfig.global.game_name).trim()) ||
@@ -686,6 +647,29 @@ async function main(rawArgs = process.argv.slice(2)) {
     sm.setGameplayLogger(gameplayLogger);
   }
 
+  // UI helpers live here rather than in the state machine; register them so they validate and show in /schema.
+  sm.registerCommand({
+    name: 'listhints',
+    description: 'Publish hints registry to hintsRegistry topic',
+    role: 'viewer',
+    handler: () => {
+      log.info('Publishing hints registry');
+      publishHintsRegistry();
+      return true;
+    }
+  });
+  sm.registerCommand({
+    name: 'getconfig',
+    description: 'Publish full UI config to config topic',
+    role: 'viewer',
+    handler: () => {
+      log.info('Publishing full configuration');
+      publishUiConfig();
+      publishLightScenes();
+      return true;
+    }
+  });
+
   // Publish MQTT discovery and schema for external integrations (Node-RED, etc.)
   _publishMqttMetadata(mqtt, cfg, sm);
 
@@ -751,6 +735,39 @@ async function main(rawArgs = process.argv.slice(2)) {
     process.exit(1);
   }
 
+  // Rules with :cooldown-ms/:once/:edge/:debounce-ms get a gate per topic
+  // that decides whether a matching message actually fires.
+  const triggerGates = new TriggerGates(triggerRules);
+
+  // Once-per-game and edge state start over with each game. Suppressions are
+  // summarised in the gameplay log of the game they happened in.
+  function resetTriggerGates() {
+    const summary = triggerGates.reset();
+    if (gameplayLogger && gameplayLogger.session && Object.keys(summary).length > 0) {
+      gameplayLogger.event('trigger_suppression_summary', { rules: summary });
+    }
+  }
+
+  // Sources with a :transform pipeline, in declaration order. The first one
+  // whose topic matches rewrites the payload for triggers and the logic graph.
+  const inputTransforms = [];
+  inputSources.forEach((def, name) => {
+    if (Array.isArray(def.transform) && def.transform.length > 0) {
+      inputTransforms.push({ name, filter: def.topic, transformer: new InputTransformer(def.transform) });
+    }
+  });
+
+  function transformInputPayload(topic, payload) {
+    const entry = inputTransforms.find(candidate => matchTopic(candidate.filter, topic));
+    if (!entry) return { ok: true, payload };
+    try {
+      return { ok: true, payload: entry.transformer.apply(payload, topic) };
+    } catch (error) {
+      log.warn(`Input '${entry.name}' transform failed for ${topic}: ${error.message}; message ignored`);
+      return { ok: false, payload };
+    }
+  }
+
   const sensorTopicConfig = new Map();
   const sensorTopicState = new Map();
 
@@ -787,9 +804,13 @@ async function main(rawArgs = process.argv.slice(2)) {
 
   function maybeLogSensorInput(topic, payload) {
     if (!gameplayLogger || (!gameplayLogger.pending && !gameplayLogger.session)) return;
-    if (!sensorTopicConfig.has(topic)) return;
+    // Wildcard trigger topics share one logging config across the topics they match.
+    const filter = sensorTopicConfig.has(topic)
+      ? topic
+      : [...sensorTopicConfig.keys()].find(candidate => matchTopic(candidate, topic));
+    if (!filter) return;
 
-    const cfgForTopic = sensorTopicConfig.get(topic);
+    const cfgForTopic = sensorTopicConfig.get(filter);
     if (cfgForTopic.ignoreLogging) return;
 
     const now = Date.now();
@@ -896,14 +917,25 @@ async function main(rawArgs = process.argv.slice(2)) {
 
     // Check if trigger condition matches
     const condition = (rule.trigger && typeof rule.trigger.condition === 'object') ? rule.trigger.condition : {};
-    const conditionMet = doesTriggerConditionMatch(payload, condition);
+    const conditionMet = doesTriggerConditionMatch(payload, condition, triggerConditionContext(sm));
+
+    if (triggerGates.has(rule)) {
+      const { outcome, reason, result } = triggerGates.offer(rule, topic, conditionMet, (suppressed) => fireTrigger(topic, payload, rule, suppressed));
+      if (outcome === 'suppressed') log.debug(`Trigger ${rule.name} suppressed (${reason})`);
+      return result;
+    }
 
     if (!conditionMet) {
       log.debug(`Trigger condition not met for ${rule.name}`);
       return;
     }
 
+    return fireTrigger(topic, payload, rule, 0);
+  }
+
+  async function fireTrigger(topic, payload, rule, suppressed) {
     const actions = Array.isArray(rule.actions) ? rule.actions : [];
+    const topicVars = topicVariables(rule.trigger.topic, topic);
     log.info(`Trigger activated: ${rule.name} - executing ${actions.length} actions`);
     if (gameplayLogger) {
       gameplayLogger.event('trigger_activated', {
@@ -911,33 +943,41 @@ async function main(rawArgs = process.argv.slice(2)) {
         source: rule?.trigger?.source || null,
         topic,
         payload,
-        actions_count: actions.length
+        actions_count: actions.length,
+        ...(suppressed > 0 ? { suppressed } : {})
       });
     }
 
     // Execute all actions for this trigger
     for (const action of actions) {
       try {
-        await executeTriggerAction(action, rule.name, { sm, log });
+        await executeTriggerAction(action, rule.name, { sm, log, topicVars });
       } catch (error) {
         log.error(`Failed to execute action for trigger ${rule.name}:`, error);
       }
     }
   }
 
+  function buildHintsRegistry() {
+    const gameModes = cfg['game-modes'] || cfg.game || {};
+    const mode = sm.currentGameMode || Object.keys(gameModes)[0] || '';
+    const gameHints = (gameModes?.[mode]?.hints) || [];
+    const puzzles = sm.getHintLadders();
+    // Hints for puzzles the team has already solved are no longer offered.
+    const entries = (sm.getCombinedHints(gameHints) || [])
+      .filter(entry => !(entry.puzzle && puzzles[entry.puzzle] && puzzles[entry.puzzle].solved));
+
+    return {
+      mode,
+      entries,
+      puzzles,
+      ts: Date.now()
+    };
+  }
+
   function publishHintsRegistry() {
     try {
-      const gameModes = cfg['game-modes'] || cfg.game || {};
-      const mode = sm.currentGameMode || Object.keys(gameModes)[0] || '';
-      const gameHints = (gameModes?.[mode]?.hints) || [];
-      const entries = sm.getCombinedHints(gameHints) || [];
-
-      const payload = {
-        mode,
-        entries,
-        ts: Date.now()
-      };
-      mqtt.publish(uiTopics.hintsRegistry, payload, { retain: true });
+      mqtt.publish(uiTopics.hintsRegistry, buildHintsRegistry(), { retain: true });
     } catch (e) {
       log.warn('publishHintsRegistry failed', e.message);
     }
@@ -1111,9 +1151,185 @@ async function main(rawArgs = process.argv.slice(2)) {
     return gameplayControlSequenceAllowlist.has(name);
   }
 
+  /**
+   * Normalize, validate and run a command from `{game-topic}/commands` or the
+   * HTTP API. Resolves with the final reply (`status` is completed, rejected,
+   * failed or duplicate) once the command has settled.
+   */
+  function processCommand(payload, { topic = uiTopics.commands, packet = null, source = 'mqtt' } = {}) {
+    return new Promise((resolve) => {
+      if (standby && !standby.isLeader) {
+        resolve({ status: 'rejected', command: (payload && payload.command) || null, error: 'standby', leader: standby.lease.leader });
+        return;
+      }
+      // MQTT replies are opt-in: a correlation id in the payload or an MQTT v5 response topic.
+      const hasCommand = Boolean(payload && typeof payload === 'object' && payload.command);
+      const requestedCommand = hasCommand ? sm.commands.canonicalName(payload.command) || normalizeCommand(payload) : undefined;
+      // Only valid, authenticated commands enter the dedup window, so a forged
+      // or malformed request cannot claim the correlation id of a real one.
+      let request = null;
+      let correlation = {};
+      const useRequest = (opened) => {
+        request = opened;
+        correlation = request ? { correlationId: request.correlationId } : {};
+      };
+      const reply = (status, body = {}) => {
+        if (request) request.reply(status, body);
+        if (status !== 'accepted') resolve({ status, command: requestedCommand || null, ...correlation, ...body });
+      };
+
+      // Validate command structure first
+      if (typeof payload === 'string') {
+        useRequest(commandReplies.begin(payload, packet, requestedCommand, { record: false }));
+        if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
+          gameplayLogger.commandRejected('unknown', 'malformed_json', payload, topic, { source });
+        }
+        // Malformed JSON - publish event and warning
+        const eventData = { topic, rawPayload: payload, error: 'malformed_json', ...correlation };
+        sm.publishEvent('command_validation_failed', eventData);
+        reply('rejected', { error: 'malformed_json' });
+        sm.publishWarning('malformed_command', {
+          message: `Received malformed JSON command on ${topic}: ${payload.substring(0, 100)}${payload.length > 100 ? '...' : ''}`,
+          topic,
+          rawPayload: payload
+        });
+        return;
+      }
+
+      if (!payload || typeof payload !== 'object' || !payload.command) {
+        useRequest(commandReplies.begin(payload, packet, requestedCommand, { record: false }));
+        if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
+          gameplayLogger.commandRejected('unknown', 'missing_command_field', payload, topic, { source });
+        }
+        // Missing or invalid command field
+        const eventData = { topic, payload, error: 'missing_command_field', ...correlation };
+        sm.publishEvent('command_validation_failed', eventData);
+        reply('rejected', { error: 'missing_command_field' });
+        sm.publishWarning('invalid_command', {
+          message: `Received command without valid 'command' field on ${topic}`,
+          topic,
+          payload
+        });
+        return;
+      }
+
+      // Normalize public commands (names and aliases, any case) to the registered command name.
+      const commandName = requestedCommand;
+      const { auth, ...commandPayload } = payload;
+      const normalizedPayload = { ...commandPayload, command: commandName };
+      const startCommand = isStartCommand(commandName);
+
+      // With [auth] enabled, the signature names the operator; the role policy is applied in handleCommand.
+      const admitted = admitCommand(payload, { operatorAuth: sm.operatorAuth, commandReplies, packet, command: requestedCommand });
+      useRequest(admitted.request);
+      if (request && request.duplicate) {
+        log.info(`Ignoring duplicate command ${request.correlationId}`);
+        sm.publishEvent('command_duplicate_ignored', { correlationId: request.correlationId, command: requestedCommand || null });
+        resolve({ status: 'duplicate', command: requestedCommand || null, correlationId: request.correlationId });
+        return;
+      }
+      const identity = admitted.identity;
+      if (!identity.ok) {
+        if (gameplayLogger) {
+          gameplayLogger.commandRejected(commandName, identity.error, normalizedPayload, topic, { source, operator: identity.operator || null, ...correlation });
+        }
+        sm.publishEvent('command_validation_failed', { command: commandName, error: identity.error, operator: identity.operator || null, ...correlation });
+        reply('rejected', { error: identity.error });
+        sm.publishWarning('command_auth_failed', {
+          message: `Command '${commandName}' on ${topic} rejected: ${identity.error}`,
+          command: commandName,
+          operator: identity.operator || null,
+          error: identity.error
+        });
+        return;
+      }
+      const operator = identity.operator;
+      const operatorInfo = operator ? { operator: operator.name, role: operator.role } : {};
+
+      if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session || !startCommand)) {
+        gameplayLogger.commandReceived(commandName, normalizedPayload, topic, { source, ...operatorInfo, ...correlation });
+      }
+
+      if (startCommand && gameplayLogger && !gameplayLogger.canAcceptStart()) {
+        gameplayLogger.commandRejected(commandName, 'start_lockout_2s', normalizedPayload, topic, { source: 'lockout', ...operatorInfo });
+        sm.publishEvent('command_validation_failed', {
+          command: commandName,
+          payload: normalizedPayload,
+          error: 'start_lockout_2s',
+          ...correlation
+        });
+        reply('rejected', { error: 'start_lockout_2s' });
+        sm.publishWarning('start_lockout_2s', {
+          message: 'Start command ignored due to 2-second lockout window',
+          command: commandName
+        });
+        return;
+      }
+
+      log.info(`Delegating command to state machine: ${JSON.stringify(normalizedPayload)}`);
+      reply('accepted');
+      (async () => {
+        try {
+          const result = await sm.handleCommand(normalizedPayload, { operator });
+          if (result === false) {
+            const reason = sm.authorizeCommand(commandName, operator).ok ? 'state_machine_rejected' : 'forbidden';
+            if (gameplayLogger && (reason === 'forbidden' || gameplayLogger.pending || gameplayLogger.session)) {
+              gameplayLogger.commandRejected(commandName, reason, normalizedPayload, topic, { result, ...operatorInfo, ...correlation });
+            }
+            reply('rejected', { result, error: reason });
+            return;
+          }
+          sm.publishEvent('command_processed', { command: commandName, topic, ...correlation });
+          reply('completed', { result });
+
+          if (startCommand) {
+            // New game: drop between-game / prior-run chat for late-joining UIs
+            clearChatHistory('game_started');
+            if (gameplayLogger) {
+              const mode = inferStartMode(commandName, normalizedPayload, cfg, sm);
+              const gameplayDurationSec = getConfiguredGameplayDurationSeconds(cfg, mode);
+              gameplayLogger.beginPendingRun({
+                startCommand: commandName,
+                mode,
+                topic,
+                gameplayDurationSec,
+                tsMs: Date.now()
+              });
+            }
+          } else if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
+            gameplayLogger.commandApplied(commandName, normalizedPayload, topic, { source: 'state_machine', ...operatorInfo });
+          }
+        } catch (error) {
+          if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session || startCommand)) {
+            gameplayLogger.commandRejected(commandName, error.message || 'state_machine_command_failed', normalizedPayload, topic, { source: 'state_machine', ...operatorInfo });
+          }
+
+          log.error('Error handling command:', error);
+          sm.publishEvent('command_execution_failed', { command: commandName, payload: normalizedPayload, error: error.message, ...correlation });
+          reply('failed', { error: 'state_machine_command_failed', message: error.message });
+          sm.publishWarning('state_machine_command_failed', {
+            message: `State machine failed to process command '${commandName}': ${error.message}`,
+            command: commandName,
+            error: error.message
+          });
+          sm.runErrorSequence('command_execution_failed', {
+            command: commandName,
+            error: error.message
+          }).catch(() => { /* best effort */ });
+        }
+      })();
+    });
+  }
+
   // Subscribe to incoming topics
-  mqtt.on('message', (topic, payload) => {
+  mqtt.on('message', (topic, payload, packet) => {
     try {
+      // A follower ignores the room; HotStandby has its own listener for the lease.
+      if (standby && !standby.isLeader) return;
+
+      // Safety inputs come first and do not depend on anything below.
+      sm.noteSafetyMessage(topic, payload);
+
       log.debug(`Received MQTT message on ${topic}:`, payload);
 
       if (chatLoggingEnabled) {
@@ -1129,10 +1345,17 @@ async function main(rawArgs = process.argv.slice(2)) {
         }
       }
 
-      maybeLogSensorInput(topic, payload);
+      // Liveness is judged on arrival, before a transform can reject the payload.
+      sm.noteHealthMessage(topic);
+      if (sm.checklist) sm.checklist.noteMessage(topic, payload);
+
+      const input = transformInputPayload(topic, payload);
+      if (input.ok) {
+        maybeLogSensorInput(topic, input.payload);
+      }
 
-      if (sm.logicEngine && sm.logicEngine.graph.size > 0) {
-        Promise.resolve(sm.logicEngine.handleMessage(topic, payload))
+      if (input.ok && sm.logicEngine && sm.logicEngine.graph.size > 0) {
+        Promise.resolve(sm.logicEngine.handleMessage(topic, input.payload))
           .then((changes) => dispatchLogicTriggerChanges(changes))
           .catch((error) => {
             log.error(`Failed to evaluate logic graph for ${topic}:`, error);
@@ -1140,11 +1363,11 @@ async function main(rawArgs = process.argv.slice(2)) {
       }
 
       // Check for trigger rules first
-      const matchingRules = triggerRules.filter(rule => rule.trigger.topic === topic);
+      const matchingRules = input.ok ? triggerRules.filter(rule => matchTopic(rule.trigger.topic, topic)) : [];
       if (matchingRules.length > 0) {
         matchingRules.forEach(async (rule) => {
           try {
-            await handleTrigger(topic, payload, rule);
+            await handleTrigger(topic, input.payload, rule);
           } catch (error) {
             log.error(`Failed to handle trigger for rule ${rule.name}:`, error);
           }
@@ -1152,157 +1375,9 @@ async function main(rawArgs = process.argv.slice(2)) {
       }
 
       if (topic === uiTopics.commands) {
-        // Validate command structure first
-        if (typeof payload === 'string') {
-          if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-            gameplayLogger.commandRejected('unknown', 'malformed_json', payload, topic, { source: 'mqtt' });
-          }
-          // Malformed JSON - publish event and warning
-          const eventData = { topic, rawPayload: payload, error: 'malformed_json' };
-          sm.publishEvent('command_validation_failed', eventData);
-          sm.publishWarning('malformed_command', {
-            message: `Received malformed JSON command on ${topic}: ${payload.substring(0, 100)}${payload.length > 100 ? '...' : ''}`,
-            topic,
-            rawPayload: payload
-          });
-          return;
-        }
-
-        if (!payload || typeof payload !== 'object' || !payload.command) {
-          if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-            gameplayLogger.commandRejected('unknown', 'missing_command_field', payload, topic, { source: 'mqtt' });
-          }
-          // Missing or invalid command field
-          const eventData = { topic, payload, error: 'missing_command_field' };
-          sm.publishEvent('command_validation_failed', eventData);
-          sm.publishWarning('invalid_command', {
-            message: `Received command without valid 'command' field on ${topic}`,
-            topic,
-            payload
-          });
-          return;
-        }
-
-        // Normalize public MQTT commands to the canonical runtime command set.
-        const commandName = normalizeCommand(payload);
-        const normalizedPayload = { ...payload, command: commandName };
-        const cmdKey = commandName.toLowerCase();
-        const startCommand = isStartCommand(commandName);
-
-        if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session || !startCommand)) {
-          gameplayLogger.commandReceived(commandName, normalizedPayload, topic, { source: 'mqtt' });
-        }
-
-        if (startCommand && gameplayLogger && !gameplayLogger.canAcceptStart()) {
-          gameplayLogger.commandRejected(commandName, 'start_lockout_2s', normalizedPayload, topic, { source: 'lockout' });
-          sm.publishEvent('command_validation_failed', {
-            command: commandName,
-            payload: normalizedPayload,
-            error: 'start_lockout_2s'
-          });
-          sm.publishWarning('start_lockout_2s', {
-            message: 'Start command ignored due to 2-second lockout window',
-            command: commandName
-          });
-          return;
-        }
-
-        if (cmdKey === 'listhints') {
-          log.info('Publishing hints registry');
-          publishHintsRegistry();
-          sm.publishEvent('command_processed', { command: commandName, topic });
-          if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-            gameplayLogger.commandApplied(commandName, normalizedPayload, topic, { source: 'ui-helper' });
-          }
-        } else if (cmdKey === 'getconfig') {
-          log.info('Publishing full configuration');
-          publishUiConfig();
-          publishLightScenes();
-          sm.publishEvent('command_processed', { command: commandName, topic });
-          if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-            gameplayLogger.commandApplied(commandName, normalizedPayload, topic, { source: 'ui-helper' });
-          }
-        } else if (commandName === 'executeHint') {
-          const hintId = normalizedPayload && normalizedPayload.id;
-          if (!hintId) {
-            if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-              gameplayLogger.commandRejected(commandName, 'missing_hint_id', normalizedPayload, topic, { source: 'validation' });
-            }
-            sm.publishEvent('command_validation_failed', { command: 'executeHint', payload: normalizedPayload, error: 'missing_hint_id' });
-            sm.publishWarning('executeHint_missing_id', {
-              message: 'executeHint command called without required id parameter',
-              payload: normalizedPayload
-            });
-            return;
-          }
-          (async () => {
-            try {
-              // The state machine now handles hint execution directly.
-              sm.fireHint(hintId, 'manual');
-              sm.publishEvent('command_processed', { command: 'executeHint', hintId, topic });
-              if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-                gameplayLogger.commandApplied(commandName, normalizedPayload, topic, { hintId });
-              }
-            } catch (e) {
-              if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-                gameplayLogger.commandRejected(commandName, e.message || 'execute_hint_failed', normalizedPayload, topic, { hintId });
-              }
-              sm.publishEvent('command_execution_failed', { command: 'executeHint', hintId, error: e.message });
-              sm.publishWarning('executeHint_failed', {
-                message: `Failed to execute hint '${hintId}': ${e.message}`,
-                hintId,
-                error: e.message
-              });
-            }
-          })();
-        } else {
-          log.info(`Delegating command to state machine: ${JSON.stringify(normalizedPayload)}`);
-          (async () => {
-            try {
-              const result = await sm.handleCommand(normalizedPayload);
-              if (result === false) {
-                if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-                  gameplayLogger.commandRejected(commandName, 'state_machine_rejected', normalizedPayload, topic, { result });
-                }
-                return;
-              }
-
-              if (startCommand) {
-                // New game: drop between-game / prior-run chat for late-joining UIs
-                clearChatHistory('game_started');
-                if (gameplayLogger) {
-                  const mode = inferStartMode(commandName, normalizedPayload, cfg, sm);
-                  const gameplayDurationSec = getConfiguredGameplayDurationSeconds(cfg, mode);
-                  gameplayLogger.beginPendingRun({
-                    startCommand: commandName,
-                    mode,
-                    topic,
-                    gameplayDurationSec,
-                    tsMs: Date.now()
-                  });
-                }
-              } else if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session)) {
-                gameplayLogger.commandApplied(commandName, normalizedPayload, topic, { source: 'state_machine' });
-              }
-            } catch (error) {
-              if (gameplayLogger && (gameplayLogger.pending || gameplayLogger.session || startCommand)) {
-                gameplayLogger.commandRejected(commandName, error.message || 'state_machine_command_failed', normalizedPayload, topic, { source: 'state_machine' });
-              }
-
-              log.error('Error handling command:', error);
-              sm.publishEvent('command_execution_failed', { command: commandName, payload: normalizedPayload, error: error.message });
-              sm.publishWarning('state_machine_command_failed', {
-                message: `State machine failed to process command '${commandName}': ${error.message}`,
-                command: commandName,
-                error: error.message
-              });
-              sm.runErrorSequence('command_execution_failed', {
-                command: commandName,
-                error: error.message
-              }).catch(() => { /* best effort */ });
-            }
-          })();
-        }
+        processCommand(payload, { topic, packet }).catch((e) => {
+          log.error('Error handling command on', topic, e.message);
+        });
       } else if (topic === uiTopics.hint) {
         // Hints execution topic handler
         log.debug('Received hint execution request:', payload);
@@ -1317,6 +1392,30 @@ async function main(rawArgs = process.argv.slice(2)) {
           return;
         }
 
+        // With [auth] enabled the hints topic needs the same signature and role as executeHint.
+        if (sm.operatorAuth) {
+          const identity = sm.operatorAuth.authenticate(payload);
+          if (!identity.ok) {
+            sm.publishWarning('command_auth_failed', {
+              message: `Hint request on ${topic} rejected: ${identity.error}`,
+              command: 'executeHint',
+              operator: identity.operator || null,
+              error: identity.error
+            });
+            return;
+          }
+          const permission = sm.authorizeCommand('executeHint', identity.operator);
+          if (!permission.ok) {
+            sm.publishWarning('command_forbidden', {
+              command: 'executeHint',
+              operator: identity.operator.name,
+              role: identity.operator.role,
+              required: permission.required
+            });
+            return;
+          }
+        }
+
         // Extract hint id and text (for ad-hoc or text hints)
         const hintId = payload.id;
         const hintText = payload.text;
@@ -1333,7 +1432,8 @@ async function main(rawArgs = process.argv.slice(2)) {
         (async () => {
           try {
             // Call state machine's hint execution with text override support
-            await sm.fireHint(hintId, 'manual', hintText);
+            const delivered = await sm.fireHint(hintId, 'manual', hintText, { force: payload.force === true });
+            if (!delivered) return;
             sm.publishEvent('hint_executed', { hintId, text: hintText, topic });
             log.info(`Hint executed: ${hintId || 'ad-hoc'} ${hintText ? `"${hintText}"` : ''}`);
           } catch (e) {
@@ -1352,6 +1452,12 @@ async function main(rawArgs = process.argv.slice(2)) {
           const eventName = payload && payload.event;
           const eventData = payload && payload.data ? payload.data : {};
 
+          if (['hint_executed', 'puzzle_solved'].includes(eventName)
+            || (eventName === 'phase_transition' && ['intro', 'gameplay', 'ready'].includes(eventData.to))) {
+            // Ladder progress changed (or was reset for a new game).
+            publishHintsRegistry();
+          }
+
           if (eventName === 'game_mode_changed') {
             publishHintsRegistry();
             publishUiConfig();
@@ -1360,6 +1466,10 @@ async function main(rawArgs = process.argv.slice(2)) {
             }
           }
 
+          if (isGameResetEvent(eventName, eventData)) {
+            resetTriggerGates();
+          }
+
           if (gameplayLogger && eventName) {
             if (eventName === 'phase_transition') {
               gameplayLogger.event('phase_transition', eventData);
@@ -1372,12 +1482,27 @@ async function main(rawArgs = process.argv.slice(2)) {
               if (gameplayLogger.session && eventData.to === 'ready') {
                 gameplayLogger.endSession({ reason: 'phase_ready' });
               }
+            } else if (eventName === 'game_recovered') {
+              // The pre-crash session file is not reopened; recovered play gets its own session.
+              if (!gameplayLogger.session) {
+                const mode = eventData.gameMode || sm.currentGameMode || sm.gameType;
+                gameplayLogger.beginPendingRun({
+                  startCommand: 'recover',
+                  mode,
+                  topic,
+                  gameplayDurationSec: getConfiguredGameplayDurationSeconds(cfg, mode)
+                });
+                gameplayLogger.commitPendingRun({ mode, reason: 'recovered' });
+              }
+              gameplayLogger.event('game_recovered', eventData);
             } else if (eventName === 'game_end_trigger') {
               gameplayLogger.event('game_end_triggered', eventData);
-            } else if (eventName === 'hint_executed') {
-              gameplayLogger.event('hint_executed', eventData);
+            } else if (['hint_executed', 'hint_refused', 'hint_recommended', 'hint_recommendation_cancelled'].includes(eventName)) {
+              gameplayLogger.event(eventName, eventData);
             } else if (eventName === 'time_adjusted') {
               gameplayLogger.event('time_adjusted', eventData);
+            } else if (['score_adjusted', 'score_final', 'variable_changed'].includes(eventName)) {
+              gameplayLogger.event(eventName, eventData);
             } else if ((eventName === 'sequence_start' || eventName === 'sequence_complete') && shouldLogSequenceEvent(eventData)) {
               const mapped = eventName === 'sequence_start' ? 'sequence_started' : 'sequence_completed';
               gameplayLogger.event(mapped, eventData);
@@ -1407,6 +1532,62 @@ async function main(rawArgs = process.argv.slice(2)) {
   // Initialize trigger subscriptions
   initializeTriggers();
   initializeLogicInputs();
+  if (sm.health) {
+    sm.health.topics().forEach((topic) => {
+      log.info(`Subscribing to health topic ${topic}`);
+      mqtt.subscribe(topic);
+    });
+    sm.health.start(() => sm.checkHealth());
+    sm.publishHealth();
+  }
+  if (sm.checklist) sm.publishChecklist();
+  if (sm.safety) sm.publishSafety();
+
+  // Optional "orchestrator alive" token for prop firmware watchdogs.
+  const aliveMs = Number(cfg.global.mqtt['alive-ms']);
+  const aliveBeacon = gameTopic && Number.isFinite(aliveMs) && aliveMs > 0
+    ? new AliveBeacon({ mqtt, topic: `${gameTopic}/alive`, intervalMs: aliveMs, getState: () => sm.state })
+    : null;
+  if (aliveBeacon) {
+    aliveBeacon.start();
+    log.info(`Publishing alive token to ${gameTopic}/alive every ${aliveMs}ms`);
+  }
+
+  // Optional HTTP/WebSocket API ([server] in pxo.ini) for booking systems and kiosks without MQTT.
+  const serverCfg = iniConfig.server || {};
+  const httpApi = serverCfg.enabled
+    ? new HttpApi({
+      host: serverCfg.host,
+      port: serverCfg.port,
+      token: serverCfg.api_key,
+      websocket: serverCfg.websocket,
+      corsOrigins: serverCfg.cors_origins,
+      snapshots: {
+        // A follower serves the leader's last /state.
+        state: () => (standby && !standby.isLeader ? standby.leaderState : sm.getStatePayload()),
+        logic: () => sm.logicEngine.getSnapshot(),
+        hints: () => buildHintsRegistry(),
+        health: () => (sm.health ? sm.health.snapshot() : null)
+      },
+      runCommand: payload => processCommand(payload, { topic: 'http:/commands', source: 'http' }),
+      logger: log
+    })
+    : null;
+  if (httpApi) {
+    const streamChannels = { [uiTopics.state]: 'state', [uiTopics.events]: 'events', [uiTopics.warnings]: 'warnings' };
+    mqtt.on('publish', (topic, payload) => {
+      if (streamChannels[topic]) httpApi.broadcast(streamChannels[topic], payload);
+    });
+    if (!serverCfg.api_key && !['127.0.0.1', 'localhost', '::1'].includes(serverCfg.host)) {
+      log.warn(`HTTP API on ${serverCfg.host} has no api_key; anyone on the network can send commands`);
+    }
+    httpApi.start()
+      .then(({ host, port }) => log.info(`HTTP API listening on http://${host}:${port}`))
+      .catch((e) => {
+        log.error('HTTP API failed to start:', e.message);
+        sm.publishWarning('http_api_failed', { error: e.message, host: serverCfg.host, port: serverCfg.port });
+      });
+  }
 
   // Publish hints registry, UI config, and light scenes on startup and after broker reconnect
   publishHintsRegistry();
@@ -1419,8 +1600,57 @@ async function main(rawArgs = process.argv.slice(2)) {
     if (chatLoggingEnabled) publishChatHistory();
     initializeTriggers(); // Re-subscribe to triggers after reconnect
     initializeLogicInputs();
+    sm.publishHealth();
+    sm.publishChecklist();
+    sm.publishSafety();
   });
 
+  if (standby) {
+    standby.on('leader', ({ epoch, previous, reason }) => {
+      recoverySnapshot = statePersistence.load();
+      autoRecover = recoverySnapshot ? shouldAutoRecover(recoverySnapshot, { takeover: true }) : false;
+      startRoom();
+      // Retained topics may be stale or missing if the old leader died; publish ours.
+      _publishMqttMetadata(mqtt, cfg, sm);
+      publishHintsRegistry();
+      publishUiConfig();
+      publishLightScenes();
+      sm.publishHealth();
+      sm.publishChecklist();
+      sm.publishSafety();
+      sm.publishEvent('leader_elected', {
+        instance: haInstanceId,
+        epoch,
+        previous,
+        reason,
+        resumed: autoRecover ? recoverySnapshot.state : null
+      });
+    });
+    standby.on('resumed', ({ epoch }) => {
+      // Everything published since the disconnect was dropped; bring the room and retained topics up to date.
+      log.info(`Lease epoch ${epoch} confirmed after reconnect; resuming output`);
+      publishHintsRegistry();
+      publishUiConfig();
+      publishLightScenes();
+      sm.publishHealth();
+      sm.publishChecklist();
+      sm.publishSafety();
+      sm.publishState();
+      sm.publishEvent('leader_resumed', { instance: haInstanceId, epoch });
+      runReconnectedSequence();
+    });
+    standby.on('demoted', ({ leader, epoch }) => {
+      // Output is already held. Restart rather than try to unwind a running game.
+      log.error(`Another instance (${leader}, epoch ${epoch}) is leader; exiting so this one restarts as follower`);
+      shuttingDown = true;
+      if (aliveBeacon) aliveBeacon.stop();
+      if (statePersistence) statePersistence.stop();
+      if (httpApi) httpApi.stop();
+      mqtt.disconnect({ reason: 'demoted' });
+      setTimeout(() => process.exit(1), 250);
+    });
+  }
+
   mqtt.on('disconnected', () => {
     if (shuttingDown) {
       return;
@@ -1435,7 +1665,7 @@ async function main(rawArgs = process.argv.slice(2)) {
     }).catch(() => { /* best effort */ });
   });
 
-  mqtt.on('reconnected', () => {
+  function runReconnectedSequence() {
     sm.publishEvent('mqtt_reconnected', {
       broker: cfg.global?.mqtt?.broker
     });
@@ -1443,6 +1673,12 @@ async function main(rawArgs = process.argv.slice(2)) {
       gameMode: sm.gameType,
       broker: cfg.global?.mqtt?.broker
     }).catch(() => { /* best effort */ });
+  }
+
+  // A held hot-standby leader runs this once its lease is confirmed (see standby.on('resumed')).
+  mqtt.on('reconnected', () => {
+    if (standby && standby.isHeld) return;
+    runReconnectedSequence();
   });
 
   mqtt.on('mqtt-error', (err) => {
@@ -1455,20 +1691,51 @@ async function main(rawArgs = process.argv.slice(2)) {
     }).catch(() => { /* best effort */ });
   });
 
-  process.on('SIGINT', () => {
-    log.info('SIGINT, cleaning up and exiting');
+  // Fatal errors: fail the room safe before the process goes away. The
+  // last-will covers the cases where even this does not get to run.
+  let failingSafe = false;
+  const failSafeAndExit = (label, err) => {
+    log.error(`${label}:`, (err && err.stack) || err);
+    if (failingSafe) return;
+    failingSafe = true;
     shuttingDown = true;
-    if (gameplayLogger) gameplayLogger.endSession({ reason: 'sigint' });
-    mqtt.disconnect();
-    setTimeout(() => process.exit(0), 100);
-  });
-  process.on('SIGTERM', () => {
-    log.info('SIGTERM, cleaning up and exiting');
+    if (aliveBeacon) aliveBeacon.stop();
+    if (httpApi) httpApi.stop();
+    const safeState = sm.applySafeState('fatal_error').catch(() => { /* best effort */ });
+    Promise.race([safeState, new Promise(resolve => setTimeout(resolve, 2000))]).finally(() => {
+      mqtt.disconnect({ reason: 'fatal_error' });
+      setTimeout(() => process.exit(1), 250);
+    });
+  };
+  process.on('uncaughtException', err => failSafeAndExit('Uncaught exception', err));
+  process.on('unhandledRejection', reason => failSafeAndExit('Unhandled promise rejection', reason));
+
+  // A service stop also leaves the room safe: maglocks and relays must not
+  // stay in their in-game state while PxO is down. A follower drives nothing.
+  let stopping = false;
+  const shutDown = (signal) => {
+    log.info(`${signal}, cleaning up and exiting`);
+    if (stopping) return;
+    stopping = true;
     shuttingDown = true;
-    if (gameplayLogger) gameplayLogger.endSession({ reason: 'sigterm' });
-    mqtt.disconnect();
-    setTimeout(() => process.exit(0), 100);
-  });
+    const leading = !standby || standby.isLeader;
+    if (statePersistence) {
+      statePersistence.stop();
+      // A follower has no game; persisting would clear the leader's snapshot.
+      if (leading) sm.persistSnapshot();
+    }
+    if (gameplayLogger) gameplayLogger.endSession({ reason: signal.toLowerCase() });
+    if (aliveBeacon) aliveBeacon.stop();
+    if (httpApi) httpApi.stop();
+    const safeState = leading ? sm.applySafeState('shutdown').catch(() => { /* best effort */ }) : Promise.resolve();
+    Promise.race([safeState, new Promise(resolve => setTimeout(resolve, 2000))]).finally(() => {
+      if (standby) standby.release();
+      mqtt.disconnect();
+      setTimeout(() => process.exit(0), 100);
+    });
+  };
+  process.on('SIGINT', () => shutDown('SIGINT'));
+  process.on('SIGTERM', () => shutDown('SIGTERM'));
 }
 
 module.exports = Object.assign(module.exports || {}, {
@@ -1481,7 +1748,9 @@ module.exports = Object.assign(module.exports || {}, {
   buildTriggerRules,
   getRulePhaseConstraint,
   doesTriggerConditionMatch,
+  triggerConditionContext,
   normalizeCommand,
+  admitCommand,
   normalizeTriggerEndCommand,
   normalizeTriggerCompleteTarget,
   executeTriggerAction,
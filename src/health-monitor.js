@@ -0,0 +1,174 @@
+/**
+ * Liveness watchdog for zones and `:global :inputs` sources.
+ *
+ *   zone   {:type "pfx-media" :base-topic "paradox/room/screen"
+ *           :expect-every-ms 5000 :required true}
+ *   input  {:topic "paradox/room/keypad/events" :expect-every-ms 30000}
+ *
+ * A zone is alive while it publishes on `{base-topic}/state`; an input while
+ * messages arrive on its topic (any topic matching a wildcard filter). Targets
+ * without `:expect-every-ms` are still listed with their last-seen time but
+ * are never reported. `:required` zones that are offline block `start`.
+ */
+const { matchTopic, validateTopicFilter } = require('./logic/bindings');
+
+const DEFAULT_CHECK_INTERVAL_MS = 1000;
+const DOWN_STATUS = { zone: 'offline', input: 'stale' };
+
+function expectEveryMs(def) {
+    const ms = Number(def && def['expect-every-ms']);
+    return Number.isFinite(ms) && ms > 0 ? ms : null;
+}
+
+/** True when any zone or input asks to be watched. */
+function hasHealthExpectations(global = {}) {
+    const zones = Object.values((global.mqtt && global.mqtt.zones) || {});
+    const inputs = Object.values(global.inputs || {});
+    return zones.concat(inputs).some(def => expectEveryMs(def) !== null);
+}
+
+function validateHealthOptions(def, path) {
+    if (!def || typeof def !== 'object') return [];
+    const problems = [];
+    const ms = def['expect-every-ms'];
+    if (ms !== undefined && !(typeof ms === 'number' && Number.isFinite(ms) && ms > 0)) {
+        problems.push(`${path} :expect-every-ms must be a positive number of milliseconds`);
+    }
+    if (def.required !== undefined) {
+        if (typeof def.required !== 'boolean') problems.push(`${path} :required must be true or false`);
+        else if (def.required && ms === undefined) problems.push(`${path} :required needs :expect-every-ms`);
+    }
+    return problems;
+}
+
+class HealthMonitor {
+    /**
+     * @param {{ zones?: object, inputs?: object, now?: () => number, checkIntervalMs?: number }} options
+     *   zones as in `:global :mqtt :zones`, inputs as in `:global :inputs`
+     */
+    constructor({ zones = {}, inputs = {}, now = Date.now, checkIntervalMs = DEFAULT_CHECK_INTERVAL_MS } = {}) {
+        this.now = now;
+        this.checkIntervalMs = checkIntervalMs;
+        this.startedAt = now();
+        this.targets = [];
+        // Set when a last-seen time moved since the previous publish.
+        this.dirty = true;
+        this._timer = null;
+
+        Object.entries(zones || {}).forEach(([name, def]) => {
+            const base = def && (def['base-topic'] || def.baseTopic);
+            if (base) this._addTarget('zone', name, `${base}/state`, def);
+        });
+        Object.entries(inputs || {}).forEach(([name, def]) => {
+            const topic = def && def.topic;
+            if (typeof topic === 'string' && topic && !validateTopicFilter(topic)) this._addTarget('input', name, topic, def);
+        });
+    }
+
+    _addTarget(kind, name, topic, def) {
+        const target = {
+            kind,
+            name,
+            topic,
+            expectEveryMs: expectEveryMs(def),
+            required: kind === 'zone' && def.required === true,
+            lastSeen: null
+        };
+        target.status = this._statusOf(target, this.startedAt);
+        this.targets.push(target);
+    }
+
+    /** Topics the watchdog needs to hear; zone state topics are not subscribed elsewhere. */
+    topics() {
+        return [...new Set(this.targets.map(target => target.topic))];
+    }
+
+    _statusOf(target, now) {
+        if (target.expectEveryMs === null) return 'unmonitored';
+        const since = target.lastSeen === null ? this.startedAt : target.lastSeen;
+        if (now - since <= target.expectEveryMs) return target.lastSeen === null ? 'waiting' : 'ok';
+        return DOWN_STATUS[target.kind];
+    }
+
+    _update(target, now, changes) {
+        const status = this._statusOf(target, now);
+        if (status === target.status) return;
+        changes.push({
+            kind: target.kind,
+            name: target.name,
+            topic: target.topic,
+            status,
+            previous: target.status,
+            lastSeen: target.lastSeen,
+            expectEveryMs: target.expectEveryMs
+        });
+        target.status = status;
+    }
+
+    /**
+     * Record a message. Returns the targets that came back because of it.
+     */
+    noteMessage(topic) {
+        const now = this.now();
+        const changes = [];
+        this.targets.forEach((target) => {
+            if (!matchTopic(target.topic, topic)) return;
+            target.lastSeen = now;
+            this.dirty = true;
+            this._update(target, now, changes);
+        });
+        return changes;
+    }
+
+    /** Re-evaluate deadlines. Returns status changes since the last call. */
+    check() {
+        const now = this.now();
+        const changes = [];
+        this.targets.forEach(target => this._update(target, now, changes));
+        return changes;
+    }
+
+    isDown(target) {
+        return target.status === DOWN_STATUS[target.kind];
+    }
+
+    offlineRequiredZones() {
+        return this.targets.filter(target => target.required && this.isDown(target)).map(target => target.name);
+    }
+
+    /** Payload for the retained `{game-topic}/health` topic. */
+    snapshot() {
+        const entry = target => ({
+            topic: target.topic,
+            status: target.status,
+            lastSeen: target.lastSeen,
+            expectEveryMs: target.expectEveryMs,
+            ...(target.kind === 'zone' ? { required: target.required } : {})
+        });
+        const group = kind => Object.fromEntries(this.targets.filter(t => t.kind === kind).map(t => [t.name, entry(t)]));
+        this.dirty = false;
+        return {
+            t: this.now(),
+            ok: !this.targets.some(target => this.isDown(target)),
+            zones: group('zone'),
+            inputs: group('input')
+        };
+    }
+
+    start(onTick) {
+        this.stop();
+        this._timer = setInterval(onTick, this.checkIntervalMs);
+        if (typeof this._timer.unref === 'function') this._timer.unref();
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+    }
+}
+
+module.exports = {
+    HealthMonitor,
+    hasHealthExpectations,
+    validateHealthOptions
+};
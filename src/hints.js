@@ -25,6 +25,20 @@ function toDisplayLabel(emoji, type, zone, description) {
     return `${emoji} ${type}${zonePart}: ${description}`;
 }
 
+function normalizePuzzle(puzzle) {
+    if (puzzle === undefined || puzzle === null) return null;
+    const value = String(puzzle).trim().replace(/^:/, '');
+    return value || null;
+}
+
+// `:puzzle` links a hint to a logic node; `:tier` orders hints within that puzzle's ladder.
+function ladderFields(h) {
+    const puzzle = normalizePuzzle(h.puzzle);
+    if (!puzzle) return {};
+    const tier = Number(h.tier);
+    return { puzzle, tier: Number.isInteger(tier) && tier > 0 ? tier : 1 };
+}
+
 function normalizeGlobalHint(key, h) {
     const type = normalizeType(h.type || 'text');
     const emoji = hintEmoji(type);
@@ -42,7 +56,8 @@ function normalizeGlobalHint(key, h) {
         isEditable: type === 'text',
         data: h,
         text: h.text,
-        duration: h.duration
+        duration: h.duration,
+        ...ladderFields(h)
     };
 }
 
@@ -167,7 +182,8 @@ function normalizeGameHint(idx, h) {
         isEditable: type === 'text',
         data: h,
         text: h.text,
-        duration: h.duration
+        duration: h.duration,
+        ...ladderFields(h)
     };
 }
 
@@ -224,9 +240,113 @@ function getCombinedHints(cfg, gameHintsArray) {
     return dedup;
 }
 
+/**
+ * Per-mode hint accounting rules:
+ *
+ *   :hint-budget 3                          ; operator hints before `force` is required
+ *   :hint-penalties {:video 60 :default 0}  ; seconds taken off the clock per hint type
+ *
+ * @returns {{ budget: number|null, penalties: Map<string, number> }}
+ */
+function hintRules(modeCfg) {
+    const mode = modeCfg || {};
+    const budget = Number.isInteger(mode['hint-budget']) && mode['hint-budget'] >= 0 ? mode['hint-budget'] : null;
+    const penalties = new Map();
+    Object.entries(mode['hint-penalties'] || {}).forEach(([type, seconds]) => {
+        // adjustTime works in whole seconds; a fractional penalty is a config error.
+        const value = Number(seconds);
+        if (Number.isInteger(value) && value >= 0) penalties.set(String(type).replace(/^:/, '').toLowerCase(), value);
+    });
+    return { budget, penalties };
+}
+
+function hintPenalty(rules, type) {
+    const key = String(type || 'text').toLowerCase();
+    if (rules.penalties.has(key)) return rules.penalties.get(key);
+    return rules.penalties.get('default') || 0;
+}
+
+// Logic node types whose output moves with the clock rather than with the team.
+const CLOCK_DRIVEN_NODE_TYPES = new Set(['timeout', 'time-bonus']);
+
+/**
+ * Per-mode stuck-team detection:
+ *
+ *   :stuck-detection {:after 300      ; seconds of gameplay without progress
+ *                     :auto true      ; send the recommended hint unless vetoed
+ *                     :countdown 30   ; seconds the GM has to veto
+ *                     :progress [:safe :drawer]}  ; nodes that count (default: all but clock-driven ones)
+ *
+ * @returns {{ afterMs: number, auto: boolean, countdownMs: number, progress: string[]|null }|null}
+ */
+function stuckDetectionOptions(modeCfg) {
+    const opts = modeCfg && modeCfg['stuck-detection'];
+    if (!opts || typeof opts !== 'object' || opts.enabled === false) return null;
+    const after = Number(opts.after);
+    const countdown = Number(opts.countdown);
+    return {
+        afterMs: (Number.isFinite(after) && after > 0 ? after : 300) * 1000,
+        auto: opts.auto === true,
+        countdownMs: (Number.isFinite(countdown) && countdown >= 0 ? countdown : 30) * 1000,
+        progress: Array.isArray(opts.progress) ? opts.progress.map(normalizePuzzle).filter(Boolean) : null
+    };
+}
+
+// Whether a logic output change counts as the team making progress.
+function isProgressChange(options, change) {
+    if (!change || !change.node) return false;
+    if (options.progress) return options.progress.includes(change.node);
+    return !CLOCK_DRIVEN_NODE_TYPES.has(change.type);
+}
+
+/**
+ * Static shape check for :hint-budget, :hint-penalties and :stuck-detection.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateHintRules(modeCfg) {
+    const problems = [];
+    const stuck = modeCfg['stuck-detection'];
+    if (stuck !== undefined) {
+        if (!stuck || typeof stuck !== 'object' || Array.isArray(stuck)) {
+            problems.push('stuck-detection must be a map');
+        } else {
+            ['after', 'countdown'].forEach((key) => {
+                if (stuck[key] !== undefined && (typeof stuck[key] !== 'number' || stuck[key] < 0)) {
+                    problems.push(`stuck-detection.${key} must be a non-negative number of seconds`);
+                }
+            });
+            if (stuck.progress !== undefined && !Array.isArray(stuck.progress)) {
+                problems.push('stuck-detection.progress must be a vector of logic node names');
+            }
+        }
+    }
+    const budget = modeCfg['hint-budget'];
+    if (budget !== undefined && (!Number.isInteger(budget) || budget < 0)) {
+        problems.push(`hint-budget must be a non-negative integer, got '${budget}'`);
+    }
+    const penalties = modeCfg['hint-penalties'];
+    if (penalties === undefined) return problems;
+    if (!penalties || typeof penalties !== 'object' || Array.isArray(penalties)) {
+        problems.push('hint-penalties must be a map of hint type to seconds');
+        return problems;
+    }
+    Object.entries(penalties).forEach(([type, seconds]) => {
+        if (!Number.isInteger(seconds) || seconds < 0) {
+            problems.push(`hint-penalties.${type} must be a non-negative whole number of seconds`);
+        }
+    });
+    return problems;
+}
+
 module.exports = {
     hintEmoji,
     normalizeGlobalHint,
     normalizeGameHint,
     getCombinedHints,
+    normalizePuzzle,
+    hintRules,
+    hintPenalty,
+    stuckDetectionOptions,
+    isProgressChange,
+    validateHintRules,
 };
@@ -0,0 +1,349 @@
+const EventEmitter = require('events');
+const os = require('os');
+const { SNAPSHOT_VERSION } = require('./state-persistence');
+
+const DEFAULT_LEASE_MS = 5000;
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 1000;
+
+/**
+ * Leader election between two (or more) PxO instances on the same broker.
+ *
+ * The leader holds a retained lease on `{game-topic}/leader` and renews it
+ * every third of the lease. A follower claims the lease when renewals stop for
+ * a whole lease, when the leader releases it, or at once when the leader's
+ * last-will marks `{game-topic}/instances/<id>` offline. A claim is only
+ * acted on after one renewal period without a better claim (higher epoch,
+ * then lower instance id), so two followers cannot both take over.
+ *
+ * While following, the MQTT client is in standby: nothing but the lease and
+ * the status topics reaches the broker, so a follower never drives props.
+ * Each instance's last-will lands on its own instance topic, so when the
+ * leader's fires, the follower marks `{game-topic}/status` offline for it
+ * before claiming; monitors of that topic still see the outage.
+ * The leader mirrors its game snapshot, retained, on
+ * `{game-topic}/leader/snapshot` for the follower to resume from.
+ *
+ * A leader that loses the broker cannot tell whether it still leads, so it
+ * holds its output and drops the MQTT backlog: queued zone commands and
+ * lease renewals would otherwise reach a room another instance has taken
+ * over. After reconnecting it resumes only once the retained lease shows it
+ * still leads, or no newer lease arrives within one renewal period.
+ *
+ * Emits `leader` ({ epoch, previous, reason }) on taking over, `demoted`
+ * ({ leader, epoch }) when a leader finds another instance holding a newer
+ * lease, and `resumed` ({ epoch }) when a held leader has confirmed its lease.
+ */
+class HotStandby extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {import('./mqttClient')} options.mqtt
+     * @param {string} options.gameTopic
+     * @param {string} [options.instanceId] defaults to the host name; must differ per instance
+     * @param {number} [options.leaseMs]
+     * @param {number} [options.snapshotIntervalMs] how often the leader mirrors its snapshot
+     */
+    constructor({
+        mqtt,
+        gameTopic,
+        instanceId = os.hostname(),
+        leaseMs = DEFAULT_LEASE_MS,
+        snapshotIntervalMs = DEFAULT_SNAPSHOT_INTERVAL_MS,
+        now = Date.now,
+        logger
+    } = {}) {
+        super();
+        if (!mqtt || !gameTopic) throw new Error('HotStandby requires mqtt and gameTopic');
+        this.mqtt = mqtt;
+        this.instanceId = String(instanceId);
+        this.leaseMs = Math.max(1000, Number(leaseMs) || DEFAULT_LEASE_MS);
+        this.renewMs = Math.round(this.leaseMs / 3);
+        this.snapshotIntervalMs = Math.max(250, Number(snapshotIntervalMs) || DEFAULT_SNAPSHOT_INTERVAL_MS);
+        this.now = now;
+        this.log = logger || console;
+        this.topics = {
+            lease: `${gameTopic}/leader`,
+            snapshot: `${gameTopic}/leader/snapshot`,
+            status: `${gameTopic}/status`,
+            state: `${gameTopic}/state`,
+            instances: `${gameTopic}/instances/`
+        };
+
+        this.role = 'follower'; // follower | candidate | leader
+        this.lease = { leader: null, epoch: 0 };
+        this.leaseSeenAt = null;
+        this.claimedAt = null;
+        this.previous = null; // leader before our claim, and why we claimed
+        this.reason = null;
+        this.snapshot = null; // latest mirrored snapshot, with receivedAt
+        this.snapshotSeen = false;
+        this.leaderState = null; // latest /state from the leader
+        this._mirrored = false;
+        this._held = false; // leader output held since a broker disconnect
+        this._reconnectedAt = null;
+        this._timer = null;
+        this._onMessage = this._onMessage.bind(this);
+        this._onDisconnected = this._onDisconnected.bind(this);
+        this._onConnected = this._onConnected.bind(this);
+    }
+
+    /** Status topic for an instance; pass it to MqttClient as `statusTopic` so its last-will lands there. */
+    static instanceTopic(gameTopic, instanceId) {
+        return `${gameTopic}/instances/${instanceId}`;
+    }
+
+    _followerTopics() {
+        return [this.topics.lease, this.topics.status, `${this.topics.instances}${this.instanceId}`];
+    }
+
+    get isLeader() {
+        return this.role === 'leader';
+    }
+
+    /** A leader whose output is held until its lease is confirmed after a disconnect. */
+    get isHeld() {
+        return this._held;
+    }
+
+    start() {
+        this.mqtt.setStandby(true, this._followerTopics());
+        this.mqtt.on('message', this._onMessage);
+        this.mqtt.on('disconnected', this._onDisconnected);
+        this.mqtt.on('connected', this._onConnected);
+        [this.topics.lease, this.topics.snapshot, this.topics.state, `${this.topics.instances}+`]
+            .forEach(topic => this.mqtt.subscribe(topic));
+        // A retained lease says who led, not that they still do; wait one lease for a live renewal.
+        this.leaseSeenAt = this.now();
+        this._timer = setInterval(() => this._tick(), this.renewMs);
+        if (typeof this._timer.unref === 'function') this._timer.unref();
+        this.log.info(`[ha] ${this.instanceId} following; lease ${this.leaseMs}ms on ${this.topics.lease}`);
+    }
+
+    stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+        this.mqtt.off('message', this._onMessage);
+        this.mqtt.off('disconnected', this._onDisconnected);
+        this.mqtt.off('connected', this._onConnected);
+    }
+
+    /** Give the lease up on a clean shutdown so the follower takes over straight away. */
+    release() {
+        const wasLeader = this.isLeader;
+        // Stop listening first: the follower's claim arrives while we are still publishing.
+        this.role = 'follower';
+        this.stop();
+        if (wasLeader) {
+            this.mqtt.publish(this.topics.status, { status: 'offline', reason: 'leader_released', t: this.now() }, { qos: 1, retain: true });
+            this.mqtt.publish(this.topics.lease, { leader: null, epoch: this.lease.epoch, released: this.instanceId, t: this.now() }, { qos: 1, retain: true });
+        }
+    }
+
+    _onMessage(topic, payload, packet) {
+        if (topic === this.topics.lease) {
+            this._onLease(payload && typeof payload === 'object' ? payload : null, Boolean(packet && packet.retain));
+        } else if (topic === this.topics.snapshot) {
+            // A snapshot retained from before we subscribed is only as fresh as its savedAt.
+            const receivedAt = packet && packet.retain ? Number(payload && payload.savedAt) : this.now();
+            this.snapshot = payload && typeof payload === 'object' ? { ...payload, receivedAt } : null;
+            this.snapshotSeen = true;
+        } else if (topic === this.topics.state) {
+            if (!this.isLeader) this.leaderState = payload;
+        } else if (topic.startsWith(this.topics.instances)) {
+            const id = topic.slice(this.topics.instances.length);
+            if (this.role === 'follower' && id === this.lease.leader && payload && payload.status === 'offline') {
+                this.log.warn(`[ha] Leader ${id} went offline (${payload.reason || 'unknown'})`);
+                // The leader's will cannot reach /status itself; pass it on.
+                this.mqtt.publish(this.topics.status, { status: 'offline', reason: payload.reason || 'connection_lost', leader: id, t: this.now() }, { qos: 1, retain: true });
+                this._claim('leader_offline');
+            }
+        }
+    }
+
+    _onDisconnected() {
+        if (this.role !== 'leader') return;
+        // Nothing goes out until the lease is confirmed, our own renewals included.
+        this._held = true;
+        this._reconnectedAt = null;
+        this.mqtt.setStandby(true, [`${this.topics.instances}${this.instanceId}`]);
+        const dropped = this.mqtt.dropBacklog();
+        this.log.warn(`[ha] Broker connection lost; holding output until lease epoch ${this.lease.epoch} is confirmed${dropped > 0 ? ` (dropped ${dropped} queued message(s))` : ''}`);
+    }
+
+    _onConnected() {
+        // The retained lease arrives with the resubscribe; see _onLease and _tick.
+        if (this._held) this._reconnectedAt = this.now();
+    }
+
+    _resume() {
+        this._held = false;
+        this._reconnectedAt = null;
+        this.mqtt.setStandby(false);
+        this.log.info(`[ha] ${this.instanceId} still leads (epoch ${this.lease.epoch}); resuming output`);
+        this._publishLease();
+        this.emit('resumed', { epoch: this.lease.epoch });
+    }
+
+    _onLease(lease, retained) {
+        if (this._held && this._reconnectedAt !== null && lease && lease.leader === this.instanceId
+            && Number(lease.epoch) === this.lease.epoch) {
+            this._resume();
+            return;
+        }
+        if (!lease || !lease.leader) {
+            const epoch = Number(lease && lease.epoch) || 0;
+            if (this._held && epoch > this.lease.epoch) {
+                // Taken over and released while we were cut off.
+                this._stepDown({ leader: null, epoch });
+                return;
+            }
+            this.lease = { leader: null, epoch: Math.max(this.lease.epoch, epoch) };
+            if (this.role === 'follower' && lease && lease.released) this._claim('lease_released');
+            return;
+        }
+        if (lease.leader === this.instanceId) return; // our own claim or renewal
+        const other = { leader: String(lease.leader), epoch: Number(lease.epoch) || 0 };
+        if (this.role !== 'follower') {
+            if (!beats(other, this.lease)) return; // ours stands; our next renewal answers it
+            if (this.role === 'leader') {
+                this._stepDown(other);
+            } else {
+                this.log.info(`[ha] Claim lost to ${other.leader} (epoch ${other.epoch})`);
+                this.role = 'follower';
+            }
+        }
+        this.lease = other;
+        if (!retained) this.leaseSeenAt = this.now();
+    }
+
+    _stepDown(other) {
+        this.log.error(`[ha] ${other.leader || 'another instance'} took lease epoch ${other.epoch}; stepping down`);
+        this.role = 'follower';
+        this._held = false;
+        this._reconnectedAt = null;
+        this.lease = other;
+        this.leaseSeenAt = this.now();
+        this.mqtt.setStandby(true, this._followerTopics());
+        this.emit('demoted', other);
+    }
+
+    _tick() {
+        const now = this.now();
+        if (this.role === 'follower' && now - this.leaseSeenAt > this.leaseMs) {
+            this._claim(this.lease.leader ? 'lease_expired' : 'no_leader');
+        } else if (this.role === 'candidate' && now - this.claimedAt >= this.renewMs) {
+            this._becomeLeader();
+        } else if (this.role === 'leader' && !this._held) {
+            this._publishLease();
+        } else if (this.role === 'leader' && this._reconnectedAt !== null && now - this._reconnectedAt >= this.renewMs) {
+            // Reconnected and no newer lease turned up (the broker may have lost its retained one).
+            this._resume();
+        }
+    }
+
+    _claim(reason) {
+        if (this.role !== 'follower') return;
+        this.previous = this.lease.leader;
+        this.reason = reason;
+        this.lease = { leader: this.instanceId, epoch: this.lease.epoch + 1 };
+        this.role = 'candidate';
+        this.claimedAt = this.now();
+        this.log.info(`[ha] ${this.instanceId} claiming lease epoch ${this.lease.epoch} (${reason})`);
+        this._publishLease();
+    }
+
+    _becomeLeader() {
+        this.role = 'leader';
+        this.mqtt.setStandby(false);
+        this.leaderState = null;
+        this.mqtt.publish(this.topics.status, { status: 'online', leader: this.instanceId, t: this.now(), pid: process.pid }, { qos: 1, retain: true });
+        this.log.info(`[ha] ${this.instanceId} is leader (epoch ${this.lease.epoch})`);
+        this.emit('leader', { epoch: this.lease.epoch, previous: this.previous || null, reason: this.reason });
+    }
+
+    _publishLease() {
+        this.mqtt.publish(this.topics.lease, {
+            leader: this.instanceId,
+            epoch: this.lease.epoch,
+            leaseMs: this.leaseMs,
+            t: this.now()
+        }, { qos: 1, retain: true });
+    }
+
+    /**
+     * The snapshot to resume from on takeover, with the game clock advanced by
+     * the time since it was taken unless paused. Once the leader has mirrored
+     * anything (a cleared snapshot included) that wins; `local` is only a
+     * fallback, since a file from this instance's own last run may be stale.
+     */
+    takeoverSnapshot(local = null) {
+        const fromDisk = local && !this.snapshotSeen ? local.load() : null;
+        const mirrored = this.snapshot;
+        const snapshot = fromDisk && (!mirrored || Number(fromDisk.savedAt) > Number(mirrored.savedAt)) ? fromDisk : mirrored;
+        if (!snapshot) return null;
+        // The receive time is on our clock; savedAt is on the leader's.
+        const takenAt = snapshot === mirrored ? snapshot.receivedAt : Number(snapshot.savedAt);
+        const elapsedMs = Math.max(0, this.now() - takenAt);
+        const { receivedAt, ...record } = snapshot;
+        if (record.state === 'paused' || elapsedMs === 0) return record;
+        if (Number.isFinite(record.remainingMs)) {
+            const remainingMs = Math.max(0, record.remainingMs - elapsedMs);
+            return { ...record, remainingMs, remaining: Math.ceil(remainingMs / 1000) };
+        }
+        return { ...record, remaining: Math.max(0, (Number(record.remaining) || 0) - Math.floor(elapsedMs / 1000)) };
+    }
+
+    /**
+     * A StatePersistence stand-in for GameStateMachine#setStatePersistence:
+     * writes through to `local` when given, and mirrors every snapshot to the
+     * broker while leading.
+     */
+    persistence(local = null) {
+        const standby = this;
+        let timer = null;
+        return {
+            save(snapshot) {
+                const record = local ? local.save(snapshot) : { version: SNAPSHOT_VERSION, savedAt: standby.now(), ...snapshot };
+                if (standby.isLeader) {
+                    standby.mqtt.publish(standby.topics.snapshot, record, { qos: 1, retain: true });
+                    standby._mirrored = true;
+                }
+                return record;
+            },
+            clear() {
+                if (standby.isLeader && standby._mirrored) {
+                    // An empty retained payload removes the snapshot from the broker.
+                    standby.mqtt.publish(standby.topics.snapshot, '', { qos: 1, retain: true });
+                    standby._mirrored = false;
+                }
+                return local ? local.clear() : true;
+            },
+            load() {
+                return standby.takeoverSnapshot(local);
+            },
+            start(persist) {
+                this.stop();
+                timer = setInterval(() => {
+                    try {
+                        persist();
+                    } catch (err) {
+                        standby.log.warn(`[ha] Snapshot failed: ${err.message}`);
+                    }
+                }, standby.snapshotIntervalMs);
+                if (typeof timer.unref === 'function') timer.unref();
+            },
+            stop() {
+                if (timer) clearInterval(timer);
+                timer = null;
+            }
+        };
+    }
+}
+
+function beats(a, b) {
+    return a.epoch > b.epoch || (a.epoch === b.epoch && a.leader < b.leader);
+}
+
+module.exports = {
+    HotStandby,
+    DEFAULT_LEASE_MS
+};
@@ -0,0 +1,204 @@
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 4000;
+const DEFAULT_REPLY_TIMEOUT_MS = 5000;
+const MAX_BODY_BYTES = 64 * 1024;
+const STREAM_PATH = '/stream';
+
+// HTTP status for each final command reply status.
+const REPLY_STATUS_CODES = { completed: 200, duplicate: 200, accepted: 202, rejected: 422, failed: 500 };
+
+function tokensMatch(expected, given) {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(given || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Optional HTTP and WebSocket control API, for booking systems, kiosks and
+ * UIs that cannot reach the MQTT broker.
+ *
+ *   GET  /state, /logic, /hints, /health   current snapshots
+ *   POST /commands                          a command, run like one on {game-topic}/commands
+ *   GET  /stream                            WebSocket of state, events and warnings
+ *
+ * With a token (the `api_key` in pxo.ini) every request needs
+ * `Authorization: Bearer <token>`. Browsers cannot set headers on a
+ * WebSocket, so `/stream?token=` is accepted too.
+ */
+class HttpApi {
+    /**
+     * @param {object} options
+     * @param {Object<string, () => any>} options.snapshots GET handlers by path; null means "not configured"
+     * @param {(payload: any) => Promise<object>} options.runCommand resolves with the command's final reply
+     * @param {number} [options.replyTimeoutMs] answer `202 accepted` when a command takes longer
+     */
+    constructor({
+        host = DEFAULT_HOST,
+        port = DEFAULT_PORT,
+        token = null,
+        websocket = true,
+        corsOrigins = [],
+        snapshots = {},
+        runCommand,
+        replyTimeoutMs = DEFAULT_REPLY_TIMEOUT_MS,
+        logger
+    } = {}) {
+        this.host = host || DEFAULT_HOST;
+        this.port = port;
+        this.token = token || null;
+        this.corsOrigins = corsOrigins || [];
+        this.snapshots = snapshots;
+        this.runCommand = runCommand;
+        this.replyTimeoutMs = replyTimeoutMs;
+        this.log = logger || console;
+        this.server = http.createServer((req, res) => this._handle(req, res));
+        this.wss = websocket ? new WebSocketServer({ noServer: true }) : null;
+        if (this.wss) this.server.on('upgrade', (req, socket, head) => this._upgrade(req, socket, head));
+    }
+
+    /** @returns {Promise<{ host: string, port: number }>} the bound address */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                const { address, port } = this.server.address();
+                resolve({ host: address, port });
+            });
+        });
+    }
+
+    stop() {
+        if (this.wss) this.wss.clients.forEach(client => client.terminate());
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /** Send a message to every open /stream connection. */
+    broadcast(channel, payload) {
+        if (!this.wss || this.wss.clients.size === 0) return;
+        const data = JSON.stringify({ channel, payload });
+        this.wss.clients.forEach((client) => {
+            if (client.readyState === client.OPEN) client.send(data);
+        });
+    }
+
+    _authorized(req, url) {
+        if (!this.token) return true;
+        const header = String(req.headers.authorization || '');
+        const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        return tokensMatch(this.token, bearer || url.searchParams.get('token'));
+    }
+
+    async _handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const origin = req.headers.origin;
+        if (origin && (this.corsOrigins.includes(origin) || this.corsOrigins.includes('*'))) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204).end();
+            return;
+        }
+        if (!this._authorized(req, url)) {
+            this._send(res, 401, { error: 'unauthorized' });
+            return;
+        }
+
+        const name = url.pathname.replace(/^\/+|\/+$/g, '');
+        try {
+            if (name === 'commands') {
+                if (req.method !== 'POST') {
+                    this._send(res, 405, { error: 'method_not_allowed' });
+                    return;
+                }
+                await this._command(req, res);
+                return;
+            }
+            const snapshot = Object.prototype.hasOwnProperty.call(this.snapshots, name) ? this.snapshots[name] : null;
+            if (!snapshot) {
+                this._send(res, 404, { error: 'not_found' });
+                return;
+            }
+            if (req.method !== 'GET') {
+                this._send(res, 405, { error: 'method_not_allowed' });
+                return;
+            }
+            const body = snapshot();
+            if (body === null || body === undefined) {
+                this._send(res, 404, { error: 'not_configured' });
+                return;
+            }
+            this._send(res, 200, body);
+        } catch (e) {
+            this.log.warn(`HTTP API ${req.method} ${url.pathname} failed:`, e.message);
+            this._send(res, e.statusCode || 500, { error: e.code || 'internal_error', message: e.message });
+        }
+    }
+
+    async _command(req, res) {
+        const raw = await this._readBody(req);
+        let payload = raw;
+        try {
+            payload = raw.trim() ? JSON.parse(raw) : null;
+        } catch (_) {
+            // Unparseable bodies go through as text, like MQTT payloads, and are rejected as malformed_json.
+        }
+        let timer = null;
+        const pending = new Promise((resolve) => {
+            timer = setTimeout(() => resolve({ status: 'accepted', command: (payload && payload.command) || null }), this.replyTimeoutMs);
+        });
+        const reply = await Promise.race([this.runCommand(payload), pending]);
+        clearTimeout(timer);
+        this._send(res, REPLY_STATUS_CODES[reply.status] || 200, reply);
+    }
+
+    _readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    // Keep draining so the 413 can still be sent.
+                    reject(Object.assign(new Error(`Body larger than ${MAX_BODY_BYTES} bytes`), { statusCode: 413, code: 'body_too_large' }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    _upgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== STREAM_PATH || !this._authorized(req, url)) {
+            socket.end(url.pathname !== STREAM_PATH ? 'HTTP/1.1 404 Not Found\r\n\r\n' : 'HTTP/1.1 401 Unauthorized\r\n\r\n');
+            return;
+        }
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            // New clients get the current state straight away rather than waiting for the next change.
+            const state = this.snapshots.state ? this.snapshots.state() : null;
+            if (state) ws.send(JSON.stringify({ channel: 'state', payload: state }));
+        });
+    }
+
+    _send(res, status, body) {
+        if (res.headersSent) return;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+module.exports = {
+    HttpApi,
+    DEFAULT_HOST,
+    DEFAULT_PORT
+};
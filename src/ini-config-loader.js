@@ -18,7 +18,7 @@ function parseBoolean(value) {
     return ['1', 'true', 'yes', 'on', 'enabled'].includes(normalized);
 }
 
-function normalizeBrokerUrl(broker, port) {
+function normalizeBrokerUrl(broker, port, tls = false) {
     if (!broker) return null;
 
     const trimmed = String(broker).trim();
@@ -29,11 +29,109 @@ function normalizeBrokerUrl(broker, port) {
     }
 
     const numericPort = Number.isInteger(port) ? port : null;
+    const scheme = tls ? 'mqtts' : 'mqtt';
     if (numericPort) {
-        return `mqtt://${trimmed}:${numericPort}`;
+        return `${scheme}://${trimmed}:${numericPort}`;
     }
 
-    return `mqtt://${trimmed}`;
+    return `${scheme}://${trimmed}`;
+}
+
+function parsePositiveInt(value, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function parseNonNegativeInt(value, fallback) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function parseOptionalInt(value) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+const MQTT_MESSAGE_CLASSES = ['command', 'event', 'state', 'default'];
+
+/**
+ * [mqtt.<class>] sections: qos, retain, queue, queue_size, max_age_sec.
+ * Only keys that are set are returned; MqttClient supplies the rest.
+ */
+function parseMessageClasses(mqtt = {}) {
+    return Object.fromEntries(MQTT_MESSAGE_CLASSES
+        .filter(name => mqtt[name] && typeof mqtt[name] === 'object')
+        .map((name) => {
+            const section = mqtt[name];
+            const policy = {};
+            if (section.qos !== undefined) policy.qos = Math.min(2, parseNonNegativeInt(section.qos, 0));
+            if (section.retain !== undefined) policy.retain = parseBoolean(section.retain);
+            if (section.queue !== undefined) policy.queue = parseBoolean(section.queue);
+            if (section.queue_size !== undefined) policy.queue_size = parseNonNegativeInt(section.queue_size, 0);
+            if (section.max_age_sec !== undefined) policy.max_age_sec = parseNonNegativeInt(section.max_age_sec, 0);
+            return [name, policy];
+        }));
+}
+
+function defaultIniConfig() {
+    return {
+        global: {
+            log_directory: null,
+            log_level: 'info',
+            game_name: null,
+            game_logging: false,
+            game_log_path: null,
+            chat_to_player: null,
+            chat_from_player: null
+        },
+        mqtt: {
+            broker: null,
+            port: null,
+            client_id: null,
+            username: null,
+            password: null,
+            keepalive: null,
+            clean_session: null,
+            reconnect_period: null,
+            connect_timeout: null,
+            tls: false,
+            ca_file: null,
+            cert_file: null,
+            key_file: null,
+            reject_unauthorized: null,
+            classes: {}
+        },
+        game: {
+            persist_state: false,
+            state_file: '/opt/paradox/data/pxo-state.json',
+            auto_recover: false,
+            snapshot_interval_ms: 5000,
+            recover_max_age_sec: 1800,
+            leaderboard_file: '/opt/paradox/data/pxo-leaderboard.json'
+        },
+        server: {
+            enabled: false,
+            host: '127.0.0.1',
+            port: 4000,
+            websocket: true,
+            cors_origins: [],
+            api_key: null
+        },
+        auth: {
+            enabled: false,
+            credentials_file: null,
+            anonymous_role: null,
+            max_skew_sec: 30,
+            commands: {}
+        },
+        operators: {},
+        ha: {
+            enabled: false,
+            instance_id: null,
+            lease_ms: 5000,
+            snapshot_interval_ms: 1000
+        }
+    };
 }
 
 /**
@@ -54,28 +152,15 @@ function loadIniConfig(configPath) {
 
     // Return defaults if file doesn't exist
     if (!fs.existsSync(configPath)) {
-        return {
-            global: {
-                log_directory: null,
-                log_level: 'info',
-                game_name: null,
-                game_logging: false,
-                game_log_path: null,
-                chat_to_player: null,
-                chat_from_player: null
-            },
-            mqtt: {
-                broker: null,
-                port: null
-            }
-        };
+        return defaultIniConfig();
     }
 
     try {
         const content = fs.readFileSync(configPath, 'utf8');
         const config = ini.parse(content);
         const mqttPort = config.mqtt?.port ? parseInt(config.mqtt.port, 10) : null;
-        const mqttBroker = normalizeBrokerUrl(config.mqtt?.broker || null, mqttPort);
+        const mqttTls = parseBoolean(config.mqtt?.tls ?? false);
+        const mqttBroker = normalizeBrokerUrl(config.mqtt?.broker || null, mqttPort, mqttTls);
         const logDirectory = config.global?.log_directory || config.logging?.directory || null;
         const logLevel = config.global?.log_level || config.logging?.level || 'info';
         const gameNameRaw = config.global?.game_name || config.logging?.game_name || null;
@@ -87,6 +172,8 @@ function loadIniConfig(configPath) {
         const chatToPlayer = config.global?.chat_to_player || config.logging?.chat_to_player || null;
         const chatFromPlayer = config.global?.chat_from_player || config.logging?.chat_from_player || null;
 
+        const defaults = defaultIniConfig();
+
         // Normalize configuration
         return {
             global: {
@@ -100,27 +187,58 @@ function loadIniConfig(configPath) {
             },
             mqtt: {
                 broker: mqttBroker,
-                port: mqttPort
+                port: mqttPort,
+                client_id: config.mqtt?.client_id || null,
+                username: config.mqtt?.username || null,
+                password: config.mqtt?.password != null ? String(config.mqtt.password) : null,
+                keepalive: parseOptionalInt(config.mqtt?.keepalive),
+                clean_session: config.mqtt?.clean_session !== undefined ? parseBoolean(config.mqtt.clean_session) : null,
+                reconnect_period: parseOptionalInt(config.mqtt?.reconnect_period),
+                connect_timeout: parseOptionalInt(config.mqtt?.connect_timeout),
+                tls: mqttTls,
+                ca_file: config.mqtt?.ca_file || null,
+                cert_file: config.mqtt?.cert_file || null,
+                key_file: config.mqtt?.key_file || null,
+                reject_unauthorized: config.mqtt?.reject_unauthorized !== undefined ? parseBoolean(config.mqtt.reject_unauthorized) : null,
+                classes: parseMessageClasses(config.mqtt)
+            },
+            game: {
+                persist_state: parseBoolean(config.game?.persist_state ?? defaults.game.persist_state),
+                state_file: config.game?.state_file || defaults.game.state_file,
+                auto_recover: parseBoolean(config.game?.auto_recover ?? defaults.game.auto_recover),
+                snapshot_interval_ms: parsePositiveInt(config.game?.snapshot_interval_ms, defaults.game.snapshot_interval_ms),
+                recover_max_age_sec: parseNonNegativeInt(config.game?.recover_max_age_sec, defaults.game.recover_max_age_sec),
+                leaderboard_file: config.game?.leaderboard_file || defaults.game.leaderboard_file
+            },
+            server: {
+                enabled: parseBoolean(config.server?.enabled ?? defaults.server.enabled),
+                host: config.server?.host || defaults.server.host,
+                port: parsePositiveInt(config.server?.port, defaults.server.port),
+                websocket: parseBoolean(config.server?.websocket ?? defaults.server.websocket),
+                cors_origins: String(config.server?.cors_origins || '').split(',').map(origin => origin.trim()).filter(Boolean),
+                api_key: config.server?.api_key ? String(config.server.api_key) : defaults.server.api_key
+            },
+            auth: {
+                enabled: parseBoolean(config.auth?.enabled ?? defaults.auth.enabled),
+                credentials_file: config.auth?.credentials_file || defaults.auth.credentials_file,
+                anonymous_role: config.auth?.anonymous_role || defaults.auth.anonymous_role,
+                max_skew_sec: parsePositiveInt(config.auth?.max_skew_sec, defaults.auth.max_skew_sec),
+                // [auth.commands] overrides the role each command needs
+                commands: { ...(config.auth?.commands || {}) }
+            },
+            // [operator.<name>] sections: role and secret
+            operators: { ...(config.operator || {}) },
+            ha: {
+                enabled: parseBoolean(config.ha?.enabled ?? defaults.ha.enabled),
+                instance_id: config.ha?.instance_id ? String(config.ha.instance_id) : defaults.ha.instance_id,
+                lease_ms: parsePositiveInt(config.ha?.lease_ms, defaults.ha.lease_ms),
+                snapshot_interval_ms: parsePositiveInt(config.ha?.snapshot_interval_ms, defaults.ha.snapshot_interval_ms)
             }
         };
     } catch (err) {
         console.error(`Failed to load INI config from ${configPath}:`, err.message);
         // Return defaults on error
-        return {
-            global: {
-                log_directory: null,
-                log_level: 'info',
-                game_name: null,
-                game_logging: false,
-                game_log_path: null,
-                chat_to_player: null,
-                chat_from_player: null
-            },
-            mqtt: {
-                broker: null,
-                port: null
-            }
-        };
+        return defaultIniConfig();
     }
 }
 
@@ -0,0 +1,95 @@
+/**
+ * `:global :inputs` source definitions, shared by the trigger wiring in
+ * game.js and `:wait-for {:source ...}` in sequences.
+ */
+const { validateTopicFilter } = require('./logic/bindings');
+const { validateTransforms } = require('./input-transforms');
+
+/**
+ * Index `:global :inputs` (map or vector form) by source name. Invalid and
+ * duplicate entries are left out and reported in `diagnostics`.
+ */
+function buildInputSourceMap(cfg) {
+    const sourceMap = new Map();
+    const diagnostics = {
+        invalidSources: [],
+        duplicateSources: []
+    };
+
+    const candidates = cfg?.global?.inputs || {};
+
+    if (Array.isArray(candidates)) {
+        candidates.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object') return;
+
+            const sourceNameRaw = entry.name || entry.id;
+            const sourceName = typeof sourceNameRaw === 'string' ? sourceNameRaw.trim() : '';
+            if (!sourceName) {
+                diagnostics.invalidSources.push({ index, reason: 'missing_name' });
+                return;
+            }
+
+            const topic = typeof entry.topic === 'string' ? entry.topic.trim() : '';
+            if (!topic) {
+                diagnostics.invalidSources.push({ index, source: sourceName, reason: 'missing_topic' });
+                return;
+            }
+
+            const filterProblem = validateTopicFilter(topic);
+            if (filterProblem) {
+                diagnostics.invalidSources.push({ index, source: sourceName, reason: 'invalid_topic_filter', detail: filterProblem });
+                return;
+            }
+
+            const transformProblems = validateTransforms(entry.transform);
+            if (transformProblems.length > 0) {
+                diagnostics.invalidSources.push({ index, source: sourceName, reason: 'invalid_transform', detail: transformProblems });
+                return;
+            }
+
+            if (sourceMap.has(sourceName)) {
+                diagnostics.duplicateSources.push({ source: sourceName, index });
+                return;
+            }
+
+            sourceMap.set(sourceName, { ...entry, topic });
+        });
+
+        return { sourceMap, diagnostics };
+    }
+
+    Object.entries(candidates).forEach(([name, definition]) => {
+        if (!definition || typeof definition !== 'object') return;
+        const sourceName = typeof name === 'string' ? name.trim() : '';
+        if (!sourceName) {
+            diagnostics.invalidSources.push({ source: String(name), reason: 'invalid_name' });
+            return;
+        }
+
+        const topic = typeof definition.topic === 'string' ? definition.topic.trim() : '';
+        if (!topic) {
+            diagnostics.invalidSources.push({ source: sourceName, reason: 'missing_topic' });
+            return;
+        }
+
+        const filterProblem = validateTopicFilter(topic);
+        if (filterProblem) {
+            diagnostics.invalidSources.push({ source: sourceName, reason: 'invalid_topic_filter', detail: filterProblem });
+            return;
+        }
+
+        const transformProblems = validateTransforms(definition.transform);
+        if (transformProblems.length > 0) {
+            diagnostics.invalidSources.push({ source: sourceName, reason: 'invalid_transform', detail: transformProblems });
+            return;
+        }
+
+        sourceMap.set(sourceName, { ...definition, topic });
+    });
+
+    return { sourceMap, diagnostics };
+}
+
+module.exports = {
+    buildInputSourceMap
+};
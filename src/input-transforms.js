@@ -0,0 +1,215 @@
+/**
+ * `:transform` pipelines for `:global :inputs` sources.
+ *
+ * Each step is a map with one discriminator and runs in order on the payload
+ * before triggers and the logic graph see it:
+ *
+ *   {:parse :json|:kv|:csv|:number}          text payloads -> map
+ *   {:extract {:value "data.readings[0]"}}   new map from JSON paths
+ *   {:rename {:state :value}}                rename fields
+ *   {:scale 0.1 :offset -40}                 numeric value * scale + offset
+ *   {:invert :value}                         0 <-> 1, true <-> false
+ *   {:enum {"pound" "#"} :field :key}        map discrete values
+ *   {:smooth :average :window 5}             moving average (or :ema :alpha 0.3)
+ *
+ * Steps that read one field default to `:value`.
+ */
+const { coerceValue } = require('./logic/bindings');
+
+const STEP_KINDS = ['parse', 'extract', 'rename', 'scale', 'offset', 'invert', 'enum', 'smooth'];
+const PARSE_FORMATS = ['json', 'kv', 'csv', 'number'];
+const SMOOTHING = ['average', 'ema'];
+
+function stripKeyword(value) {
+    return typeof value === 'string' ? value.replace(/^:/, '') : value;
+}
+
+function stepKind(step) {
+    // :scale and :offset share one step.
+    const kinds = [...new Set(STEP_KINDS.filter(kind => step && step[kind] !== undefined)
+        .map(kind => (kind === 'offset' ? 'scale' : kind)))];
+    return kinds.length === 1 ? kinds[0] : null;
+}
+
+/** Read `a.b[2].c` from a parsed payload. */
+function readPath(obj, pathExpr) {
+    const parts = String(pathExpr).replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    let cursor = obj;
+    for (const part of parts) {
+        if (cursor === null || cursor === undefined || typeof cursor !== 'object') return undefined;
+        cursor = cursor[part];
+    }
+    return cursor;
+}
+
+function asMap(payload) {
+    if (payload && typeof payload === 'object' && !Array.isArray(payload)) return { ...payload };
+    return { value: payload };
+}
+
+function parseScalar(text) {
+    const trimmed = String(text).trim();
+    const n = Number(trimmed);
+    return trimmed !== '' && Number.isFinite(n) ? n : trimmed;
+}
+
+function parsePayload(payload, step) {
+    const format = stripKeyword(step.parse);
+    if (typeof payload !== 'string') {
+        // MqttClient already decoded JSON; a bare number still becomes {:value n}.
+        return format === 'number' ? { value: Number(payload) } : asMap(payload);
+    }
+    const text = payload.trim();
+    switch (format) {
+        case 'json':
+            return asMap(JSON.parse(text));
+        case 'number': {
+            const value = Number(text);
+            if (text === '' || !Number.isFinite(value)) throw new Error(`'${text}' is not a number`);
+            return { value };
+        }
+        case 'kv': {
+            const separator = step.separator || /[,;&\s]+/;
+            const out = {};
+            text.split(separator).filter(Boolean).forEach((pair) => {
+                const at = pair.search(/[=:]/);
+                if (at > 0) out[pair.slice(0, at).trim()] = parseScalar(pair.slice(at + 1));
+            });
+            return out;
+        }
+        case 'csv': {
+            const cells = text.split(step.separator || ',').map(parseScalar);
+            const fields = Array.isArray(step.fields) ? step.fields.map(stripKeyword) : null;
+            if (!fields) return { values: cells, value: cells[0] };
+            return Object.fromEntries(fields.map((field, i) => [field, cells[i]]));
+        }
+        default:
+            return asMap(payload);
+    }
+}
+
+function invertValue(value) {
+    if (typeof value === 'boolean') return !value;
+    const coerced = coerceValue(value);
+    if (coerced === 0) return 1;
+    if (coerced === 1) return 0;
+    return value;
+}
+
+/**
+ * Check a pipeline definition.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateTransforms(pipeline, path = 'transform') {
+    if (pipeline === undefined) return [];
+    if (!Array.isArray(pipeline)) return [`${path} must be a vector of steps`];
+    return pipeline.flatMap((step, index) => {
+        const at = `${path}[${index}]`;
+        const kind = stepKind(step);
+        if (!kind) return [`${at} must have exactly one of :${STEP_KINDS.join(', :')}`];
+        switch (kind) {
+            case 'parse':
+                return PARSE_FORMATS.includes(stripKeyword(step.parse)) ? [] : [`${at} :parse must be one of :${PARSE_FORMATS.join(', :')}`];
+            case 'extract':
+            case 'rename':
+            case 'enum':
+                return step[kind] && typeof step[kind] === 'object' && !Array.isArray(step[kind]) ? [] : [`${at} :${kind} must be a map`];
+            case 'scale':
+                return ['scale', 'offset'].filter(key => step[key] !== undefined && !Number.isFinite(step[key]))
+                    .map(key => `${at} :${key} must be a number`);
+            case 'smooth': {
+                const problems = [];
+                if (!SMOOTHING.includes(stripKeyword(step.smooth))) problems.push(`${at} :smooth must be :average or :ema`);
+                if (step.window !== undefined && !(Number.isInteger(step.window) && step.window > 0)) problems.push(`${at} :window must be a positive integer`);
+                if (step.alpha !== undefined && !(step.alpha > 0 && step.alpha <= 1)) problems.push(`${at} :alpha must be in (0, 1]`);
+                return problems;
+            }
+            default:
+                return [];
+        }
+    });
+}
+
+class InputTransformer {
+    /**
+     * @param {Array<object>} pipeline validated `:transform` vector
+     */
+    constructor(pipeline) {
+        this.pipeline = pipeline || [];
+        // Smoothing history per step and topic, so wildcard sources keep one series per device.
+        this.history = new Map();
+    }
+
+    /**
+     * Run the pipeline. Throws when a step cannot handle the payload.
+     * @param {any} payload as delivered by MqttClient (object, number or string)
+     * @param {string} topic actual topic the message arrived on
+     */
+    apply(payload, topic = '') {
+        return this.pipeline.reduce((current, step, index) => this._step(current, step, `${index}|${topic}`), payload);
+    }
+
+    _step(payload, step, historyKey) {
+        const kind = stepKind(step);
+        const field = stripKeyword(step.field || (kind === 'invert' && typeof step.invert === 'string' ? step.invert : 'value'));
+        const out = kind === 'parse' ? null : asMap(payload);
+
+        switch (kind) {
+            case 'parse':
+                return parsePayload(payload, step);
+            case 'extract':
+                return Object.fromEntries(Object.entries(step.extract).map(([name, pathExpr]) => [stripKeyword(name), readPath(payload, pathExpr)]));
+            case 'rename':
+                Object.entries(step.rename).forEach(([from, to]) => {
+                    const key = stripKeyword(from);
+                    if (!(key in out)) return;
+                    out[stripKeyword(to)] = out[key];
+                    delete out[key];
+                });
+                return out;
+            case 'scale': {
+                const n = Number(out[field]);
+                if (!Number.isFinite(n)) throw new Error(`'${field}' is not numeric`);
+                out[field] = n * (step.scale === undefined ? 1 : step.scale) + (step.offset || 0);
+                return out;
+            }
+            case 'invert':
+                out[field] = invertValue(out[field]);
+                return out;
+            case 'enum': {
+                const value = out[field];
+                const mapped = Object.prototype.hasOwnProperty.call(step.enum, String(value)) ? step.enum[String(value)] : undefined;
+                if (mapped !== undefined) out[field] = mapped;
+                else if (step.default !== undefined) out[field] = step.default;
+                return out;
+            }
+            case 'smooth': {
+                const n = Number(out[field]);
+                if (!Number.isFinite(n)) throw new Error(`'${field}' is not numeric`);
+                out[field] = this._smooth(historyKey, n, step);
+                return out;
+            }
+            default:
+                return payload;
+        }
+    }
+
+    _smooth(key, value, step) {
+        if (stripKeyword(step.smooth) === 'ema') {
+            const alpha = step.alpha === undefined ? 0.5 : step.alpha;
+            const previous = this.history.get(key);
+            const next = previous === undefined ? value : previous + alpha * (value - previous);
+            this.history.set(key, next);
+            return next;
+        }
+        const window = step.window || 5;
+        const samples = (this.history.get(key) || []).concat(value).slice(-window);
+        this.history.set(key, samples);
+        return samples.reduce((sum, n) => sum + n, 0) / samples.length;
+    }
+}
+
+module.exports = {
+    InputTransformer,
+    validateTransforms
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEADERBOARD_VERSION = 1;
+
+function startOfDay(ts) {
+    const d = new Date(ts);
+    d.setHours(0, 0, 0, 0);
+    return d.getTime();
+}
+
+// Weeks start on Monday, local time.
+function startOfWeek(ts) {
+    const d = new Date(startOfDay(ts));
+    const daysSinceMonday = (d.getDay() + 6) % 7;
+    d.setDate(d.getDate() - daysSinceMonday);
+    return d.getTime();
+}
+
+function modesOf(entries) {
+    return [...new Set(entries.map(entry => entry.mode))];
+}
+
+function rank(entries, size) {
+    return entries
+        .slice()
+        .sort((a, b) => (b.score - a.score) || (a.at - b.at))
+        .slice(0, size)
+        .map(entry => ({ ...entry, at: new Date(entry.at).toISOString() }));
+}
+
+/**
+ * Local per-mode leaderboard of final scores (daily, weekly and all-time).
+ *
+ * Entries older than the current week are dropped unless they are still in
+ * their mode's all-time top `keep`, so the file stays small over years of play.
+ */
+class Leaderboard {
+    constructor({ filePath, logger, keep = 100, now = () => Date.now() } = {}) {
+        if (!filePath) throw new Error('Leaderboard requires filePath');
+        this.filePath = path.resolve(filePath);
+        this.log = logger || console;
+        this.keep = keep;
+        this.now = now;
+        this._entries = null;
+    }
+
+    entries() {
+        if (this._entries) return this._entries;
+        this._entries = [];
+        if (!fs.existsSync(this.filePath)) return this._entries;
+        try {
+            const record = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (record && record.version === LEADERBOARD_VERSION && Array.isArray(record.entries)) {
+                this._entries = record.entries;
+            } else {
+                this.log.warn(`[leaderboard] Ignoring ${this.filePath}: unsupported version`);
+            }
+        } catch (err) {
+            this.log.warn(`[leaderboard] Ignoring unreadable ${this.filePath}: ${err.message}`);
+        }
+        return this._entries;
+    }
+
+    modes() {
+        return modesOf(this.entries());
+    }
+
+    /**
+     * Add a finished game and persist the file.
+     * @param {{ mode: string, score: number, outcome: string, remaining?: number, hints?: number }} entry
+     */
+    record(entry) {
+        const at = this.now();
+        const weekStart = startOfWeek(at);
+        const added = { ...entry, at };
+        const entries = [...this.entries(), added];
+
+        const topScores = new Set();
+        modesOf(entries).forEach((mode) => {
+            entries
+                .filter(e => e.mode === mode)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, this.keep)
+                .forEach(e => topScores.add(e));
+        });
+        this._entries = entries.filter(e => e.at >= weekStart || topScores.has(e));
+        this._save();
+        return added;
+    }
+
+    /**
+     * Ranked boards for one mode, as published on the retained leaderboard topic.
+     */
+    standings(mode, size = 10) {
+        const now = this.now();
+        const dayStart = startOfDay(now);
+        const weekStart = startOfWeek(now);
+        const forMode = this.entries().filter(entry => entry.mode === mode);
+        return {
+            mode,
+            updatedAt: new Date(now).toISOString(),
+            daily: rank(forMode.filter(entry => entry.at >= dayStart), size),
+            weekly: rank(forMode.filter(entry => entry.at >= weekStart), size),
+            allTime: rank(forMode, size)
+        };
+    }
+
+    _save() {
+        const dir = path.dirname(this.filePath);
+        const tmpPath = path.join(dir, `.${path.basename(this.filePath)}.${process.pid}.tmp`);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify({ version: LEADERBOARD_VERSION, entries: this._entries }));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = { Leaderboard };
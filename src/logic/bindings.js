@@ -249,21 +249,76 @@ function extractBindingValue(binding, payload, sourceDef, nodeDef) {
   return applyPolarity(coerced, resolveActiveLow(binding, nodeDef, sourceDef));
 }
 
-function extractSignalName(payload, sourceDef, binding) {
+function extractSignalName(payload, sourceDef, binding, topicVars = {}) {
   const signalKey = (binding && binding.signalKey)
     || normalizeName(getField(sourceDef || {}, 'signal-key', 'signalKey'))
     || 'pin';
+  // :signal-key "topic.1" names the signal after a wildcard level of the topic.
+  if (signalKey.startsWith('topic.')) {
+    return topicVars[signalKey] === undefined ? null : topicVars[signalKey];
+  }
   const raw = payloadField(payload, signalKey);
   return raw === undefined || raw === null ? null : asString(raw);
 }
 
+/**
+ * MQTT topic filters. `+` matches one level and `#` (last level only) the rest.
+ * Returns the wildcard captures in order, [] for an exact match, or null.
+ */
+function matchTopic(filter, topic) {
+  if (typeof filter !== 'string' || typeof topic !== 'string') return null;
+  if (filter === topic) return [];
+  if (!filter.includes('+') && !filter.includes('#')) return null;
+  const want = filter.split('/');
+  const got = topic.split('/');
+  const captures = [];
+  for (let i = 0; i < want.length; i += 1) {
+    if (want[i] === '#') {
+      captures.push(got.slice(i).join('/'));
+      return captures;
+    }
+    if (i >= got.length) return null;
+    if (want[i] === '+') captures.push(got[i]);
+    else if (want[i] !== got[i]) return null;
+  }
+  return want.length === got.length ? captures : null;
+}
+
+function validateTopicFilter(filter) {
+  const levels = String(filter).split('/');
+  for (let i = 0; i < levels.length; i += 1) {
+    const level = levels[i];
+    if (level.includes('#') && (level !== '#' || i !== levels.length - 1)) {
+      return `'#' must be the whole last level of '${filter}'`;
+    }
+    if (level.includes('+') && level !== '+') {
+      return `'+' must be a whole level of '${filter}'`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Template variables for a message matched by a topic filter:
+ * {{topic}} is the full topic and {{topic.1}}, {{topic.2}}... the wildcard captures.
+ */
+function topicVariables(filter, topic) {
+  const captures = matchTopic(filter, topic);
+  if (!captures) return {};
+  const vars = { topic };
+  captures.forEach((segment, index) => {
+    vars[`topic.${index + 1}`] = segment;
+  });
+  return vars;
+}
+
 function interpolate(obj, context = {}) {
   if (typeof obj === 'string') {
-    const exact = obj.match(/^\{\{(\w+)\}\}$/);
+    const exact = obj.match(/^\{\{([\w.]+)\}\}$/);
     if (exact && Object.prototype.hasOwnProperty.call(context, exact[1])) {
       return context[exact[1]];
     }
-    return obj.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    return obj.replace(/\{\{([\w.]+)\}\}/g, (match, name) => {
       if (Object.prototype.hasOwnProperty.call(context, name)) {
         return String(context[name]);
       }
@@ -316,6 +371,9 @@ module.exports = {
   extractBindingValue,
   extractSignalName,
   interpolate,
+  matchTopic,
+  validateTopicFilter,
+  topicVariables,
   isLogicSourceName,
   logicSourceNodeName,
   virtualLogicTopic
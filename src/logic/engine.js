@@ -11,7 +11,9 @@ const {
   interpolate,
   isTruthy,
   coerceValue,
-  matchesWhen
+  matchesWhen,
+  matchTopic,
+  topicVariables
 } = require('./bindings');
 const { collectNodeBindings, eventTargetsBinding } = require('./nodes');
 const { buildGraph, collectMqttTopics } = require('./graph');
@@ -124,6 +126,48 @@ class LogicEngine {
     return snapshot;
   }
 
+  /** Current output of a node, or undefined before it has evaluated. */
+  getOutput(name) {
+    return this.outputs.has(name) ? this.outputs.get(name) : undefined;
+  }
+
+  /**
+   * Serializable runtime state (values, outputs, per-node state, latches and
+   * operator overrides) for crash recovery. Restore with importState().
+   */
+  exportState() {
+    return {
+      values: [...this.values.entries()],
+      outputs: [...this.outputs.entries()],
+      nodeState: [...this.nodeState.entries()].map(([name, state]) => [name, cloneState(state)]),
+      latched: [...this.latched],
+      operatorDisabled: [...this.operatorDisabled],
+      operatorBypassed: [...this.operatorBypassed],
+      gateState: [...this.gateState.entries()].map(([name, gs]) => [name, { ...gs }]),
+      gameplayStartedAt: this.gameplayStartedAt
+    };
+  }
+
+  importState(data) {
+    if (!data || typeof data !== 'object') return false;
+    const known = (name) => this.graph.nodes.has(name);
+    const entries = (list) => (Array.isArray(list) ? list.filter((e) => Array.isArray(e) && e.length === 2) : []);
+
+    this.values = new Map(entries(data.values));
+    entries(data.outputs).forEach(([name, output]) => {
+      if (known(name)) this.outputs.set(name, output);
+    });
+    entries(data.nodeState).forEach(([name, state]) => {
+      if (known(name)) this.nodeState.set(name, cloneState(state));
+    });
+    this.latched = new Set((data.latched || []).filter(known));
+    this.operatorDisabled = new Set((data.operatorDisabled || []).filter(known));
+    this.operatorBypassed = new Set((data.operatorBypassed || []).filter(known));
+    this.gateState = new Map(entries(data.gateState).filter(([name]) => known(name)));
+    this.gameplayStartedAt = data.gameplayStartedAt != null ? data.gameplayStartedAt : null;
+    return true;
+  }
+
   sourceDef(name) {
     return this.inputSources.get(name) || null;
   }
@@ -140,15 +184,17 @@ class LogicEngine {
   handleMessage(topic, payload) {
     const matchingSources = [];
     this.inputSources.forEach((def, name) => {
-      if (def && def.topic === topic) matchingSources.push({ name, def });
+      if (def && matchTopic(def.topic, topic)) {
+        matchingSources.push({ name, def, topicVars: topicVariables(def.topic, topic) });
+      }
     });
 
     const events = [];
     const dirty = new Set();
 
-    matchingSources.forEach(({ name, def }) => {
+    matchingSources.forEach(({ name, def, topicVars }) => {
       const defaults = this.bindingDefaultsFor(name);
-      const signal = extractSignalName(payload, def, { signalKey: defaults.signalKey });
+      const signal = extractSignalName(payload, def, { signalKey: defaults.signalKey }, topicVars);
       const defaultBinding = parseBinding({ source: name, signal, 'value-key': defaults.valueKey }, defaults);
       const defaultValue = extractBindingValue(defaultBinding, payload, def, {});
       if (signal && defaultValue !== undefined) {
@@ -176,6 +222,7 @@ class LogicEngine {
             value,
             payload,
             topic,
+            topicVars,
             ts: this.nowFn()
           });
         });
@@ -184,7 +231,7 @@ class LogicEngine {
 
     this.graph.nodes.forEach((node, nodeName) => {
       node.bindings.forEach((binding) => {
-        if (binding.kind !== 'topic' || binding.topic !== topic) return;
+        if (binding.kind !== 'topic' || !matchTopic(binding.topic, topic)) return;
         if (binding.when && !matchesWhen(payload, binding.when)) return;
         let value;
         if (binding.constValue !== undefined) {
@@ -211,6 +258,7 @@ class LogicEngine {
           value,
           payload,
           topic,
+          topicVars: topicVariables(binding.topic, topic),
           ts: this.nowFn()
         });
       });
@@ -477,7 +525,9 @@ class LogicEngine {
           value: output
         };
         changes.push(change);
-        await this._dispatch(node, change);
+        // Actions of a node fed by a wildcard topic can use {{topic.N}}.
+        const lastEvent = nodeEvents[nodeEvents.length - 1];
+        await this._dispatch(node, change, (lastEvent && lastEvent.topicVars) || {});
         this.onChange(change);
       } else {
         this.outputs.set(name, output);
@@ -506,10 +556,11 @@ class LogicEngine {
     return [change, ...downstream];
   }
 
-  async _dispatch(node, change) {
+  async _dispatch(node, change, topicVars = {}) {
     const becameTrue = !isTruthy(change.previous) && isTruthy(change.output);
     const becameFalse = isTruthy(change.previous) && !isTruthy(change.output);
     const context = {
+      ...topicVars,
       value: change.output,
       output: change.output,
       previous: change.previous,
@@ -523,6 +574,7 @@ class LogicEngine {
           await this.onAction(interpolate(action, context), {
             node: change.node,
             reason: label,
+            topicVars,
             ...context
           });
         } catch (err) {
@@ -540,7 +592,7 @@ class LogicEngine {
 function sourceUsesTopic(engine, topic) {
   let found = false;
   engine.inputSources.forEach((def) => {
-    if (def && def.topic === topic) found = true;
+    if (def && matchTopic(def.topic, topic)) found = true;
   });
   return found;
 }
@@ -1,6 +1,6 @@
 'use strict';
 
-const { getField, normalizeName } = require('./bindings');
+const { getField, normalizeName, matchTopic } = require('./bindings');
 const { getNodeType, nodeTypeName, collectNodeBindings, listNodeTypes } = require('./nodes');
 
 function nodeNamesFromConfig(logicConfig) {
@@ -206,7 +206,11 @@ function collectMqttTopics(graph, inputSources) {
     });
   });
 
-  return [...topics];
+  // Brokers may deliver a message once per matching subscription, so exact
+  // topics already covered by a wildcard filter are not subscribed twice.
+  const isFilter = (topic) => topic.includes('+') || topic.includes('#');
+  const filters = [...topics].filter(isFilter);
+  return [...topics].filter((topic) => isFilter(topic) || !filters.some((filter) => matchTopic(filter, topic)));
 }
 
 module.exports = {
@@ -107,6 +107,10 @@ class ModularConfigAdapter {
           shortLabel,
           gameLabel,
           hints: g.hints || [],
+          scoring: g.scoring || undefined,
+          'hint-budget': g['hint-budget'],
+          'hint-penalties': g['hint-penalties'] || undefined,
+          'stuck-detection': g['stuck-detection'] || undefined,
 
           // Prefer an explicit top-level schedule for the mode if present; else gameplay/game scoped schedule.
           schedule: (g.schedule) || (gameplay && gameplay.schedule) || [],
@@ -188,10 +192,17 @@ class ModularConfigAdapter {
             || trigger['when-phase']
             || null;
 
+          // Firing policy keys (see trigger-gate.js) ride along on the rule.
+          const firing = {};
+          ['cooldown-ms', 'once', 'edge', 'debounce-ms'].forEach((key) => {
+            if (definition[key] !== undefined) firing[key] = definition[key];
+          });
+
           return {
             name,
             ...(definition.description ? { description: definition.description } : {}),
             ...(whenPhase ? { whenPhase, 'when-phase': whenPhase } : {}),
+            ...firing,
             trigger,
             actions
           };
@@ -229,6 +240,8 @@ class ModularConfigAdapter {
         gameHeartbeat: settings['game-heartbeat'],
         gameHeartbeatMs: settings['game-heartbeat-ms'],
         introDebounceMs: settings['intro-debounce-ms'],
+        scheduleTickMs: settings['schedule-tick-ms'],
+        scheduleLateMs: settings['schedule-late-ms'],
         timeRemainingPretext: settings['time-remaining-pretext'],
         mqtt: { ...(modular.global.mqtt || {}), topics },
         media: Object.keys(mediaRoot).length > 0 ? {
@@ -247,6 +260,10 @@ class ModularConfigAdapter {
         'command-sequences': modular.global['command-sequences'] || {},
         inputs: inputSources,
         logic: modular.global.logic || {},
+        variables: modular.global.variables || {},
+        ...(modular.global.checklist ? { checklist: modular.global.checklist } : {}),
+        ...(modular.global.safety ? { safety: modular.global.safety } : {}),
+        ...(modular.global['custom-commands'] ? { 'custom-commands': modular.global['custom-commands'] } : {}),
         triggers: {
           escapeRoomRules: triggerRules
         }
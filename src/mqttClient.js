@@ -1,14 +1,68 @@
 const mqtt = require('mqtt');
+const crypto = require('crypto');
 const EventEmitter = require('events');
+const fs = require('fs');
 const log = require('./logger');
 
+/**
+ * Outbound policy per message class. `queue: false` drops messages published
+ * while the broker is unreachable; queued ones are replayed on reconnect
+ * unless older than `maxAgeMs`, and each class keeps at most `queueSize`
+ * (oldest dropped first).
+ */
+const DEFAULT_MESSAGE_CLASSES = {
+  command: { qos: 1, retain: false, queue: true, queueSize: 500, maxAgeMs: 60000 },
+  event: { qos: 1, retain: false, queue: true, queueSize: 200, maxAgeMs: 300000 },
+  state: { qos: 0, retain: false, queue: false, queueSize: 0, maxAgeMs: 0 },
+  default: { qos: 0, retain: false, queue: true, queueSize: 200, maxAgeMs: 300000 }
+};
+
+// Class by the topic's last level. Heartbeat state is superseded every tick, so it is not worth replaying.
+const TOPIC_CLASSES = {
+  commands: 'command',
+  events: 'event',
+  warnings: 'event',
+  replies: 'event',
+  state: 'state',
+  alive: 'state',
+  heartbeat: 'state'
+};
+
+function messageClassFor(topic) {
+  const last = String(topic || '').split('/').pop();
+  return TOPIC_CLASSES[last] || 'default';
+}
+
 class MqttClient extends EventEmitter {
+  /**
+   * @param {string} brokerUrl
+   * @param {object} options mqtt.js connect options, plus:
+   *   - `statusTopic`: when set, PxO registers a retained last-will there and
+   *     publishes `online` on connect and `offline` on disconnect, so props and
+   *     UIs can tell when it is gone.
+   *   - `messageClasses`: overrides for DEFAULT_MESSAGE_CLASSES, by class name.
+   */
   constructor(brokerUrl, options = {}) {
     super();
+    const { statusTopic, messageClasses = {}, ...connectOptions } = options;
     this.brokerUrl = brokerUrl;
-    this.options = { reconnectPeriod: 2000, ...options };
+    this.statusTopic = statusTopic || null;
+    this.messageClasses = Object.fromEntries(Object.entries(DEFAULT_MESSAGE_CLASSES)
+      .map(([name, policy]) => [name, { ...policy, ...(messageClasses[name] || {}) }]));
+    this.options = { reconnectPeriod: 2000, ...connectOptions };
+    if (this.statusTopic) {
+      this.options.will = {
+        topic: this.statusTopic,
+        payload: JSON.stringify({ status: 'offline', reason: 'connection_lost' }),
+        qos: 1,
+        retain: true
+      };
+    }
     this.client = null;
     this.subscriptions = new Set();
+    this.backlog = []; // { topic, data, options, messageClass, queuedAt }
+    this.standby = null; // Set of topics still published while in standby
+    this._backlogDropped = 0;
     this._hasConnected = false;
     this._sawDisconnect = false;
     
@@ -29,10 +83,14 @@ class MqttClient extends EventEmitter {
       log.info('MQTT connected:', this.brokerUrl);
       // resubscribe
       for (const topic of this.subscriptions) {
-        this.client.subscribe(topic, { qos: 0 }, (err) => {
+        this.client.subscribe(topic, { qos: this.policyFor(topic).qos }, (err) => {
           if (err) log.warn('Resubscribe error for', topic, err.message);
         });
       }
+      if (this.statusTopic) {
+        this.publish(this.statusTopic, { status: 'online', t: Date.now(), pid: process.pid }, { qos: 1, retain: true });
+      }
+      this._flushBacklog();
       const isReconnect = this._hasConnected && this._sawDisconnect;
       this._hasConnected = true;
       this._sawDisconnect = false;
@@ -54,7 +112,7 @@ class MqttClient extends EventEmitter {
       this.emit('mqtt-error', err);
     });
 
-    this.client.on('message', (topic, payload) => {
+    this.client.on('message', (topic, payload, packet) => {
       const str = payload ? payload.toString() : '';
       let json = null;
       try {
@@ -62,7 +120,8 @@ class MqttClient extends EventEmitter {
       } catch (e) {
         // leave as string
       }
-      this.emit('message', topic, json ?? str);
+      // The packet carries MQTT v5 properties (response topic, correlation data).
+      this.emit('message', topic, json ?? str, packet);
     });
 
     return this;
@@ -71,35 +130,178 @@ class MqttClient extends EventEmitter {
   subscribe(topic) {
     if (!this.client) throw new Error('MQTT not connected');
     this.subscriptions.add(topic);
-    this.client.subscribe(topic, { qos: 0 }, (err) => {
+    this.client.subscribe(topic, { qos: this.policyFor(topic).qos }, (err) => {
       if (err) log.error('Subscribe error for', topic, err.message);
     });
   }
 
+  unsubscribe(topic) {
+    if (!this.subscriptions.delete(topic) || !this.client) return;
+    this.client.unsubscribe(topic, (err) => {
+      if (err) log.warn('Unsubscribe error for', topic, err.message);
+    });
+  }
+
   get isConnected() {
     return this.client !== null && this.client.connected === true;
   }
 
-  disconnect() {
+  /**
+   * A clean disconnect does not fire the last-will, so the offline status is
+   * published here. The connection is ended gracefully, so messages already
+   * sent (safe-state commands from a fail-safe exit) are delivered first.
+   * The backlog is flushed if the broker is up; while it is unreachable the
+   * backlog cannot be delivered and is discarded, with the topics logged.
+   */
+  disconnect({ reason = 'shutdown' } = {}) {
     if (this.client) {
       log.info('Disconnecting MQTT client');
-      this.client.end(true); // Force disconnect
+      if (this.client.connected) {
+        this._flushBacklog();
+      } else if (this.backlog.length > 0) {
+        const topics = [...new Set(this.backlog.map(message => message.topic))];
+        log.error(`Broker unreachable; discarding ${this.backlog.length} queued MQTT message(s) on disconnect: ${topics.join(', ')}`);
+      }
+      this.backlog = [];
+      // While unreachable, the broker publishes the last-will instead.
+      if (this.statusTopic && this.client.connected) {
+        this.publish(this.statusTopic, { status: 'offline', reason, t: Date.now() }, { qos: 1, retain: true });
+      }
+      this.client.end(false);
       this.client = null;
     }
   }
 
+  /**
+   * In standby (a hot-standby follower) only `allowTopics` are published and
+   * everything else is dropped, so the instance cannot drive the room.
+   */
+  setStandby(standby, allowTopics = []) {
+    this.standby = standby ? new Set(allowTopics) : null;
+  }
+
+  /** Discard the backlog without sending it; returns how many messages were dropped. */
+  dropBacklog() {
+    const dropped = this.backlog.length;
+    this.backlog = [];
+    this._backlogDropped = 0;
+    return dropped;
+  }
+
+  /** The outbound policy for a topic, or for `messageClass` when given. */
+  policyFor(topic, messageClass = messageClassFor(topic)) {
+    return { messageClass, ...(this.messageClasses[messageClass] || this.messageClasses.default) };
+  }
+
+  /**
+   * Emits `publish` (topic, payload) for every message, even while the broker
+   * is down, so local listeners such as the HTTP API still see it.
+   *
+   * QoS and retain come from the message class unless given in `opts`;
+   * `opts.messageClass` overrides the class derived from the topic. While the
+   * broker is unreachable the message is queued or dropped by its class.
+   * @returns {boolean} false when the message was dropped
+   */
   publish(topic, payloadObj, opts = {}) {
+    if (this.standby && !this.standby.has(topic)) {
+      log.debug('Standby: not publishing', topic);
+      return false;
+    }
+    this.emit('publish', topic, payloadObj);
     if (!this.client) {
       log.debug('Skipping publish while MQTT is disconnected:', topic);
       return false;
     }
+    const { messageClass: requestedClass, ...callerOptions } = opts;
+    const policy = this.policyFor(topic, requestedClass || messageClassFor(topic));
     const data = typeof payloadObj === 'string' ? payloadObj : JSON.stringify(payloadObj);
-    const options = { qos: 0, retain: false, ...opts };
+    const options = { qos: policy.qos, retain: policy.retain, ...callerOptions };
+
+    if (!this.client.connected) {
+      return this._enqueue({ topic, data, options, messageClass: policy.messageClass, queuedAt: Date.now() }, policy);
+    }
+    this._send(topic, data, options);
+    return true;
+  }
+
+  _send(topic, data, options) {
     this.client.publish(topic, data, options, (err) => {
       if (err) log.error('Publish error to', topic, err.message);
     });
+  }
+
+  _enqueue(message, policy) {
+    if (!policy.queue || policy.queueSize <= 0) {
+      log.debug(`Dropping ${message.messageClass} message while MQTT is disconnected:`, message.topic);
+      return false;
+    }
+    const queued = this.backlog.filter(m => m.messageClass === message.messageClass);
+    if (queued.length >= policy.queueSize) {
+      this.backlog.splice(this.backlog.indexOf(queued[0]), 1);
+      this._backlogDropped += 1;
+      log.warn(`MQTT ${message.messageClass} queue full (${policy.queueSize}); dropped oldest message to`, queued[0].topic);
+    }
+    this.backlog.push(message);
     return true;
   }
+
+  /** Replay the backlog in publish order, skipping messages past their class's max age. */
+  _flushBacklog() {
+    if (this.backlog.length === 0 && this._backlogDropped === 0) return;
+    const now = Date.now();
+    const summary = { sent: 0, expired: 0, dropped: this._backlogDropped, classes: {} };
+    const backlog = this.backlog;
+    this.backlog = [];
+    this._backlogDropped = 0;
+
+    backlog.forEach((message) => {
+      const policy = this.policyFor(message.topic, message.messageClass);
+      const counts = summary.classes[message.messageClass] || (summary.classes[message.messageClass] = { sent: 0, expired: 0 });
+      if (policy.maxAgeMs > 0 && now - message.queuedAt > policy.maxAgeMs) {
+        summary.expired += 1;
+        counts.expired += 1;
+        return;
+      }
+      this._send(message.topic, message.data, message.options);
+      summary.sent += 1;
+      counts.sent += 1;
+    });
+    log.info(`MQTT backlog flushed: ${summary.sent} sent, ${summary.expired} expired, ${summary.dropped} dropped while offline`);
+    this.emit('backlog-flushed', summary);
+  }
+
+  /**
+   * mqtt.js connect options and message classes from the `[mqtt]` section of
+   * pxo.ini (as normalized by ini-config-loader). TLS files are read here, so a
+   * wrong path fails at startup.
+   */
+  static optionsFromIni(iniMqtt = {}) {
+    const options = {
+      clientId: iniMqtt.client_id || `pxo-${crypto.randomBytes(4).toString('hex')}`
+    };
+    if (iniMqtt.username) options.username = iniMqtt.username;
+    if (iniMqtt.password) options.password = iniMqtt.password;
+    if (iniMqtt.keepalive != null) options.keepalive = iniMqtt.keepalive;
+    if (iniMqtt.clean_session != null) options.clean = iniMqtt.clean_session;
+    if (iniMqtt.reconnect_period != null) options.reconnectPeriod = iniMqtt.reconnect_period;
+    if (iniMqtt.connect_timeout != null) options.connectTimeout = iniMqtt.connect_timeout;
+    if (iniMqtt.ca_file) options.ca = fs.readFileSync(iniMqtt.ca_file);
+    if (iniMqtt.cert_file) options.cert = fs.readFileSync(iniMqtt.cert_file);
+    if (iniMqtt.key_file) options.key = fs.readFileSync(iniMqtt.key_file);
+    if (iniMqtt.reject_unauthorized != null) options.rejectUnauthorized = iniMqtt.reject_unauthorized;
+
+    options.messageClasses = Object.fromEntries(Object.entries(iniMqtt.classes || {}).map(([name, policy]) => [name, {
+      ...(policy.qos != null ? { qos: policy.qos } : {}),
+      ...(policy.retain != null ? { retain: policy.retain } : {}),
+      ...(policy.queue != null ? { queue: policy.queue } : {}),
+      ...(policy.queue_size != null ? { queueSize: policy.queue_size } : {}),
+      ...(policy.max_age_sec != null ? { maxAgeMs: policy.max_age_sec * 1000 } : {})
+    }]));
+    return options;
+  }
 }
 
+MqttClient.DEFAULT_MESSAGE_CLASSES = DEFAULT_MESSAGE_CLASSES;
+MqttClient.messageClassFor = messageClassFor;
+
 module.exports = MqttClient;
@@ -0,0 +1,186 @@
+/**
+ * Operator identities, command signatures and the per-command role policy.
+ *
+ * With `[auth] enabled = true` in pxo.ini, commands from MQTT and the HTTP API
+ * must carry an `auth` block signed with the operator's secret:
+ *
+ *   {"command": "bypassPuzzle", "id": "safe",
+ *    "auth": {"operator": "dana", "ts": 1761301800000, "sig": "<hex>"}}
+ *
+ * `sig` is HMAC-SHA256 over `${operator}.${ts}.${canonical JSON of the
+ * command without auth}`, keys sorted. `signCommand` builds it.
+ *
+ * Roles are ranked viewer < gm < technician < admin; a command runs when the
+ * operator's role is at least the one it requires.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const ini = require('ini');
+
+const ROLES = ['viewer', 'gm', 'technician', 'admin'];
+const DEFAULT_COMMAND_ROLE = 'gm';
+const DEFAULT_MAX_SKEW_MS = 30000;
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+/** JSON with object keys sorted at every level, so both ends sign the same bytes. */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function signature(secret, operator, ts, command) {
+    return crypto.createHmac('sha256', String(secret))
+        .update(`${operator}.${ts}.${canonicalJson(command)}`)
+        .digest('hex');
+}
+
+function withoutAuth(payload) {
+    const { auth, ...command } = payload || {};
+    return command;
+}
+
+/** Add an `auth` block to a command payload, for UIs and tools that send commands. */
+function signCommand(payload, { operator, secret, ts = Date.now() }) {
+    const command = withoutAuth(payload);
+    return { ...command, auth: { operator, ts, sig: signature(secret, operator, ts, command) } };
+}
+
+function signaturesMatch(expected, given) {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(typeof given === 'string' ? given : '', 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Problems with operator definitions and role overrides.
+ * @returns {string[]}
+ */
+function validateOperators(operators = {}, commandRoles = {}) {
+    const problems = [];
+    Object.entries(operators).forEach(([name, def]) => {
+        if (!def || typeof def !== 'object') {
+            problems.push(`operator ${name} must be a section with role and secret`);
+            return;
+        }
+        if (!ROLES.includes(def.role)) problems.push(`operator ${name} role must be one of ${ROLES.join(', ')}`);
+        if (!def.secret || String(def.secret).length < 16) problems.push(`operator ${name} secret must be at least 16 characters`);
+    });
+    Object.entries(commandRoles).forEach(([command, role]) => {
+        if (!ROLES.includes(role)) problems.push(`auth.commands ${command} must be one of ${ROLES.join(', ')}`);
+    });
+    return problems;
+}
+
+/**
+ * Operators from `[operator.<name>]` sections in pxo.ini, plus those in the
+ * `[auth] credentials_file` (same format), which win on a name clash.
+ */
+function loadOperators(iniAuth = {}, iniOperators = {}) {
+    const operators = { ...(iniOperators || {}) };
+    if (iniAuth.credentials_file) {
+        const parsed = ini.parse(fs.readFileSync(iniAuth.credentials_file, 'utf8'));
+        Object.assign(operators, parsed.operator || {});
+    }
+    return operators;
+}
+
+class OperatorAuth {
+    /**
+     * @param {object} options
+     * @param {Object<string, { role: string, secret: string }>} options.operators
+     * @param {Object<string, string>} [options.commandRoles] role overrides by command name
+     * @param {string|null} [options.anonymousRole] role for unsigned commands; null rejects them
+     * @param {number} [options.maxSkewMs] how far `ts` may be from now
+     */
+    constructor({ operators = {}, commandRoles = {}, anonymousRole = null, maxSkewMs = DEFAULT_MAX_SKEW_MS, now = Date.now } = {}) {
+        const problems = validateOperators(operators, commandRoles);
+        if (anonymousRole && !ROLES.includes(anonymousRole)) problems.push(`anonymous_role must be one of ${ROLES.join(', ')}`);
+        if (problems.length > 0) throw new Error(problems.join('; '));
+        this.operators = operators;
+        this.commandRoles = commandRoles;
+        this.anonymousRole = anonymousRole || null;
+        this.maxSkewMs = maxSkewMs;
+        this.now = now;
+        this.seen = new Map(); // sig -> ts, to refuse replays inside the skew window
+    }
+
+    /**
+     * Check a command payload's signature and refuse replays.
+     * @returns {{ ok: true, operator: { name: string|null, role: string } } | { ok: false, error: string, operator?: string }}
+     */
+    authenticate(payload) {
+        const verified = this.verify(payload);
+        return verified.ok ? this.consume(payload, verified) : verified;
+    }
+
+    /** The signature and clock checks of authenticate(), without the replay check. */
+    verify(payload) {
+        const auth = payload && payload.auth;
+        if (!auth) {
+            return this.anonymousRole
+                ? { ok: true, operator: { name: null, role: this.anonymousRole } }
+                : { ok: false, error: 'missing_signature' };
+        }
+        const name = typeof auth.operator === 'string' ? auth.operator : null;
+        const def = name && Object.prototype.hasOwnProperty.call(this.operators, name) ? this.operators[name] : null;
+        if (!def) return { ok: false, error: 'unknown_operator', operator: name };
+
+        const ts = Number(auth.ts);
+        const now = this.now();
+        if (!Number.isFinite(ts) || Math.abs(now - ts) > this.maxSkewMs) return { ok: false, error: 'stale_signature', operator: name };
+        if (!signaturesMatch(signature(def.secret, name, auth.ts, withoutAuth(payload)), auth.sig)) {
+            return { ok: false, error: 'bad_signature', operator: name };
+        }
+        return { ok: true, operator: { name, role: def.role } };
+    }
+
+    /**
+     * Refuse a verified signature already used inside the skew window, then
+     * remember it. Unsigned (anonymous) payloads pass through.
+     */
+    consume(payload, verified) {
+        const auth = payload && payload.auth;
+        if (!auth) return verified;
+        this._prune(this.now());
+        if (this.seen.has(auth.sig)) return { ok: false, error: 'replayed_signature', operator: verified.operator.name };
+        this.seen.set(auth.sig, Number(auth.ts));
+        return verified;
+    }
+
+    /** The role a command needs: pxo.ini override, then the command's own `role`, then gm. */
+    requiredRole(command) {
+        return this.commandRoles[command.name] || command.role || DEFAULT_COMMAND_ROLE;
+    }
+
+    /** @returns {{ ok: boolean, required: string }} */
+    authorize(command, operator) {
+        const required = this.requiredRole(command);
+        const role = operator && operator.role;
+        return { ok: roleRank(role) >= roleRank(required), required };
+    }
+
+    _prune(now) {
+        for (const [sig, ts] of this.seen) {
+            if (Math.abs(now - ts) > this.maxSkewMs) this.seen.delete(sig);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_COMMAND_ROLE,
+    OperatorAuth,
+    ROLES,
+    canonicalJson,
+    loadOperators,
+    signCommand,
+    validateOperators
+};
@@ -0,0 +1,336 @@
+/**
+ * Safety interlock (`:global :safety`): fire panel contacts, panic buttons
+ * and similar inputs that bypass trigger processing entirely.
+ *
+ *   :safety {:inputs {:fire-panel {:topic "paradox/room/fire-panel" :value 1}
+ *                     :panic      {:source "panic-button" :condition {:pressed true}}}}
+ *
+ *   :zones {:front-door {:type "mqtt" :base-topic "paradox/room/front-door"
+ *                        :egress {:release {:command "unlock"}
+ *                                 :released {:locked false}
+ *                                 :verify-ms 2000 :retries 5}}}
+ *
+ * An input trips when a message on its topic matches `:condition` (trigger
+ * style) or equals `:value` (raw payloads); with neither, any message trips.
+ * Payloads are the raw ones: `:inputs` transforms are not applied.
+ *
+ * A trip latches the alarm until `clear()`. Egress zones are sent `:release`
+ * (their `:safe-state` when omitted, `:egress true` for short) and, with
+ * `:released`, must confirm on `{base-topic}/state` within `:verify-ms`; the
+ * release is re-sent up to `:retries` times, and again whenever the zone
+ * reports locked while the alarm is latched.
+ */
+const { matchTopic, validateTopicFilter } = require('./logic/bindings');
+const { matchTriggerCondition, validateTriggerCondition } = require('./trigger-conditions');
+const { validateSafeState } = require('./fail-safe');
+
+const DEFAULT_VERIFY_MS = 2000;
+const DEFAULT_RETRIES = 3;
+const INPUT_KEYS = ['label', 'topic', 'source', 'condition', 'value'];
+const EGRESS_KEYS = ['release', 'released', 'verify-ms', 'retries'];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function egressOptions(def) {
+    const egress = def && def.egress;
+    if (egress === true) return {};
+    return isPlainObject(egress) ? egress : null;
+}
+
+/**
+ * Zones marked `:egress`, with their release commands bound to the zone.
+ * @returns {Array<object>}
+ */
+function egressZones(zones = {}) {
+    return Object.entries(zones || {}).flatMap(([zone, def]) => {
+        const options = egressOptions(def);
+        if (!options) return [];
+        const release = asList(options.release !== undefined ? options.release : def['safe-state'])
+            .filter(isPlainObject)
+            .map(command => ({ ...command, zone }));
+        const baseTopic = def['base-topic'] || def.baseTopic;
+        return [{
+            zone,
+            topic: baseTopic ? `${baseTopic}/state` : null,
+            release,
+            released: options.released !== undefined ? options.released : null,
+            verifyMs: Number.isFinite(options['verify-ms']) && options['verify-ms'] > 0 ? options['verify-ms'] : DEFAULT_VERIFY_MS,
+            retries: Number.isInteger(options.retries) && options.retries >= 0 ? options.retries : DEFAULT_RETRIES
+        }];
+    });
+}
+
+function validateEgress(def, at) {
+    if (!def || def.egress === undefined || def.egress === false) return [];
+    const options = egressOptions(def);
+    if (!options) return [`${at} :egress must be true or a map`];
+    const problems = Object.keys(options).filter(key => !EGRESS_KEYS.includes(key))
+        .map(key => `${at} :egress has unknown key :${key}`);
+    if (options.release !== undefined) {
+        problems.push(...validateSafeState({ 'safe-state': options.release }, `${at} :egress`)
+            .map(problem => problem.replace(':safe-state', ':release')));
+    } else if (def['safe-state'] === undefined) {
+        problems.push(`${at} :egress needs :release, or a :safe-state to release with`);
+    }
+    problems.push(...validateTriggerCondition(options.released, `${at} :egress :released`));
+    if (options['verify-ms'] !== undefined && !(Number.isFinite(options['verify-ms']) && options['verify-ms'] > 0)) {
+        problems.push(`${at} :egress :verify-ms must be a positive number of milliseconds`);
+    }
+    if (options.retries !== undefined && !(Number.isInteger(options.retries) && options.retries >= 0)) {
+        problems.push(`${at} :egress :retries must be a non-negative integer`);
+    }
+    return problems;
+}
+
+/**
+ * Shape checks for a `:safety` block.
+ * @param {object} inputSources `:global :inputs`, for `:source` references
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateSafety(safety, inputSources = {}, at = 'safety') {
+    if (!isPlainObject(safety)) return [`${at} must be a map`];
+    if (!isPlainObject(safety.inputs) || Object.keys(safety.inputs).length === 0) {
+        return [`${at} :inputs must be a non-empty map of input id to input`];
+    }
+    return Object.entries(safety.inputs).flatMap(([id, input]) => {
+        const where = `${at}.inputs.${id}`;
+        if (!isPlainObject(input)) return [`${where} must be a map`];
+        const problems = Object.keys(input).filter(key => !INPUT_KEYS.includes(key))
+            .map(key => `${where} has unknown key :${key}`);
+        if ((input.topic === undefined) === (input.source === undefined)) {
+            problems.push(`${where} needs exactly one of :topic or :source`);
+        } else if (input.topic !== undefined) {
+            const topicProblem = typeof input.topic === 'string' && input.topic ? validateTopicFilter(input.topic) : 'topic must be a non-empty string';
+            if (topicProblem) problems.push(`${where} ${topicProblem}`);
+        } else if (!inputSources || !inputSources[input.source] || !inputSources[input.source].topic) {
+            problems.push(`${where} :source '${input.source}' is not an :inputs source with a :topic`);
+        }
+        if (input.condition !== undefined && input.value !== undefined) {
+            problems.push(`${where} takes :condition or :value, not both`);
+        }
+        problems.push(...validateTriggerCondition(input.condition, `${where}.condition`));
+        return problems;
+    });
+}
+
+class SafetyInterlock {
+    /**
+     * @param {object} config `:global :safety`
+     * @param {object} options
+     * @param {object} options.zones `:global :mqtt :zones`
+     * @param {object} [options.inputSources] `:global :inputs`
+     * @param {(action: object, label: string) => Promise<any>} options.executeAction sends release commands
+     * @param {() => void} [options.onChange] called after the latch, an input or an egress zone changes
+     * @param {(zone: object) => void} [options.onReleaseFailed]
+     */
+    constructor(config = {}, { zones, inputSources = {}, executeAction, onChange, onReleaseFailed, conditionContext, logger, now = Date.now } = {}) {
+        this.inputs = Object.entries((config && config.inputs) || {}).map(([id, def]) => ({
+            id,
+            label: def.label || id,
+            topic: def.topic || (inputSources[def.source] && inputSources[def.source].topic) || null,
+            condition: def.condition !== undefined ? def.condition : null,
+            value: def.value !== undefined ? def.value : null,
+            active: false,
+            changedAt: null
+        }));
+        this.egress = egressZones(zones).map(zone => ({ ...zone, status: 'idle', attempt: 0, waiter: null }));
+        this.executeAction = executeAction || (async () => { });
+        this.onChange = onChange || (() => { });
+        this.onReleaseFailed = onReleaseFailed || (() => { });
+        this.conditionContext = conditionContext || (() => ({}));
+        this.log = logger || console;
+        this.now = now;
+        this.alarm = null;
+        // Bumped by every release round and by clear(), so older rounds stop.
+        this._generation = 0;
+    }
+
+    topics() {
+        const topics = this.inputs.map(input => input.topic)
+            .concat(this.egress.filter(zone => zone.released !== null).map(zone => zone.topic));
+        return [...new Set(topics.filter(Boolean))];
+    }
+
+    isLatched() {
+        return this.alarm !== null;
+    }
+
+    activeInputs() {
+        return this.inputs.filter(input => input.active).map(input => input.id);
+    }
+
+    _inputTrips(input, payload) {
+        if (input.value !== null) return payload === input.value || String(payload) === String(input.value);
+        if (input.condition !== null) return isPlainObject(payload) && matchTriggerCondition(payload, input.condition, this.conditionContext());
+        return true;
+    }
+
+    /**
+     * Feed an MQTT message. Egress confirmations are handled here; inputs that
+     * have just tripped are returned for the caller to act on.
+     * @returns {Array<{ input: string, topic: string, payload: any }>}
+     */
+    noteMessage(topic, payload) {
+        let changed = false;
+        const trips = [];
+        this.inputs.forEach((input) => {
+            if (!input.topic || !matchTopic(input.topic, topic)) return;
+            const active = this._inputTrips(input, payload);
+            if (active && !input.active) trips.push({ input: input.id, topic, payload });
+            if (active !== input.active) {
+                Object.assign(input, { active, changedAt: this.now() });
+                changed = true;
+            }
+        });
+        this.egress.forEach((zone) => {
+            if (zone.released === null || zone.topic !== topic) return;
+            const released = isPlainObject(payload) && matchTriggerCondition(payload, zone.released, this.conditionContext());
+            if (zone.waiter) {
+                if (released) zone.waiter(true);
+                return;
+            }
+            if (!released && this.alarm && zone.status === 'released') {
+                this.log.warn(`[safety] Egress zone '${zone.zone}' reports locked during the alarm; releasing again`);
+                zone.status = 'relocked';
+                changed = true;
+                this._releaseZone(zone, this._generation);
+            }
+        });
+        if (changed) this.onChange();
+        return trips;
+    }
+
+    /** Latch the alarm (or add a source to a latched one). Returns true on the first trip. */
+    latch(source) {
+        const entry = { ...source, at: this.now() };
+        const first = this.alarm === null;
+        if (first) this.alarm = { since: entry.at, sources: [] };
+        this.alarm.sources.push(entry);
+        this.onChange();
+        return first;
+    }
+
+    /** Re-latch an alarm saved in a state snapshot; input states are learned again from MQTT. */
+    restore(alarm) {
+        if (!isPlainObject(alarm) || !Array.isArray(alarm.sources)) return false;
+        this.alarm = { since: Number(alarm.since) || this.now(), sources: alarm.sources.filter(isPlainObject) };
+        this.onChange();
+        return true;
+    }
+
+    /**
+     * Unlatch. Refused while an input is still active unless forced.
+     * @returns {{ ok: boolean, error?: string, active?: string[] }}
+     */
+    clear({ by = null, force = false } = {}) {
+        if (!this.alarm) return { ok: false, error: 'not_latched' };
+        const active = this.activeInputs();
+        if (active.length > 0 && !force) return { ok: false, error: 'inputs_active', active };
+        const cleared = { ...this.alarm, clearedAt: this.now(), by, forced: active.length > 0 };
+        this.alarm = null;
+        this._generation += 1;
+        this.egress.forEach((zone) => {
+            if (zone.waiter) zone.waiter(false);
+        });
+        this.onChange();
+        return { ok: true, cleared };
+    }
+
+    /**
+     * Send every egress zone its release and verify it. Starting a new round
+     * abandons the previous one. Resolves to the zones that are not confirmed
+     * released ('sent' zones have no :released to check against).
+     */
+    async releaseEgress() {
+        const generation = ++this._generation;
+        this.egress.forEach((zone) => {
+            zone.attempt = 0;
+            if (zone.waiter) zone.waiter(false);
+        });
+        const results = await Promise.all(this.egress.map(zone => this._releaseZone(zone, generation)));
+        return this.egress.filter((zone, i) => !results[i]).map(zone => zone.zone);
+    }
+
+    async _releaseZone(zone, generation) {
+        const attempts = zone.released === null ? 1 : zone.retries + 1;
+        for (let attempt = 1; attempt <= attempts; attempt += 1) {
+            if (generation !== this._generation) return false;
+            Object.assign(zone, { status: 'releasing', attempt });
+            this.onChange();
+            const verified = zone.released === null ? null : this._awaitReleased(zone);
+            for (const action of zone.release) {
+                try {
+                    await this.executeAction(action, `safety:egress:${zone.zone}`);
+                } catch (e) {
+                    this.log.error(`[safety] Release of egress zone '${zone.zone}' failed to send: ${e.message}`);
+                }
+            }
+            if (verified === null) {
+                if (generation !== this._generation) return false;
+                zone.status = 'sent';
+                this.onChange();
+                return false;
+            }
+            if (await verified) {
+                if (generation !== this._generation) return false;
+                zone.status = 'released';
+                this.onChange();
+                return true;
+            }
+        }
+        if (generation !== this._generation) return false;
+        zone.status = 'failed';
+        this.log.error(`[safety] Egress zone '${zone.zone}' did not confirm release after ${zone.attempt} attempt(s)`);
+        this.onReleaseFailed(zone);
+        this.onChange();
+        return false;
+    }
+
+    _awaitReleased(zone) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => settle(false), zone.verifyMs);
+            if (timer && typeof timer.unref === 'function') timer.unref();
+            const settle = (ok) => {
+                clearTimeout(timer);
+                if (zone.waiter === settle) zone.waiter = null;
+                resolve(ok);
+            };
+            zone.waiter = settle;
+        });
+    }
+
+    /** Payload for the retained `{game-topic}/safety` topic. */
+    snapshot() {
+        return {
+            t: this.now(),
+            status: this.alarm ? 'alarm' : 'clear',
+            since: this.alarm ? this.alarm.since : null,
+            sources: this.alarm ? this.alarm.sources.map(({ input, topic, at }) => ({ input, topic, at })) : [],
+            inputs: Object.fromEntries(this.inputs.map(input => [input.id, {
+                label: input.label,
+                topic: input.topic,
+                active: input.active,
+                changedAt: input.changedAt
+            }])),
+            egress: Object.fromEntries(this.egress.map(zone => [zone.zone, {
+                status: zone.status,
+                attempt: zone.attempt,
+                verified: zone.released !== null
+            }]))
+        };
+    }
+}
+
+module.exports = {
+    SafetyInterlock,
+    egressZones,
+    validateEgress,
+    validateSafety
+};
@@ -0,0 +1,125 @@
+/**
+ * Score formula for a game mode's `:scoring` block.
+ *
+ *   :scoring {:base 1000
+ *             :per-second 2                       ; per second remaining at solve
+ *             :hints {:text 25 :video 100 :default 50}  ; deducted per hint used
+ *             :logic {:time-bonus 1 :puzzle-sum 10}     ; node output x weight
+ *             :fail-score 0                       ; optional fixed score for failed games
+ *             :min 0 :max 5000
+ *             :leaderboard {:size 10 :include-failed false}}
+ *
+ * Operator adjustments (`adjustScore`) are added last, before clamping.
+ */
+const DEFAULT_LEADERBOARD_SIZE = 10;
+
+function stripKeyword(value) {
+    return typeof value === 'string' ? value.replace(/^:/, '') : value;
+}
+
+function toNumber(value, fallback = 0) {
+    const n = Number(value);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+// Logic outputs: numbers count as-is, booleans as 1/0, anything else as 0.
+function logicValue(output) {
+    if (typeof output === 'boolean') return output ? 1 : 0;
+    return toNumber(output, 0);
+}
+
+function hintWeights(scoring) {
+    const weights = new Map();
+    Object.entries(scoring.hints || {}).forEach(([type, points]) => {
+        weights.set(String(stripKeyword(type)).toLowerCase(), toNumber(points));
+    });
+    return weights;
+}
+
+/**
+ * @param {object} scoring the mode's :scoring map
+ * @param {{ outcome: string, remainingSec?: number, hints?: Array<{type: string}>,
+ *           logic?: (node: string) => any, adjustments?: Array<{delta: number}> }} inputs
+ * @returns {{ score: number, outcome: string, breakdown: object }}
+ */
+function computeScore(scoring, { outcome, remainingSec = 0, hints = [], logic, adjustments = [] } = {}) {
+    const won = outcome === 'win';
+    const weights = hintWeights(scoring);
+    const defaultHintWeight = weights.has('default') ? weights.get('default') : 0;
+
+    const breakdown = {
+        base: toNumber(scoring.base),
+        time: won ? Math.max(0, toNumber(remainingSec)) * toNumber(scoring['per-second']) : 0,
+        hints: -hints.reduce((sum, hint) => {
+            const type = String(hint.type || 'text').toLowerCase();
+            return sum + (weights.has(type) ? weights.get(type) : defaultHintWeight);
+        }, 0),
+        logic: Object.entries(scoring.logic || {}).reduce((sum, [node, weight]) => {
+            const output = typeof logic === 'function' ? logic(String(stripKeyword(node))) : undefined;
+            return sum + logicValue(output) * toNumber(weight, 1);
+        }, 0),
+        adjustments: adjustments.reduce((sum, adj) => sum + toNumber(adj.delta), 0)
+    };
+
+    let score = (!won && scoring['fail-score'] !== undefined)
+        ? toNumber(scoring['fail-score'])
+        : breakdown.base + breakdown.time + breakdown.hints + breakdown.logic + breakdown.adjustments;
+    score = Math.max(toNumber(scoring.min, 0), score);
+    if (scoring.max !== undefined) score = Math.min(toNumber(scoring.max), score);
+
+    return { score: Math.round(score), outcome, breakdown };
+}
+
+function leaderboardOptions(scoring) {
+    const opts = (scoring && scoring.leaderboard) || {};
+    const size = Number(opts.size);
+    return {
+        size: Number.isInteger(size) && size > 0 ? size : DEFAULT_LEADERBOARD_SIZE,
+        includeFailed: opts['include-failed'] === true
+    };
+}
+
+/**
+ * Static shape check for config validation.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateScoring(scoring, path = 'scoring') {
+    if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) {
+        return [`${path} must be a map`];
+    }
+    const problems = [];
+    ['base', 'per-second', 'fail-score', 'min', 'max'].forEach((key) => {
+        if (scoring[key] !== undefined && typeof scoring[key] !== 'number') {
+            problems.push(`${path}.${key} must be a number`);
+        }
+    });
+    ['hints', 'logic'].forEach((key) => {
+        const weights = scoring[key];
+        if (weights === undefined) return;
+        if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+            problems.push(`${path}.${key} must be a map of weights`);
+            return;
+        }
+        Object.entries(weights).forEach(([name, weight]) => {
+            if (typeof weight !== 'number') problems.push(`${path}.${key}.${name} must be a number`);
+        });
+    });
+    if (typeof scoring.min === 'number' && typeof scoring.max === 'number' && scoring.min > scoring.max) {
+        problems.push(`${path}.min must not exceed :max`);
+    }
+    const board = scoring.leaderboard;
+    if (board !== undefined) {
+        if (!board || typeof board !== 'object' || Array.isArray(board)) {
+            problems.push(`${path}.leaderboard must be a map`);
+        } else if (board.size !== undefined && (!Number.isInteger(board.size) || board.size < 1)) {
+            problems.push(`${path}.leaderboard.size must be a positive integer`);
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    computeScore,
+    leaderboardOptions,
+    validateScoring
+};
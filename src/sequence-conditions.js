@@ -0,0 +1,112 @@
+/**
+ * Condition maps used by control-flow sequence steps (`:if`, `:repeat :until`).
+ *
+ *   {:logic "breaker"}                      logic node output is truthy
+ *   {:logic "counter" :gte 3}               logic node output compared
+ *   {:state "gameplay"} / {:state [...]}    current game state is one of
+ *   {:var "hintText" :equals "..."}         sequence/runtime variable compared
+ *   {:all [...]} {:any [...]} {:not {...}}  combinators
+ *
+ * Comparators: :equals, :not-equals, :in, :gt, :gte, :lt, :lte. Without a
+ * comparator, :logic and :var test truthiness.
+ */
+const SUBJECT_KEYS = ['logic', 'state', 'var'];
+const COMBINATOR_KEYS = ['all', 'any', 'not'];
+const COMPARATOR_KEYS = ['equals', 'not-equals', 'in', 'gt', 'gte', 'lt', 'lte'];
+
+function stripKeyword(value) {
+    return typeof value === 'string' ? value.replace(/^:/, '') : value;
+}
+
+function compare(actual, condition) {
+    const comparators = COMPARATOR_KEYS.filter((key) => condition[key] !== undefined);
+    if (comparators.length === 0) return Boolean(actual);
+
+    return comparators.every((key) => {
+        const expected = condition[key];
+        switch (key) {
+            case 'equals': return stripKeyword(actual) === stripKeyword(expected);
+            case 'not-equals': return stripKeyword(actual) !== stripKeyword(expected);
+            case 'in': return Array.isArray(expected) && expected.map(stripKeyword).includes(stripKeyword(actual));
+            case 'gt': return Number(actual) > Number(expected);
+            case 'gte': return Number(actual) >= Number(expected);
+            case 'lt': return Number(actual) < Number(expected);
+            case 'lte': return Number(actual) <= Number(expected);
+            default: return false;
+        }
+    });
+}
+
+/**
+ * Evaluate a condition map.
+ * @param {object|boolean} condition
+ * @param {{ state?: string, logic?: (node: string) => any, variable?: (name: string) => any }} scope
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, scope = {}) {
+    if (typeof condition === 'boolean') return condition;
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        throw new Error(`Invalid condition: ${JSON.stringify(condition)}`);
+    }
+
+    if (condition.all !== undefined) return (condition.all || []).every((c) => evaluateCondition(c, scope));
+    if (condition.any !== undefined) return (condition.any || []).some((c) => evaluateCondition(c, scope));
+    if (condition.not !== undefined) return !evaluateCondition(condition.not, scope);
+
+    if (condition.state !== undefined) {
+        const expected = Array.isArray(condition.state) ? condition.state : [condition.state];
+        return expected.map(stripKeyword).includes(stripKeyword(scope.state));
+    }
+    if (condition.logic !== undefined) {
+        const output = typeof scope.logic === 'function' ? scope.logic(stripKeyword(condition.logic)) : undefined;
+        return compare(output, condition);
+    }
+    if (condition.var !== undefined) {
+        const value = typeof scope.variable === 'function' ? scope.variable(stripKeyword(condition.var)) : undefined;
+        return compare(value, condition);
+    }
+
+    throw new Error(`Condition needs one of ${[...SUBJECT_KEYS, ...COMBINATOR_KEYS].join(', ')}`);
+}
+
+/**
+ * Static shape check for config validation.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateCondition(condition, path = 'condition') {
+    if (typeof condition === 'boolean') return [];
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        return [`${path} must be a condition map`];
+    }
+
+    const heads = [...SUBJECT_KEYS, ...COMBINATOR_KEYS].filter((key) => condition[key] !== undefined);
+    if (heads.length !== 1) {
+        return [`${path} must have exactly one of ${[...SUBJECT_KEYS, ...COMBINATOR_KEYS].join(', ')}`];
+    }
+
+    const [head] = heads;
+    if (head === 'all' || head === 'any') {
+        if (!Array.isArray(condition[head])) return [`${path}.${head} must be a vector of conditions`];
+        return condition[head].flatMap((c, i) => validateCondition(c, `${path}.${head}[${i}]`));
+    }
+    if (head === 'not') return validateCondition(condition.not, `${path}.not`);
+
+    const problems = [];
+    if (head !== 'state' && typeof condition[head] !== 'string') {
+        problems.push(`${path}.${head} must name a ${head === 'logic' ? 'logic node' : 'variable'}`);
+    }
+    if (condition.in !== undefined && !Array.isArray(condition.in)) {
+        problems.push(`${path}.in must be a vector`);
+    }
+    ['gt', 'gte', 'lt', 'lte'].forEach((key) => {
+        if (condition[key] !== undefined && typeof condition[key] !== 'number') {
+            problems.push(`${path}.${key} must be a number`);
+        }
+    });
+    return problems;
+}
+
+module.exports = {
+    evaluateCondition,
+    validateCondition
+};
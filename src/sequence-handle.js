@@ -0,0 +1,117 @@
+/**
+ * Control handle for one running sequence.
+ *
+ * Every wait a sequence performs goes through its handle so the remaining
+ * time can be frozen on pause and continued on resume. Cancelling rejects the
+ * pending wait (and any later checkpoint) with SequenceCancelledError, which
+ * the SequenceRunner turns into a `sequence_cancelled` result.
+ */
+class SequenceCancelledError extends Error {
+    constructor(sequenceName, reason = 'cancelled') {
+        super(`Sequence '${sequenceName}' cancelled (${reason})`);
+        this.name = 'SequenceCancelledError';
+        this.sequence = sequenceName;
+        this.reason = reason;
+    }
+}
+
+class SequenceHandle {
+    constructor({ id, name, parentId = null, onStateChange } = {}) {
+        this.id = id;
+        this.name = name;
+        this.parentId = parentId;
+        this.state = 'running'; // running | paused | cancelled | done
+        this.startedAt = Date.now();
+        this.cancelReason = null;
+        this._onStateChange = typeof onStateChange === 'function' ? onStateChange : () => { };
+        this._wait = null;
+        this._resumeWaiters = [];
+    }
+
+    get paused() { return this.state === 'paused'; }
+
+    get cancelled() { return this.state === 'cancelled'; }
+
+    /**
+     * Pausable, cancellable replacement for setTimeout-based waits.
+     */
+    wait(ms) {
+        if (this.cancelled) return Promise.reject(new SequenceCancelledError(this.name, this.cancelReason));
+        return new Promise((resolve, reject) => {
+            this._wait = { remainingMs: Math.max(0, Number(ms) || 0), resolve, reject, timer: null, armedAt: 0 };
+            if (!this.paused) this._armWait();
+        });
+    }
+
+    /**
+     * Called between steps: throws once cancelled and blocks while paused.
+     */
+    async checkpoint() {
+        if (this.cancelled) throw new SequenceCancelledError(this.name, this.cancelReason);
+        if (!this.paused) return;
+        await new Promise((resolve, reject) => this._resumeWaiters.push({ resolve, reject }));
+    }
+
+    remainingWaitMs() {
+        const w = this._wait;
+        if (!w) return 0;
+        if (!w.timer) return w.remainingMs;
+        return Math.max(0, w.remainingMs - (Date.now() - w.armedAt));
+    }
+
+    pause(reason = 'paused') {
+        if (this.state !== 'running') return false;
+        this.state = 'paused';
+        const w = this._wait;
+        if (w && w.timer) {
+            clearTimeout(w.timer);
+            w.remainingMs = Math.max(0, w.remainingMs - (Date.now() - w.armedAt));
+            w.timer = null;
+        }
+        this._onStateChange('paused', this, reason);
+        return true;
+    }
+
+    resume(reason = 'resumed') {
+        if (this.state !== 'paused') return false;
+        this.state = 'running';
+        if (this._wait && !this._wait.timer) this._armWait();
+        this._resumeWaiters.splice(0).forEach(({ resolve }) => resolve());
+        this._onStateChange('resumed', this, reason);
+        return true;
+    }
+
+    cancel(reason = 'cancelled') {
+        if (this.state === 'cancelled' || this.state === 'done') return false;
+        this.state = 'cancelled';
+        this.cancelReason = reason;
+        const error = new SequenceCancelledError(this.name, reason);
+        const w = this._wait;
+        this._wait = null;
+        if (w) {
+            if (w.timer) clearTimeout(w.timer);
+            w.reject(error);
+        }
+        this._resumeWaiters.splice(0).forEach(({ reject }) => reject(error));
+        this._onStateChange('cancelled', this, reason);
+        return true;
+    }
+
+    finish() {
+        if (this.state === 'running' || this.state === 'paused') this.state = 'done';
+    }
+
+    _armWait() {
+        const w = this._wait;
+        w.armedAt = Date.now();
+        w.timer = setTimeout(() => {
+            if (this._wait === w) this._wait = null;
+            w.resolve();
+        }, w.remainingMs);
+    }
+}
+
+module.exports = {
+    SequenceHandle,
+    SequenceCancelledError
+};
@@ -5,6 +5,67 @@ const {
     stopAllAcrossZones,
     VERIFY_MEDIA_TIMEOUT_MS,
 } = require('./engineUtils');
+const { SequenceHandle, SequenceCancelledError } = require('./sequence-handle');
+const { evaluateCondition } = require('./sequence-conditions');
+const { isLogicSourceName, logicSourceNodeName, matchTopic } = require('./logic/bindings');
+const { isVariableAction } = require('./variables');
+const { buildInputSourceMap } = require('./input-sources');
+const { InputTransformer } = require('./input-transforms');
+const { matchTriggerCondition, triggerConditionContext } = require('./trigger-conditions');
+
+const CONTROL_FLOW_KEYS = ['if', 'repeat', 'parallel', 'race', 'wait-for'];
+const DEFAULT_REPEAT_MAX = 100;
+const WAIT_FOR_POLL_MS = 100;
+const STEP_POLICY_KEYS = ['retry', 'on-error'];
+// Cancellations that must leave the room as the stop put it: no :finally.
+const SAFETY_CANCEL_REASONS = ['emergency_stop', 'safety_alarm'];
+
+// Thrown once an aborting :on-error policy has handled a step failure, so the
+// enclosing steps unwind without applying their own policy a second time.
+class SequenceStepFailedError extends Error {
+    constructor(cause, failure) {
+        super(cause.message);
+        this.name = 'SequenceStepFailedError';
+        this.failure = failure;
+    }
+}
+
+function stripKeyword(value) {
+    return typeof value === 'string' ? value.replace(/^:/, '') : value;
+}
+
+// :retry 2 or {:count 2 :delay 0.5}; delay is in seconds like :wait.
+function normalizeRetry(retry) {
+    if (typeof retry === 'number') return { count: Math.max(0, Math.floor(retry)), delay: 0 };
+    if (retry && typeof retry === 'object') {
+        return {
+            count: Math.max(0, Math.floor(Number(retry.count) || 0)),
+            delay: Math.max(0, Number(retry.delay) || 0)
+        };
+    }
+    return { count: 0, delay: 0 };
+}
+
+// :continue, :abort or {:fire <name> :then :continue|:abort}; anything else aborts.
+function normalizeErrorPolicy(policy) {
+    if (policy && typeof policy === 'object' && policy.fire) {
+        return { action: 'fire', fire: policy.fire, then: stripKeyword(policy.then) === 'continue' ? 'continue' : 'abort' };
+    }
+    return { action: stripKeyword(policy) === 'continue' ? 'continue' : 'abort' };
+}
+
+// With no policy configured, a failed zone command or :fire target is logged
+// and skipped as it always was; any other failure is a config error and aborts.
+function defaultErrorPolicy(step) {
+    const lenient = Boolean(step && (step.zone || step.zones || step.fire !== undefined));
+    return { action: lenient ? 'continue' : 'abort' };
+}
+
+function describeStepAction(step) {
+    if (!step || typeof step !== 'object') return undefined;
+    if (step.command) return step.command;
+    return ['fire', 'wait', ...CONTROL_FLOW_KEYS].find(key => step[key] !== undefined);
+}
 
 /**
  * Sequence Runner (Phase 1 - PR_MQTT_PURGE)
@@ -27,24 +88,83 @@ class SequenceRunner {
         // Cache events topic (may not exist early; recompute lazily if missing)
         this._eventsTopic = cfg.global?.mqtt?.['game-topic'] ? `${cfg.global.mqtt['game-topic']}/events` : null;
         this._commandsTopic = cfg.global?.mqtt?.['game-topic'] ? `${cfg.global.mqtt['game-topic']}/commands` : null;
+        // Handles for every in-flight sequence run (nested runs get their own handle)
+        this._handles = new Map();
+        this._nextHandleId = 0;
+        // :wait-for bookkeeping: input sources (built on first use), one
+        // transformer per source, and topics subscribed only for a wait.
+        this._inputSources = null;
+        this._waitTransformers = new Map();
+        this._waitTopics = new Map();
+    }
+
+    _beginHandle(name, context = {}) {
+        const handle = new SequenceHandle({
+            id: ++this._nextHandleId,
+            name,
+            parentId: context._handle ? context._handle.id : null,
+            onStateChange: (transition, h, reason) => {
+                const data = { id: h.id, name: h.name, reason };
+                if (transition === 'paused') data.remainingWaitMs = h.remainingWaitMs();
+                log.info(`SequenceRunner: ${h.name} #${h.id} ${transition} (${reason})`);
+                this.publishEvent(`sequence_${transition}`, data);
+            }
+        });
+        this._handles.set(handle.id, handle);
+        return handle;
+    }
+
+    _endHandle(handle) {
+        handle.finish();
+        this._handles.delete(handle.id);
+    }
+
+    getActiveSequences() {
+        return [...this._handles.values()];
+    }
+
+    pauseAll(reason = 'game_paused') {
+        return this.getActiveSequences().filter(h => h.pause(reason)).length;
+    }
+
+    resumeAll(reason = 'game_resumed') {
+        return this.getActiveSequences().filter(h => h.resume(reason)).length;
+    }
+
+    cancelAll(reason = 'cancelled') {
+        return this.getActiveSequences().filter(h => h.cancel(reason)).length;
+    }
+
+    _cancelWithChildren(handle, reason) {
+        handle.cancel(reason);
+        this.getActiveSequences()
+            .filter(h => h.parentId === handle.id)
+            .forEach(child => this._cancelWithChildren(child, reason));
     }
 
     // Resolve template variables in strings and objects
-    // Supports {{variableName}} syntax for variable substitution
+    // Supports {{variableName}} syntax for variable substitution; names missing
+    // from the context fall back to the state machine's runtime variables.
     resolveVariables(obj, context = {}) {
         if (typeof obj === 'string') {
-            const exactToken = obj.match(/^\{\{(\w+)\}\}$/);
+            const exactToken = obj.match(/^\{\{([\w.-]+)\}\}$/);
             if (exactToken) {
                 const varName = exactToken[1];
                 if (Object.prototype.hasOwnProperty.call(context, varName)) {
                     return context[varName];
                 }
+                if (this._hasRuntimeVariable(varName)) {
+                    return this.stateMachine.variables.get(varName);
+                }
             }
             // Replace all {{variableName}} patterns with context values
-            return obj.replace(/\{\{(\w+)\}\}/g, (match, varName) => {
+            return obj.replace(/\{\{([\w.-]+)\}\}/g, (match, varName) => {
                 if (Object.prototype.hasOwnProperty.call(context, varName)) {
                     return String(context[varName]);
                 }
+                if (this._hasRuntimeVariable(varName)) {
+                    return String(this.stateMachine.variables.get(varName));
+                }
                 // If variable not found, leave placeholder as-is
                 log.debug(`Variable not found in context: ${varName}`);
                 return match;
@@ -69,6 +189,11 @@ class SequenceRunner {
         return obj;
     }
 
+    _hasRuntimeVariable(name) {
+        const variables = this.stateMachine && this.stateMachine.variables;
+        return Boolean(variables && variables.has(name));
+    }
+
     getSequenceLookupNames(name) {
         if (!name) {
             return {
@@ -180,7 +305,15 @@ class SequenceRunner {
         }
 
         const newStack = [...stack, name];
-        const newContext = { ...context, _stack: newStack };
+        const handle = this._beginHandle(name, context);
+        const failures = [];
+        const newContext = {
+            ...context,
+            _stack: newStack,
+            _handle: handle,
+            _onError: seqDef && !Array.isArray(seqDef) ? seqDef['on-error'] : undefined,
+            _failures: failures
+        };
 
         try {
             if (Array.isArray(seqDef)) {
@@ -196,11 +329,21 @@ class SequenceRunner {
                 throw new Error(`Invalid sequence format for '${name}'`);
             }
 
-            return { ok: true };
+            return failures.length > 0 ? { ok: true, errors: failures } : { ok: true };
 
         } catch (error) {
+            if (error instanceof SequenceCancelledError) {
+                return { ok: false, error: 'sequence_cancelled', reason: error.reason };
+            }
             log.error(`SequenceRunner: error in sequence '${name}': ${error.message}`);
+            if (error instanceof SequenceStepFailedError) {
+                const { step, policy, handler } = error.failure;
+                return { ok: false, error: error.message, step, policy, handler };
+            }
             return { ok: false, error: error.message };
+        } finally {
+            this._endHandle(handle);
+            await this._runFinallySteps(name, seqDef, { ...context, _stack: newStack }, handle.cancelReason);
         }
     }
 
@@ -208,7 +351,88 @@ class SequenceRunner {
     async executeSequenceSteps(steps, context) {
         for (let i = 0; i < steps.length; i++) {
             const step = steps[i];
-            await this.executeSequenceStep(step, context, i);
+            if (context && context._handle) await context._handle.checkpoint();
+            await this._runStepWithPolicy(step, context, i);
+        }
+    }
+
+    /**
+     * Run one step under its :retry and :on-error policy. Resolves with the
+     * failure record when the policy carries on past a failed step (null when
+     * the step succeeded) and throws SequenceStepFailedError when it aborts.
+     * Cancellation is never retried or handled.
+     */
+    async _runStepWithPolicy(step, context, index, name = context && context._handle ? context._handle.name : 'inline') {
+        const retry = normalizeRetry(step && step.retry);
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.executeSequenceStep(step, context, index);
+                return null;
+            } catch (error) {
+                if (error instanceof SequenceCancelledError || error instanceof SequenceStepFailedError) throw error;
+                if (attempt > retry.count) {
+                    return await this._applyErrorPolicy(error, step, context, index, name, attempt);
+                }
+                log.warn(`SequenceRunner: step ${index} in ${name} failed (attempt ${attempt}/${retry.count + 1}), retrying: ${error.message}`);
+                this.publishEvent('sequence_step_retry', { name, step: index, attempt, retries: retry.count, error: error.message });
+                await this.waitSeconds(retry.delay, context && context._handle);
+            }
+        }
+    }
+
+    // Step :on-error wins over the sequence :on-error, then :sequence-on-error in settings.
+    async _applyErrorPolicy(error, step, context, index, name, attempts) {
+        const configured = [
+            step && step['on-error'],
+            context && context._onError,
+            this.cfg.global?.settings?.['sequence-on-error']
+        ].find(value => value !== undefined && value !== null);
+        const policy = configured === undefined ? defaultErrorPolicy(step) : normalizeErrorPolicy(configured);
+        const failure = { step: index, action: describeStepAction(step), error: error.message, attempts, policy: policy.action };
+        if (policy.fire) failure.handler = policy.fire;
+
+        log.error(`SequenceRunner: step failed in ${name} step=${index} action=${failure.action} policy=${policy.action}: ${error.message}`);
+        this.publishEvent('sequence_step_failed', { name, ...failure });
+        if (policy.fire) await this._fireErrorHandler(policy.fire, name, failure, context);
+
+        if (policy.action === 'continue' || policy.then === 'continue') {
+            if (context && Array.isArray(context._failures)) context._failures.push(failure);
+            return failure;
+        }
+        throw new SequenceStepFailedError(error, failure);
+    }
+
+    async _fireErrorHandler(target, name, failure, context = {}) {
+        const handlerContext = { failedSequence: name, failedStep: failure.step, error: failure.error };
+        try {
+            if (this.stateMachine && this.stateMachine.fireByName) {
+                await this.stateMachine.fireByName(target, handlerContext);
+            } else {
+                await this.runSequence(target, { ...handlerContext, gameMode: context.gameMode });
+            }
+        } catch (error) {
+            log.error(`SequenceRunner: :on-error handler '${target}' for ${name} failed: ${error.message}`);
+        }
+    }
+
+    // :finally steps run after every outcome, cancellation by abort/reset
+    // included, under a fresh handle so an aborted effect can still put the
+    // room back. An emergency stop or safety alarm skips them.
+    async _runFinallySteps(name, seqDef, context, cancelReason = null) {
+        const steps = seqDef && !Array.isArray(seqDef) ? seqDef.finally : undefined;
+        if (!Array.isArray(steps) || steps.length === 0) return;
+        if (SAFETY_CANCEL_REASONS.includes(cancelReason)) {
+            log.warn(`SequenceRunner: skipping :finally steps of ${name} after ${cancelReason}`);
+            return;
+        }
+
+        const handle = this._beginHandle(`${name}/finally`, context);
+        try {
+            await this.executeSequenceSteps(steps, { ...context, _handle: handle, _onError: 'continue', _failures: [] });
+        } catch (error) {
+            log.error(`SequenceRunner: :finally steps of ${name} did not complete: ${error.message}`);
+        } finally {
+            this._endHandle(handle);
         }
     }
 
@@ -225,8 +449,9 @@ class SequenceRunner {
         // Execute timeline entries at their scheduled times
         for (const entry of sortedEntries) {
             const { at, ...command } = entry;
+            if (context && context._handle) await context._handle.checkpoint();
             log.info(`Executing timeline entry at ${at}s`);
-            await this.executeSequenceStep(command, context, `timeline@${at}`);
+            await this._runStepWithPolicy(command, context, `timeline@${at}`);
         }
     }
 
@@ -236,14 +461,34 @@ class SequenceRunner {
             throw new Error(`Step ${index} must be an object`);
         }
 
-        // Resolve template variables in the step using the context
+        // Control-flow steps resolve templates per nested step, not up front.
+        if (this.isControlFlowStep(step)) {
+            await this.executeControlFlowStep(step, context, index);
+            return;
+        }
+
+        // Resolve template variables in the step using the context; :retry and
+        // :on-error belong to the caller and never reach zones or fire targets.
         const resolvedStep = this.resolveVariables(step, context);
+        STEP_POLICY_KEYS.forEach(key => delete resolvedStep[key]);
 
         // Handle :wait command
         if (resolvedStep.wait !== undefined) {
             const duration = typeof resolvedStep.wait === 'number' ? resolvedStep.wait : 1;
             log.info(`Waiting ${duration} seconds`);
-            await new Promise(resolve => setTimeout(resolve, duration * 1000));
+            await this.waitSeconds(duration, context && context._handle);
+            return;
+        }
+
+        // :set/:inc/:toggle/:unset runtime variables
+        if (isVariableAction(resolvedStep)) {
+            if (!this.stateMachine || typeof this.stateMachine.applyVariableAction !== 'function') {
+                throw new Error(`Step ${index} changes a variable but no state machine is attached`);
+            }
+            const handleName = context && context._handle ? context._handle.name : 'inline';
+            if (!this.stateMachine.applyVariableAction(resolvedStep, `sequence:${handleName}`)) {
+                throw new Error(`Step ${index} has an invalid variable action`);
+            }
             return;
         }
 
@@ -270,7 +515,7 @@ class SequenceRunner {
                     log.debug(`Fire execution completed: ${name}`);
                 } catch (error) {
                     log.error(`Unexpected error firing '${name}': ${error.message}`);
-                    log.warn(`Continuing sequence execution despite fire error`);
+                    throw error;
                 }
             } else {
                 log.warn(`Cannot fire '${name}' - stateMachine.fireByName not available`);
@@ -328,19 +573,249 @@ class SequenceRunner {
             delete options.command;
             delete options.type;
 
+            // Attempt every zone, then fail the step so its :on-error policy decides.
+            const failed = [];
             for (const zoneName of zones) {
                 try {
                     await this.zones.execute(zoneName, command, options);
                 } catch (error) {
                     log.warn(`Zone command failed on ${zoneName}: ${error.message}`);
+                    failed.push(`${zoneName} (${error.message})`);
                 }
             }
+            if (failed.length > 0) {
+                throw new Error(`Zone command '${command}' failed on ${failed.join(', ')}`);
+            }
             return;
         }
 
         log.warn(`Unknown step format at index ${index}:`, resolvedStep);
     }
 
+    isControlFlowStep(step) {
+        return !!step && typeof step === 'object' && CONTROL_FLOW_KEYS.some(key => step[key] !== undefined);
+    }
+
+    // :if / :repeat / :parallel / :race. Nested steps run through executeSequenceSteps
+    // so they share the sequence handle (pause, cancel) of the enclosing run.
+    async executeControlFlowStep(step, context, index) {
+        if (step.if !== undefined) {
+            const branch = this.evaluateStepCondition(step.if, context) ? step.then : step.else;
+            if (Array.isArray(branch)) await this.executeSequenceSteps(branch, context);
+            return;
+        }
+        if (step.repeat !== undefined) {
+            await this._executeRepeat(step, context, index);
+            return;
+        }
+        if (step['wait-for'] !== undefined) {
+            await this._executeWaitFor(step, context, index);
+            return;
+        }
+        if (step.parallel !== undefined) {
+            const join = String(step.join || 'all').replace(/^:/, '');
+            await this._executeBranches(step.parallel, context, { kind: 'parallel', join });
+            return;
+        }
+        await this._executeBranches(step.race, context, { kind: 'race', join: 'first' });
+    }
+
+    evaluateStepCondition(condition, context = {}) {
+        const sm = this.stateMachine;
+        // Live clock/state values win over the copies captured when the sequence started.
+        const variables = { ...context, ...this.buildRuntimeContext({ gameMode: context.gameMode }) };
+        return evaluateCondition(this.resolveVariables(condition, context), {
+            state: sm ? sm.state : context.gameState,
+            logic: (node) => (sm && sm.logicEngine ? sm.logicEngine.getOutput(node) : undefined),
+            variable: (name) => {
+                if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+                return this._hasRuntimeVariable(name) ? sm.variables.get(name) : undefined;
+            }
+        });
+    }
+
+    async _executeRepeat(step, context, index) {
+        const spec = typeof step.repeat === 'number' ? { count: step.repeat } : (step.repeat || {});
+        const steps = Array.isArray(step.steps) ? step.steps : [];
+        const until = spec.until;
+        let limit = typeof spec.count === 'number' ? spec.count : undefined;
+        if (limit === undefined && until !== undefined) {
+            limit = typeof spec.max === 'number' ? spec.max : DEFAULT_REPEAT_MAX;
+        }
+        if (limit === undefined) throw new Error(`Step ${index} repeat needs a count or :until condition`);
+
+        for (let i = 0; i < limit; i++) {
+            await this.executeSequenceSteps(steps, { ...context, iteration: i + 1 });
+            if (until !== undefined && this.evaluateStepCondition(until, context)) return;
+        }
+        if (until !== undefined) {
+            log.warn(`SequenceRunner: repeat at step ${index} stopped after ${limit} iterations without meeting :until`);
+        }
+    }
+
+    /**
+     * Resolve a :wait-for spec into something pollable:
+     *   {:topic "..." :condition {...}} / {:source "front-door" :condition {...}}
+     *     -> MQTT message matched with the trigger condition rules
+     *   {:logic "node" [comparator]} / {:source "logic/node"}
+     *     -> logic output meets the comparator, or changes when none is given
+     */
+    _resolveWaitForTarget(spec) {
+        const source = typeof spec.source === 'string' ? spec.source.trim() : '';
+        const logicNode = spec.logic !== undefined
+            ? String(spec.logic).replace(/^:/, '')
+            : (isLogicSourceName(source) ? logicSourceNodeName(source) : null);
+        if (logicNode) return { kind: 'logic', node: logicNode };
+
+        let topic = typeof spec.topic === 'string' ? spec.topic.trim() : '';
+        let transformer = null;
+        if (!topic && source) {
+            if (!this._inputSources) this._inputSources = buildInputSourceMap(this.cfg).sourceMap;
+            const input = this._inputSources.get(source);
+            if (!input) throw new Error(`wait-for source '${source}' is not defined in :inputs`);
+            topic = input.topic;
+            // The condition sees the payload the source's triggers see.
+            if (Array.isArray(input.transform) && input.transform.length > 0) {
+                if (!this._waitTransformers.has(source)) this._waitTransformers.set(source, new InputTransformer(input.transform));
+                transformer = this._waitTransformers.get(source);
+            }
+        }
+        if (!topic) throw new Error('wait-for needs :topic, :source or :logic');
+        return { kind: 'mqtt', topic, transformer };
+    }
+
+    // Subscribe for a wait unless the topic is already subscribed; concurrent
+    // waits on one topic share the subscription.
+    _holdWaitTopic(topic) {
+        const held = this._waitTopics.get(topic);
+        if (held) {
+            held.count++;
+            return;
+        }
+        const owned = !(this.mqtt.subscriptions && this.mqtt.subscriptions.has(topic));
+        if (owned) {
+            try { this.mqtt.subscribe(topic); } catch (e) { log.warn(`wait-for subscribe failed for ${topic}: ${e.message}`); }
+        }
+        this._waitTopics.set(topic, { count: 1, owned });
+    }
+
+    _releaseWaitTopic(topic) {
+        const held = this._waitTopics.get(topic);
+        if (!held || --held.count > 0) return;
+        this._waitTopics.delete(topic);
+        if (held.owned && typeof this.mqtt.unsubscribe === 'function') {
+            try { this.mqtt.unsubscribe(topic); } catch (e) { log.warn(`wait-for unsubscribe failed for ${topic}: ${e.message}`); }
+        }
+    }
+
+    // Blocks until the target is observed or :timeout seconds of unpaused time pass.
+    async _executeWaitFor(step, context, index) {
+        const spec = this.resolveVariables(step['wait-for'] || {}, context);
+        const timeout = Number(this.resolveVariables(step.timeout, context));
+        const timeoutMs = Number.isFinite(timeout) && timeout > 0 ? timeout * 1000 : null;
+        const handle = context && context._handle;
+        const target = this._resolveWaitForTarget(spec);
+        const label = target.kind === 'logic' ? `logic/${target.node}` : target.topic;
+
+        let matched = false;
+        let onMessage = null;
+        let readOutput = null;
+        let initialOutput;
+        const comparators = ['equals', 'not-equals', 'in', 'gt', 'gte', 'lt', 'lte'].filter(key => spec[key] !== undefined);
+
+        if (target.kind === 'mqtt') {
+            const condition = (spec.condition && typeof spec.condition === 'object') ? spec.condition : {};
+            onMessage = (topic, payload) => {
+                if (matched || !matchTopic(target.topic, topic)) return;
+                let input = payload;
+                if (target.transformer) {
+                    try {
+                        input = target.transformer.apply(payload, topic);
+                    } catch (e) {
+                        log.warn(`wait-for transform failed for ${topic}: ${e.message}; message ignored`);
+                        return;
+                    }
+                }
+                if (matchTriggerCondition(input, condition, triggerConditionContext(this.stateMachine))) matched = true;
+            };
+            this._holdWaitTopic(target.topic);
+            this.mqtt.on('message', onMessage);
+        } else {
+            const engine = this.stateMachine && this.stateMachine.logicEngine;
+            readOutput = () => (engine ? engine.getOutput(target.node) : undefined);
+            initialOutput = readOutput();
+        }
+
+        const observed = () => {
+            if (target.kind === 'mqtt') return matched;
+            const output = readOutput();
+            if (comparators.length === 0) return output !== initialOutput;
+            return evaluateCondition({ ...spec, logic: target.node }, { logic: () => output });
+        };
+
+        log.info(`SequenceRunner: step ${index} waiting for ${label}${timeoutMs ? ` (timeout ${timeout}s)` : ''}`);
+        let waitedMs = 0;
+        try {
+            while (!observed()) {
+                if (timeoutMs !== null && waitedMs >= timeoutMs) break;
+                const sliceMs = timeoutMs !== null ? Math.min(WAIT_FOR_POLL_MS, timeoutMs - waitedMs) : WAIT_FOR_POLL_MS;
+                await this.waitSeconds(sliceMs / 1000, handle);
+                waitedMs += sliceMs;
+            }
+        } finally {
+            if (onMessage) {
+                if (typeof this.mqtt.removeListener === 'function') this.mqtt.removeListener('message', onMessage);
+                this._releaseWaitTopic(target.topic);
+            }
+        }
+
+        const sequence = handle ? handle.name : null;
+        if (observed()) {
+            log.info(`SequenceRunner: step ${index} observed ${label} after ${(waitedMs / 1000).toFixed(1)}s`);
+            return;
+        }
+
+        log.warn(`SequenceRunner: step ${index} timed out waiting for ${label} after ${timeout}s`);
+        this.publishEvent('sequence_wait_timeout', { name: sequence, step: index, target: label, timeout });
+        if (Array.isArray(step['on-timeout'])) {
+            await this.executeSequenceSteps(step['on-timeout'], context);
+        }
+    }
+
+    /**
+     * Run branches concurrently, each under its own child handle.
+     * join 'all' waits for every branch; 'first' returns once one finishes and
+     * leaves the rest running. A race is 'first' with the losing branches cancelled.
+     */
+    async _executeBranches(branches, context, { kind, join }) {
+        if (!Array.isArray(branches) || branches.length === 0) return;
+        const baseName = context._handle ? context._handle.name : 'inline';
+
+        const runs = branches.map((branch, i) => {
+            const handle = this._beginHandle(`${baseName}/${kind}[${i}]`, context);
+            const steps = Array.isArray(branch) ? branch : [branch];
+            const promise = this.executeSequenceSteps(steps, { ...context, _handle: handle, branch: i })
+                .finally(() => this._endHandle(handle));
+            return { handle, promise };
+        });
+        const settled = runs.map((run, i) => run.promise.then(() => ({ i }), error => ({ i, error })));
+
+        if (join !== 'first') {
+            const outcomes = await Promise.all(settled);
+            const failure = outcomes.find(outcome => outcome.error);
+            if (failure) throw failure.error;
+            return;
+        }
+
+        const first = await Promise.race(settled);
+        if (kind === 'race') {
+            runs.forEach((run, i) => {
+                if (i !== first.i) this._cancelWithChildren(run.handle, 'race_lost');
+            });
+        }
+        if (first.error) throw first.error;
+    }
+
     // Resolve sequence definition by name considering future per-mode override
     resolveSequence(name, gameMode) {
         if (!name) return undefined;
@@ -385,8 +860,35 @@ class SequenceRunner {
 
     estimateDuration(seqDef) {
         if (!seqDef || !Array.isArray(seqDef.sequence)) return 0;
+        const sum = this._estimateSteps(seqDef.sequence);
+        return (sum > 0 ? sum + 1 : 1);
+    }
+
+    _estimateSteps(steps) {
+        if (!Array.isArray(steps)) return 0;
+        const branchEstimates = (branches) => (Array.isArray(branches) ? branches : [])
+            .map(branch => this._estimateSteps(Array.isArray(branch) ? branch : [branch]));
         let sum = 0;
-        for (const s of seqDef.sequence) {
+        for (const s of steps) {
+            if (!s || typeof s !== 'object') continue;
+            // Control flow: longest :if branch, :repeat count (one pass for :until),
+            // slowest :parallel branch (fastest when waiting for the first / racing)
+            if (s.if !== undefined) sum += Math.max(this._estimateSteps(s.then), this._estimateSteps(s.else));
+            if (s.repeat !== undefined) {
+                const count = typeof s.repeat === 'number' ? s.repeat : (s.repeat && s.repeat.count) || 1;
+                sum += count * this._estimateSteps(s.steps);
+            }
+            if (s.parallel !== undefined) {
+                const durations = branchEstimates(s.parallel);
+                const join = String(s.join || 'all').replace(/^:/, '');
+                if (durations.length) sum += join === 'first' ? Math.min(...durations) : Math.max(...durations);
+            }
+            if (s.race !== undefined) {
+                const durations = branchEstimates(s.race);
+                if (durations.length) sum += Math.min(...durations);
+            }
+            // :wait-for is open-ended; its timeout is the best available guess
+            if (s['wait-for'] !== undefined && typeof s.timeout === 'number') sum += s.timeout;
             // explicit wait command
             if (s.command === 'wait' && typeof s.duration === 'number') sum += s.duration;
             // steps that asked to wait after executing: wait: true -> use step.duration, wait: <number> -> use that
@@ -396,7 +898,7 @@ class SequenceRunner {
             }
             // Device-agnostic: avoid special-casing device actions here
         }
-        return (sum > 0 ? sum + 1 : 1);
+        return sum;
     }
 
     // Timer safety validation
@@ -545,8 +1047,8 @@ class SequenceRunner {
 
             const command = step.command;
 
-            // :fire and :wait steps are valid without a 'command' field
-            if (step.fire || step.wait !== undefined) {
+            // :fire, :wait and control-flow steps are valid without a 'command' field
+            if (step.fire || step.wait !== undefined || this.isControlFlowStep(step)) {
                 return; // Valid directive step - no 'command' required
             }
 
@@ -659,6 +1161,10 @@ class SequenceRunner {
             }
         }
 
+        if ('finally' in seqDef && !Array.isArray(seqDef.finally)) {
+            errors.push(`Sequence ${name}: 'finally' must be an array of steps`);
+        }
+
         return { warnings, errors };
     }
 
@@ -709,7 +1215,18 @@ class SequenceRunner {
         log.info(`SequenceRunner: running ${name} (depth ${depth}) estimated ${durationEstimate}s`);
         this.publishEvent('sequence_start', { name, depth, estimate: durationEstimate, override });
 
+        const handle = this._beginHandle(name, context);
+        try {
+            return await this._runSequenceSteps(name, seqDef, context, { gameMode, newStack, durationEstimate, override, handle });
+        } finally {
+            this._endHandle(handle);
+            await this._runFinallySteps(name, seqDef, { ...context, gameMode, _stack: newStack }, handle.cancelReason);
+        }
+    }
+
+    async _runSequenceSteps(name, seqDef, context, { gameMode, newStack, durationEstimate, override, handle }) {
         let elapsed = 0; // logical elapsed based on waits
+        const failures = []; // steps that failed under a :continue policy
 
         for (const [stepIndex, step] of (seqDef.sequence || []).entries()) {
             const sequenceStepId = stepIndex;
@@ -724,10 +1241,19 @@ class SequenceRunner {
                 }
             }
             try {
+                await handle.checkpoint();
                 this.publishEvent('sequence_step_start', { name, step: sequenceStepId, action: step.command });
                 // Preserve original context variables (like hintText) while adding stack tracking
-                const stepContext = { ...context, gameMode, _stack: newStack, stepIndex: sequenceStepId };
-                await this.executeSequenceStep(step, stepContext, sequenceStepId);
+                const stepContext = {
+                    ...context,
+                    gameMode,
+                    _stack: newStack,
+                    stepIndex: sequenceStepId,
+                    _handle: handle,
+                    _onError: seqDef['on-error'],
+                    _failures: failures
+                };
+                const failure = await this._runStepWithPolicy(step, stepContext, sequenceStepId, name);
                 // Track logical time for explicit wait steps
                 if (step.command === 'wait' && typeof step.duration === 'number') {
                     elapsed += step.duration;
@@ -737,20 +1263,31 @@ class SequenceRunner {
                         ? step.wait
                         : (typeof step.duration === 'number' ? step.duration : 0);
                     if (waitDuration > 0) {
-                        await this.waitSeconds(waitDuration);
+                        await this.waitSeconds(waitDuration, handle);
                         elapsed += waitDuration;
                     }
                 }
-                this.publishEvent('sequence_step_complete', { name, step: sequenceStepId, action: step.command });
+                if (!failure) this.publishEvent('sequence_step_complete', { name, step: sequenceStepId, action: step.command });
             } catch (e) {
-                log.error(`SequenceRunner: step failed in ${name} step=${sequenceStepId} action=${step.command}: ${e.message}`);
-                this.publishEvent('sequence_step_failed', { name, step: sequenceStepId, action: step.command, error: e.message });
-                this.publishEvent('sequence_failed', { name, error: 'step_failed', step: sequenceStepId, action: step.command });
-                return { ok: false, error: 'step_failed', step: sequenceStepId, action: step.command };
+                if (e instanceof SequenceCancelledError) {
+                    return { ok: false, error: 'sequence_cancelled', reason: e.reason, step: sequenceStepId };
+                }
+                let policy = 'abort';
+                let handler;
+                if (e instanceof SequenceStepFailedError) {
+                    ({ policy, handler } = e.failure);
+                } else {
+                    log.error(`SequenceRunner: step failed in ${name} step=${sequenceStepId} action=${step.command}: ${e.message}`);
+                    this.publishEvent('sequence_step_failed', { name, step: sequenceStepId, action: step.command, error: e.message, policy });
+                }
+                this.publishEvent('sequence_failed', { name, error: 'step_failed', step: sequenceStepId, action: step.command, policy, handler });
+                return { ok: false, error: 'step_failed', step: sequenceStepId, action: step.command, policy, handler };
             }
         }
-        this.publishEvent('sequence_complete', { name, estimate: durationEstimate, override });
-        return { ok: true, durationEstimate, override };
+        this.publishEvent('sequence_complete', { name, estimate: durationEstimate, override, failedSteps: failures.length || undefined });
+        const result = { ok: true, durationEstimate, override };
+        if (failures.length > 0) result.errors = failures;
+        return result;
     }
 
     async executeStep(step, ctx) {
@@ -767,7 +1304,7 @@ class SequenceRunner {
                 }
                 return;
             case 'wait':
-                await this.waitSeconds(step.duration);
+                await this.waitSeconds(step.duration, ctx && ctx._handle);
                 return;
             case 'stopAll':
                 stopAllAcrossZones(this.zones);
@@ -896,8 +1433,10 @@ class SequenceRunner {
         }
     }
 
-    waitSeconds(sec) {
+    // Waits through the sequence handle when one is given so pause/cancel apply.
+    waitSeconds(sec, handle = null) {
         const ms = Math.max(0, (sec || 0) * 1000);
+        if (handle) return handle.wait(ms);
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 }
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1;
+const DEFAULT_INTERVAL_MS = 5000;
+
+/**
+ * Crash-safe snapshot store for the running game.
+ *
+ * Snapshots are written atomically (temp file + fsync + rename) so a power
+ * loss mid-write leaves either the previous snapshot or the new one on disk,
+ * never a truncated file.
+ */
+class StatePersistence {
+    constructor({ filePath, intervalMs = DEFAULT_INTERVAL_MS, logger } = {}) {
+        if (!filePath) throw new Error('StatePersistence requires filePath');
+        this.filePath = path.resolve(filePath);
+        const interval = Number(intervalMs);
+        this.intervalMs = Number.isFinite(interval) && interval >= 250 ? interval : DEFAULT_INTERVAL_MS;
+        this.log = logger || console;
+        this._timer = null;
+    }
+
+    save(snapshot) {
+        const record = { version: SNAPSHOT_VERSION, savedAt: Date.now(), ...snapshot };
+        const dir = path.dirname(this.filePath);
+        const tmpPath = path.join(dir, `.${path.basename(this.filePath)}.${process.pid}.tmp`);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const fd = fs.openSync(tmpPath, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(record));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.filePath);
+        return record;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return null;
+        try {
+            const record = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (!record || typeof record !== 'object' || record.version !== SNAPSHOT_VERSION) {
+                this.log.warn(`[persist] Ignoring snapshot ${this.filePath}: unsupported version`);
+                return null;
+            }
+            return record;
+        } catch (err) {
+            this.log.warn(`[persist] Ignoring unreadable snapshot ${this.filePath}: ${err.message}`);
+            return null;
+        }
+    }
+
+    clear() {
+        try {
+            fs.unlinkSync(this.filePath);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Periodically call `persist` (normally GameStateMachine#persistSnapshot).
+     */
+    start(persist) {
+        this.stop();
+        this._timer = setInterval(() => {
+            try {
+                persist();
+            } catch (err) {
+                this.log.warn(`[persist] Snapshot failed: ${err.message}`);
+            }
+        }, this.intervalMs);
+        if (typeof this._timer.unref === 'function') this._timer.unref();
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+}
+
+module.exports = {
+    StatePersistence,
+    SNAPSHOT_VERSION
+};
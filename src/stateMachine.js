@@ -1,10 +1,19 @@
 const EventEmitter = require('events');
 const log = require('./logger');
-const { secondsToMMSS } = require('./util');
+const { secondsToMMSS, monotonicNowMs } = require('./util');
 const AdapterRegistry = require('./adapters/adapterRegistry');
 const SequenceRunner = require('./sequenceRunner');
 const Hints = require('./hints');
-const { LogicEngine } = require('./logic');
+const { LogicEngine, isTruthy } = require('./logic');
+const { computeScore, leaderboardOptions } = require('./scoring');
+const { VariableStore, isVariableAction } = require('./variables');
+const { Checklist } = require('./checklist');
+const { safeStateActions } = require('./fail-safe');
+const { SafetyInterlock } = require('./safety');
+const { customCommandDefinitions } = require('./command-registry');
+const { createCommandRegistry } = require('./builtin-commands');
+const { executeTriggerAction } = require('./trigger-actions');
+const { triggerConditionContext } = require('./trigger-conditions');
 const {
 
   getCommandsTopic,
@@ -13,6 +22,9 @@ const {
   VERIFY_MEDIA_TIMEOUT_MS,
 } = require('./engineUtils');
 
+const DEFAULT_CLOCK_TICK_MS = 100;
+const DEFAULT_SCHEDULE_LATE_MS = 1000;
+
 class GameStateMachine extends EventEmitter {
   constructor({ cfg, mqtt }) {
     super();
@@ -41,13 +53,16 @@ class GameStateMachine extends EventEmitter {
 
     this.state = 'resetting'; // Start in resetting state during startup (initial, no logging)
     this.gameType = null; // dynamically chosen game mode key from cfg.game
-    this.remaining = 0; // seconds
+    this.remaining = 0; // seconds (backed by _remainingMs, see accessors below)
     this.disabledHints = new Map(); // Changed from Set to Map to store timestamps
     this.markedActions = new Set();
     this.startupProblems = []; // Track startup/reset problems
 
     // Unified timer system
     this._unifiedTimer = null;
+    this._snapshotDirty = false;
+    this._lastClockTickAt = 0; // monotonic ms of the previous unified timer tick
+    this._idleElapsedMs = 0;
     this.heartbeat = null;
     this.resetRemaining = 0;
 
@@ -63,6 +78,22 @@ class GameStateMachine extends EventEmitter {
     this._idleLoopTimer = null;
     // Phase-scoped schedule registrations: { phaseKey: [ {entry, _idx, at, key} ] }
     this._phaseSchedules = new Map();
+    // Keys of schedule entries already fired in the current phase (persisted for crash recovery)
+    this._firedScheduleKeys = new Set();
+    // Crash-recovery snapshot store (optional) and a snapshot loaded at boot awaiting `recover`
+    this.statePersistence = null;
+    this._recoverableSnapshot = null;
+    // Hints delivered during the current game (budget, penalties and scoring)
+    this._hintUsage = [];
+    // Stuck-team detection: gameplay ms since the last progress, and the pending recommendation
+    this._stallMs = 0;
+    this.hintRecommendation = null;
+    // Scoring: operator adjustments of the current game, and its final score
+    this.leaderboard = null;
+    this._scoreAdjustments = [];
+    this.finalScore = null;
+    // Zone/input liveness watchdog (optional, see health-monitor.js)
+    this.health = null;
     // Prevent duplicate end-media cue execution in a single closing phase.
     this._closingOutcomeMediaFired = new Set();
 
@@ -80,10 +111,39 @@ class GameStateMachine extends EventEmitter {
       inputSources,
       logger: log,
       onAction: async (action, meta) => {
-        const { executeTriggerAction } = require('./game');
-        await executeTriggerAction(action, `logic:${meta.node}`, { sm: this, log });
+        await executeTriggerAction(action, `logic:${meta.node}`, { sm: this, log, topicVars: meta.topicVars });
+      },
+      onChange: (change) => {
+        this._onPuzzleChange(change);
+        this._noteProgress(change);
       }
     });
+    this.variables = new VariableStore({
+      defaults: cfg.global?.variables || {},
+      onChange: (change) => this.publishEvent('variable_changed', change)
+    });
+    this.checklist = cfg.global?.checklist
+      ? new Checklist(cfg.global.checklist, {
+        executeAction: (action, label) => executeTriggerAction(action, label, { sm: this, log }),
+        conditionContext: () => triggerConditionContext(this),
+        onChange: () => this.publishChecklist(),
+        onResetFailed: item => this.publishWarning('checklist_reset_failed', { item: item.id, attempts: item.attempt }),
+        logger: log
+      })
+      : null;
+    this.safety = cfg.global?.safety
+      ? new SafetyInterlock(cfg.global.safety, {
+        zones: cfg.global?.mqtt?.zones || {},
+        inputSources,
+        executeAction: (action, label) => this.executeCueAction(action, label),
+        conditionContext: () => triggerConditionContext(this),
+        onChange: () => this.publishSafety(),
+        onReleaseFailed: zone => this.publishWarning('egress_release_failed', { zone: zone.zone, attempts: zone.attempt }),
+        logger: log
+      })
+      : null;
+    this.commands = createCommandRegistry(customCommandDefinitions(cfg.global?.['custom-commands'] || {},
+      (action, label, vars) => executeTriggerAction(action, label, { sm: this, log, topicVars: vars })));
     if (this.logicEngine.graph.size > 0) {
       log.info(`[logic] Initialized with ${this.logicEngine.graph.size} node(s)`);
       (this.logicEngine.warnings || []).forEach((entry) => {
@@ -95,10 +155,47 @@ class GameStateMachine extends EventEmitter {
     }
   }
 
+  // Countdowns run in milliseconds so schedules can use fractional :at values;
+  // the public second values are rounded up (60000ms..59001ms reads as 60).
+  get remaining() { return Math.max(0, Math.ceil(this._remainingMs / 1000 - 1e-9)); }
+
+  set remaining(seconds) { this._remainingMs = Math.max(0, Number(seconds) || 0) * 1000; }
+
+  get resetRemaining() { return Math.max(0, Math.ceil(this._resetRemainingMs / 1000 - 1e-9)); }
+
+  set resetRemaining(seconds) { this._resetRemainingMs = Math.max(0, Number(seconds) || 0) * 1000; }
+
   setGameplayLogger(gameplayLogger) {
     this.gameplayLogger = gameplayLogger || null;
   }
 
+  setStatePersistence(statePersistence) {
+    this.statePersistence = statePersistence || null;
+  }
+
+  setLeaderboard(leaderboard) {
+    this.leaderboard = leaderboard || null;
+  }
+
+  setOperatorAuth(operatorAuth) {
+    this.operatorAuth = operatorAuth || null;
+  }
+
+  /**
+   * Whether an operator may run a command under the role policy. Always
+   * allowed when operator auth is off.
+   * @returns {{ ok: boolean, required?: string }}
+   */
+  authorizeCommand(name, operator) {
+    const command = this.commands.resolve(name);
+    if (!this.operatorAuth || !command) return { ok: true };
+    return this.operatorAuth.authorize(command, operator);
+  }
+
+  setHealthMonitor(health) {
+    this.health = health || null;
+  }
+
   _normalizePhaseType(phaseType) {
     if (!phaseType) return null;
     return String(phaseType).replace(/^:/, '').toLowerCase();
@@ -193,12 +290,17 @@ class GameStateMachine extends EventEmitter {
     return resolved;
   }
 
-  // Execute a hint by id with optional text override
-  async fireHint(hintId, source = 'direct', textOverride = null) {
+  // Execute a hint by id with optional text override.
+  // `force` delivers an operator hint even when the mode's :hint-budget is used up.
+  async fireHint(hintId, source = 'direct', textOverride = null, { force = false } = {}) {
+    if (!this._checkHintBudget(hintId, source, force)) return false;
+
     // Handle ad-hoc text hints (no id, only text)
     if (!hintId && textOverride) {
       log.info(`Executing ad-hoc text hint: "${textOverride}"`);
-      return this.executeTextHint({ text: textOverride }, source);
+      const result = await this.executeTextHint({ text: textOverride }, source);
+      this._recordHintUsage(null, 'text', source, force);
+      return result;
     }
 
     if (!hintId) {
@@ -265,7 +367,13 @@ class GameStateMachine extends EventEmitter {
           this.publishWarning('hint_unknown_type', { id: hintId, type: effectiveHint.type });
           return false;
       }
-      this.publishEvent('hint_executed', { id: hintId, type: hintType === 'audiofx' ? 'audioFx' : hintType, source });
+      const usage = this._recordHintUsage(hintId, hintType, source, force);
+      this.publishEvent('hint_executed', {
+        id: hintId,
+        type: hintType === 'audiofx' ? 'audioFx' : hintType,
+        source,
+        ...(usage ? { forced: usage.forced, penalty: usage.penalty, ...this.getHintSummary() } : {})
+      });
       return true;
     } catch (e) {
       log.error(`Failed to execute hint ${hintId}:`, e.message);
@@ -276,27 +384,32 @@ class GameStateMachine extends EventEmitter {
 
   // Look up a hint by id from combined game+global hints
   lookupHint(hintId) {
-    if (!hintId) return null;
+    const hint = this._findModeHint(hintId);
+    if (!hint) {
+      // Don't log here - this is called for every :fire check
+      return null;
+    }
+
+    // Return the hint data
+    return hint.data || hint;
+  }
 
-    // Get hints for current game mode
+  // Combined game+global hints for the current game mode
+  getModeHints() {
     const gameModes = this.cfg['game-modes'] || this.cfg.game || {};
     const mode = this.currentGameMode || Object.keys(gameModes)[0] || '';
     const gameHints = (gameModes?.[mode]?.hints) || [];
-    const combined = this.getCombinedHints(gameHints);
+    return this.getCombinedHints(gameHints);
+  }
 
-    // Find hint by id
+  // Normalized registry entry (with :puzzle/:tier) for a hint id
+  _findModeHint(hintId) {
+    if (!hintId) return null;
     const normalizedHintId = this.normalizeHintId(hintId);
-    const hint = combined.find(h => {
+    return this.getModeHints().find(h => {
       if (!h || !h.id) return false;
       return h.id === hintId || this.normalizeHintId(h.id) === normalizedHintId;
-    });
-    if (!hint) {
-      // Don't log here - this is called for every :fire check
-      return null;
-    }
-
-    // Return the hint data
-    return hint.data || hint;
+    }) || null;
   }
 
   // Execute text hint using :hint-text-seq sequence
@@ -1122,6 +1235,7 @@ class GameStateMachine extends EventEmitter {
     // Cleanup from previous phase
     this.stopUnifiedTimer();
     this.clearAllPhaseSchedules();
+    this._firedScheduleKeys.clear();
     this._closingOutcomeMediaFired.clear();
 
     // Setup for new phase
@@ -1300,11 +1414,551 @@ class GameStateMachine extends EventEmitter {
     try {
       this.publishEvent('game_end_trigger', { outcome: out, phase: targetPhase });
     } catch (_) { /* non-fatal */ }
+    // Score before the closing phase starts: `remaining` is still the time left at the end.
+    this._finalizeScore(out);
     this.transitionToPhase(targetPhase);
   }
 
+  // --- HINT LADDERS ---
+
+  // A puzzle counts as solved once its logic node output is truthy.
+  isPuzzleSolved(puzzle) {
+    const node = Hints.normalizePuzzle(puzzle);
+    if (!node || !this.logicEngine) return false;
+    return isTruthy(this.logicEngine.getOutput(node));
+  }
+
+  /**
+   * Ladder state per puzzle for the current mode: configured tiers, the
+   * highest tier delivered this game, and the hint `nextHint` would fire.
+   * @returns {Object<string, { solved: boolean, tiers: number[], tierReached: number, nextHint: string|null, nextTier: number|null }>}
+   */
+  getHintLadders() {
+    const byPuzzle = new Map();
+    this.getModeHints().forEach((hint) => {
+      if (!hint.puzzle) return;
+      if (!byPuzzle.has(hint.puzzle)) byPuzzle.set(hint.puzzle, []);
+      byPuzzle.get(hint.puzzle).push(hint);
+    });
+
+    const ladders = {};
+    byPuzzle.forEach((hints, puzzle) => {
+      const tierReached = this._hintUsage
+        .filter(entry => entry.puzzle === puzzle)
+        .reduce((max, entry) => Math.max(max, entry.tier || 0), 0);
+      const sorted = hints.slice().sort((a, b) => a.tier - b.tier);
+      const next = sorted.find(hint => hint.tier > tierReached) || null;
+      ladders[puzzle] = {
+        solved: this.isPuzzleSolved(puzzle),
+        tiers: [...new Set(sorted.map(hint => hint.tier))],
+        tierReached,
+        nextHint: next ? next.id : null,
+        nextTier: next ? next.tier : null
+      };
+    });
+    return ladders;
+  }
+
+  /**
+   * Fire the next tier of a puzzle's hint ladder. Goes through fireHint, so
+   * operator calls are subject to the hint budget like any other hint.
+   */
+  async fireNextHint(puzzle, { source = 'manual', force = false } = {}) {
+    const key = Hints.normalizePuzzle(puzzle);
+    const ladder = key ? this.getHintLadders()[key] : null;
+    let reason = null;
+    if (!ladder) reason = 'unknown_puzzle';
+    else if (ladder.solved) reason = 'puzzle_solved';
+    else if (!ladder.nextHint) reason = 'ladder_exhausted';
+    if (reason) {
+      this.publishWarning('next_hint_unavailable', { puzzle: key || puzzle || null, reason, tierReached: ladder ? ladder.tierReached : 0 });
+      return false;
+    }
+    return this.fireHint(ladder.nextHint, source, null, { force });
+  }
+
+  // Announce puzzles linked to hints as they are solved (republishes the hint registry).
+  _onPuzzleChange(change) {
+    if (!change || isTruthy(change.previous) || !isTruthy(change.output)) return;
+    const ladder = this.getHintLadders()[change.node];
+    if (!ladder) return;
+    this.publishEvent('puzzle_solved', { puzzle: change.node, tierReached: ladder.tierReached });
+  }
+
+  // --- VARIABLES ---
+
+  /**
+   * Apply a :set/:inc/:toggle/:unset action from a cue, sequence step,
+   * trigger or logic action. `source` names the caller for variable_changed.
+   */
+  applyVariableAction(action, source = null) {
+    const result = this.variables.apply(action, source);
+    if (!result.ok) {
+      log.warn(`[variables] Ignoring invalid action from ${source || 'unknown'}: ${result.problems.join('; ')}`);
+      this.publishWarning('variable_action_invalid', { source, problems: result.problems });
+      return false;
+    }
+    this.publishState();
+    this.markSnapshotDirty();
+    return true;
+  }
+
+  // --- STUCK DETECTION ---
+
+  _getStuckOptions(mode = this.gameType) {
+    return Hints.stuckDetectionOptions(mode ? this.cfg.game?.[mode] : null);
+  }
+
+  _resetStuckDetection() {
+    this._stallMs = 0;
+    this.hintRecommendation = null;
+  }
+
+  _noteProgress(change) {
+    const options = this._getStuckOptions();
+    if (!options || !['gameplay', 'paused'].includes(this.state) || !Hints.isProgressChange(options, change)) return;
+    this._stallMs = 0;
+    this._cancelHintRecommendation('progress');
+  }
+
+  // Any hint the team receives restarts the stall clock; the recommendation is moot.
+  _noteHintDelivered(hintId) {
+    this._stallMs = 0;
+    if (this.hintRecommendation && this.hintRecommendation.hint !== hintId) {
+      this._cancelHintRecommendation('hint_sent');
+    } else {
+      this.hintRecommendation = null;
+    }
+  }
+
+  /**
+   * The puzzle a stuck team most likely needs help with: enabled, not
+   * bypassed, unsolved and with a ladder tier left, least-helped first.
+   */
+  _stuckCandidate() {
+    const gates = this.logicEngine ? this.logicEngine.getSnapshot() : {};
+    const candidates = Object.entries(this.getHintLadders()).filter(([puzzle, ladder]) => {
+      const gate = gates[puzzle];
+      return !ladder.solved && ladder.nextHint && (!gate || (gate.enabled && !gate.bypassed));
+    });
+    if (candidates.length === 0) return null;
+    const [puzzle, ladder] = candidates.reduce((best, item) => (item[1].tierReached < best[1].tierReached ? item : best));
+    return { puzzle, hint: ladder.nextHint, tier: ladder.nextTier };
+  }
+
+  // Called from the gameplay clock tick with the game time elapsed since the last tick.
+  _advanceStuckDetection(elapsedMs) {
+    const options = this._getStuckOptions();
+    if (!options) return;
+
+    const pending = this.hintRecommendation;
+    if (pending && pending.auto) {
+      pending.countdownMs = Math.max(0, pending.countdownMs - elapsedMs);
+      if (pending.countdownMs === 0) {
+        this.hintRecommendation = null;
+        log.info(`[stuck] No veto; sending recommended hint '${pending.hint}' for '${pending.puzzle}'`);
+        this.fireHint(pending.hint, 'auto').catch(e => log.warn(`[stuck] auto hint failed: ${e.message}`));
+      }
+      return;
+    }
+
+    this._stallMs += elapsedMs;
+    if (this._stallMs < options.afterMs) return;
+    const candidate = this._stuckCandidate();
+    if (!candidate) return;
+
+    const stalledSec = Math.round(this._stallMs / 1000);
+    this._stallMs = 0;
+    this.hintRecommendation = {
+      ...candidate,
+      stalledSec,
+      auto: options.auto,
+      countdownMs: options.auto ? options.countdownMs : null
+    };
+    log.info(`[stuck] No progress for ${stalledSec}s; recommending '${candidate.hint}' for '${candidate.puzzle}'`);
+    this.publishEvent('hint_recommended', {
+      ...candidate,
+      stalledSec,
+      auto: options.auto,
+      countdown: options.auto ? options.countdownMs / 1000 : null
+    });
+    this.publishState();
+  }
+
+  _cancelHintRecommendation(reason) {
+    const pending = this.hintRecommendation;
+    if (!pending) return false;
+    this.hintRecommendation = null;
+    this.publishEvent('hint_recommendation_cancelled', { puzzle: pending.puzzle, hint: pending.hint, reason });
+    this.publishState();
+    return true;
+  }
+
+  // GM veto of a pending (auto) recommendation.
+  vetoHintRecommendation() {
+    if (!this._cancelHintRecommendation('veto')) {
+      this.publishWarning('veto_hint_ignored', { message: 'No hint recommendation is pending' });
+      return false;
+    }
+    return true;
+  }
+
+  // --- SCORING ---
+
+  _getScoringConfig(mode = this.gameType) {
+    const scoring = mode ? this.cfg.game?.[mode]?.scoring : null;
+    return scoring && typeof scoring === 'object' ? scoring : null;
+  }
+
+  _resetScoreTracking() {
+    this._hintUsage = [];
+    this._scoreAdjustments = [];
+    this.finalScore = null;
+  }
+
+  // --- HINT BUDGET ---
+
+  _getHintRules(mode = this.gameType) {
+    return Hints.hintRules(mode ? this.cfg.game?.[mode] : null);
+  }
+
+  // Operator ('manual') and stuck-detection ('auto') hints are charged against
+  // :hint-budget and :hint-penalties; scheduled and fired hints are only counted.
+  _isBudgetedHint(source) {
+    return source === 'manual' || source === 'auto';
+  }
+
+  /**
+   * Used/remaining counts published in state and on hint_executed.
+   * `remaining` is null when the mode has no :hint-budget.
+   */
+  getHintSummary() {
+    const { budget } = this._getHintRules();
+    const byType = {};
+    let budgeted = 0;
+    let penaltySeconds = 0;
+    this._hintUsage.forEach((entry) => {
+      byType[entry.type] = (byType[entry.type] || 0) + 1;
+      if (entry.budgeted) budgeted += 1;
+      penaltySeconds += entry.penalty || 0;
+    });
+    return {
+      used: this._hintUsage.length,
+      byType,
+      budget,
+      remaining: budget === null ? null : Math.max(0, budget - budgeted),
+      penaltySeconds
+    };
+  }
+
+  _checkHintBudget(hintId, source, force) {
+    if (!this._isBudgetedHint(source) || !['gameplay', 'paused'].includes(this.state)) return true;
+    const summary = this.getHintSummary();
+    if (summary.remaining === null || summary.remaining > 0 || force) return true;
+    log.warn(`[hints] Budget of ${summary.budget} exhausted; refusing hint ${hintId || '(ad-hoc text)'} without force`);
+    this.publishEvent('hint_refused', {
+      id: hintId || null,
+      source,
+      reason: 'budget_exhausted',
+      budget: summary.budget,
+      used: summary.used,
+      message: 'Hint budget exhausted; resend with force: true to deliver anyway'
+    });
+    return false;
+  }
+
+  // Only hints delivered while the clock runs are counted, charged and penalised.
+  _recordHintUsage(hintId, type, source, forced = false) {
+    if (!['gameplay', 'paused'].includes(this.state)) return null;
+    const budgeted = this._isBudgetedHint(source);
+    const penalty = budgeted ? Hints.hintPenalty(this._getHintRules(), type) : 0;
+    const ladder = this._findModeHint(hintId);
+    this._noteHintDelivered(hintId);
+    const entry = {
+      id: hintId,
+      type,
+      source,
+      budgeted,
+      forced: Boolean(forced),
+      penalty,
+      ...(ladder && ladder.puzzle ? { puzzle: ladder.puzzle, tier: ladder.tier } : {})
+    };
+    this._hintUsage.push(entry);
+    // adjustTime publishes state itself; otherwise publish so the new counts show up right away.
+    if (penalty > 0) {
+      this.adjustTime(-penalty);
+    } else {
+      this.publishState();
+      this.markSnapshotDirty();
+    }
+    return entry;
+  }
+
+  adjustScore(delta, reason = null) {
+    const points = Number(delta);
+    if (!Number.isFinite(points) || points === 0) {
+      this.publishWarning('adjust_score_invalid', { delta });
+      return false;
+    }
+    if (!['gameplay', 'paused'].includes(this.state)) {
+      this.publishWarning('adjust_score_ignored', { state: this.state, delta: points });
+      return false;
+    }
+    this._scoreAdjustments.push({ delta: points, reason });
+    const total = this._scoreAdjustments.reduce((sum, adj) => sum + adj.delta, 0);
+    this.publishEvent('score_adjusted', { delta: points, reason, total });
+    this.markSnapshotDirty();
+    return true;
+  }
+
+  _finalizeScore(outcome) {
+    const scoring = this._getScoringConfig();
+    if (!scoring) return null;
+
+    const result = computeScore(scoring, {
+      outcome,
+      remainingSec: this._remainingMs / 1000,
+      hints: this._hintUsage,
+      logic: (node) => (this.logicEngine ? this.logicEngine.getOutput(node) : undefined),
+      adjustments: this._scoreAdjustments
+    });
+    this.finalScore = {
+      ...result,
+      mode: this.gameType,
+      remaining: this.remaining,
+      hintsUsed: this._hintUsage.length
+    };
+    log.info(`[scoring] Final score for '${this.gameType}' (${outcome}): ${result.score}`);
+    this.publishEvent('score_final', this.finalScore);
+
+    const { includeFailed } = leaderboardOptions(scoring);
+    if (this.leaderboard && (outcome === 'win' || includeFailed)) {
+      try {
+        this.leaderboard.record({
+          mode: this.gameType,
+          score: result.score,
+          outcome,
+          remaining: this.remaining,
+          hints: this._hintUsage.length
+        });
+        this.publishLeaderboard(this.gameType);
+      } catch (e) {
+        log.warn(`[leaderboard] Failed to record score: ${e.message}`);
+      }
+    }
+    return this.finalScore;
+  }
+
+  /**
+   * Publish the watchdog view to retained {game-topic}/health.
+   */
+  publishHealth() {
+    const gameTopic = this.cfg.global?.mqtt?.['game-topic'];
+    if (!gameTopic || !this.health) return;
+    this.mqtt.publish(`${gameTopic}/health`, this.health.snapshot(), { retain: true });
+  }
+
+  /** Periodic watchdog pass; republishes when a status or last-seen time moved. */
+  checkHealth() {
+    if (!this.health) return;
+    const changes = this.health.check();
+    this._reportHealthChanges(changes);
+    if (changes.length > 0 || this.health.dirty) this.publishHealth();
+  }
+
+  noteHealthMessage(topic) {
+    if (!this.health) return;
+    const changes = this.health.noteMessage(topic);
+    this._reportHealthChanges(changes);
+    if (changes.length > 0) this.publishHealth();
+  }
+
+  _reportHealthChanges(changes) {
+    changes.forEach((change) => {
+      const subject = change.kind === 'zone' ? { zone: change.name } : { input: change.name };
+      const details = { ...subject, topic: change.topic, lastSeen: change.lastSeen, expectEveryMs: change.expectEveryMs };
+      if (change.status === 'offline' || change.status === 'stale') {
+        const warning = change.kind === 'zone' ? 'zone_offline' : 'input_stale';
+        const heard = change.lastSeen === null ? 'never heard from' : `silent since ${new Date(change.lastSeen).toISOString()}`;
+        log.warn(`[health] ${change.kind} '${change.name}' ${heard} (expected every ${change.expectEveryMs}ms on ${change.topic})`);
+        this.publishWarning(warning, details);
+      } else if (change.status === 'ok' && (change.previous === 'offline' || change.previous === 'stale')) {
+        log.info(`[health] ${change.kind} '${change.name}' is back`);
+        this.publishEvent(change.kind === 'zone' ? 'zone_online' : 'input_resumed', details);
+      }
+    });
+  }
+
+  /** Retained {game-topic}/checklist with every item and the ready/notready gate. */
+  publishChecklist() {
+    const gameTopic = this.cfg.global?.mqtt?.['game-topic'];
+    if (!gameTopic || !this.checklist) return;
+    this.mqtt.publish(`${gameTopic}/checklist`, this.checklist.snapshot(), { retain: true });
+  }
+
+  _checklistCommand(cmd, action) {
+    if (!this.checklist) {
+      this.publishWarning('checklist_not_configured', { command: cmd && cmd.command });
+      return false;
+    }
+    const item = cmd && (cmd.item ?? cmd.id);
+    const result = action === 'mark'
+      ? this.checklist.mark(item, { ready: cmd.ready !== false, by: cmd.by || null, notes: cmd.notes ?? null })
+      : this.checklist.overrideItem(item, { by: cmd.by || null, reason: cmd.reason || null });
+    if (!result.ok) {
+      this.publishWarning(`checklist_${result.error}`, { item, command: cmd.command });
+      return false;
+    }
+    log.info(`[checklist] ${action === 'mark' ? 'Marked' : 'Overrode'} ${item ? `'${item}'` : 'whole checklist'}${cmd.by ? ` (${cmd.by})` : ''}`);
+    return true;
+  }
+
+  _checklistAllowsStart() {
+    if (!this.checklist || this.checklist.isReady()) return true;
+    const pending = this.checklist.pending();
+    log.warn(`[checklist] Start refused; not ready: ${pending.join(', ')}`);
+    this.publishWarning('start_blocked_checklist', {
+      message: `Start refused: checklist not ready (${pending.join(', ')}). Mark the items or send checklistOverride.`,
+      pending
+    });
+    return false;
+  }
+
+  /** Retained {game-topic}/safety: the alarm latch, input states and egress releases. */
+  publishSafety() {
+    const gameTopic = this.cfg.global?.mqtt?.['game-topic'];
+    if (!gameTopic || !this.safety) return;
+    this.mqtt.publish(`${gameTopic}/safety`, this.safety.snapshot(), { retain: true });
+  }
+
+  /**
+   * Called for every MQTT message before trigger processing; safety inputs
+   * act in any state, ready and sleeping included.
+   */
+  noteSafetyMessage(topic, payload) {
+    if (!this.safety) return;
+    this.safety.noteMessage(topic, payload).forEach((trip) => {
+      this.raiseSafetyAlarm(trip).catch(e => log.error(`[safety] Alarm handling failed: ${e.message}`));
+    });
+  }
+
+  /**
+   * Latch the alarm, stop everything and get the egress zones open. The
+   * release goes out before the emergency stop and again after it, in case
+   * the emergency-stop-sequence locked a door that was already open.
+   */
+  async raiseSafetyAlarm({ input, topic = null, payload = null }) {
+    const first = this.safety.latch({ input, topic, payload });
+    // Written at once so a crash mid-stop still boots with the alarm latched.
+    this.persistSnapshot();
+    log.error(`[safety] Safety input '${input}' tripped${first ? '' : ' (alarm already latched)'}`);
+    this.publishWarning('safety_alarm', { input, topic, since: this.safety.alarm.since, first });
+    this.sequenceRunner.cancelAll('safety_alarm');
+    const early = this.safety.releaseEgress();
+    if (first) await this.emergencyStop({ source: `safety:${input}` });
+    await early;
+    const unconfirmed = await this.safety.releaseEgress();
+    this.publishEvent('safety_egress_released', {
+      input,
+      zones: this.safety.egress.map(zone => zone.zone),
+      unconfirmed
+    });
+    this.publishState();
+    return unconfirmed;
+  }
+
+  _safetyClear(cmd) {
+    if (!this.safety) {
+      this.publishWarning('safety_not_configured', { command: cmd && cmd.command });
+      return false;
+    }
+    const result = this.safety.clear({ by: (cmd && cmd.by) || null, force: Boolean(cmd && cmd.force === true) });
+    if (!result.ok) {
+      const message = result.error === 'inputs_active'
+        ? `Safety inputs still active: ${result.active.join(', ')}. Send safetyClear with force: true to clear anyway.`
+        : 'No safety alarm is latched';
+      this.publishWarning(`safety_${result.error}`, { message, ...(result.active ? { active: result.active } : {}) });
+      return false;
+    }
+    const { since, sources, by, forced } = result.cleared;
+    log.warn(`[safety] Alarm cleared${by ? ` by ${by}` : ''}${forced ? ' (forced)' : ''}`);
+    this.publishEvent('safety_cleared', { since, by, forced, inputs: [...new Set(sources.map(source => source.input))] });
+    this.publishState();
+    this.persistSnapshot();
+    return true;
+  }
+
+  /**
+   * Boot or takeover with the alarm latched in the snapshot: neither resume
+   * nor reset, since both could lock the egress zones. Release them again
+   * and wait in ready for safetyClear.
+   */
+  async _holdRestoredSafetyAlarm() {
+    const { since, sources } = this.safety.alarm;
+    log.error(`[safety] Safety alarm latched since ${new Date(since).toISOString()} was restored; holding in ready until safetyClear`);
+    this.changeState('ready', { reason: 'safety_alarm_restored' });
+    this.publishSafety();
+    const unconfirmed = await this.safety.releaseEgress();
+    this.publishEvent('safety_egress_released', {
+      input: sources.length > 0 ? sources[0].input : null,
+      zones: this.safety.egress.map(zone => zone.zone),
+      unconfirmed,
+      restored: true
+    });
+    this.publishState();
+    return unconfirmed;
+  }
+
+  /** `start` and `reset` would re-lock the room, so both wait for safetyClear. */
+  _safetyAllows(command) {
+    if (!this.safety || !this.safety.isLatched()) return true;
+    log.warn(`[safety] ${command} refused; safety alarm latched`);
+    this.publishWarning(`${command}_blocked_safety_alarm`, {
+      message: `${command} refused: safety alarm is latched. Send safetyClear first.`,
+      since: this.safety.alarm.since
+    });
+    return false;
+  }
+
+  /**
+   * Start guard: refuse while a :required zone is offline unless the
+   * command carries force: true.
+   */
+  _healthAllowsStart(cmd) {
+    const offline = this.health ? this.health.offlineRequiredZones() : [];
+    if (offline.length === 0) return true;
+    if (cmd && cmd.force === true) {
+      log.warn(`[health] Starting with required zone(s) offline (forced): ${offline.join(', ')}`);
+      return true;
+    }
+    log.warn(`[health] Start refused; required zone(s) offline: ${offline.join(', ')}`);
+    this.publishWarning('start_blocked_zones_offline', {
+      message: `Start refused: required zone(s) offline: ${offline.join(', ')}. Send start with force: true to override.`,
+      zones: offline
+    });
+    return false;
+  }
+
+  /**
+   * Publish retained standings to {game-topic}/leaderboard/{mode}; every
+   * mode with a :scoring block when no mode is given.
+   */
+  publishLeaderboard(mode = null) {
+    const gameTopic = this.cfg.global?.mqtt?.['game-topic'];
+    if (!gameTopic || !this.leaderboard) return;
+    const modes = mode ? [mode] : Object.keys(this.cfg.game || {}).filter(key => this._getScoringConfig(key));
+    modes.forEach((modeKey) => {
+      const { size } = leaderboardOptions(this._getScoringConfig(modeKey));
+      this.mqtt.publish(`${gameTopic}/leaderboard/${modeKey}`, this.leaderboard.standings(modeKey, size), { retain: true });
+    });
+  }
+
   // Dispatcher for individual cue actions with zone-based routing
   async executeCueAction(action, cueKey) {
+    if (isVariableAction(action)) {
+      this.applyVariableAction(action, `cue:${cueKey}`);
+      return;
+    }
     const { zone, zones } = action;
     const command = action.command;
     const isRawMqtt = action.publish || command === 'publish';
@@ -1472,7 +2126,7 @@ class GameStateMachine extends EventEmitter {
     }
 
     // NEW: Handle single command object 
-    if (cue.zone || cue.zones || cue.command || cue.publish) {
+    if (cue.zone || cue.zones || cue.command || cue.publish || isVariableAction(cue)) {
       // Direct command object - execute and await (blocking for commands like verifyImage)
       try {
         await this.executeCueAction(cue, cueName);
@@ -1685,17 +2339,24 @@ class GameStateMachine extends EventEmitter {
 
   // Determine if a scheduled hint should be suppressed due to prior actions/hints
   isScheduledHintSuppressed(hintId) {
+    return this._scheduledHintSuppression(hintId) !== null;
+  }
+
+  // Why a scheduled hint should not fire ('puzzle_solved', 'recently_fired', 'action_marked'), or null
+  _scheduledHintSuppression(hintId) {
     const id = this.normalizeHintId(hintId);
+    const hint = this._findModeHint(hintId);
+    if (hint && hint.puzzle && this.isPuzzleSolved(hint.puzzle)) return 'puzzle_solved';
     // Suppress if recently disabled by early/manual firing
-    if (this.disabledHints?.has(id)) return true;
+    if (this.disabledHints?.has(id)) return 'recently_fired';
     // Heuristic: if an action like 'box1_opened' is marked, suppress hints containing 'box1'
     for (const act of (this.markedActions || [])) {
       const m = String(act).match(/^(.*?)(_opened|_solved|_done|_complete)$/);
       const base = m ? m[1] : String(act);
       const baseHyphen = base.replace(/_/g, '-');
-      if (id.includes(baseHyphen)) return true;
+      if (id.includes(baseHyphen)) return 'action_marked';
     }
-    return false;
+    return null;
   }
   /**
    * Schedule a sequence timeline - executes commands at specified times
@@ -1753,7 +2414,16 @@ class GameStateMachine extends EventEmitter {
   // (removed legacy zones() helper to avoid conflict with adapter registry)
 
 
-  init() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.recoverySnapshot] Snapshot loaded from disk at boot; kept for the `recover` command.
+   * @param {boolean} [options.autoRecover] Resume the snapshot instead of running the boot reset.
+   */
+  init({ recoverySnapshot = null, autoRecover = false } = {}) {
+    // A snapshot with a latched safety alarm is restored for the latch only; the game was stopped.
+    this._recoverableSnapshot = recoverySnapshot && !recoverySnapshot.safety ? recoverySnapshot : null;
+    if (this.safety && recoverySnapshot && recoverySnapshot.safety) this.safety.restore(recoverySnapshot.safety);
+
     // Alias config sections if EDN used game-modes -> game for internal consumers
     if (!this.cfg.game && this.cfg['game-modes']) {
       this.cfg.game = this.cfg['game-modes'];
@@ -1863,6 +2533,16 @@ class GameStateMachine extends EventEmitter {
         });
       }
 
+      if (this.safety && this.safety.isLatched()) {
+        await this._holdRestoredSafetyAlarm();
+        return;
+      }
+
+      if (autoRecover && this._recoverableSnapshot) {
+        if (await this.recoverFromSnapshot({ source: 'boot' })) return;
+        log.warn('[PhaseEngine] Automatic recovery failed; running normal reset');
+      }
+
       await this._runResetSequence();
     })().catch((e) => {
       this.publishWarning('startup_bootstrap_failed', {
@@ -1880,7 +2560,11 @@ class GameStateMachine extends EventEmitter {
       log.warn('publishState: game-topic missing in configuration');
       return;
     }
+    this.mqtt.publish(`${gameTopic}/state`, this.getStatePayload());
+  }
 
+  /** The `{game-topic}/state` payload, also served by the HTTP API. */
+  getStatePayload() {
     let timeLeft = secondsToMMSS(this.remaining);
 
     // Determine time display based on current state
@@ -1935,7 +2619,34 @@ class GameStateMachine extends EventEmitter {
     if (this.logicEngine && this.logicEngine.graph.size > 0) {
       statePayload.logic = this.logicEngine.getSnapshot();
     }
-    this.mqtt.publish(`${gameTopic}/state`, statePayload);
+    if (this.gameType) {
+      statePayload.hints = this.getHintSummary();
+    }
+    const variables = this.variables.toJSON();
+    if (Object.keys(variables).length > 0) {
+      statePayload.variables = variables;
+    }
+    if (this._getStuckOptions()) {
+      const pending = ['gameplay', 'paused'].includes(this.state) ? this.hintRecommendation : null;
+      statePayload.hintRecommendation = pending
+        ? {
+          puzzle: pending.puzzle,
+          hint: pending.hint,
+          tier: pending.tier,
+          countdown: pending.auto ? Math.ceil(pending.countdownMs / 1000) : null
+        }
+        : null;
+    }
+    if (this._getScoringConfig()) {
+      statePayload.score = this.finalScore ? this.finalScore.score : null;
+    }
+    if (this.safety) {
+      statePayload.safety = this.safety.isLatched() ? 'alarm' : 'clear';
+    }
+    if (this.checklist) {
+      statePayload.checklist = this.checklist.isReady() ? 'ready' : 'notready';
+    }
+    return statePayload;
   }
 
   publishEvent(event, data = {}) {
@@ -1978,6 +2689,7 @@ class GameStateMachine extends EventEmitter {
       to: newState,
       context
     });
+    this.persistSnapshot();
   }
 
   getPhaseDuration(phase) {
@@ -2011,7 +2723,7 @@ class GameStateMachine extends EventEmitter {
     if (!Array.isArray(schedule) || typeof duration !== 'number' || duration <= 0) return;
     // Normalize entries and attach phase-scoped keys so they can be removed later
     const registered = (schedule || []).map((entry, idx) => {
-      const key = `${this.gameType}:${phaseKey}:${idx}:${entry.at}`;
+      const key = this._scheduleEntryKey(phaseKey, idx, entry.at);
       return { entry: { ...entry, _idx: idx }, key, at: entry.at };
     });
     this._phaseSchedules.set(phaseKey, { entries: registered, duration });
@@ -2030,9 +2742,25 @@ class GameStateMachine extends EventEmitter {
     } catch (e) { log.warn('phase schedule immediate-fire error', e.message); }
   }
 
+  _scheduleEntryKey(phaseKey, idx, at) {
+    return `${this.gameType}:${phaseKey}:${idx}:${at}`;
+  }
+
   _executeScheduleEntry(phaseKey, entry, atSeconds, options = {}) {
     if (!entry || typeof entry !== 'object') return;
 
+    // Registered entries fire at most once per phase; this also keeps a
+    // recovered phase from replaying entries that fired before the restart.
+    if (entry._idx !== undefined) {
+      const key = this._scheduleEntryKey(phaseKey, entry._idx, entry.at);
+      if (this._firedScheduleKeys.has(key)) {
+        log.debug(`Skipping already-fired schedule entry ${key}`);
+        return;
+      }
+      this._firedScheduleKeys.add(key);
+      this.markSnapshotDirty();
+    }
+
     const phaseLabel = phaseKey || this.state || 'unknown';
     const atLabel = Number.isFinite(atSeconds) ? `${atSeconds}` : String(atSeconds ?? 'n/a');
     const contextParts = [];
@@ -2044,8 +2772,18 @@ class GameStateMachine extends EventEmitter {
     let actionsTriggered = false;
     const firedActions = [];
 
+    // Scheduled hints are dropped once their puzzle is solved or an operator just sent them.
+    const checkHints = options.checkHintSuppression !== false && entry.fire && this.lookupHint(entry.fire);
+    const suppressedBy = checkHints ? this._scheduledHintSuppression(entry.fire) : null;
+    if (suppressedBy) {
+      log.info(`Skipping scheduled hint '${entry.fire}' at ${atLabel}s${contextSuffix}: ${suppressedBy}`);
+      this.publishEvent('scheduled_hint_suppressed', { id: entry.fire, phase: phaseLabel, at: atSeconds, reason: suppressedBy });
+      firedActions.push({ type: 'suppressed', value: entry.fire });
+      primaryLogged = true;
+    }
+
     // Handle unified fire command (v2.3.0+)
-    if (entry.fire) {
+    if (entry.fire && !suppressedBy) {
       const fireContext = this._buildFireContext(entry);
       if (this._isClosingPhase(this.state) && (entry.fire === 'win-video' || entry.fire === 'fail-video')) {
         const onceKey = `${this.state}:${entry.fire}`;
@@ -2208,198 +2946,67 @@ class GameStateMachine extends EventEmitter {
 
   // Legacy reset schedule system removed - replaced with sequences
 
-  async handleCommand(cmd) {
-    let name = cmd && cmd.command ? cmd.command : cmd;
-    log.info(`Received command: ${name}`, cmd);
-    switch (name) {
-      case 'reset': {
-        return await this._runResetSequence();
-      }
-      case 'abort': {
-        return await this._runAbortSequence({ source: 'command', force: true });
-      }
-      case 'debugLog': {
-        // Developer helper: print a debug/info line via commands topic
-        try {
-          const msg = (cmd && (cmd.message || cmd.msg || cmd.text || cmd.value)) || '';
-          const tag = (cmd && (cmd.tag || cmd.scope || cmd.category)) || 'debug';
-          const out = String(msg).trim();
-          if (out.length === 0) {
-            this.publishWarning('debug_log_empty', { payload: cmd });
-            return false;
-          }
-          const formatted = `[${tag}] ${out}`;
-          log.info(formatted);
-          this.publishEvent('debug_log', { message: out, tag });
-          return true;
-        } catch (e) {
-          log.warn('debugLog command failed', e.message);
-          this.publishWarning('debug_log_failed', { error: e.message, payload: cmd });
-          return false;
-        }
-      }
-      case 'start': {
-        const mode = cmd && (cmd.mode || cmd.value || cmd.gameType);
-        return await this._startViaSequences(mode || this.currentGameMode || (Object.keys(this.cfg.game || {})[0]));
-      }
-      case 'solve': {
-        this._triggerEnd('win');
-        return true;
-      }
-      case 'fail': {
-        this._triggerEnd('fail');
-        return true;
-      }
-      case 'triggerPhase': {
-        const requestedPhase = cmd && (cmd.phase || cmd.name || cmd.value);
-        const phaseName = String(requestedPhase || '').trim();
-        if (!phaseName) {
-          this.publishWarning('trigger_phase_missing_name', { payload: cmd });
-          return false;
-        }
-        if (!this.phases || !this.phases[phaseName]) {
-          this.publishWarning('trigger_phase_unknown', {
-            phase: phaseName,
-            available: Object.keys(this.phases || {})
-          });
-          return false;
-        }
-        await this.transitionToPhase(phaseName);
-        return true;
-      }
-      case 'pause':
-        return this._pauseViaSequence();
-      case 'resume':
-        return this._resumeViaSequence();
-      case 'shutdown': {
-        const result = await this.sequenceRunner.runControlSequence('software-shutdown-sequence', { gameMode: this.gameType });
-        if (!result.ok) {
-          log.warn('software-shutdown-sequence failed, falling back to imperative shutdown');
-          this._fallbackShutdown();
-        }
-        return result.ok;
-      }
-      case 'reboot': {
-        const result = await this.sequenceRunner.runControlSequence('software-restart-sequence', { gameMode: this.gameType });
-        if (!result.ok) {
-          log.warn('software-restart-sequence failed, falling back to imperative reboot');
-          this._fallbackReboot();
-        }
-        return result.ok;
-      }
-      case 'halt': {
-        const result = await this.sequenceRunner.runControlSequence('software-halt-sequence', { gameMode: this.gameType });
-        if (!result.ok) {
-          log.warn('software-halt-sequence failed, falling back to graceful halt');
-          this.gracefulHalt();
-        }
-        return result.ok;
-      }
-      case 'machineShutdown': {
-        const result = await this.sequenceRunner.runControlSequence('machine-shutdown-sequence', { gameMode: this.gameType });
-        if (!result.ok) {
-          log.warn('machine-shutdown-sequence failed, falling back to imperative machine shutdown');
-          this.machineShutdown();
-        }
-        return result.ok;
-      }
-      case 'machineReboot': {
-        const result = await this.sequenceRunner.runControlSequence('machine-reboot-sequence', { gameMode: this.gameType });
-        if (!result.ok) {
-          log.warn('machine-reboot-sequence failed, falling back to imperative machine reboot');
-          this._fallbackReboot();
-        }
-        return result.ok;
-      }
-      case 'sleep':
-        return await this.sequenceRunner.runControlSequence('props-sleep-sequence', { gameMode: this.gameType });
-      case 'wake':
-        return await this.sequenceRunner.runControlSequence('props-wake-sequence', { gameMode: this.gameType });
-      case 'restartAdapters':
-        return await this.sequenceRunner.runControlSequence('restart-adapters', { gameMode: this.gameType });
-      case 'resetting':
-        return this.resetting();
-      case 'adjustTime':
-        return this.adjustTime((cmd && (cmd.delta ?? cmd.seconds)) || 0);
-      case 'sendHint': {
-        const text = cmd && cmd.text;
-        const duration = cmd && (cmd.duration || this.cfg.global.hintDefaultSec || 10);
-        const queue = cmd && cmd.queue;
-
-        if (!text) {
-          this.publishWarning('sendHint_no_text', { msg: 'sendHint: No text provided' });
-          return false;
-        }
+  /**
+   * Add a command to the registry behind handleCommand and /schema, e.g. from
+   * a room package. See command-registry.js for the definition shape.
+   */
+  registerCommand(def, options) {
+    return this.commands.register(def, options);
+  }
 
-        log.info(`Sending direct hint: "${text}" (${duration}s)`);
+  /**
+   * @param {object|string} cmd command payload
+   * @param {object} [options]
+   * @param {{ name: string|null, role: string }|null} [options.operator] who sent it; omitted for
+   *   PxO's own commands (trigger and logic actions), which skip the role policy
+   */
+  async handleCommand(cmd, { operator } = {}) {
+    const name = cmd && cmd.command ? cmd.command : cmd;
+    const payload = cmd && typeof cmd === 'object' ? cmd : {};
+    log.info(`Received command: ${name}`, cmd);
+    const command = this.commands.resolve(name);
+    if (!command) {
+      log.warn('Unknown command', cmd);
+      this.publishEvent('command_validation_failed', {
+        command: name,
+        payload: cmd,
+        error: 'unknown_command'
+      });
+      this.publishWarning('unknown_command', {
+        message: `Received unknown command '${name}' - command not recognized by state machine`,
+        command: name,
+        payload: cmd
+      });
+      return false;
+    }
 
-        this.publishEvent('hint_sent', { text, duration, queue });
-        return true;
+    if (operator !== undefined) {
+      const permission = this.authorizeCommand(command.name, operator);
+      if (!permission.ok) {
+        const by = operator && operator.name;
+        log.warn(`${command.name} needs role ${permission.required}; ${by || 'unsigned sender'} has ${(operator && operator.role) || 'none'}`);
+        this.publishEvent('command_validation_failed', { command: command.name, payload: cmd, error: 'forbidden', operator: by || null });
+        this.publishWarning('command_forbidden', { command: command.name, operator: by || null, role: (operator && operator.role) || null, required: permission.required });
+        return false;
       }
-      case 'markAction': {
-        const action = cmd && (cmd.action || cmd.value);
-        return this.markAction(action);
-      }
-      case 'solvePuzzle':
-        return this._logicPuzzleCommand('solvePuzzle', cmd, 'forceSolve', 'puzzle_solved', 'solve_puzzle');
-      case 'resetPuzzle':
-        return this._logicPuzzleCommand('resetPuzzle', cmd, 'forceReset', 'puzzle_reset', 'reset_puzzle');
-      case 'enablePuzzle':
-        return this._logicPuzzleCommand('enablePuzzle', cmd, 'forceEnable', 'puzzle_enabled', 'enable_puzzle');
-      case 'disablePuzzle':
-        return this._logicPuzzleCommand('disablePuzzle', cmd, 'forceDisable', 'puzzle_disabled', 'disable_puzzle');
-      case 'bypassPuzzle':
-        return this._logicPuzzleCommand('bypassPuzzle', cmd, 'forceBypass', 'puzzle_bypassed', 'bypass_puzzle');
-      case 'pauseResetTimer':
-        return this.pauseResetTimer();
-      case 'resumeResetTimer':
-        return this.resumeResetTimer();
-      case 'getState':
-        // Immediately publish current state snapshot
-        this.publishState();
-        this.publishEvent('state_requested');
-        return true;
-      case 'stopAll':
-        {
-          const result = await this.sequenceRunner.runControlSequence('stopAll-sequence', { gameMode: this.gameType });
-          if (!result.ok && result.error !== 'sequence_not_found') {
-            this.publishWarning('stopall_sequence_failed', {
-              message: `stopAll-sequence failed: ${result.error || 'unknown_error'}`,
-              error: result.error || 'unknown_error'
-            });
-          }
+    }
 
-          // Always hard-stop media as fallback/safety behavior.
-          stopAllAcrossZones(this.zones);
-          this.publishEvent('all_stopped');
-          return true;
-        }
-      case 'listModes': {
-        const modes = Object.keys(this.cfg.game || {});
-        this.publishEvent('modes_list', { modes });
-        return modes;
-      }
-      case 'setGameMode': {
-        const newMode = cmd && (cmd.mode || cmd.value || cmd.gameMode);
-        return await this.setGameMode(newMode);
-      }
-      case 'emergencyStop': {
-        return await this.emergencyStop({ source: 'command' });
-      }
-      default:
-        log.warn('Unknown command', cmd);
-        this.publishEvent('command_validation_failed', {
-          command: name,
-          payload: cmd,
-          error: 'unknown_command'
-        });
-        this.publishWarning('unknown_command', {
-          message: `Received unknown command '${name}' - command not recognized by state machine`,
-          command: name,
-          payload: cmd
-        });
-        return false;
+    const errors = this.commands.validate(command, payload);
+    if (errors.length > 0) {
+      log.warn(`Invalid arguments for ${command.name}`, errors);
+      this.publishEvent('command_validation_failed', { command: command.name, payload: cmd, error: 'invalid_arguments', errors });
+      // Some arguments keep the warning code they had before the registry.
+      const missing = errors.find(error => error.error === 'missing' && command.args[error.arg] && command.args[error.arg].missingWarning);
+      this.publishWarning(missing ? command.args[missing.arg].missingWarning : 'invalid_command_arguments', { command: command.name, errors });
+      return false;
     }
+    if (!this.commands.allowedIn(command, this.state)) {
+      log.warn(`${command.name} is not allowed in state ${this.state}`);
+      this.publishEvent('command_validation_failed', { command: command.name, payload: cmd, error: 'invalid_state' });
+      this.publishWarning('command_not_allowed_in_state', { command: command.name, state: this.state, allowed: command.states });
+      return false;
+    }
+    return await command.handler(this, payload);
   }
 
   async _startViaSequences(gameType) {
@@ -2419,6 +3026,10 @@ class GameStateMachine extends EventEmitter {
     }
 
     this.gameType = gameType;
+    // Starting a fresh game discards any snapshot still waiting for `recover`.
+    this._recoverableSnapshot = null;
+    this._resetScoreTracking();
+    this._resetStuckDetection();
     this.loadPhases(gameType);
     this.loadGlobalSequences();
 
@@ -2580,8 +3191,12 @@ class GameStateMachine extends EventEmitter {
 
     this.stopUnifiedTimer();
     if (this.clearAllPhaseSchedules) this.clearAllPhaseSchedules();
+    this.sequenceRunner.cancelAll('reset');
+    this._firedScheduleKeys.clear();
     this._closingOutcomeMediaFired.clear();
     if (this.logicEngine) this.logicEngine.reset();
+    this.variables.reset();
+    if (this.checklist) this.checklist.reset();
     this.changeState('resetting', { reason: 'reset_sequence_initiated', gameMode });
     this.publishEvent('resetting');
 
@@ -2597,7 +3212,7 @@ class GameStateMachine extends EventEmitter {
     if (!hasExecutableReset) {
       log.info(`[PhaseEngine] No reset sequence defined for mode '${gameMode || 'unknown'}'; skipping.`);
       this.changeState('ready', { reason: 'reset_sequence_skipped', gameMode });
-      this.idleCounter = 0;
+      this._idleElapsedMs = 0;
       this.publishEvent('reset_sequence_skipped', { mode: gameMode });
       this.publishState();
       return true;
@@ -2620,7 +3235,7 @@ class GameStateMachine extends EventEmitter {
           sequence: this._runningSequence,
           type: resetDefinition.type
         });
-        this.idleCounter = 0;
+        this._idleElapsedMs = 0;
         this.publishEvent('reset_sequence_complete', {
           est: result.durationEstimate,
           sequence: this._runningSequence,
@@ -2682,6 +3297,9 @@ class GameStateMachine extends EventEmitter {
       return false;
     }
 
+    // Freeze in-flight sequences before pause-sequence starts so it is not paused itself.
+    this.sequenceRunner.pauseAll('game_paused');
+
     // Run pause-sequence if present (fire and then pause timers)
     (async () => {
       await this._forwardGameClockControl('pause');
@@ -2689,6 +3307,7 @@ class GameStateMachine extends EventEmitter {
       this.publishEvent('pause_sequence_complete', { ok: result.ok, est: result.durationEstimate });
     })();
 
+    this._settleUnifiedTimer();
     this.changeState('paused', { reason: 'pause_requested' });
     this.stopUnifiedTimer();
     this._runAdjustTimeSequence('pause');
@@ -2710,6 +3329,8 @@ class GameStateMachine extends EventEmitter {
       return false;
     }
 
+    this.sequenceRunner.resumeAll('game_resumed');
+
     (async () => {
       await this._forwardGameClockControl('resume');
       const result = await this.sequenceRunner.runControlSequence('resume-sequence', { gameMode: this.gameType });
@@ -2728,100 +3349,123 @@ class GameStateMachine extends EventEmitter {
 
   startUnifiedTimer() {
     this.stopUnifiedTimer();
-    this._unifiedTimer = setInterval(() => {
-      // DEBUG: Basic timer tick (disabled for production)
-      // if (this.state === 'gameplay' && this.remaining % 10 === 0) {
-      //   log.info(`[DEBUG] Timer tick: state=${this.state}, remaining=${this.remaining}`);
-      // }
-
-      // Handle different states in single unified timer
-      if (this.state === 'intro') {
-        // Countdown for intro. Sequence intros also wait in executePhase();
-        // schedule intros complete here when remaining hits 0.
-        this.remaining = Math.max(0, this.remaining - 1);
-        try {
-          for (const [phaseKey, data] of this._phaseSchedules) {
-            if (phaseKey !== 'intro') continue;
-            const entries = data.entries || [];
-            entries.forEach(item => {
-              if (item.at === this.remaining) {
-                this._executeScheduleEntry(phaseKey, item.entry, item.at);
-              }
-            });
-          }
-        } catch (e) { log.warn('intro phase schedule tick error', e.message); }
+    this._lastClockTickAt = monotonicNowMs();
+    this._unifiedTimer = setInterval(() => this._onUnifiedTimerTick(), this._clockTickMs());
+  }
 
-        if (this.remaining === 0) {
-          this.stopUnifiedTimer();
-          this._completeIntroPhase().catch(e => log.warn(`intro completion failed: ${e.message}`));
-        }
-      } else if (this.state === 'gameplay') {
-        this.remaining = Math.max(0, this.remaining - 1);
+  _clockTickMs() {
+    const configured = Number(this.cfg?.global?.scheduleTickMs);
+    return Number.isFinite(configured) && configured >= 10 ? configured : DEFAULT_CLOCK_TICK_MS;
+  }
 
-        // DEBUG: Log every 10 seconds to track timer progress (disabled for production)
-        // if (this.remaining % 10 === 0) {
-        //   log.info(`[DEBUG] Gameplay timer: ${this.remaining}s remaining (state: ${this.state})`);
-        // }
+  _scheduleLateMs() {
+    const configured = Number(this.cfg?.global?.scheduleLateMs);
+    return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_SCHEDULE_LATE_MS;
+  }
 
-        // Also check phase-scoped schedules and fire any entries matching remaining
-        try {
-          for (const [phaseKey, data] of this._phaseSchedules) {
-            if (phaseKey !== this.state) continue; // only process current gameplay phase
-
-            // DEBUG: Log schedule details every 10 seconds (disabled for production)
-            // if (this.remaining % 10 === 0) {
-            //   const entries = data.entries || [];
-            //   log.info(`[DEBUG] Checking phase ${phaseKey}, ${entries.length} entries, looking for time ${this.remaining}`);
-            //   entries.slice(0, 3).forEach(item => {
-            //     log.info(`[DEBUG] Entry: at=${item.at}, entry=${JSON.stringify(item.entry)}`);
-            //   });
-            // }
-
-            const entries = data.entries || [];
-            entries.forEach(item => {
-              if (item.at === this.remaining) {
-                this._executeScheduleEntry(phaseKey, item.entry, item.at);
-              }
-            });
-          }
-        } catch (e) { log.warn('phase schedule tick error', e.message); }
-        if (this.remaining === 0) {
-          this._triggerEnd('fail');
-        }
-      } else if (this.state === 'ready') {
-        const idleCfg = this.cfg.sequences.idle;
-        if (idleCfg && idleCfg.enabled) {
-          const intervalSeconds = idleCfg.interval || 300;
-          this.idleCounter++;
-          if (this.idleCounter >= intervalSeconds) {
-            this.idleCounter = 0;
-            this.sequenceRunner.runControlSequence('idle');
-          }
+  // Account for time elapsed since the last tick (e.g. just before pausing) so
+  // stopping the interval never drops the partial tick.
+  _settleUnifiedTimer() {
+    if (this._unifiedTimer) this._onUnifiedTimerTick();
+  }
+
+  _onUnifiedTimerTick() {
+    // Elapsed time comes from the monotonic clock, not the tick count, so a
+    // stalled event loop cannot make the countdown drift from real time.
+    const now = monotonicNowMs();
+    const elapsedMs = Math.max(0, now - this._lastClockTickAt);
+    this._lastClockTickAt = now;
+
+    if (this.state === 'intro') {
+      // Countdown for intro. Sequence intros also wait in executePhase();
+      // schedule intros complete here when remaining hits 0.
+      const previousMs = this._remainingMs;
+      this._remainingMs = Math.max(0, previousMs - elapsedMs);
+      try {
+        this._fireDueScheduleEntries('intro', previousMs, this._remainingMs);
+      } catch (e) { log.warn('intro phase schedule tick error', e.message); }
+
+      if (this._remainingMs === 0) {
+        this.stopUnifiedTimer();
+        this._completeIntroPhase().catch(e => log.warn(`intro completion failed: ${e.message}`));
+      }
+    } else if (this.state === 'gameplay') {
+      const previousMs = this._remainingMs;
+      this._remainingMs = Math.max(0, previousMs - elapsedMs);
+      try {
+        this._fireDueScheduleEntries(this.state, previousMs, this._remainingMs);
+      } catch (e) { log.warn('phase schedule tick error', e.message); }
+      this._advanceStuckDetection(elapsedMs);
+      if (this._remainingMs === 0) {
+        this._triggerEnd('fail');
+      }
+    } else if (this.state === 'ready') {
+      const idleCfg = this.cfg.sequences.idle;
+      if (idleCfg && idleCfg.enabled) {
+        const intervalSeconds = idleCfg.interval || 300;
+        this._idleElapsedMs += elapsedMs;
+        if (this._idleElapsedMs >= intervalSeconds * 1000) {
+          this._idleElapsedMs = 0;
+          this.sequenceRunner.runControlSequence('idle');
         }
-      } else if (this._isClosingPhase(this.state) && !this.resetPaused) {
-        // Closing phases (solved/failed/additional): countdown resetRemaining and fire any phase-scoped schedules
-        this.resetRemaining = Math.max(0, this.resetRemaining - 1);
+      }
+    } else if (this._isClosingPhase(this.state) && !this.resetPaused) {
+      // Closing phases (solved/failed/additional): countdown resetRemaining and fire any phase-scoped schedules
+      const previousMs = this._resetRemainingMs;
+      this._resetRemainingMs = Math.max(0, previousMs - elapsedMs);
+      try {
+        this._fireDueScheduleEntries(this.state, previousMs, this._resetRemainingMs, { checkHintSuppression: false });
+      } catch (e) { log.warn('closing phase schedule tick error', e.message); }
 
-        // Fire any registered phase schedule entries that match remaining time
-        try {
-          for (const [phaseKey, data] of this._phaseSchedules) {
-            if (phaseKey !== this.state) continue; // only process current closing phase
-            const entries = data.entries || [];
-            entries.forEach(item => {
-              if (item.at === this.resetRemaining) {
-                this._executeScheduleEntry(phaseKey, item.entry, item.at, { checkHintSuppression: false });
-              }
-            });
-          }
-        } catch (e) { log.warn('closing phase schedule tick error', e.message); }
+      if (this._resetRemainingMs === 0) {
+        this._completeClosingPhase().catch(e => log.warn(`closing completion failed: ${e.message}`));
+      }
+    }
+    // per-second state publication handled by heartbeat
+  }
 
-        if (this.resetRemaining === 0) {
-          this._completeClosingPhase().catch(e => log.warn(`closing completion failed: ${e.message}`));
+  /**
+   * Fire the entries of `phaseKey` whose `:at` the countdown crossed between
+   * `previousMs` and `currentMs`, in schedule order. An entry passed by more
+   * than the late threshold (event-loop stall, suspended host) follows its
+   * `:late-policy`: `fire` (default) runs it late, `skip` drops it.
+   * Direct assignments to `remaining` (adjustTime, recover) never fire entries.
+   */
+  _fireDueScheduleEntries(phaseKey, previousMs, currentMs, options = {}) {
+    const data = this._phaseSchedules.get(phaseKey);
+    if (!data || currentMs >= previousMs) return;
+
+    const due = (data.entries || [])
+      .filter(item => Number.isFinite(item.at) && item.at * 1000 < previousMs && item.at * 1000 >= currentMs)
+      .sort((a, b) => b.at - a.at);
+
+    const lateThresholdMs = this._scheduleLateMs();
+    due.forEach(item => {
+      const lateMs = item.at * 1000 - currentMs;
+      if (lateMs > lateThresholdMs) {
+        const policy = this._normalizeLatePolicy(item.entry['late-policy'] ?? item.entry.latePolicy);
+        log.warn(`Schedule entry at ${item.at}s in phase ${phaseKey} is ${Math.round(lateMs)}ms late (${policy})`);
+        this.publishEvent('schedule_entry_late', {
+          phase: phaseKey,
+          at: item.at,
+          lateMs: Math.round(lateMs),
+          policy
+        });
+        if (policy === 'skip') {
+          this._firedScheduleKeys.add(this._scheduleEntryKey(phaseKey, item.entry._idx, item.entry.at));
+          this.markSnapshotDirty();
+          return;
         }
       }
-      // per-second state publication handled by heartbeat
-    }, 1000);
+      this._executeScheduleEntry(phaseKey, item.entry, item.at, options);
+    });
+  }
+
+  _normalizeLatePolicy(value) {
+    const policy = value === undefined || value === null ? 'fire' : String(value).replace(/^:/, '').toLowerCase();
+    return policy === 'skip' ? 'skip' : 'fire';
   }
+
   stopUnifiedTimer() { if (this._unifiedTimer) { clearInterval(this._unifiedTimer); this._unifiedTimer = null; } }
 
   // Legacy method aliases removed - now using unified timer methods directly
@@ -2882,6 +3526,8 @@ class GameStateMachine extends EventEmitter {
   pause() {
     if (this.state !== 'gameplay') return;
     log.info('Pausing game');
+    this.sequenceRunner.pauseAll('game_paused');
+    this._settleUnifiedTimer();
     this.changeState('paused', { reason: 'direct_pause_method' });
 
     this.stopUnifiedTimer();
@@ -2893,6 +3539,7 @@ class GameStateMachine extends EventEmitter {
   resume() {
     if (this.state !== 'paused') return;
     log.info('Resuming game');
+    this.sequenceRunner.resumeAll('game_resumed');
     this.changeState('gameplay', { reason: 'direct_resume_method' });
 
     // Adapter commands are handled via sequences/config; no direct clock calls
@@ -2923,6 +3570,7 @@ class GameStateMachine extends EventEmitter {
     this._phaseTransitionToken++;
     this.stopUnifiedTimer();
     this.clearAllPhaseSchedules();
+    this.sequenceRunner.cancelAll('abort');
 
     if (this.phases && this.phases.abort) {
       await this.transitionToPhase('abort');
@@ -2955,13 +3603,15 @@ class GameStateMachine extends EventEmitter {
   }
 
   async emergencyStop({ source = 'command' } = {}) {
-    // Preempt in-flight transitions and scheduled phase actions.
+    // Preempt in-flight transitions, scheduled phase actions and running sequences.
     this._phaseTransitionToken++;
     this.stopUnifiedTimer();
     this.clearAllPhaseSchedules();
+    this.sequenceRunner.cancelAll('emergency_stop');
 
     // Immediate hard cleanup first.
     stopAllAcrossZones(this.zones);
+    await this.applySafeState('emergency_stop');
 
     const emergencyResult = await this.sequenceRunner.runControlSequence('emergency-stop-sequence', {
       gameMode: this.gameType,
@@ -2976,19 +3626,23 @@ class GameStateMachine extends EventEmitter {
       });
     }
 
-    const resetOk = await this._runResetSequence();
+    // The reset cleanup and the checklist's :reset actions may lock doors,
+    // so with the safety alarm latched the room just stops in ready.
+    const safetyLatched = Boolean(this.safety && this.safety.isLatched());
+    const resetOk = safetyLatched ? false : await this._runResetSequence();
     if (!resetOk) {
       this.stopUnifiedTimer();
       this.clearAllPhaseSchedules();
       stopAllAcrossZones(this.zones);
-      this.changeState('ready', { reason: 'emergency_stop_fallback_ready' });
+      this.changeState('ready', { reason: safetyLatched ? 'emergency_stop_safety_alarm' : 'emergency_stop_fallback_ready' });
       this.publishState();
     }
 
     this.publishEvent('emergency_stop_complete', {
       source,
       emergencySequenceOk: emergencyResult.ok,
-      resetOk
+      resetOk,
+      ...(safetyLatched ? { resetSkipped: 'safety_alarm' } : {})
     });
     return true;
   }
@@ -2997,10 +3651,206 @@ class GameStateMachine extends EventEmitter {
 
 
 
+  /**
+   * Put every zone that declares :safe-state into it. Zones run side by side
+   * so one unresponsive adapter cannot hold up the rest; a zone's own commands
+   * go out in order.
+   * @returns {Promise<string[]>} zones that were commanded
+   */
+  async applySafeState(reason) {
+    const byZone = new Map();
+    safeStateActions(this.cfg.global?.mqtt?.zones).forEach(({ zone, action }) => {
+      byZone.set(zone, (byZone.get(zone) || []).concat(action));
+    });
+    if (byZone.size === 0) return [];
+
+    const zones = [...byZone.keys()];
+    log.warn(`[safe-state] Applying safe state to ${zones.join(', ')} (${reason})`);
+    const results = await Promise.allSettled(zones.map(async (zone) => {
+      for (const action of byZone.get(zone)) {
+        await this.executeCueAction(action, `safe-state:${zone}`);
+      }
+    }));
+    const failed = zones.filter((zone, i) => results[i].status === 'rejected');
+    failed.forEach(zone => log.error(`[safe-state] Zone '${zone}' did not accept its safe state`));
+    this.publishEvent('safe_state_applied', { reason, zones, failed });
+    return zones;
+  }
+
+  // --- Crash Recovery ---
+
+  _isResumableState(state) {
+    return state === 'intro' || state === 'gameplay' || state === 'paused' || this._isClosingPhase(state);
+  }
+
+  /**
+   * Capture what is needed to re-enter the current phase after a restart:
+   * clocks, fired schedule entries, hint suppression, the logic graph and
+   * any latched safety alarm.
+   */
+  exportSnapshot() {
+    const now = Date.now();
+    return {
+      state: this.state,
+      phase: this.currentPhase,
+      gameType: this.gameType,
+      currentGameMode: this.currentGameMode,
+      remaining: this.remaining,
+      // The exact clock; `remaining` rounds up, and would gain time on every recovery.
+      remainingMs: this._remainingMs,
+      resetRemaining: this.resetRemaining,
+      resetPaused: this.resetPaused,
+      firedScheduleKeys: [...this._firedScheduleKeys],
+      // Suppression is stored as an age so it survives wall-clock changes across reboot.
+      disabledHints: [...this.disabledHints.entries()].map(([hintId, ts]) => [hintId, Math.max(0, now - ts)]),
+      markedActions: [...this.markedActions],
+      logic: this.logicEngine ? this.logicEngine.exportState() : null,
+      hintUsage: this._hintUsage,
+      variables: this.variables.toJSON(),
+      scoring: { adjustments: this._scoreAdjustments, final: this.finalScore },
+      safety: this.safety && this.safety.isLatched() ? this.safety.alarm : null
+    };
+  }
+
+  /**
+   * Note that something in the snapshot changed. The persistence timer writes
+   * it on its next tick (flushSnapshot); only state changes write at once.
+   */
+  markSnapshotDirty() {
+    this._snapshotDirty = true;
+  }
+
+  /** Timer callback: write the snapshot if it changed or the game clock is running. */
+  flushSnapshot() {
+    if (!this._snapshotDirty && !this._unifiedTimer) return false;
+    return this.persistSnapshot();
+  }
+
+  persistSnapshot() {
+    if (!this.statePersistence) return false;
+    this._snapshotDirty = false;
+    try {
+      // A latched safety alarm is kept across restarts even with no game to resume.
+      if (this._isResumableState(this.state) || (this.safety && this.safety.isLatched())) {
+        this.statePersistence.save(this.exportSnapshot());
+      } else if (!this._recoverableSnapshot) {
+        // Between games there is nothing to resume; don't let `recover` resurrect a finished run.
+        this.statePersistence.clear();
+      }
+      return true;
+    } catch (e) {
+      log.warn(`[persist] Failed to write state snapshot: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Re-enter the phase captured in a snapshot with the same clocks, without
+   * replaying schedule entries that already fired before the restart.
+   * Uses the snapshot loaded at boot, falling back to the persisted file.
+   */
+  async recoverFromSnapshot({ source = 'command' } = {}) {
+    const snapshot = this._recoverableSnapshot || (this.statePersistence ? this.statePersistence.load() : null);
+    if (!snapshot) {
+      this.publishWarning('recover_no_snapshot', {
+        message: 'No saved game state is available to recover',
+        source
+      });
+      return false;
+    }
+    if (!['ready', 'resetting'].includes(this.state) || this._runningSequence) {
+      this.publishWarning('recover_ignored_not_ready', {
+        state: this.state,
+        running: this._runningSequence,
+        source
+      });
+      return false;
+    }
+    if (!snapshot.gameType || !this.cfg.game?.[snapshot.gameType]) {
+      this.publishWarning('recover_unknown_game_mode', { mode: snapshot.gameType || null, source });
+      return false;
+    }
+
+    this.gameType = snapshot.gameType;
+    this.currentGameMode = snapshot.currentGameMode || snapshot.gameType;
+    this.loadPhases(this.gameType);
+    this.loadGlobalSequences();
+
+    const phaseName = snapshot.phase || (snapshot.state === 'paused' ? 'gameplay' : snapshot.state);
+    const phaseConfig = this.phases[phaseName];
+    if (!phaseConfig) {
+      this.publishWarning('recover_unknown_phase', {
+        phase: phaseName,
+        mode: this.gameType,
+        available: Object.keys(this.phases || {}),
+        source
+      });
+      return false;
+    }
+
+    this._phaseTransitionToken++;
+    this.stopUnifiedTimer();
+    this.clearAllPhaseSchedules();
+    this._closingOutcomeMediaFired.clear();
+    this._firedScheduleKeys = new Set(Array.isArray(snapshot.firedScheduleKeys) ? snapshot.firedScheduleKeys : []);
+    const now = Date.now();
+    this.disabledHints = new Map((Array.isArray(snapshot.disabledHints) ? snapshot.disabledHints : [])
+      .map(([hintId, age]) => [hintId, now - (Number(age) || 0)]));
+    this.markedActions = new Set(Array.isArray(snapshot.markedActions) ? snapshot.markedActions : []);
+    if (this.logicEngine && snapshot.logic) this.logicEngine.importState(snapshot.logic);
+    this._resetScoreTracking();
+    this._resetStuckDetection();
+    this._hintUsage = Array.isArray(snapshot.hintUsage) ? snapshot.hintUsage : [];
+    if (snapshot.variables) this.variables.importState(snapshot.variables);
+    if (snapshot.scoring) {
+      this._scoreAdjustments = Array.isArray(snapshot.scoring.adjustments) ? snapshot.scoring.adjustments : [];
+      this.finalScore = snapshot.scoring.final || null;
+    }
+
+    this.currentPhase = phaseName;
+    this.currentPhaseConfig = phaseConfig;
+    // Snapshots from before remainingMs was saved only have whole seconds.
+    if (Number.isFinite(snapshot.remainingMs)) {
+      this._remainingMs = Math.max(0, snapshot.remainingMs);
+    } else {
+      this.remaining = Math.max(0, Number(snapshot.remaining) || 0);
+    }
+    this.resetRemaining = Math.max(0, Number(snapshot.resetRemaining) || 0);
+    this.resetPaused = snapshot.resetPaused === true;
+    this._recoverableSnapshot = null;
+
+    const resumedState = snapshot.state === 'paused' ? 'paused' : phaseName;
+    log.info(`[PhaseEngine] Recovering '${this.gameType}' into '${resumedState}' (remaining ${this.remaining}s, ${this._firedScheduleKeys.size} schedule entries already fired)`);
+    this.changeState(resumedState, { reason: 'recovered', phase: phaseName, source });
+    this.publishEvent('game_recovered', {
+      source,
+      state: resumedState,
+      phase: phaseName,
+      gameMode: this.gameType,
+      remaining: this.remaining,
+      resetRemaining: this.resetRemaining,
+      savedAt: snapshot.savedAt || null,
+      firedEntries: this._firedScheduleKeys.size
+    });
+
+    if (phaseConfig.schedule !== undefined) {
+      const resolved = this.resolvePhaseScheduleDefinition(phaseConfig, phaseName);
+      if (resolved.ok) this.registerPhaseSchedule(phaseName, resolved.schedule, resolved.duration);
+    }
+
+    // Sequence-mode phases cannot resume mid-sequence; the unified timer
+    // still completes intro/closing phases when their countdown reaches 0.
+    if (resumedState !== 'paused') this.startUnifiedTimer();
+    this._runAdjustTimeSequence('recover');
+    this.publishState();
+    this.persistSnapshot();
+    return true;
+  }
+
   completeReset() {
     this.stopUnifiedTimer();
     this.changeState('ready', { reason: 'complete_reset_method' });
-    this.idleCounter = 0;
+    this._idleElapsedMs = 0;
     this.publishEvent('reset_completed');
     this.publishState();
   }
@@ -3014,12 +3864,13 @@ class GameStateMachine extends EventEmitter {
     if (delta === 0) return;
 
     const before = this.remaining;
-    this.remaining = Math.max(0, this.remaining + delta);
+    this._remainingMs = Math.max(0, this._remainingMs + delta * 1000);
     if (this.remaining !== before) {
       // Fire adjust-time-sequence for adapter side effects (clock sync, etc.)
       this._runAdjustTimeSequence('adjust_time');
       this.publishEvent('time_adjusted', { delta, remaining: this.remaining });
       this.publishState();
+      this.markSnapshotDirty();
     }
   }
 
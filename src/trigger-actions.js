@@ -0,0 +1,124 @@
+/**
+ * Trigger actions: what a trigger rule, logic node, checklist item or custom
+ * command does when it fires.
+ *
+ *   {:fire "cue-or-sequence"}                 cue, sequence or hint by name
+ *   {:end :win} / {:end :fail}               end the game
+ *   {:complete :intro|:closing|:reset}       finish the current phase early
+ *   {:zone "lights" :command "scene" ...}    cue-style zone command
+ *   {:publish "topic" :payload {...}}        raw MQTT publish
+ *   {:set :var 1} / {:inc :var} ...          runtime variables
+ */
+const log = require('./logger');
+const { interpolate } = require('./logic/bindings');
+const { isVariableAction } = require('./variables');
+
+function normalizeTriggerEndCommand(endValue) {
+    const normalized = String(endValue || '').trim().toLowerCase();
+    const aliases = {
+        solve: 'solve',
+        solved: 'solve',
+        sovled: 'solve',
+        win: 'solve',
+        fail: 'fail',
+        failed: 'fail',
+        lose: 'fail',
+        loss: 'fail'
+    };
+
+    return aliases[normalized] || null;
+}
+
+function normalizeTriggerCompleteTarget(completeValue) {
+    const normalized = String(completeValue || '').trim().toLowerCase();
+    if (normalized === 'intro' || normalized === 'closing' || normalized === 'reset') {
+        return normalized;
+    }
+    return null;
+}
+
+async function executeTriggerAction(rawAction, triggerName, { sm, log: logger = log, topicVars = {} } = {}) {
+    if (!rawAction || typeof rawAction !== 'object') {
+        logger.warn(`Invalid trigger action in ${triggerName}: expected object`);
+        return false;
+    }
+
+    if (!sm) {
+        throw new Error('executeTriggerAction requires a state machine instance');
+    }
+
+    // {{topic}} / {{topic.N}} from a wildcard subscription
+    const action = Object.keys(topicVars || {}).length > 0 ? interpolate(rawAction, topicVars) : rawAction;
+
+    if (isVariableAction(action)) {
+        return sm.applyVariableAction(action, triggerName);
+    }
+
+    if (action.fire !== undefined) {
+        if (typeof action.fire !== 'string' || action.fire.trim() === '') {
+            logger.warn(`Trigger ${triggerName} has invalid fire action; expected non-empty string target`);
+            return false;
+        }
+
+        const fireContext = {
+            ...topicVars,
+            ...(typeof sm._buildFireContext === 'function' ? sm._buildFireContext(action) : {})
+        };
+        await sm.fireByName(action.fire, fireContext);
+        logger.info(`Fired trigger action '${action.fire}' for ${triggerName}`);
+        return true;
+    }
+
+    if (action.end !== undefined) {
+        const command = normalizeTriggerEndCommand(action.end);
+        if (!command) {
+            logger.warn(`Trigger ${triggerName} has invalid end action '${action.end}'; use win or fail`);
+            return false;
+        }
+
+        await sm.handleCommand({ command });
+        logger.info(`Executed trigger end '${command}' for ${triggerName}`);
+        return true;
+    }
+
+    if (action.complete !== undefined) {
+        const target = normalizeTriggerCompleteTarget(action.complete);
+        if (!target) {
+            logger.warn(`Trigger ${triggerName} has invalid complete action '${action.complete}'; use intro, closing, or reset`);
+            return false;
+        }
+
+        if (typeof sm.completePhase !== 'function') {
+            logger.warn(`Trigger ${triggerName} complete '${target}' skipped: state machine has no completePhase`);
+            return false;
+        }
+
+        const ok = await sm.completePhase(target);
+        if (ok) {
+            logger.info(`Executed trigger complete '${target}' for ${triggerName}`);
+        }
+        return Boolean(ok);
+    }
+
+    const rawMqttAction = action.publish || action.command === 'publish';
+    const zoneAction = Boolean(
+        action.zone
+        || action.zones
+        || ((action.command || action.publish) && (action.zone || action.zones))
+    );
+
+    if (rawMqttAction || zoneAction) {
+        await sm.executeCueAction(action, `trigger:${triggerName}`);
+        logger.info(`Executed trigger cue-style action for ${triggerName}`);
+        return true;
+    }
+
+    logger.warn(`Unsupported trigger action in ${triggerName}; use fire, end, complete, zone/zones action, or raw MQTT publish`);
+    return false;
+}
+
+module.exports = {
+    executeTriggerAction,
+    normalizeTriggerCompleteTarget,
+    normalizeTriggerEndCommand
+};
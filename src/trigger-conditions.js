@@ -0,0 +1,303 @@
+/**
+ * Trigger `:condition` maps.
+ *
+ * Every key names a payload field (dot paths such as `input_event.event` reach
+ * nested fields). The value matches exactly, as any element of a vector, or
+ * through an operator map:
+ *
+ *   {:event "opened"}                        exact; event verbs are normalized
+ *   {:code ["1234" "4321"]}                  any of
+ *   {:value {:gte 3 :lt 10}}                 :gt :gte :lt :lte :equals :not-equals
+ *   {:value {:in #{1 2 3}}}                  set membership
+ *   {:value {:range [10 20]}}                inclusive numeric range
+ *   {:code {:regex "^12"}}                   regular expression on the string form
+ *
+ * Keys in the `game/` namespace look at the game instead of the payload, so
+ * they never shadow a payload field; the combinators and comparator names are
+ * the ones sequence `:if` conditions use (sequence-conditions.js):
+ *
+ *   {:game/state "gameplay"}                 current game state (or a vector)
+ *   {:game/remaining {:lt 300}}              seconds left on the phase clock
+ *   {:game/logic {:safe true :dial 3}}      logic node outputs
+ *   {:game/var {:lights-broken {:gte 3}}}    runtime variables
+ *   {:all [...]} {:any [...]} {:not {...}}   nested condition maps
+ *
+ * The shorter spellings :ne, :and, :or, :phase, :remaining, :logic and :var
+ * are accepted as aliases of :not-equals, :all, :any and the `game/` keys.
+ * As condition keys, the four bare game names always refer to the game.
+ *
+ * Nothing is evaluated as code; an unknown operator is a configuration error
+ * reported by validateTriggerCondition().
+ */
+const OPERATOR_KEYS = ['gt', 'gte', 'lt', 'lte', 'equals', 'not-equals', 'in', 'range', 'regex'];
+const GAME_KEYS = ['game/state', 'game/remaining', 'game/logic', 'game/var'];
+const OPERATOR_ALIASES = { ne: 'not-equals' };
+const KEY_ALIASES = {
+    and: 'all',
+    or: 'any',
+    phase: 'game/state',
+    remaining: 'game/remaining',
+    logic: 'game/logic',
+    var: 'game/var'
+};
+
+const regexCache = new Map();
+
+function stripKeyword(value) {
+    return typeof value === 'string' ? value.replace(/^:/, '') : value;
+}
+
+function operatorName(rawOp) {
+    const op = stripKeyword(rawOp);
+    return OPERATOR_ALIASES[op] || op;
+}
+
+function conditionKey(rawKey) {
+    const key = stripKeyword(rawKey);
+    return KEY_ALIASES[key] || key;
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOperatorMap(value) {
+    if (!isPlainObject(value)) return false;
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => OPERATOR_KEYS.includes(operatorName(key)));
+}
+
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '') return Number(value);
+    return NaN;
+}
+
+function compileRegex(pattern) {
+    if (!regexCache.has(pattern)) regexCache.set(pattern, new RegExp(pattern));
+    return regexCache.get(pattern);
+}
+
+function getValueByPath(obj, pathExpr) {
+    if (!obj || typeof obj !== 'object') return undefined;
+    if (!pathExpr || typeof pathExpr !== 'string') return undefined;
+    const parts = pathExpr.split('.').map((part) => part.trim()).filter(Boolean);
+    if (parts.length === 0) return undefined;
+
+    let cursor = obj;
+    for (const part of parts) {
+        if (!cursor || typeof cursor !== 'object' || !(part in cursor)) {
+            return undefined;
+        }
+        cursor = cursor[part];
+    }
+    return cursor;
+}
+
+function normalizeEventToken(value) {
+    const token = String(value || '').trim().toLowerCase();
+    const aliases = {
+        opened: 'open',
+        open: 'open',
+        closed: 'close',
+        close: 'close',
+        activated: 'activate',
+        activate: 'activate',
+        deactivated: 'deactivate',
+        deactivate: 'deactivate',
+        pressed: 'press',
+        press: 'press',
+        released: 'release',
+        release: 'release'
+    };
+    return aliases[token] || token;
+}
+
+function operatorMatches(actualValue, operators, key) {
+    return Object.entries(operators).every(([rawOp, expected]) => {
+        const actualNumber = toNumber(actualValue);
+        switch (operatorName(rawOp)) {
+            case 'gt': return actualNumber > Number(expected);
+            case 'gte': return actualNumber >= Number(expected);
+            case 'lt': return actualNumber < Number(expected);
+            case 'lte': return actualNumber <= Number(expected);
+            case 'equals': return conditionEntryMatches(actualValue, expected, key);
+            case 'not-equals': return !conditionEntryMatches(actualValue, expected, key);
+            case 'in': return Array.isArray(expected) && expected.some(candidate => conditionEntryMatches(actualValue, candidate, key));
+            case 'range': return actualNumber >= Number(expected[0]) && actualNumber <= Number(expected[1]);
+            case 'regex': return actualValue !== undefined && actualValue !== null
+                && compileRegex(String(expected)).test(typeof actualValue === 'object' ? JSON.stringify(actualValue) : String(actualValue));
+            default: return false;
+        }
+    });
+}
+
+function conditionEntryMatches(actualValue, expectedValue, key) {
+    if (Array.isArray(expectedValue)) {
+        return expectedValue.some((candidate) => conditionEntryMatches(actualValue, candidate, key));
+    }
+
+    if (isOperatorMap(expectedValue)) {
+        return operatorMatches(actualValue, expectedValue, key);
+    }
+
+    if (typeof actualValue === 'string' && typeof expectedValue === 'string') {
+        const keyName = String(key || '').trim().toLowerCase();
+        const keyLeaf = keyName.includes('.') ? keyName.split('.').pop() : keyName;
+        if (keyLeaf === 'event') {
+            return normalizeEventToken(actualValue) === normalizeEventToken(expectedValue);
+        }
+    }
+
+    return actualValue === expectedValue;
+}
+
+function readPayloadField(payload, key) {
+    const actualValue = payload ? payload[key] : undefined;
+    // Support nested key paths, e.g. input_event.event
+    if (actualValue === undefined && key.includes('.')) {
+        return getValueByPath(payload, key);
+    }
+    return actualValue;
+}
+
+function namedEntriesMatch(entries, read) {
+    return Object.entries(entries || {}).every(([name, expected]) => {
+        return conditionEntryMatches(read(stripKeyword(name)), expected, name);
+    });
+}
+
+/**
+ * Match a payload against a condition map.
+ * @param {object} payload
+ * @param {object} condition
+ * @param {{ state?: string, remaining?: number, logic?: (node: string) => any, variable?: (name: string) => any }} context
+ * @returns {boolean}
+ */
+function matchTriggerCondition(payload, condition = {}, context = {}) {
+    const entries = Object.entries(condition || {});
+
+    for (const [rawKey, expectedValue] of entries) {
+        const key = conditionKey(rawKey);
+        let matched;
+        switch (key) {
+            case 'all':
+                matched = (expectedValue || []).every(c => matchTriggerCondition(payload, c, context));
+                break;
+            case 'any':
+                matched = (expectedValue || []).some(c => matchTriggerCondition(payload, c, context));
+                break;
+            case 'not':
+                matched = !matchTriggerCondition(payload, expectedValue, context);
+                break;
+            case 'game/state': {
+                const expected = Array.isArray(expectedValue) ? expectedValue.map(stripKeyword) : stripKeyword(expectedValue);
+                matched = conditionEntryMatches(context.state, expected, key);
+                break;
+            }
+            case 'game/remaining':
+                matched = conditionEntryMatches(context.remaining, expectedValue, key);
+                break;
+            case 'game/logic':
+                matched = namedEntriesMatch(expectedValue, node => (typeof context.logic === 'function' ? context.logic(node) : undefined));
+                break;
+            case 'game/var':
+                matched = namedEntriesMatch(expectedValue, name => (typeof context.variable === 'function' ? context.variable(name) : undefined));
+                break;
+            default:
+                matched = conditionEntryMatches(readPayloadField(payload, key), expectedValue, key);
+        }
+        if (!matched) return false;
+    }
+
+    return true;
+}
+
+function validateOperators(operators, path) {
+    const problems = [];
+    Object.entries(operators).forEach(([rawOp, expected]) => {
+        const op = operatorName(rawOp);
+        if (['gt', 'gte', 'lt', 'lte'].includes(op) && !Number.isFinite(toNumber(expected))) {
+            problems.push(`${path}.${op} must be a number`);
+        } else if (op === 'in' && !Array.isArray(expected)) {
+            problems.push(`${path}.in must be a vector or set`);
+        } else if (op === 'range' && !(Array.isArray(expected) && expected.length === 2 && expected.every(v => Number.isFinite(toNumber(v))))) {
+            problems.push(`${path}.range must be a [min max] pair of numbers`);
+        } else if (op === 'regex') {
+            try {
+                if (typeof expected !== 'string') throw new Error('not a string');
+                compileRegex(expected);
+            } catch (e) {
+                problems.push(`${path}.regex is not a valid regular expression (${e.message})`);
+            }
+        }
+    });
+    return problems;
+}
+
+function validateValue(expected, path) {
+    if (Array.isArray(expected)) {
+        return expected.flatMap((candidate, i) => validateValue(candidate, `${path}[${i}]`));
+    }
+    if (isOperatorMap(expected)) return validateOperators(expected, path);
+    if (isPlainObject(expected)) {
+        const unknown = Object.keys(expected).map(stripKeyword).filter(op => !OPERATOR_KEYS.includes(operatorName(op)));
+        return [`${path} has unknown operator(s) ${unknown.map(op => `:${op}`).join(', ')}; use one of :${OPERATOR_KEYS.join(', :')}`];
+    }
+    return [];
+}
+
+/**
+ * Static check used at startup and by the config validator.
+ * @returns {string[]} problems (empty when valid)
+ */
+function validateTriggerCondition(condition, path = 'condition') {
+    if (condition === undefined || condition === null) return [];
+    if (!isPlainObject(condition)) return [`${path} must be a map`];
+
+    return Object.entries(condition).flatMap(([rawKey, expected]) => {
+        const key = conditionKey(rawKey);
+        const at = `${path}.${stripKeyword(rawKey)}`;
+        if (key === 'all' || key === 'any') {
+            if (!Array.isArray(expected) || expected.length === 0) return [`${at} must be a non-empty vector of condition maps`];
+            return expected.flatMap((c, i) => (isPlainObject(c)
+                ? validateTriggerCondition(c, `${at}[${i}]`)
+                : [`${at}[${i}] must be a condition map`]));
+        }
+        if (key === 'not') {
+            return isPlainObject(expected) ? validateTriggerCondition(expected, at) : [`${at} must be a condition map`];
+        }
+        if (key === 'game/logic' || key === 'game/var') {
+            if (!isPlainObject(expected)) return [`${at} must map ${key === 'game/logic' ? 'node names' : 'variable names'} to expected values`];
+            return Object.entries(expected).flatMap(([name, value]) => validateValue(value, `${at}.${stripKeyword(name)}`));
+        }
+        if (key.startsWith('game/') && !GAME_KEYS.includes(key)) {
+            return [`${at} is not a game reference; use one of :${GAME_KEYS.join(', :')}`];
+        }
+        return validateValue(expected, at);
+    });
+}
+
+/**
+ * Game-side values a trigger :condition can reference (:game/state,
+ * :game/remaining, :game/logic and :game/var). Without a state machine only
+ * the payload can match.
+ */
+function triggerConditionContext(sm) {
+    if (!sm) return {};
+    return {
+        state: sm.state,
+        remaining: sm.remaining,
+        logic: (node) => (sm.logicEngine ? sm.logicEngine.getOutput(node) : undefined),
+        variable: (name) => (sm.variables ? sm.variables.get(name) : undefined)
+    };
+}
+
+module.exports = {
+    conditionEntryMatches,
+    getValueByPath,
+    matchTriggerCondition,
+    normalizeEventToken,
+    triggerConditionContext,
+    validateTriggerCondition
+};
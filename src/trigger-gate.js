@@ -0,0 +1,224 @@
+/**
+ * Firing policy for one trigger rule.
+ *
+ *   :cooldown-ms 2000   ignore further firings for 2 s after one fires
+ *   :once true          fire at most once per game (cleared on reset)
+ *   :edge :rising       fire when the condition starts matching
+ *         :falling      ... stops matching
+ *         :change       ... either
+ *   :debounce-ms 250    fire only after the input has held for 250 ms
+ *
+ * Without any of these keys a rule keeps the old behaviour and fires on every
+ * matching message. Edge state is tracked per rule and concrete topic, so the
+ * devices behind a wildcard topic each get their own cooldown, edge and
+ * once-per-game state.
+ */
+const FIRING_KEYS = ['cooldown-ms', 'once', 'edge', 'debounce-ms'];
+const EDGES = ['rising', 'falling', 'change'];
+const SUPPRESSION_REASONS = ['edge', 'debounce', 'cooldown', 'once'];
+// Game states that start a new game as far as trigger gates are concerned.
+const RESET_STATES = ['reset', 'resetting'];
+
+function stripKeyword(value) {
+    return typeof value === 'string' ? value.replace(/^:/, '') : value;
+}
+
+function readOption(rule, key) {
+    if (rule && rule[key] !== undefined) return rule[key];
+    return rule && rule.trigger ? rule.trigger[key] : undefined;
+}
+
+/**
+ * @returns {{ cooldownMs: number, once: boolean, edge: string|null, debounceMs: number }|null}
+ *   null when the rule uses none of the firing keys
+ */
+function triggerFiringOptions(rule) {
+    if (!FIRING_KEYS.some(key => readOption(rule, key) !== undefined)) return null;
+    const cooldownMs = Number(readOption(rule, 'cooldown-ms'));
+    const debounceMs = Number(readOption(rule, 'debounce-ms'));
+    const edge = stripKeyword(readOption(rule, 'edge'));
+    return {
+        cooldownMs: Number.isFinite(cooldownMs) && cooldownMs > 0 ? cooldownMs : 0,
+        once: readOption(rule, 'once') === true,
+        edge: EDGES.includes(edge) ? edge : null,
+        debounceMs: Number.isFinite(debounceMs) && debounceMs > 0 ? debounceMs : 0
+    };
+}
+
+function validateTriggerFiringOptions(rule) {
+    const problems = [];
+    ['cooldown-ms', 'debounce-ms'].forEach((key) => {
+        const value = readOption(rule, key);
+        if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+            problems.push(`:${key} must be a non-negative number of milliseconds`);
+        }
+    });
+    const once = readOption(rule, 'once');
+    if (once !== undefined && typeof once !== 'boolean') problems.push(':once must be true or false');
+    const edge = readOption(rule, 'edge');
+    if (edge !== undefined && !EDGES.includes(stripKeyword(edge))) {
+        problems.push(`:edge must be one of :${EDGES.join(', :')}`);
+    }
+    return problems;
+}
+
+class TriggerGate {
+    /**
+     * @param {object} options from triggerFiringOptions()
+     * @param {{ now?: () => number, onSuppressed?: (reason: string) => void }} hooks
+     */
+    constructor(options, { now = Date.now, onSuppressed } = {}) {
+        this.options = options;
+        this.now = now;
+        this.onSuppressed = typeof onSuppressed === 'function' ? onSuppressed : () => { };
+        this.reset();
+    }
+
+    /**
+     * Offer one evaluated message. `fire(suppressedSinceLastFire)` runs when the
+     * policy lets it through, immediately or after the debounce window.
+     * @returns {{ outcome: 'fired'|'deferred'|'suppressed'|'ignored', reason?: string, result?: any }}
+     */
+    offer(matched, fire) {
+        const { edge, debounceMs } = this.options;
+        const previous = this.lastMatched;
+        this.lastMatched = matched;
+
+        let qualifies = matched;
+        if (edge === 'rising') qualifies = matched && !previous;
+        else if (edge === 'falling') qualifies = !matched && previous;
+        else if (edge === 'change') qualifies = matched !== previous;
+
+        // The input moved before the debounce window closed. A repeat of the
+        // same state leaves the pending firing alone.
+        if (this.pending) {
+            if (matched === this.pending.matched) return { outcome: 'deferred' };
+            this._cancelPending();
+            this._suppress('debounce');
+        }
+
+        if (!qualifies) {
+            if (edge && matched) {
+                this._suppress('edge');
+                return { outcome: 'suppressed', reason: 'edge' };
+            }
+            return { outcome: 'ignored' };
+        }
+
+        if (debounceMs > 0) {
+            const timer = setTimeout(() => {
+                this.pending = null;
+                this._tryFire(fire);
+            }, debounceMs);
+            if (timer && typeof timer.unref === 'function') timer.unref();
+            this.pending = { matched, timer };
+            return { outcome: 'deferred' };
+        }
+        return this._tryFire(fire);
+    }
+
+    _tryFire(fire) {
+        const { once, cooldownMs } = this.options;
+        const now = this.now();
+        let reason = null;
+        if (once && this.fired) reason = 'once';
+        else if (cooldownMs > 0 && this.lastFiredAt !== null && now - this.lastFiredAt < cooldownMs) reason = 'cooldown';
+        if (reason) {
+            this._suppress(reason);
+            return { outcome: 'suppressed', reason };
+        }
+
+        const suppressed = this.sinceLastFire;
+        this.fired = true;
+        this.lastFiredAt = now;
+        this.sinceLastFire = 0;
+        return { outcome: 'fired', result: fire(suppressed) };
+    }
+
+    _suppress(reason) {
+        this.counts[reason] += 1;
+        this.sinceLastFire += 1;
+        this.onSuppressed(reason);
+    }
+
+    _cancelPending() {
+        if (!this.pending) return;
+        clearTimeout(this.pending.timer);
+        this.pending = null;
+    }
+
+    /** Clear once/cooldown/edge state for a new game. Returns the suppression counts it discarded. */
+    reset() {
+        this._cancelPending();
+        const counts = this.counts;
+        this.counts = Object.fromEntries(SUPPRESSION_REASONS.map(reason => [reason, 0]));
+        this.sinceLastFire = 0;
+        this.lastMatched = false;
+        this.fired = false;
+        this.lastFiredAt = null;
+        return counts || { ...this.counts };
+    }
+}
+
+/**
+ * The gates of every gated rule, one per rule and topic the rule matched on.
+ */
+class TriggerGates {
+    /**
+     * @param {Array<object>} rules trigger rules from buildTriggerRules()
+     * @param {{ now?: () => number }} hooks passed on to each TriggerGate
+     */
+    constructor(rules = [], hooks = {}) {
+        this.hooks = hooks;
+        this.options = new Map();
+        this.gates = new Map(); // rule -> Map(topic -> TriggerGate)
+        rules.forEach((rule) => {
+            const options = triggerFiringOptions(rule);
+            if (options) this.options.set(rule, options);
+        });
+    }
+
+    /** False for rules without firing keys; those fire on every match. */
+    has(rule) {
+        return this.options.has(rule);
+    }
+
+    /** TriggerGate#offer for the rule's gate on `topic`. */
+    offer(rule, topic, matched, fire) {
+        if (!this.gates.has(rule)) this.gates.set(rule, new Map());
+        const byTopic = this.gates.get(rule);
+        if (!byTopic.has(topic)) byTopic.set(topic, new TriggerGate(this.options.get(rule), this.hooks));
+        return byTopic.get(topic).offer(matched, fire);
+    }
+
+    /**
+     * Re-arm every gate for a new game.
+     * @returns {Object<string, object>} suppression counts (with `total`) per rule name that suppressed anything
+     */
+    reset() {
+        const summary = {};
+        this.gates.forEach((byTopic, rule) => {
+            const counts = Object.fromEntries(SUPPRESSION_REASONS.map(reason => [reason, 0]));
+            byTopic.forEach((gate) => {
+                Object.entries(gate.reset()).forEach(([reason, n]) => { counts[reason] += n; });
+            });
+            const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+            if (total > 0) summary[rule.name] = { ...counts, total };
+        });
+        this.gates.clear();
+        return summary;
+    }
+}
+
+/** True for the `state_changed` event that starts a reset (reset command, abort, e-stop or the reset phase). */
+function isGameResetEvent(eventName, data) {
+    return eventName === 'state_changed' && Boolean(data) && RESET_STATES.includes(data.to);
+}
+
+module.exports = {
+    TriggerGate,
+    TriggerGates,
+    isGameResetEvent,
+    triggerFiringOptions,
+    validateTriggerFiringOptions
+};
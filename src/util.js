@@ -15,4 +15,9 @@ function mmssToSeconds(str) {
   return m * 60 + s;
 }
 
-module.exports = { pad, secondsToMMSS, mmssToSeconds };
+// Monotonic milliseconds for measuring elapsed time; unaffected by wall-clock changes.
+function monotonicNowMs() {
+  return performance.now();
+}
+
+module.exports = { pad, secondsToMMSS, mmssToSeconds, monotonicNowMs };
@@ -10,6 +10,19 @@
  */
 
 const { buildGraph } = require('../logic/graph');
+const { validateCondition } = require('../sequence-conditions');
+const { validateTriggerCondition } = require('../trigger-conditions');
+const { validateTriggerFiringOptions } = require('../trigger-gate');
+const { validateTransforms } = require('../input-transforms');
+const { validateHealthOptions } = require('../health-monitor');
+const { validateChecklist } = require('../checklist');
+const { validateSafeState } = require('../fail-safe');
+const { validateEgress, validateSafety } = require('../safety');
+const { validateCustomCommands } = require('../command-registry');
+const { builtinCommands } = require('../builtin-commands');
+const { validateScoring } = require('../scoring');
+const { validateHintRules } = require('../hints');
+const { isVariableAction, parseVariableAction } = require('../variables');
 
 class ConfigValidator {
     constructor() {
@@ -73,6 +86,72 @@ class ConfigValidator {
             this.validateGlobalHints(global.hints, global, 'global');
         }
 
+        if (global.variables !== undefined
+            && (!global.variables || typeof global.variables !== 'object' || Array.isArray(global.variables))) {
+            this.addError('global.variables must be a map of variable name to default value', 'global.variables');
+        }
+
+        if (global.inputs && typeof global.inputs === 'object' && !Array.isArray(global.inputs)) {
+            Object.entries(global.inputs).forEach(([name, def]) => {
+                validateTransforms(def && def.transform, `global.inputs.${name}.transform`)
+                    .forEach(problem => this.addError(`Input ${problem}`, `global.inputs.${name}.transform`));
+                const { required, ...inputHealth } = def || {};
+                validateHealthOptions(inputHealth, `global.inputs.${name}`)
+                    .forEach(problem => this.addError(`Input ${problem}`, `global.inputs.${name}`));
+                if (required !== undefined) {
+                    this.addError(`Input global.inputs.${name} :required only applies to zones`, `global.inputs.${name}`);
+                }
+            });
+        }
+
+        const zones = global.mqtt && global.mqtt.zones;
+        if (zones && typeof zones === 'object' && !Array.isArray(zones)) {
+            Object.entries(zones).forEach(([name, def]) => {
+                validateHealthOptions(def, `global.mqtt.zones.${name}`)
+                    .forEach(problem => this.addError(`Zone ${problem}`, `global.mqtt.zones.${name}`));
+                validateSafeState(def, `global.mqtt.zones.${name}`)
+                    .forEach(problem => this.addError(`Zone ${problem}`, `global.mqtt.zones.${name}`));
+                validateEgress(def, `global.mqtt.zones.${name}`)
+                    .forEach(problem => this.addError(`Zone ${problem}`, `global.mqtt.zones.${name}`));
+            });
+        }
+
+        ['alive-ms', 'command-dedup-ms'].forEach((key) => {
+            const ms = global.mqtt && global.mqtt[key];
+            if (ms !== undefined && !(typeof ms === 'number' && ms > 0)) {
+                this.addError(`global.mqtt :${key} must be a positive number of milliseconds`, `global.mqtt.${key}`);
+            }
+        });
+        const protocolVersion = global.mqtt && global.mqtt['protocol-version'];
+        if (protocolVersion !== undefined && ![3, 4, 5].includes(protocolVersion)) {
+            this.addError('global.mqtt :protocol-version must be 3, 4 or 5', 'global.mqtt.protocol-version');
+        }
+
+        if (global.checklist !== undefined) {
+            validateChecklist(global.checklist, 'global.checklist')
+                .forEach(problem => this.addError(`Checklist ${problem}`, 'global.checklist'));
+            Object.entries((global.checklist && global.checklist.items) || {}).forEach(([id, item]) => {
+                if (item && item.reset !== undefined) this.validateTriggerAction(item.reset, `global.checklist.items.${id}.reset`);
+            });
+        }
+
+        if (global.safety !== undefined) {
+            validateSafety(global.safety, global.inputs, 'global.safety')
+                .forEach(problem => this.addError(`Safety ${problem}`, 'global.safety'));
+        }
+
+        if (global['custom-commands'] !== undefined) {
+            // listhints and getconfig are registered by game.js, not builtin-commands.js.
+            const reserved = builtinCommands.flatMap(def => [def.name, ...(def.aliases || [])]).concat(['listhints', 'getconfig']);
+            validateCustomCommands(global['custom-commands'], reserved, 'global.custom-commands')
+                .forEach(problem => this.addError(`Custom command ${problem}`, 'global.custom-commands'));
+            Object.entries(global['custom-commands'] || {}).forEach(([name, def]) => {
+                if (def && Array.isArray(def.actions)) {
+                    def.actions.forEach((action, index) => this.validateTriggerAction(action, `global.custom-commands.${name}.actions[${index}]`));
+                }
+            });
+        }
+
         if (global.triggers) {
             this.validateTriggers(global.triggers, 'global.triggers');
         }
@@ -172,6 +251,8 @@ class ConfigValidator {
                 );
             }
 
+            this.validateHintLadder(hintName, hintDef, globalConfig, hintContext);
+
             if (type !== 'sequence' && type !== 'text') {
                 if (hintDef.parameters && typeof hintDef.parameters === 'object') {
                     this.addWarning(
@@ -232,7 +313,7 @@ class ConfigValidator {
 
             const templateKeys = this.extractTemplateKeys(sequenceDef);
             // Allow UI metadata fields that are useful but not required as template placeholders.
-            const reserved = new Set(['id', 'type', 'sequence', 'description', 'parameters', 'zone']);
+            const reserved = new Set(['id', 'type', 'sequence', 'description', 'parameters', 'zone', 'puzzle', 'tier']);
             const providedKeys = Object.keys(hintDef).filter(k => !reserved.has(k));
             const providedParamKeys = (type === 'sequence' && parameters && typeof parameters === 'object')
                 ? Object.keys(parameters)
@@ -297,6 +378,26 @@ class ConfigValidator {
 
         this.validateGameModeHintReferences(modeKey, hintsList, globalConfig);
 
+        validateHintRules(mode).forEach(problem => {
+            this.addError(`Game mode '${modeKey}' ${problem}`, `game-mode.${modeKey}`);
+        });
+        const progressNodes = mode['stuck-detection'] && mode['stuck-detection'].progress;
+        if (Array.isArray(progressNodes)) {
+            const logicNodes = Object.keys(globalConfig.logic || {});
+            progressNodes.forEach(node => {
+                if (!logicNodes.includes(String(node).replace(/^:/, ''))) {
+                    this.addWarning(
+                        `Game mode '${modeKey}' stuck-detection progress references unknown logic node '${node}'`,
+                        `game-mode.${modeKey}.stuck-detection`
+                    );
+                }
+            });
+        }
+
+        if (mode.scoring !== undefined) {
+            this.validateScoringConfig(mode.scoring, modeKey, globalConfig);
+        }
+
         // Validate mode-specific cues
         if (mode.cues) {
             this.validateCues(mode.cues, `game-mode.${modeKey}`);
@@ -359,6 +460,47 @@ class ConfigValidator {
         this.validateNameUniqueness(mode, `game-mode.${modeKey}`);
     }
 
+    /**
+     * Validate a game mode :scoring block; logic weights must name :global :logic nodes.
+     */
+    validateScoringConfig(scoring, modeKey, globalConfig = {}) {
+        const context = `game-mode.${modeKey}.scoring`;
+        validateScoring(scoring, 'scoring').forEach(problem => {
+            this.addError(`Game mode '${modeKey}' ${problem}`, context);
+        });
+        const logicNodes = Object.keys(globalConfig.logic || {});
+        if (scoring && scoring.logic && typeof scoring.logic === 'object') {
+            Object.keys(scoring.logic).forEach(node => {
+                if (!logicNodes.includes(node.replace(/^:/, ''))) {
+                    this.addWarning(`Game mode '${modeKey}' scoring references unknown logic node '${node}'`, `${context}.logic`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate a hint's ladder keys: :tier must be a positive integer and
+     * :puzzle should name a :global :logic node.
+     */
+    validateHintLadder(hintName, hintDef, globalConfig, hintContext) {
+        if (hintDef.tier !== undefined && (!Number.isInteger(hintDef.tier) || hintDef.tier < 1)) {
+            this.addError(`Hint '${hintName}' has invalid tier '${hintDef.tier}'. Expected a positive integer.`, hintContext);
+        }
+        if (hintDef.puzzle === undefined) {
+            if (hintDef.tier !== undefined) {
+                this.addWarning(`Hint '${hintName}' sets 'tier' without 'puzzle'; tiers only apply to puzzle hint ladders`, hintContext);
+            }
+            return;
+        }
+        const puzzle = String(hintDef.puzzle).replace(/^:/, '');
+        if (!Object.prototype.hasOwnProperty.call(globalConfig.logic || {}, puzzle)) {
+            this.addWarning(
+                `Hint '${hintName}' links puzzle '${puzzle}' which is not a :global :logic node; it will never count as solved`,
+                hintContext
+            );
+        }
+    }
+
     /**
      * Validate hint references in a game mode against globally defined hint ids.
      */
@@ -432,6 +574,11 @@ class ConfigValidator {
      * Validate individual cue command
      */
     validateCueCommand(cmd, context) {
+        if (isVariableAction(cmd)) {
+            this.validateVariableAction(cmd, context);
+            return;
+        }
+
         // Raw MQTT commands are allowed without zones.
         if (this.isRawMqttCommand(cmd)) {
             this.validateRawMqttCommand(cmd, context);
@@ -549,6 +696,19 @@ class ConfigValidator {
             });
 
         } else if (seqDef && typeof seqDef === 'object') {
+            if (seqDef['on-error'] !== undefined) {
+                this.validateErrorPolicy(seqDef['on-error'], seqContext);
+            }
+            if (seqDef.finally !== undefined) {
+                if (!Array.isArray(seqDef.finally)) {
+                    this.addError(`Sequence '${seqName}' in ${context} :finally must be a vector of steps`, seqContext);
+                } else {
+                    seqDef.finally.forEach((step, index) => {
+                        this.validateSequenceStep(step, `${seqContext}.finally[${index}]`);
+                    });
+                }
+            }
+
             if (seqDef.sequence && Array.isArray(seqDef.sequence)) {
                 // Object-wrapped sequence with :sequence array - validate steps
                 seqDef.sequence.forEach((step, index) => {
@@ -597,7 +757,7 @@ class ConfigValidator {
         const stepTypes = this.getStepDiscriminators(step);
 
         if (stepTypes.length === 0) {
-            this.addError(`Sequence step in ${context} must have a valid discriminator (zone action, fire, wait)`);
+            this.addError(`Sequence step in ${context} must have a valid discriminator (zone action, fire, wait, wait-for, if, repeat, parallel, race, set/inc/toggle/unset)`);
         } else if (stepTypes.length > 1) {
             this.addError(`Sequence step in ${context} has multiple discriminators: ${stepTypes.join(', ')}`);
         }
@@ -630,6 +790,155 @@ class ConfigValidator {
         if (step.zone || step.zones) {
             this.validateCueCommand(step, context);
         }
+
+        if (step.retry !== undefined) {
+            const retry = step.retry;
+            const count = (retry && typeof retry === 'object') ? retry.count : retry;
+            if (!Number.isInteger(count) || count < 1) {
+                this.addError(`Sequence step in ${context} :retry count must be a positive integer`);
+            }
+            if (retry && typeof retry === 'object' && retry.delay !== undefined
+                && (typeof retry.delay !== 'number' || retry.delay < 0)) {
+                this.addError(`Sequence step in ${context} :retry delay must be a non-negative number of seconds`);
+            }
+        }
+
+        if (step['on-error'] !== undefined) {
+            this.validateErrorPolicy(step['on-error'], context);
+        }
+
+        if (isVariableAction(step)) {
+            this.validateVariableAction(step, context);
+        }
+
+        this.validateControlFlowStep(step, context);
+    }
+
+    /**
+     * Validate a :set/:inc/:toggle/:unset variable action
+     */
+    validateVariableAction(action, context) {
+        parseVariableAction(action).problems.forEach(problem => {
+            this.addError(`Variable action in ${context}: ${problem}`);
+        });
+    }
+
+    /**
+     * Validate an :on-error policy (:continue, :abort or {:fire <name> :then ...})
+     */
+    validateErrorPolicy(policy, context) {
+        const strip = value => (typeof value === 'string' ? value.replace(/^:/, '') : value);
+        if (policy && typeof policy === 'object' && !Array.isArray(policy)) {
+            if (typeof policy.fire !== 'string') {
+                this.addError(`On-error policy in ${context} must name the sequence or cue to :fire`);
+            }
+            if (policy.then !== undefined && !['continue', 'abort'].includes(strip(policy.then))) {
+                this.addError(`On-error policy in ${context} has invalid :then '${policy.then}' (expected continue or abort)`);
+            }
+        } else if (!['continue', 'abort'].includes(strip(policy))) {
+            this.addError(`On-error policy in ${context} must be continue, abort or {:fire <name>}`);
+        }
+    }
+
+    /**
+     * Validate :if / :repeat / :parallel / :race / :wait-for steps and their nested steps
+     */
+    validateControlFlowStep(step, context) {
+        const validateSteps = (steps, path) => {
+            if (!Array.isArray(steps)) {
+                this.addError(`Sequence step in ${path} must be a vector of steps`);
+                return;
+            }
+            steps.forEach((nested, index) => this.validateSequenceStep(nested, `${path}[${index}]`));
+        };
+        const validateBranches = (branches, path, minimum) => {
+            if (!Array.isArray(branches) || branches.length < minimum) {
+                this.addError(`Sequence step in ${path} must be a vector of at least ${minimum} branch(es)`);
+                return;
+            }
+            branches.forEach((branch, index) => {
+                if (Array.isArray(branch)) validateSteps(branch, `${path}[${index}]`);
+                else this.validateSequenceStep(branch, `${path}[${index}]`);
+            });
+        };
+        const addConditionErrors = (condition, path) => {
+            validateCondition(condition, path).forEach(problem => this.addError(`Sequence step condition ${problem}`));
+        };
+
+        if (step.if !== undefined) {
+            addConditionErrors(step.if, `${context}.if`);
+            if (step.then === undefined && step.else === undefined) {
+                this.addError(`If step in ${context} needs :then and/or :else steps`);
+            }
+            if (step.then !== undefined) validateSteps(step.then, `${context}.then`);
+            if (step.else !== undefined) validateSteps(step.else, `${context}.else`);
+        } else if (step.then !== undefined || step.else !== undefined) {
+            this.addError(`Sequence step in ${context} has :then/:else without :if`);
+        }
+
+        if (step.repeat !== undefined) {
+            const spec = step.repeat;
+            if (typeof spec === 'number') {
+                if (!Number.isInteger(spec) || spec < 1) {
+                    this.addError(`Repeat step in ${context} count must be a positive integer`);
+                }
+            } else if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+                if (spec.count === undefined && spec.until === undefined) {
+                    this.addError(`Repeat step in ${context} needs :count or :until`);
+                }
+                if (spec.count !== undefined && (!Number.isInteger(spec.count) || spec.count < 1)) {
+                    this.addError(`Repeat step in ${context} count must be a positive integer`);
+                }
+                if (spec.max !== undefined && (!Number.isInteger(spec.max) || spec.max < 1)) {
+                    this.addError(`Repeat step in ${context} max must be a positive integer`);
+                }
+                if (spec.until !== undefined) addConditionErrors(spec.until, `${context}.repeat.until`);
+            } else {
+                this.addError(`Repeat step in ${context} must be a count or a map with :count/:until`);
+            }
+            validateSteps(step.steps, `${context}.steps`);
+        }
+
+        if (step.parallel !== undefined) {
+            validateBranches(step.parallel, `${context}.parallel`, 1);
+            const join = step.join;
+            if (join !== undefined && !['all', 'first'].includes(String(join).replace(/^:/, ''))) {
+                this.addError(`Parallel step in ${context} has invalid join '${join}' (expected all or first)`);
+            }
+        }
+
+        if (step.race !== undefined) {
+            validateBranches(step.race, `${context}.race`, 2);
+        }
+
+        if (step['wait-for'] !== undefined) {
+            const spec = step['wait-for'];
+            if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+                this.addError(`Wait-for step in ${context} must be a map with :topic, :source or :logic`);
+            } else {
+                const targets = ['topic', 'source', 'logic'].filter(key => spec[key] !== undefined);
+                if (targets.length !== 1) {
+                    this.addError(`Wait-for step in ${context} must have exactly one of :topic, :source or :logic`);
+                }
+                if (spec.condition !== undefined && (typeof spec.condition !== 'object' || Array.isArray(spec.condition))) {
+                    this.addError(`Wait-for step in ${context} condition must be a map`);
+                } else {
+                    validateTriggerCondition(spec.condition, `${context}.wait-for.condition`).forEach(problem => this.addError(`Wait-for step ${problem}`));
+                }
+                if (spec.logic !== undefined) {
+                    validateCondition(spec, `${context}.wait-for`).forEach(problem => this.addError(`Wait-for step ${problem}`));
+                }
+            }
+            if (step.timeout !== undefined && (typeof step.timeout !== 'number' || step.timeout <= 0)) {
+                this.addError(`Wait-for step in ${context} timeout must be a positive number of seconds`);
+            }
+            if (step['on-timeout'] !== undefined) {
+                if (step.timeout === undefined) {
+                    this.addError(`Wait-for step in ${context} has :on-timeout without :timeout`);
+                }
+                validateSteps(step['on-timeout'], `${context}.on-timeout`);
+            }
+        }
     }
 
     /**
@@ -789,6 +1098,15 @@ class ConfigValidator {
             }
         }
 
+        validateTriggerFiringOptions(rule).forEach((problem) => {
+            this.addError(`Trigger '${triggerName}' in ${context}: ${problem}`, context);
+        });
+
+        const condition = rule.trigger?.condition ?? rule.condition;
+        validateTriggerCondition(condition, 'condition').forEach((problem) => {
+            this.addError(`Trigger '${triggerName}' in ${context}: ${problem}`, `${context}.trigger.condition`);
+        });
+
         if (!Array.isArray(rule.actions)) {
             this.addError(`Trigger '${triggerName}' in ${context} must define :actions as an array`, `${context}.actions`);
             return;
@@ -813,13 +1131,17 @@ class ConfigValidator {
         const discriminators = this.getTriggerActionDiscriminators(action);
 
         if (discriminators.length === 0) {
-            this.addError(`Trigger action in ${context} must have a valid discriminator (fire, zone action, raw MQTT, end, complete)`);
+            this.addError(`Trigger action in ${context} must have a valid discriminator (fire, zone action, raw MQTT, end, complete, set/inc/toggle/unset)`);
         } else if (discriminators.length > 1) {
             this.addError(`Trigger action in ${context} has multiple discriminators: ${discriminators.join(', ')}`);
         }
 
         this.validateTriggerActionProhibitedSyntax(action, context);
 
+        if (isVariableAction(action)) {
+            this.validateVariableAction(action, context);
+        }
+
         if (action.fire !== undefined && typeof action.fire !== 'string') {
             this.addError(`Trigger action ${context} fire must reference a string named target`);
         }
@@ -889,8 +1211,13 @@ class ConfigValidator {
             this.addError(`Schedule entry in ${context} must have numeric 'at' timing`);
         }
 
+        const latePolicy = entry['late-policy'];
+        if (latePolicy !== undefined && !['fire', 'skip'].includes(String(latePolicy).replace(/^:/, ''))) {
+            this.addError(`Schedule entry in ${context} has invalid late-policy '${latePolicy}' (expected fire or skip)`);
+        }
+
         // Check discriminators
-        const { at, comment, ...command } = entry; // Remove metadata fields
+        const { at, comment, 'late-policy': _latePolicy, ...command } = entry; // Remove metadata fields
         const discriminators = this.getScheduleDiscriminators(command);
 
         if (discriminators.length === 0) {
@@ -1106,6 +1433,12 @@ class ConfigValidator {
         if (step['fire-seq']) discriminators.push('fire-seq (PROHIBITED)');
         if (step.zone && (step.command || this.targetsOnlyMqttRawZones(step))) discriminators.push('zone-action');
         if (step.zones && (step.command || this.targetsOnlyMqttRawZones(step))) discriminators.push('zones-action');
+        if (step.if !== undefined) discriminators.push('if');
+        if (step.repeat !== undefined) discriminators.push('repeat');
+        if (step.parallel !== undefined) discriminators.push('parallel');
+        if (step.race !== undefined) discriminators.push('race');
+        if (step['wait-for'] !== undefined) discriminators.push('wait-for');
+        if (isVariableAction(step)) discriminators.push('variable');
 
         return discriminators;
     }
@@ -1143,6 +1476,7 @@ class ConfigValidator {
         if ((action.zone || action.zones) && (action.command || this.targetsOnlyMqttRawZones(action))) discriminators.push('zone-action');
         if (action.end) discriminators.push('end');
         if (action.complete) discriminators.push('complete');
+        if (isVariableAction(action)) discriminators.push('variable');
 
         if (action.type !== undefined) discriminators.push('type (PROHIBITED)');
         if (action.cue !== undefined) discriminators.push('cue (PROHIBITED)');
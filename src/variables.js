@@ -0,0 +1,140 @@
+/**
+ * Runtime variables owned by the state machine.
+ *
+ * Declared defaults live under `:global :variables {:lights-broken 0 :wire nil}`
+ * and are restored on reset. Cues, sequence steps, trigger actions and logic
+ * actions change them with one of:
+ *
+ *   {:set :wire :value "red"}   or   {:set {:wire "red" :lights-broken 0}}
+ *   {:inc :lights-broken}       or   {:inc :lights-broken :by -1}
+ *   {:toggle :chose-red}
+ *   {:unset :wire}
+ */
+const VARIABLE_OPS = ['set', 'inc', 'toggle', 'unset'];
+
+function stripKeyword(value) {
+    return typeof value === 'string' ? value.replace(/^:/, '') : value;
+}
+
+function isVariableAction(action) {
+    return Boolean(action && typeof action === 'object' && VARIABLE_OPS.some(op => action[op] !== undefined));
+}
+
+/**
+ * Expand an action map into individual operations.
+ * @returns {{ ops: Array<{ op: string, name: string, value?: any, by?: number }>, problems: string[] }}
+ */
+function parseVariableAction(action) {
+    const ops = [];
+    const problems = [];
+    const present = VARIABLE_OPS.filter(op => action && action[op] !== undefined);
+    if (present.length !== 1) {
+        problems.push(`variable action must use exactly one of :${VARIABLE_OPS.join(', :')}`);
+        return { ops, problems };
+    }
+    const op = present[0];
+    const target = action[op];
+
+    if (op === 'set' && target && typeof target === 'object' && !Array.isArray(target)) {
+        Object.entries(target).forEach(([name, value]) => ops.push({ op, name: stripKeyword(name), value }));
+        return { ops, problems };
+    }
+    if (typeof target !== 'string' || stripKeyword(target).trim() === '') {
+        problems.push(`:${op} must name a variable`);
+        return { ops, problems };
+    }
+    const name = stripKeyword(target).trim();
+    if (op === 'set') {
+        if (action.value === undefined) problems.push(`:set ${name} needs a :value`);
+        ops.push({ op, name, value: action.value });
+    } else if (op === 'inc') {
+        const by = action.by === undefined ? 1 : Number(action.by);
+        if (!Number.isFinite(by)) problems.push(`:inc ${name} :by must be a number`);
+        ops.push({ op, name, by });
+    } else {
+        ops.push({ op, name });
+    }
+    return { ops, problems };
+}
+
+class VariableStore {
+    /**
+     * @param {{ defaults?: object, onChange?: (change: object) => void }} options
+     */
+    constructor({ defaults = {}, onChange } = {}) {
+        this.defaults = {};
+        Object.entries(defaults || {}).forEach(([name, value]) => {
+            this.defaults[stripKeyword(name)] = value;
+        });
+        this.onChange = typeof onChange === 'function' ? onChange : () => { };
+        this.values = new Map(Object.entries(this.defaults));
+    }
+
+    get(name) {
+        return this.values.get(stripKeyword(name));
+    }
+
+    has(name) {
+        return this.values.has(stripKeyword(name));
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.values);
+    }
+
+    /**
+     * Apply a :set/:inc/:toggle/:unset action.
+     * @returns {{ ok: boolean, changes: object[], problems: string[] }}
+     */
+    apply(action, source = null) {
+        const { ops, problems } = parseVariableAction(action);
+        if (problems.length > 0) return { ok: false, changes: [], problems };
+        const changes = ops.map(({ op, name, value, by }) => {
+            const previous = this.values.has(name) ? this.values.get(name) : null;
+            let next;
+            if (op === 'set') next = value;
+            else if (op === 'inc') next = (Number(previous) || 0) + by;
+            else if (op === 'toggle') next = !previous;
+            else next = null;
+
+            if (op === 'unset') this.values.delete(name);
+            else this.values.set(name, next);
+            const change = { name, op, value: next, previous, source };
+            this.onChange(change);
+            return change;
+        });
+        return { ok: true, changes, problems };
+    }
+
+    // Back to the declared defaults, reporting each variable that changed.
+    reset(source = 'reset') {
+        const before = this.toJSON();
+        this.values = new Map(Object.entries(this.defaults));
+        const after = this.toJSON();
+        return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(name => before[name] !== after[name])
+            .map((name) => {
+                const change = {
+                    name,
+                    op: 'reset',
+                    value: name in after ? after[name] : null,
+                    previous: name in before ? before[name] : null,
+                    source
+                };
+                this.onChange(change);
+                return change;
+            });
+    }
+
+    importState(values) {
+        if (!values || typeof values !== 'object') return;
+        this.values = new Map(Object.entries(values));
+    }
+}
+
+module.exports = {
+    VARIABLE_OPS,
+    VariableStore,
+    isVariableAction,
+    parseVariableAction
+};
@@ -241,7 +241,7 @@ describe('AdapterRegistry', () => {
             expect(mockMqtt.publish).toHaveBeenCalledWith(
                 'paradox/houdini/door-lock',
                 '1',
-                { retain: true }
+                { messageClass: 'command', retain: true }
             );
         });
 
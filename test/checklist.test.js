@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Checklist, validateChecklist } = require('../src/checklist');
+const GameStateMachine = require('../src/stateMachine');
+
+const config = {
+    items: {
+        handcuffs: { label: 'Handcuffs on the table' },
+        lights: { label: 'Lights idle', topic: 'paradox/test/lights/state', ready: { state: 'idle' } },
+        safe: {
+            label: 'Safe closed',
+            topic: 'paradox/test/safe/state',
+            ready: { door: 'closed' },
+            reset: { zone: 'safe', command: 'reset' },
+            'verify-ms': 1000,
+            retries: 1
+        }
+    }
+};
+
+describe('pre-game checklist', () => {
+    afterEach(() => jest.useRealTimers());
+
+    test('manual marks, automatic state and overrides decide the gate', () => {
+        const checklist = new Checklist({ items: { handcuffs: config.items.handcuffs, lights: config.items.lights } }, { now: () => 5 });
+        expect(checklist.pending()).toEqual(['handcuffs', 'lights']);
+
+        checklist.noteMessage('paradox/test/lights/state', { state: 'idle' });
+        expect(checklist.mark('handcuffs', { by: 'dana', notes: 'key in drawer' })).toEqual({ ok: true });
+        expect(checklist.isReady()).toBe(true);
+        expect(checklist.complete().outcome).toBe('complete');
+
+        checklist.noteMessage('paradox/test/lights/state', { state: 'scene', scene: 'red' });
+        expect(checklist.snapshot()).toEqual(expect.objectContaining({ status: 'notready', pending: ['lights'] }));
+        expect(checklist.mark('lights')).toEqual({ ok: false, error: 'automatic_item' });
+        expect(checklist.mark('nope')).toEqual({ ok: false, error: 'unknown_item' });
+
+        checklist.overrideItem('lights', { by: 'dana', reason: 'bulb replaced' });
+        expect(checklist.isReady()).toBe(true);
+        expect(checklist.snapshot().items[0]).toEqual(expect.objectContaining({ status: 'ready', by: 'dana', notes: 'key in drawer' }));
+        expect(checklist.complete().outcome).toBe('overridden');
+    });
+
+    test('reset actions are retried until the item reports ready, then marked failed', async () => {
+        jest.useFakeTimers();
+        const sent = [];
+        const failed = [];
+        const checklist = new Checklist(config, {
+            executeAction: async (action, label) => sent.push(label),
+            onResetFailed: item => failed.push(item.id),
+            logger: { warn() { } }
+        });
+
+        const first = checklist.reset();
+        expect(checklist.getItem('safe').status).toBe('resetting');
+        checklist.noteMessage('paradox/test/safe/state', { door: 'open' });
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(checklist.getItem('safe').attempt).toBe(2);
+        checklist.noteMessage('paradox/test/safe/state', { door: 'closed' });
+        await expect(first).resolves.toEqual([true]);
+        expect(checklist.getItem('safe').status).toBe('ready');
+        expect(sent).toEqual(['checklist:safe', 'checklist:safe']);
+
+        const second = checklist.reset();
+        await jest.advanceTimersByTimeAsync(2000);
+        await expect(second).resolves.toEqual([false]);
+        expect(checklist.getItem('safe').status).toBe('failed');
+        expect(failed).toEqual(['safe']);
+    });
+
+    test('bad item definitions are reported', () => {
+        expect(validateChecklist(config)).toEqual([]);
+        expect(validateChecklist({ items: {} })).toEqual(['checklist :items must be a non-empty map of item id to item']);
+        expect(validateChecklist({ items: { a: { topic: 'room/a' }, b: { reset: {}, retries: -1, colour: 'red' } } })).toEqual([
+            'checklist.items.a needs both :topic and :ready to be checked automatically',
+            'checklist.items.b has unknown key :colour',
+            'checklist.items.b :reset needs :topic and :ready to verify the reset',
+            'checklist.items.b :retries must be a non-negative integer'
+        ]);
+    });
+
+    test('start waits for the checklist and records the one it started with', async () => {
+        const recordDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxo-checklist-'));
+        const published = [];
+        const sm = new GameStateMachine({
+            cfg: {
+                global: { mqtt: { 'game-topic': 'paradox/test', zones: {} }, settings: {}, checklist: { items: { handcuffs: config.items.handcuffs } } },
+                game: { 'hc-60': {} }
+            },
+            mqtt: { publish: (topic, payload, options) => published.push({ topic, payload, options }), subscribe: () => { }, on: () => { } }
+        });
+        sm.checklist.setRecordLocation(recordDir, 'houdini');
+        sm._startViaSequences = jest.fn(async () => { sm.gameType = 'hc-60'; return true; });
+
+        await expect(sm.handleCommand({ command: 'start' })).resolves.toBe(false);
+        expect(published.pop().payload).toEqual(expect.objectContaining({
+            warning: 'start_blocked_checklist',
+            data: expect.objectContaining({ pending: ['handcuffs'] })
+        }));
+
+        await expect(sm.handleCommand({ command: 'checklistOverride', by: 'dana', reason: 'cuffs at repair' })).resolves.toBe(true);
+        const state = published.filter(m => m.topic === 'paradox/test/checklist').pop();
+        expect(state.options).toEqual({ retain: true });
+        expect(state.payload.status).toBe('ready');
+
+        await expect(sm.handleCommand({ command: 'start' })).resolves.toBe(true);
+        const completed = published.find(m => m.payload && m.payload.event === 'checklist_completed').payload.data;
+        expect(completed).toEqual(expect.objectContaining({ outcome: 'overridden', mode: 'hc-60' }));
+        const record = JSON.parse(fs.readFileSync(completed.file, 'utf8'));
+        expect(path.basename(completed.file)).toMatch(/^houdini_\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}_checklist\.json$/);
+        expect(record.override).toEqual(expect.objectContaining({ by: 'dana', reason: 'cuffs at repair' }));
+        expect(record.items.map(item => [item.id, item.status])).toEqual([['handcuffs', 'pending']]);
+
+        fs.rmSync(recordDir, { recursive: true, force: true });
+    });
+});
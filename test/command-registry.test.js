@@ -0,0 +1,115 @@
+const { CommandRegistry, validateCustomCommands } = require('../src/command-registry');
+const { createCommandRegistry } = require('../src/builtin-commands');
+const GameStateMachine = require('../src/stateMachine');
+
+function createStateMachine(global = {}) {
+    const published = [];
+    const sm = new GameStateMachine({
+        cfg: {
+            global: { mqtt: { 'game-topic': 'paradox/test' }, settings: {}, ...global },
+            game: { 'hc-60': {} }
+        },
+        mqtt: { publish: (topic, payload) => published.push({ topic, payload }), subscribe: () => { }, on: () => { } }
+    });
+    sm.state = 'ready';
+    return { sm, published, warnings: () => published.filter(m => m.topic === 'paradox/test/warnings').map(m => m.payload) };
+}
+
+describe('command registry', () => {
+    test('names and aliases resolve case-insensitively and may not collide', () => {
+        const registry = createCommandRegistry();
+        expect(registry.canonicalName('STARTGAME')).toBe('start');
+        expect(registry.canonicalName(' adjusttime ')).toBe('adjustTime');
+        expect(registry.resolve('setTime')).toBeNull();
+
+        expect(() => registry.register({ name: 'launch', aliases: ['Start'], handler: () => true }))
+            .toThrow("command 'launch': 'start' is already registered for 'start'");
+        expect(() => registry.register({ name: 'fog', args: { level: { type: 'percent' } }, handler: () => true }))
+            .toThrow("command 'fog' arg level type must be one of");
+        registry.register({ name: 'pause', description: 'Room-specific pause', handler: () => true }, { replace: true });
+        expect(registry.resolve('pause').description).toBe('Room-specific pause');
+        expect(registry.resolve('pause').states).toBeNull();
+    });
+
+    test('payloads are checked against the argument schema, including argument aliases', () => {
+        const registry = new CommandRegistry([{
+            name: 'fog',
+            args: {
+                level: { type: 'integer', required: true, aliases: ['value'] },
+                mode: { type: 'string', enum: ['burst', 'steady'] }
+            },
+            handler: () => true
+        }]);
+        const fog = registry.resolve('fog');
+        expect(registry.validate(fog, { value: 40 })).toEqual([]);
+        expect(registry.validate(fog, { level: null })).toEqual([{ arg: 'level', error: 'missing' }]);
+        expect(registry.validate(fog, { value: '40', mode: 'puff' })).toEqual([
+            { arg: 'value', error: 'wrong_type', expected: 'integer', received: 'string' },
+            { arg: 'mode', error: 'not_allowed', expected: ['burst', 'steady'] }
+        ]);
+        expect(registry.schema()).toEqual([{
+            command: 'fog',
+            description: '',
+            args: {
+                level: { type: 'integer', required: true, aliases: ['value'] },
+                mode: { type: 'string', required: false, enum: ['burst', 'steady'] }
+            },
+            states: null,
+            role: 'gm'
+        }]);
+    });
+
+    test('handleCommand rejects bad arguments and wrong states before running the handler', async () => {
+        const { sm, published, warnings } = createStateMachine();
+        sm.adjustTime = jest.fn();
+
+        await expect(sm.handleCommand({ command: 'adjustTime', delta: 'lots' })).resolves.toBe(false);
+        expect(warnings().pop()).toEqual(expect.objectContaining({
+            warning: 'invalid_command_arguments',
+            data: { command: 'adjustTime', errors: [{ arg: 'delta', error: 'wrong_type', expected: 'number', received: 'string' }] }
+        }));
+
+        await expect(sm.handleCommand({ command: 'adjustTime', seconds: 30 })).resolves.toBe(false);
+        expect(warnings().pop().data).toEqual({ command: 'adjustTime', state: 'ready', allowed: ['gameplay', 'paused'] });
+        expect(published.filter(m => m.payload && m.payload.event === 'command_validation_failed').map(m => m.payload.data.error))
+            .toEqual(['invalid_arguments', 'invalid_state']);
+
+        sm.state = 'paused';
+        await sm.handleCommand({ command: 'adjustTime', seconds: 30 });
+        expect(sm.adjustTime).toHaveBeenCalledWith(30);
+        await sm.handleCommand({ command: 'adjustTime', delta: '-30' });
+        expect(sm.adjustTime).toHaveBeenLastCalledWith('-30');
+
+        await expect(sm.handleCommand({ command: 'sendHint' })).resolves.toBe(false);
+        expect(warnings().pop()).toEqual(expect.objectContaining({ warning: 'sendHint_no_text' }));
+        await expect(sm.handleCommand({ command: 'debugLog' })).resolves.toBe(false);
+        expect(warnings().pop()).toEqual(expect.objectContaining({ warning: 'debug_log_empty' }));
+        await expect(sm.handleCommand({ command: 'resetting' })).resolves.toBe(false);
+    });
+
+    test('custom commands from EDN run their actions with the declared arguments', async () => {
+        const customCommands = {
+            fog: {
+                description: 'Fog burst',
+                aliases: ['smoke'],
+                args: { level: { type: 'string', required: true } },
+                actions: [{ command: 'publish', topic: 'paradox/test/fog', payload: { level: '{{level}}' } }]
+            }
+        };
+        expect(validateCustomCommands(customCommands, ['start'])).toEqual([]);
+        expect(validateCustomCommands({ start: { actions: [] } }, ['start'])).toEqual([
+            "custom-commands.start name or alias 'start' is already a command",
+            'custom-commands.start :actions must be a non-empty vector of actions'
+        ]);
+
+        const { sm } = createStateMachine({ 'custom-commands': customCommands });
+        sm.executeCueAction = jest.fn(async () => true);
+        expect(sm.commands.schema().find(c => c.command === 'fog')).toEqual(expect.objectContaining({ aliases: ['smoke'], description: 'Fog burst' }));
+
+        await expect(sm.handleCommand({ command: 'smoke', level: 'high' })).resolves.toBe(true);
+        expect(sm.executeCueAction).toHaveBeenCalledWith(
+            { command: 'publish', topic: 'paradox/test/fog', payload: { level: 'high' } },
+            'trigger:command:fog[0]'
+        );
+    });
+});
@@ -0,0 +1,85 @@
+const { CommandReplies, correlationIdOf } = require('../src/command-replies');
+
+function createReplies(options = {}) {
+    let now = 1000;
+    const published = [];
+    const replies = new CommandReplies({
+        mqtt: { publish: (topic, payload, opts) => published.push({ topic, payload, opts }) },
+        topic: 'paradox/test/replies',
+        now: () => now,
+        ...options
+    });
+    return { replies, published, advance: (ms) => { now += ms; } };
+}
+
+describe('command replies', () => {
+    test('only correlationId is a correlation id; id is always a command parameter', () => {
+        expect(correlationIdOf({ command: 'start', correlationId: 'ui-1', id: 'x' })).toBe('ui-1');
+        expect(correlationIdOf({ command: 'start', correlationId: 42 })).toBe('42');
+        expect(correlationIdOf({ command: 'start', id: 42 })).toBeNull();
+        expect(correlationIdOf({ command: 'executeHint', id: 'hint-3' })).toBeNull();
+        expect(correlationIdOf({ command: 'solvePuzzle', id: 'safe', correlationId: 'ui-2' })).toBe('ui-2');
+        expect(correlationIdOf({ command: 'pause', correlationId: { nested: true } })).toBeNull();
+        expect(correlationIdOf('not json')).toBeNull();
+    });
+
+    test('commands with a correlation id get accepted and final replies on /replies', () => {
+        const { replies, published, advance } = createReplies();
+        expect(replies.begin({ command: 'pause' })).toBeNull();
+
+        const request = replies.begin({ command: 'start', correlationId: 'ui-1' });
+        expect(request).toEqual(expect.objectContaining({ correlationId: 'ui-1', duplicate: false }));
+        request.reply('accepted');
+        advance(5);
+        request.reply('rejected', { result: false, error: 'state_machine_rejected' });
+
+        expect(published.map(m => m.topic)).toEqual(['paradox/test/replies', 'paradox/test/replies']);
+        expect(published[0].opts).toEqual({ qos: 1 });
+        expect(published[1].payload).toEqual({
+            correlationId: 'ui-1',
+            command: 'start',
+            status: 'rejected',
+            result: false,
+            error: 'state_machine_rejected',
+            t: 1005
+        });
+    });
+
+    test('MQTT v5 requests are answered on their response topic with their correlation data', () => {
+        const { replies, published } = createReplies({ generateId: () => 'cmd-1-1' });
+        const correlationData = Buffer.from('req-9');
+
+        replies.begin({ command: 'pause' }, { properties: { responseTopic: 'ui/inbox', correlationData } }).reply('completed', { result: true });
+        replies.begin({ command: 'resume' }, { properties: { responseTopic: 'ui/inbox' } }).reply('completed', { result: undefined });
+
+        expect(published[0]).toEqual({
+            topic: 'ui/inbox',
+            payload: expect.objectContaining({ correlationId: 'req-9', status: 'completed', result: true }),
+            opts: { qos: 1, properties: { correlationData } }
+        });
+        expect(published[1].payload).toEqual(expect.objectContaining({ correlationId: 'cmd-1-1', command: 'resume', result: null }));
+        expect(published[1].opts).toEqual({ qos: 1 });
+    });
+
+    test('a repeated id inside the window replays the latest reply instead of running again', () => {
+        const { replies, published, advance } = createReplies({ dedupMs: 1000 });
+        const first = replies.begin({ command: 'solve', correlationId: 'ui-7' });
+        first.reply('completed', { result: true });
+
+        advance(500);
+        const again = replies.begin({ command: 'solve', correlationId: 'ui-7' });
+        expect(again.duplicate).toBe(true);
+        expect(again.reply('completed')).toBe(false);
+        expect(published).toHaveLength(2);
+        expect(published[1].payload).toEqual(expect.objectContaining({ status: 'completed', duplicate: true }));
+        expect(replies.begin({ command: 'pause', correlationId: 'ui-7' }).duplicate).toBe(false);
+
+        advance(1001);
+        expect(replies.begin({ command: 'solve', correlationId: 'ui-7' }).duplicate).toBe(false);
+
+        // A rejected request is answered but does not take the id from the genuine one.
+        replies.begin({ command: 'start', correlationId: 'ui-8' }, null, 'start', { record: false }).reply('rejected', { error: 'bad_signature' });
+        expect(published.pop().payload).toEqual(expect.objectContaining({ correlationId: 'ui-8', status: 'rejected' }));
+        expect(replies.begin({ command: 'start', correlationId: 'ui-8' }).duplicate).toBe(false);
+    });
+});
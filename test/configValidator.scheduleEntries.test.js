@@ -203,4 +203,38 @@ describe('ConfigValidator schedule entries', () => {
         expect(result.isValid).toBe(false);
         expect(result.errors.join('\n')).toContain('cannot execute nested schedules - schedules are phase-only');
     });
+
+    test('accepts fractional :at with a late-policy and rejects unknown policies', () => {
+        const validator = new ConfigValidator();
+        const result = validator.validate({
+            global: {
+                hints: {}
+            },
+            'game-modes': {
+                demo: {
+                    'short-label': 'Demo',
+                    'game-label': 'Demo Mode',
+                    phases: {
+                        gameplay: {
+                            duration: 60,
+                            schedule: [
+                                { at: 12.5, fire: 'strobe', 'late-policy': 'skip' },
+                                { at: 10, fire: 'hint-01', 'late-policy': 'later' }
+                            ]
+                        },
+                        abort: {
+                            sequence: 'demo-abort'
+                        },
+                        reset: {
+                            sequence: 'demo-reset'
+                        }
+                    }
+                }
+            }
+        });
+
+        const errors = result.errors.join('\n');
+        expect(errors).not.toContain('schedule[0]');
+        expect(errors).toContain("invalid late-policy 'later'");
+    });
 });
\ No newline at end of file
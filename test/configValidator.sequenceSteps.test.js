@@ -155,4 +155,101 @@ describe('ConfigValidator sequence steps', () => {
         expect(result.isValid).toBe(false);
         expect(result.errors.join('\n')).toContain('must have a valid discriminator');
     });
+
+    test('validates control-flow steps and their nested steps', () => {
+        const modes = {
+            demo: {
+                'short-label': 'Demo',
+                'game-label': 'Demo Mode',
+                phases: {
+                    gameplay: { duration: 60, sequence: 'demo-seq' },
+                    abort: { sequence: 'demo-abort' },
+                    reset: { sequence: 'demo-reset' }
+                }
+            }
+        };
+        const valid = new ConfigValidator().validate({
+            global: {
+                sequences: {
+                    'demo-seq': [
+                        { if: { logic: 'breaker' }, then: [{ fire: 'lights-on' }], else: [{ wait: 1 }] },
+                        { repeat: { until: { var: 'remaining', lt: 30 }, max: 5 }, steps: [{ wait: 2 }] },
+                        { parallel: [[{ wait: 1 }], [{ fire: 'lights-on' }]], join: 'first' },
+                        { race: [[{ wait: 10 }], { fire: 'lights-off' }] },
+                        { 'wait-for': { topic: 'paradox/houdini/mirror/events', condition: { event: 'video_ended' } }, timeout: 90, 'on-timeout': [{ fire: 'lights-off' }] },
+                        { 'wait-for': { logic: 'door', equals: true } }
+                    ]
+                }
+            },
+            'game-modes': modes
+        });
+        expect(valid.errors.filter(e => e.includes('demo-seq'))).toEqual([]);
+
+        const invalid = new ConfigValidator().validate({
+            global: {
+                sequences: {
+                    'demo-seq': [
+                        { if: { logic: 'breaker', state: 'gameplay' }, then: [{ hint: 'hint-01' }] },
+                        { repeat: 0, steps: [{ wait: 1 }] },
+                        { parallel: [[{ wait: 1 }]], join: 'any' },
+                        { race: [[{ wait: 1 }]] },
+                        { then: [{ wait: 1 }] },
+                        { 'wait-for': { topic: 'a/b', logic: 'door' }, 'on-timeout': [{ wait: 1 }] }
+                    ]
+                }
+            },
+            'game-modes': modes
+        });
+        const errors = invalid.errors.join('\n');
+        expect(errors).toContain('must have exactly one of logic, state, var');
+        expect(errors).toContain('then[0] uses unsupported hint key');
+        expect(errors).toContain('count must be a positive integer');
+        expect(errors).toContain("invalid join 'any'");
+        expect(errors).toContain('at least 2 branch(es)');
+        expect(errors).toContain('has :then/:else without :if');
+        expect(errors).toContain('must have exactly one of :topic, :source or :logic');
+        expect(errors).toContain('has :on-timeout without :timeout');
+    });
+
+    test('validates :retry, :on-error and :finally', () => {
+        const modes = {
+            demo: {
+                'short-label': 'Demo',
+                'game-label': 'Demo Mode',
+                phases: {
+                    gameplay: { duration: 60, sequence: 'demo-seq' },
+                    abort: { sequence: 'demo-abort' },
+                    reset: { sequence: 'demo-reset' }
+                }
+            }
+        };
+        const validate = (seqDef) => new ConfigValidator().validate({
+            global: { sequences: { 'demo-seq': seqDef } },
+            'game-modes': modes
+        }).errors.filter(e => e.includes('demo-seq')).join('\n');
+
+        expect(validate({
+            'on-error': 'continue',
+            sequence: [
+                { fire: 'lights-on', retry: { count: 2, delay: 0.5 }, 'on-error': { fire: 'lights-off', then: 'continue' } },
+                { wait: 1, retry: 1, 'on-error': ':abort' }
+            ],
+            finally: [{ fire: 'lights-off' }]
+        })).toBe('');
+
+        const errors = validate({
+            'on-error': 'ignore',
+            sequence: [
+                { fire: 'lights-on', retry: { delay: -1 } },
+                { fire: 'lights-on', 'on-error': { then: 'retry' } }
+            ],
+            finally: { fire: 'lights-off' }
+        });
+        expect(errors).toContain('must be continue, abort or {:fire <name>}');
+        expect(errors).toContain(':retry count must be a positive integer');
+        expect(errors).toContain(':retry delay must be a non-negative number');
+        expect(errors).toContain('must name the sequence or cue to :fire');
+        expect(errors).toContain("invalid :then 'retry'");
+        expect(errors).toContain(':finally must be a vector of steps');
+    });
 });
\ No newline at end of file
@@ -0,0 +1,106 @@
+const EventEmitter = require('events');
+
+jest.mock('mqtt', () => ({ connect: jest.fn() }));
+
+const mqttLib = require('mqtt');
+const MqttClient = require('../src/mqttClient');
+const GameStateMachine = require('../src/stateMachine');
+const { AliveBeacon, safeStateActions, validateSafeState } = require('../src/fail-safe');
+
+const zones = {
+    maglocks: { type: 'mqtt', 'base-topic': 'paradox/test/maglocks', 'safe-state': [{ command: 'releaseAll' }, { command: 'lightsOn' }] },
+    door: { type: 'mqtt-raw', 'base-topic': 'paradox/test/door', 'safe-state': { payload: '0' } },
+    screen: { type: 'mqtt', 'base-topic': 'paradox/test/screen' }
+};
+
+describe('fail-safe', () => {
+    afterEach(() => jest.useRealTimers());
+
+    test(':safe-state commands are collected per zone and validated', () => {
+        expect(safeStateActions(zones)).toEqual([
+            { zone: 'maglocks', action: { command: 'releaseAll', zone: 'maglocks' } },
+            { zone: 'maglocks', action: { command: 'lightsOn', zone: 'maglocks' } },
+            { zone: 'door', action: { payload: '0', zone: 'door' } }
+        ]);
+        expect(validateSafeState(zones.maglocks, 'z')).toEqual([]);
+        expect(validateSafeState({ 'safe-state': [] }, 'z')).toEqual(['z :safe-state must not be empty']);
+        expect(validateSafeState({ 'safe-state': [{ zone: 'other', command: 'x' }, { delay: 5 }] }, 'z')).toEqual([
+            'z :safe-state[0] must not name a zone; it targets its own zone',
+            'z :safe-state[1] needs :command (or :payload for mqtt-raw zones)'
+        ]);
+    });
+
+    test('safe-state commands run per zone, and again on shutdown', async () => {
+        const published = [];
+        const sm = new GameStateMachine({
+            cfg: { global: { mqtt: { 'game-topic': 'paradox/test', zones }, settings: {} }, game: {} },
+            mqtt: { publish: (topic, payload) => published.push({ topic, payload }), subscribe: () => { }, on: () => { } }
+        });
+        const sent = [];
+        sm.executeCueAction = jest.fn(async (action) => {
+            sent.push(action);
+            if (action.zone === 'door') throw new Error('adapter gone');
+        });
+        sm.sequenceRunner.runControlSequence = jest.fn(async () => ({ ok: true }));
+
+        await expect(sm.applySafeState('emergency_stop')).resolves.toEqual(['maglocks', 'door']);
+        expect(sent.map(a => a.command || a.payload)).toEqual(['releaseAll', '0', 'lightsOn']);
+        expect(published.pop().payload).toEqual(expect.objectContaining({
+            event: 'safe_state_applied',
+            data: { reason: 'emergency_stop', zones: ['maglocks', 'door'], failed: ['door'] }
+        }));
+
+        sent.length = 0;
+        await sm.handleCommand({ command: 'shutdown' });
+        expect(sent).toHaveLength(3);
+        expect(sm.sequenceRunner.runControlSequence).toHaveBeenCalledWith('software-shutdown-sequence', expect.any(Object));
+    });
+
+    test('MqttClient registers a retained last-will and announces online/offline on the status topic', () => {
+        const fake = new EventEmitter();
+        fake.publish = jest.fn();
+        fake.subscribe = jest.fn();
+        fake.end = jest.fn();
+        mqttLib.connect.mockReturnValue(fake);
+
+        const client = new MqttClient('mqtt://broker', { statusTopic: 'paradox/test/status' }).connect();
+        const [, options] = mqttLib.connect.mock.calls[0];
+        expect(options.statusTopic).toBeUndefined();
+        expect(options.will).toEqual({
+            topic: 'paradox/test/status',
+            payload: JSON.stringify({ status: 'offline', reason: 'connection_lost' }),
+            qos: 1,
+            retain: true
+        });
+
+        fake.connected = true;
+        fake.emit('connect');
+        expect(fake.publish.mock.calls[0][0]).toBe('paradox/test/status');
+        expect(JSON.parse(fake.publish.mock.calls[0][1])).toEqual(expect.objectContaining({ status: 'online' }));
+        expect(fake.publish.mock.calls[0][2]).toEqual({ qos: 1, retain: true });
+
+        client.disconnect({ reason: 'fatal_error' });
+        expect(JSON.parse(fake.publish.mock.calls[1][1])).toEqual(expect.objectContaining({ status: 'offline', reason: 'fatal_error' }));
+        expect(fake.end).toHaveBeenCalledWith(false);
+    });
+
+    test('alive beacon publishes a numbered, non-retained token on every interval', () => {
+        jest.useFakeTimers();
+        const published = [];
+        const beacon = new AliveBeacon({
+            mqtt: { publish: (topic, payload, options) => published.push({ topic, payload, options }) },
+            topic: 'paradox/test/alive',
+            intervalMs: 1000,
+            getState: () => 'gameplay',
+            now: () => 42
+        });
+
+        beacon.start();
+        jest.advanceTimersByTime(2000);
+        beacon.stop();
+        jest.advanceTimersByTime(5000);
+
+        expect(published.map(m => m.payload.seq)).toEqual([1, 2, 3]);
+        expect(published[0]).toEqual({ topic: 'paradox/test/alive', payload: { t: 42, seq: 1, state: 'gameplay' }, options: undefined });
+    });
+});
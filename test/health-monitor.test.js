@@ -0,0 +1,95 @@
+const { HealthMonitor, hasHealthExpectations, validateHealthOptions } = require('../src/health-monitor');
+const GameStateMachine = require('../src/stateMachine');
+
+const zones = {
+    screen: { type: 'pfx-media', 'base-topic': 'paradox/test/screen', 'expect-every-ms': 5000, required: true },
+    lights: { type: 'mqtt-lights', 'base-topic': 'paradox/test/lights' }
+};
+const inputs = {
+    lockers: { topic: 'paradox/test/lockers/+/events', 'expect-every-ms': 10000 }
+};
+
+function createMonitor() {
+    let now = 0;
+    const monitor = new HealthMonitor({ zones, inputs, now: () => now });
+    return { monitor, advance: (ms) => { now += ms; } };
+}
+
+describe('health watchdog', () => {
+    test('lists every zone and input and tracks last-seen per target', () => {
+        const { monitor, advance } = createMonitor();
+        expect(monitor.topics()).toEqual(['paradox/test/screen/state', 'paradox/test/lights/state', 'paradox/test/lockers/+/events']);
+
+        advance(1000);
+        monitor.noteMessage('paradox/test/screen/state');
+        monitor.noteMessage('paradox/test/lockers/4/events');
+        expect(monitor.snapshot()).toEqual({
+            t: 1000,
+            ok: true,
+            zones: {
+                screen: { topic: 'paradox/test/screen/state', status: 'ok', lastSeen: 1000, expectEveryMs: 5000, required: true },
+                lights: { topic: 'paradox/test/lights/state', status: 'unmonitored', lastSeen: null, expectEveryMs: null, required: false }
+            },
+            inputs: {
+                lockers: { topic: 'paradox/test/lockers/+/events', status: 'ok', lastSeen: 1000, expectEveryMs: 10000 }
+            }
+        });
+    });
+
+    test('silent targets go offline/stale once, and come back on the next message', () => {
+        const { monitor, advance } = createMonitor();
+        expect(monitor.check()).toEqual([]);
+
+        advance(5001);
+        expect(monitor.check().map(c => [c.name, c.status])).toEqual([['screen', 'offline']]);
+        expect(monitor.check()).toEqual([]);
+        expect(monitor.offlineRequiredZones()).toEqual(['screen']);
+
+        advance(5000);
+        expect(monitor.check().map(c => [c.name, c.status])).toEqual([['lockers', 'stale']]);
+        expect(monitor.snapshot().ok).toBe(false);
+
+        const back = monitor.noteMessage('paradox/test/screen/state');
+        expect(back).toEqual([expect.objectContaining({ name: 'screen', status: 'ok', previous: 'offline' })]);
+        expect(monitor.offlineRequiredZones()).toEqual([]);
+    });
+
+    test('options are validated and only enable the watchdog when used', () => {
+        expect(hasHealthExpectations({ mqtt: { zones }, inputs: {} })).toBe(true);
+        expect(hasHealthExpectations({ mqtt: { zones: { lights: zones.lights } } })).toBe(false);
+        expect(validateHealthOptions({ 'expect-every-ms': 0 }, 'z')).toEqual(['z :expect-every-ms must be a positive number of milliseconds']);
+        expect(validateHealthOptions({ required: true }, 'z')).toEqual(['z :required needs :expect-every-ms']);
+        expect(validateHealthOptions({ required: 'yes', 'expect-every-ms': 100 }, 'z')).toEqual(['z :required must be true or false']);
+    });
+
+    test('start is refused while a required zone is offline unless forced', async () => {
+        const published = [];
+        const sm = new GameStateMachine({
+            cfg: { global: { mqtt: { 'game-topic': 'paradox/test', zones: {} }, settings: {} }, game: { 'hc-60': {} } },
+            mqtt: { publish: (topic, payload, options) => published.push({ topic, payload, options }), subscribe: () => { }, on: () => { } }
+        });
+        const { monitor, advance } = createMonitor();
+        sm.setHealthMonitor(monitor);
+        sm._startViaSequences = jest.fn(async () => true);
+
+        advance(6000);
+        sm.checkHealth();
+        const warnings = published.filter(m => m.topic === 'paradox/test/warnings').map(m => m.payload);
+        expect(warnings).toEqual([expect.objectContaining({ warning: 'zone_offline', data: expect.objectContaining({ zone: 'screen', lastSeen: null }) })]);
+        const health = published.filter(m => m.topic === 'paradox/test/health').pop();
+        expect(health.options).toEqual({ retain: true });
+        expect(health.payload.zones.screen.status).toBe('offline');
+
+        await expect(sm.handleCommand({ command: 'start', mode: 'hc-60' })).resolves.toBe(false);
+        expect(sm._startViaSequences).not.toHaveBeenCalled();
+        expect(published.pop().payload).toEqual(expect.objectContaining({
+            warning: 'start_blocked_zones_offline',
+            data: expect.objectContaining({ zones: ['screen'] })
+        }));
+
+        await expect(sm.handleCommand({ command: 'start', mode: 'hc-60', force: true })).resolves.toBe(true);
+        sm.noteHealthMessage('paradox/test/screen/state');
+        await expect(sm.handleCommand({ command: 'start', mode: 'hc-60' })).resolves.toBe(true);
+        expect(published.some(m => m.payload && m.payload.event === 'zone_online')).toBe(true);
+    });
+});
@@ -0,0 +1,124 @@
+const GameStateMachine = require('../src/stateMachine');
+const { hintRules, hintPenalty, validateHintRules } = require('../src/hints');
+
+function createMachine(mode = {}) {
+    const cfg = {
+        global: {
+            mqtt: { 'game-topic': 'paradox/test' },
+            settings: {},
+            hints: {
+                'mirror-video': { type: 'video', file: 'mirror.mp4' },
+                'desk-text': { type: 'text', text: 'Look under the desk' }
+            }
+        },
+        game: {
+            'hc-60': { 'hint-budget': 2, 'hint-penalties': { video: 60, ':default': 0 }, ...mode }
+        }
+    };
+    const published = [];
+    const sm = new GameStateMachine({
+        cfg,
+        mqtt: {
+            publish: (topic, payload) => published.push({ topic, payload }),
+            subscribe: () => { },
+            on: () => { }
+        }
+    });
+    sm.executeVideoHint = jest.fn(async () => { });
+    sm.executeTextHint = jest.fn(async () => true);
+    sm._runAdjustTimeSequence = jest.fn();
+    sm.gameType = 'hc-60';
+    sm.state = 'gameplay';
+    sm._remainingMs = 600000;
+    return { sm, published };
+}
+
+function events(published, name) {
+    return published.filter(m => m.payload && m.payload.event === name).map(m => m.payload.data);
+}
+
+function lastState(published) {
+    return published.filter(m => m.topic === 'paradox/test/state').pop().payload;
+}
+
+describe('hint rules', () => {
+    test('penalties are looked up by type with a :default fallback', () => {
+        const rules = hintRules({ 'hint-budget': 3, 'hint-penalties': { ':video': 60, default: 5 } });
+        expect(rules.budget).toBe(3);
+        expect(hintPenalty(rules, 'video')).toBe(60);
+        expect(hintPenalty(rules, 'text')).toBe(5);
+        expect(hintPenalty(hintRules({}), 'video')).toBe(0);
+        expect(hintRules({}).budget).toBeNull();
+    });
+
+    test('validateHintRules reports bad shapes', () => {
+        expect(validateHintRules({ 'hint-budget': 0, 'hint-penalties': { video: 30 } })).toEqual([]);
+        expect(validateHintRules({ 'hint-penalties': { text: 7.5 } })).toEqual(['hint-penalties.text must be a non-negative whole number of seconds']);
+        expect(hintRules({ 'hint-penalties': { text: 7.5 } }).penalties.has('text')).toBe(false);
+        expect(validateHintRules({ 'hint-budget': -1, 'hint-penalties': { video: 'a minute' } })).toEqual([
+            "hint-budget must be a non-negative integer, got '-1'",
+            'hint-penalties.video must be a non-negative whole number of seconds'
+        ]);
+    });
+});
+
+describe('GameStateMachine hint budget', () => {
+    test('operator hints apply their type penalty through adjustTime and report usage', async () => {
+        const { sm, published } = createMachine();
+
+        expect(await sm.fireHint('mirror-video', 'manual')).toBe(true);
+        expect(await sm.fireHint('desk-text', 'manual')).toBe(true);
+
+        expect(sm.remaining).toBe(540);
+        expect(events(published, 'time_adjusted')).toEqual([{ delta: -60, remaining: 540 }]);
+        expect(events(published, 'hint_executed')[0]).toEqual(expect.objectContaining({
+            id: 'mirror-video', forced: false, penalty: 60, used: 1, remaining: 1
+        }));
+        expect(lastState(published).hints).toEqual({
+            used: 2, byType: { video: 1, text: 1 }, budget: 2, remaining: 0, penaltySeconds: 60
+        });
+    });
+
+    test('an exhausted budget refuses operator hints unless forced', async () => {
+        const { sm, published } = createMachine({ 'hint-budget': 1 });
+
+        await sm.fireHint('desk-text', 'manual');
+        expect(await sm.fireHint('mirror-video', 'manual')).toBe(false);
+        expect(sm.executeVideoHint).not.toHaveBeenCalled();
+        expect(events(published, 'hint_refused')).toEqual([expect.objectContaining({
+            id: 'mirror-video', reason: 'budget_exhausted', budget: 1, used: 1
+        })]);
+
+        expect(await sm.fireHint('mirror-video', 'manual', null, { force: true })).toBe(true);
+        expect(events(published, 'hint_executed').pop()).toEqual(expect.objectContaining({ forced: true, penalty: 60, used: 2, remaining: 0 }));
+        expect(sm.remaining).toBe(540);
+    });
+
+    test('auto hints are charged and penalised like operator hints', async () => {
+        const { sm, published } = createMachine({ 'hint-budget': 1 });
+
+        expect(await sm.fireHint('mirror-video', 'auto')).toBe(true);
+        expect(sm.remaining).toBe(540);
+        expect(await sm.fireHint('desk-text', 'auto')).toBe(false);
+        expect(events(published, 'hint_refused')).toEqual([expect.objectContaining({ id: 'desk-text', source: 'auto', reason: 'budget_exhausted' })]);
+    });
+
+    test('scheduled hints are counted but neither charged nor penalised', async () => {
+        const { sm, published } = createMachine({ 'hint-budget': 0 });
+
+        expect(await sm.fireHint('mirror-video', 'fire')).toBe(true);
+        expect(sm.remaining).toBe(600);
+        expect(lastState(published).hints).toEqual(expect.objectContaining({ used: 1, remaining: 0, penaltySeconds: 0 }));
+        expect(await sm.fireHint(null, 'manual', 'Try the drawer')).toBe(false);
+        expect(sm.executeTextHint).not.toHaveBeenCalled();
+    });
+
+    test('hint usage is part of the crash-recovery snapshot', async () => {
+        const { sm } = createMachine();
+        await sm.fireHint('mirror-video', 'manual');
+
+        expect(sm.exportSnapshot().hintUsage).toEqual([
+            { id: 'mirror-video', type: 'video', source: 'manual', budgeted: true, forced: false, penalty: 60 }
+        ]);
+    });
+});
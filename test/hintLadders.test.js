@@ -0,0 +1,88 @@
+const GameStateMachine = require('../src/stateMachine');
+
+function createMachine() {
+    const cfg = {
+        global: {
+            mqtt: { 'game-topic': 'paradox/test' },
+            settings: {},
+            inputs: {
+                gpio: { topic: 'paradox/test/gpio', 'signal-key': 'pin', 'value-key': 'value' }
+            },
+            logic: {
+                safe: { type: 'match', inputs: ['gpio/S1'], target: { S1: 1 }, latch: true }
+            },
+            hints: {
+                'safe-nudge': { type: 'speech', file: 'nudge.mp3', puzzle: ':safe', tier: 1 },
+                'safe-video': { type: 'video', file: 'safe.mp4', puzzle: 'safe', tier: 3 },
+                'safe-clue': { type: 'speech', file: 'clue.mp3', puzzle: 'safe', tier: 2 },
+                'lobby-tip': { type: 'speech', file: 'lobby.mp3' }
+            }
+        },
+        game: { 'hc-60': {} }
+    };
+    const published = [];
+    const sm = new GameStateMachine({
+        cfg,
+        mqtt: {
+            publish: (topic, payload) => published.push({ topic, payload }),
+            subscribe: () => { },
+            on: () => { }
+        }
+    });
+    sm.executeSpeechHint = jest.fn(async () => { });
+    sm.executeVideoHint = jest.fn(async () => { });
+    sm.gameType = 'hc-60';
+    sm.state = 'gameplay';
+    sm._remainingMs = 600000;
+    return { sm, published };
+}
+
+function events(published, name) {
+    return published.filter(m => m.payload && m.payload.event === name).map(m => m.payload.data);
+}
+
+function warnings(published, name) {
+    return published.filter(m => m.payload && m.payload.warning === name).map(m => m.payload.data);
+}
+
+describe('GameStateMachine hint ladders', () => {
+    test('nextHint climbs the tiers of a puzzle and stops at the top', async () => {
+        const { sm, published } = createMachine();
+
+        await sm.fireHint('safe-clue', 'manual');
+        expect(sm.getHintLadders().safe).toEqual({
+            solved: false, tiers: [1, 2, 3], tierReached: 2, nextHint: 'safe-video', nextTier: 3
+        });
+
+        expect(await sm.handleCommand({ command: 'nextHint', puzzle: 'safe' })).toBe(true);
+        expect(sm.executeVideoHint).toHaveBeenCalledTimes(1);
+        expect(events(published, 'hint_executed').pop()).toEqual(expect.objectContaining({ id: 'safe-video', source: 'manual' }));
+
+        expect(await sm.fireNextHint('safe')).toBe(false);
+        expect(await sm.fireNextHint('vault')).toBe(false);
+        expect(warnings(published, 'next_hint_unavailable')).toEqual([
+            { puzzle: 'safe', reason: 'ladder_exhausted', tierReached: 3 },
+            { puzzle: 'vault', reason: 'unknown_puzzle', tierReached: 0 }
+        ]);
+        expect(sm.exportSnapshot().hintUsage.map(entry => entry.tier)).toEqual([2, 3]);
+    });
+
+    test('solving the puzzle closes its ladder and suppresses its scheduled hints', async () => {
+        const { sm, published } = createMachine();
+
+        await sm.logicEngine.forceSolve('safe');
+        expect(events(published, 'puzzle_solved')).toEqual([{ puzzle: 'safe', tierReached: 0 }]);
+        expect(await sm.fireNextHint(':safe')).toBe(false);
+        expect(warnings(published, 'next_hint_unavailable')[0].reason).toBe('puzzle_solved');
+
+        sm._executeScheduleEntry('gameplay', { fire: 'safe-nudge' }, 300);
+        sm._executeScheduleEntry('gameplay', { fire: 'lobby-tip' }, 240);
+        await Promise.resolve();
+
+        expect(events(published, 'scheduled_hint_suppressed')).toEqual([
+            { id: 'safe-nudge', phase: 'gameplay', at: 300, reason: 'puzzle_solved' }
+        ]);
+        expect(sm.executeSpeechHint).toHaveBeenCalledTimes(1);
+        expect(sm.executeSpeechHint.mock.calls[0][0]).toEqual(expect.objectContaining({ file: 'lobby.mp3' }));
+    });
+});
@@ -0,0 +1,202 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HotStandby } = require('../src/hot-standby');
+const { loadIniConfig } = require('../src/ini-config-loader');
+
+const quietLogger = { info() { }, warn() { }, error() { } };
+
+// Every connected client sees every message, as if each had subscribed to paradox/test/#.
+function createBroker({ latencyMs = 0 } = {}) {
+    const clients = [];
+    return function connect() {
+        const client = new EventEmitter();
+        client.standby = null;
+        client.online = true;
+        client.sent = [];
+        client.setStandby = (on, allow = []) => {
+            client.standby = on ? new Set(allow) : null;
+        };
+        client.dropBacklog = jest.fn(() => 0);
+        client.subscribe = () => { };
+        client.publish = (topic, payload) => {
+            if (client.standby && !client.standby.has(topic)) return false;
+            client.sent.push(topic);
+            if (!client.online) return true; // queued by the real client
+            const deliver = () => clients.filter(other => other.online).forEach(other => other.emit('message', topic, payload, { retain: false }));
+            if (latencyMs > 0) setTimeout(deliver, latencyMs);
+            else deliver();
+            return true;
+        };
+        clients.push(client);
+        return client;
+    };
+}
+
+function createInstance(connect, instanceId) {
+    const standby = new HotStandby({ mqtt: connect(), gameTopic: 'paradox/test', instanceId, leaseMs: 3000, logger: quietLogger });
+    const elected = jest.fn();
+    standby.on('leader', elected);
+    return { standby, elected };
+}
+
+describe('hot standby', () => {
+    beforeEach(() => jest.useFakeTimers({ now: 1000000 }));
+    afterEach(() => jest.useRealTimers());
+
+    test('the first instance takes the lease; the follower holds its output and takes over when renewals stop', () => {
+        const connect = createBroker();
+        const a = createInstance(connect, 'a');
+        a.standby.start();
+        jest.advanceTimersByTime(5000);
+        expect(a.standby.isLeader).toBe(true);
+        expect(a.elected).toHaveBeenCalledWith({ epoch: 1, previous: null, reason: 'no_leader' });
+
+        const b = createInstance(connect, 'b');
+        b.standby.start();
+        jest.advanceTimersByTime(20000);
+        expect(b.standby.role).toBe('follower');
+        expect(b.standby.lease).toEqual({ leader: 'a', epoch: 1 });
+        expect(b.standby.mqtt.publish('paradox/test/maglocks/commands', { command: 'release' })).toBe(false);
+
+        a.standby.stop(); // hung: no renewals, no last-will
+        jest.advanceTimersByTime(3000);
+        expect(b.standby.isLeader).toBe(false);
+        jest.advanceTimersByTime(2000);
+        expect(b.elected).toHaveBeenCalledWith({ epoch: 2, previous: 'a', reason: 'lease_expired' });
+        expect(b.standby.mqtt.publish('paradox/test/maglocks/commands', { command: 'release' })).toBe(true);
+        expect(b.standby.mqtt.sent).toContain('paradox/test/status');
+    });
+
+    test('the leader\'s last-will or a released lease hands over within one renewal', () => {
+        const connect = createBroker();
+        const a = createInstance(connect, 'a');
+        const b = createInstance(connect, 'b');
+        a.standby.start();
+        jest.advanceTimersByTime(5000);
+        b.standby.start();
+        jest.advanceTimersByTime(2000);
+        const demoted = jest.fn();
+        a.standby.on('demoted', demoted);
+        const monitor = connect();
+        const statuses = [];
+        monitor.on('message', (topic, payload) => {
+            if (topic === 'paradox/test/status') statuses.push(payload.status);
+        });
+
+        // Say a's connection dropped but its process kept running: b's claim must fence it.
+        monitor.publish('paradox/test/instances/a', { status: 'offline', reason: 'connection_lost' });
+        expect(b.standby.role).toBe('candidate');
+        expect(statuses).toEqual(['offline']);
+        expect(demoted).toHaveBeenCalledWith({ leader: 'b', epoch: 2 });
+        jest.advanceTimersByTime(1000);
+        expect(b.elected).toHaveBeenCalledWith({ epoch: 2, previous: 'a', reason: 'leader_offline' });
+        expect(statuses).toEqual(['offline', 'online']);
+        expect(a.standby.mqtt.publish('paradox/test/lights/commands', {})).toBe(false);
+
+        a.standby.stop(); // game.js exits on demotion
+
+        const c = createInstance(connect, 'c');
+        c.standby.start();
+        jest.advanceTimersByTime(1000);
+        b.standby.release();
+        expect(c.standby.role).toBe('candidate');
+        expect(c.standby.lease).toEqual({ leader: 'c', epoch: 3 });
+    });
+
+    test('a leader cut off from the broker holds its output until the lease is confirmed', () => {
+        const connect = createBroker();
+        const a = createInstance(connect, 'a');
+        const b = createInstance(connect, 'b');
+        a.standby.start();
+        jest.advanceTimersByTime(5000);
+        b.standby.start();
+        jest.advanceTimersByTime(2000);
+        const resumed = jest.fn();
+        const demoted = jest.fn();
+        a.standby.on('resumed', resumed);
+        a.standby.on('demoted', demoted);
+        const mqttA = a.standby.mqtt;
+        const outage = () => {
+            mqttA.online = false;
+            mqttA.emit('disconnected');
+        };
+        const reconnect = (retainedLease) => {
+            mqttA.online = true;
+            mqttA.emit('connected');
+            if (retainedLease) mqttA.emit('message', 'paradox/test/leader', retainedLease, { retain: true });
+        };
+
+        // A blip: the retained lease still names a.
+        outage();
+        expect(mqttA.dropBacklog).toHaveBeenCalledTimes(1);
+        expect(mqttA.publish('paradox/test/maglocks/commands', { command: 'lock' })).toBe(false);
+        reconnect({ leader: 'a', epoch: 1 });
+        expect(resumed).toHaveBeenLastCalledWith({ epoch: 1 });
+        expect(mqttA.publish('paradox/test/maglocks/commands', { command: 'lock' })).toBe(true);
+
+        // The broker lost its retained lease: resume after one renewal period without a newer one.
+        outage();
+        reconnect(null);
+        expect(a.standby.isHeld).toBe(true);
+        jest.advanceTimersByTime(1000);
+        expect(resumed).toHaveBeenCalledTimes(2);
+
+        // A long outage: b takes over, and a sends nothing stale when it comes back.
+        outage();
+        mqttA.sent = [];
+        jest.advanceTimersByTime(6000);
+        expect(b.standby.isLeader).toBe(true);
+        reconnect({ leader: 'b', epoch: 2 });
+        expect(demoted).toHaveBeenCalledWith({ leader: 'b', epoch: 2 });
+        jest.advanceTimersByTime(2000);
+        expect(mqttA.sent).not.toContain('paradox/test/leader');
+        expect(resumed).toHaveBeenCalledTimes(2);
+    });
+
+    test('simultaneous claims settle on the lower instance id', () => {
+        const connect = createBroker({ latencyMs: 50 });
+        const a = createInstance(connect, 'a');
+        const b = createInstance(connect, 'b');
+        b.standby.start();
+        a.standby.start();
+        jest.advanceTimersByTime(4000);
+        expect([a.standby.role, b.standby.role]).toEqual(['candidate', 'candidate']);
+        jest.advanceTimersByTime(4000);
+
+        expect(a.standby.isLeader).toBe(true);
+        expect(b.standby.role).toBe('follower');
+        expect(b.elected).not.toHaveBeenCalled();
+    });
+
+    test('the follower resumes the mirrored snapshot with the clock caught up', () => {
+        const connect = createBroker();
+        const a = createInstance(connect, 'a');
+        const b = createInstance(connect, 'b');
+        a.standby.start();
+        jest.advanceTimersByTime(5000);
+        b.standby.start();
+
+        const persistence = a.standby.persistence();
+        persistence.save({ state: 'gameplay', phase: 'gameplay', remaining: 600, logic: { nodes: {} } });
+        jest.advanceTimersByTime(4000);
+        expect(b.standby.takeoverSnapshot()).toEqual(expect.objectContaining({ state: 'gameplay', remaining: 596, logic: { nodes: {} }, version: 1 }));
+
+        persistence.save({ state: 'gameplay', phase: 'gameplay', remaining: 600, remainingMs: 599500 });
+        jest.advanceTimersByTime(1200);
+        expect(b.standby.takeoverSnapshot()).toEqual(expect.objectContaining({ remaining: 599, remainingMs: 598300 }));
+
+        persistence.save({ state: 'paused', remaining: 300 });
+        jest.advanceTimersByTime(4000);
+        expect(b.standby.takeoverSnapshot().remaining).toBe(300);
+
+        persistence.clear();
+        const stale = { load: () => ({ state: 'gameplay', remaining: 900, savedAt: Date.now() }) };
+        expect(b.standby.takeoverSnapshot(stale)).toBeNull();
+
+        const iniPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pxo-ha-')), 'pxo.ini');
+        fs.writeFileSync(iniPath, ['[ha]', 'enabled = true', 'instance_id = pxo-b', 'lease_ms = 4000'].join('\n'));
+        expect(loadIniConfig(iniPath).ha).toEqual({ enabled: true, instance_id: 'pxo-b', lease_ms: 4000, snapshot_interval_ms: 1000 });
+    });
+});
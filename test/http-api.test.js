@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { HttpApi } = require('../src/http-api');
+const { loadIniConfig } = require('../src/ini-config-loader');
+
+const quietLogger = { warn() { }, error() { }, info() { } };
+
+async function startApi(options = {}) {
+    const api = new HttpApi({
+        port: 0,
+        token: 'secret',
+        snapshots: {
+            state: () => ({ gameState: 'ready', timeLeft: '00:00' }),
+            logic: () => ({}),
+            health: () => null
+        },
+        runCommand: async payload => ({ status: 'completed', command: payload.command, result: true }),
+        logger: quietLogger,
+        ...options
+    });
+    const { port } = await api.start();
+    return { api, base: `http://127.0.0.1:${port}`, port };
+}
+
+const auth = { Authorization: 'Bearer secret' };
+
+describe('HTTP API', () => {
+    let api;
+    afterEach(async () => {
+        if (api) await api.stop();
+        api = null;
+    });
+
+    test('pxo.ini [server] is off by default and binds to localhost', () => {
+        expect(loadIniConfig(path.join(os.tmpdir(), 'pxo-ini-missing.ini')).server).toEqual({
+            enabled: false, host: '127.0.0.1', port: 4000, websocket: true, cors_origins: [], api_key: null
+        });
+        const iniPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pxo-ini-')), 'pxo.ini');
+        fs.writeFileSync(iniPath, ['[server]', 'enabled = true', 'port = 4100', 'cors_origins = http://a, http://b', 'api_key = k1'].join('\n'));
+        expect(loadIniConfig(iniPath).server).toEqual(expect.objectContaining({
+            enabled: true, host: '127.0.0.1', port: 4100, cors_origins: ['http://a', 'http://b'], api_key: 'k1'
+        }));
+    });
+
+    test('snapshots need the token and report what is not configured', async () => {
+        let base;
+        ({ api, base } = await startApi());
+
+        expect((await fetch(`${base}/state`)).status).toBe(401);
+        expect((await fetch(`${base}/state`, { headers: { Authorization: 'Bearer wrong' } })).status).toBe(401);
+
+        const state = await fetch(`${base}/state`, { headers: auth });
+        expect(state.status).toBe(200);
+        expect(await state.json()).toEqual({ gameState: 'ready', timeLeft: '00:00' });
+
+        const health = await fetch(`${base}/health`, { headers: auth });
+        expect(health.status).toBe(404);
+        expect(await health.json()).toEqual({ error: 'not_configured' });
+        expect((await fetch(`${base}/nope`, { headers: auth })).status).toBe(404);
+        expect((await fetch(`${base}/state`, { method: 'POST', headers: auth })).status).toBe(405);
+    });
+
+    test('POST /commands answers with the final reply, or 202 when the command is still running', async () => {
+        const received = [];
+        let base;
+        ({ api, base } = await startApi({
+            replyTimeoutMs: 50,
+            runCommand: (payload) => {
+                received.push(payload);
+                if (payload && payload.command === 'start') return new Promise(() => { });
+                if (payload && payload.command === 'pause') return Promise.resolve({ status: 'rejected', command: 'pause', error: 'state_machine_rejected' });
+                return Promise.resolve({ status: 'rejected', command: null, error: 'malformed_json' });
+            }
+        }));
+        const post = body => fetch(`${base}/commands`, { method: 'POST', headers: auth, body });
+
+        const paused = await post(JSON.stringify({ command: 'pause', correlationId: 'kiosk-1' }));
+        expect(paused.status).toBe(422);
+        expect(await paused.json()).toEqual({ status: 'rejected', command: 'pause', error: 'state_machine_rejected' });
+
+        const started = await post(JSON.stringify({ command: 'start' }));
+        expect(started.status).toBe(202);
+        expect(await started.json()).toEqual({ status: 'accepted', command: 'start' });
+
+        expect((await post('{not json')).status).toBe(422);
+        expect(received).toEqual([{ command: 'pause', correlationId: 'kiosk-1' }, { command: 'start' }, '{not json']);
+    });
+
+    test('the WebSocket stream sends the current state, then everything broadcast', async () => {
+        let port;
+        ({ api, port } = await startApi());
+
+        const refused = new WebSocket(`ws://127.0.0.1:${port}/stream`);
+        await expect(new Promise((resolve, reject) => {
+            refused.on('open', () => resolve('opened'));
+            refused.on('error', reject);
+        })).rejects.toThrow('401');
+
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/stream?token=secret`);
+        const messages = [];
+        await new Promise((resolve) => {
+            ws.on('message', (data) => {
+                messages.push(JSON.parse(data.toString()));
+                if (messages.length === 1) api.broadcast('events', { event: 'game_started' });
+                if (messages.length === 2) resolve();
+            });
+        });
+        ws.close();
+        expect(messages).toEqual([
+            { channel: 'state', payload: { gameState: 'ready', timeLeft: '00:00' } },
+            { channel: 'events', payload: { event: 'game_started' } }
+        ]);
+    });
+});
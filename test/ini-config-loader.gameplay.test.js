@@ -65,4 +65,31 @@ describe('INI loader gameplay logging fields', () => {
             process.chdir(originalCwd);
         }
     });
+
+    test('parses crash-recovery and leaderboard settings from [game]', () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxo-ini-'));
+        const iniPath = path.join(tmpDir, 'pxo.ini');
+
+        fs.writeFileSync(iniPath, [
+            '[game]',
+            'persist_state=true',
+            'state_file=/tmp/pxo-state.json',
+            'auto_recover=yes',
+            'snapshot_interval_ms=2000',
+            'recover_max_age_sec=600',
+            'leaderboard_file=/tmp/pxo-leaderboard.json'
+        ].join('\n'));
+
+        const cfg = loadIniConfig(iniPath);
+
+        expect(cfg.game).toEqual({
+            persist_state: true,
+            state_file: '/tmp/pxo-state.json',
+            auto_recover: true,
+            snapshot_interval_ms: 2000,
+            recover_max_age_sec: 600,
+            leaderboard_file: '/tmp/pxo-leaderboard.json'
+        });
+        expect(loadIniConfig(path.join(tmpDir, 'missing.ini')).game.persist_state).toBe(false);
+    });
 });
@@ -0,0 +1,58 @@
+const { InputTransformer, validateTransforms } = require('../src/input-transforms');
+const { buildInputSourceMap } = require('../src/game');
+
+describe('input transform pipeline', () => {
+    test('parses text payloads', () => {
+        expect(new InputTransformer([{ parse: 'kv' }]).apply('temp=21.5, door=open')).toEqual({ temp: 21.5, door: 'open' });
+        expect(new InputTransformer([{ parse: 'csv', fields: ['pin', 'value'] }]).apply('D3,1')).toEqual({ pin: 'D3', value: 1 });
+        expect(new InputTransformer([{ parse: 'number' }]).apply(' 42 ')).toEqual({ value: 42 });
+        expect(new InputTransformer([{ parse: 'number' }]).apply(42)).toEqual({ value: 42 });
+        expect(() => new InputTransformer([{ parse: 'number' }]).apply('abc')).toThrow("'abc' is not a number");
+    });
+
+    test('extracts, renames, scales, inverts and maps values in order', () => {
+        const transformer = new InputTransformer([
+            { extract: { raw: 'data.readings[1]', key: 'keypad.last', pin: 'meta.id' } },
+            { rename: { raw: 'value' } },
+            { scale: 0.1, offset: -40 },
+            { enum: { pound: '#', star: '*' }, field: 'key' },
+            { invert: 'pin' }
+        ]);
+
+        expect(transformer.apply({ data: { readings: [0, 650] }, keypad: { last: 'pound' }, meta: { id: 'on' } })).toEqual({
+            value: 25, key: '#', pin: 0
+        });
+    });
+
+    test('smoothing keeps one series per topic', () => {
+        const average = new InputTransformer([{ smooth: 'average', window: 3 }]);
+        expect([10, 20, 30, 40].map(value => average.apply({ value }, 'room/a').value)).toEqual([10, 15, 20, 30]);
+        expect(average.apply({ value: 100 }, 'room/b').value).toBe(100);
+
+        const ema = new InputTransformer([{ smooth: 'ema', alpha: 0.5 }]);
+        expect([10, 20, 20].map(value => ema.apply({ value }).value)).toEqual([10, 15, 17.5]);
+    });
+
+    test('bad pipelines are reported and their sources left out', () => {
+        expect(validateTransforms([{ parse: 'xml' }, { scale: 'ten' }, { smooth: 'median', window: 0 }, { invert: true, enum: {} }])).toEqual([
+            'transform[0] :parse must be one of :json, :kv, :csv, :number',
+            'transform[1] :scale must be a number',
+            'transform[2] :smooth must be :average or :ema',
+            'transform[2] :window must be a positive integer',
+            'transform[3] must have exactly one of :parse, :extract, :rename, :scale, :offset, :invert, :enum, :smooth'
+        ]);
+
+        const { sourceMap, diagnostics } = buildInputSourceMap({
+            global: {
+                inputs: {
+                    thermo: { topic: 'room/thermo', transform: [{ parse: 'number' }, { offset: -2 }] },
+                    broken: { topic: 'room/broken', transform: { parse: 'kv' } }
+                }
+            }
+        });
+        expect([...sourceMap.keys()]).toEqual(['thermo']);
+        expect(diagnostics.invalidSources).toEqual([
+            { source: 'broken', reason: 'invalid_transform', detail: ['transform must be a vector of steps'] }
+        ]);
+    });
+});
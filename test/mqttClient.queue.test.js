@@ -0,0 +1,136 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('mqtt', () => ({ connect: jest.fn() }));
+
+const mqttLib = require('mqtt');
+const MqttClient = require('../src/mqttClient');
+const { loadIniConfig } = require('../src/ini-config-loader');
+
+function fakeBroker() {
+    const fake = new EventEmitter();
+    fake.connected = false;
+    fake.publish = jest.fn();
+    fake.subscribe = jest.fn();
+    fake.end = jest.fn();
+    fake.up = () => {
+        fake.connected = true;
+        fake.emit('connect');
+    };
+    fake.down = () => {
+        fake.connected = false;
+        fake.emit('close');
+    };
+    mqttLib.connect.mockReturnValue(fake);
+    return fake;
+}
+
+const sentTopics = fake => fake.publish.mock.calls.map(([topic]) => topic);
+
+describe('MqttClient outbound queue', () => {
+    afterEach(() => jest.useRealTimers());
+
+    test('zone commands are replayed on reconnect; heartbeat state is dropped', () => {
+        jest.useFakeTimers({ now: 1000000 });
+        const fake = fakeBroker();
+        const client = new MqttClient('mqtt://broker').connect();
+        const flushed = jest.fn();
+        client.on('backlog-flushed', flushed);
+        fake.up();
+
+        client.subscribe('paradox/test/commands');
+        expect(fake.subscribe).toHaveBeenLastCalledWith('paradox/test/commands', { qos: 1 }, expect.any(Function));
+        client.publish('paradox/test/maglocks/commands', { command: 'lock' });
+        expect(fake.publish.mock.calls[0][2]).toEqual({ qos: 1, retain: false });
+
+        fake.down();
+        expect(client.publish('paradox/test/maglocks/commands', { command: 'release' })).toBe(true);
+        expect(client.publish('paradox/test/state', { gameState: 'gameplay' })).toBe(false);
+        client.publish('paradox/test/events', { event: 'puzzle_solved' });
+        client.publish('paradox/test/door', '0', { messageClass: 'command', retain: true });
+        jest.advanceTimersByTime(61000);
+        client.publish('paradox/test/lights/commands', { command: 'scene' });
+        expect(fake.publish).toHaveBeenCalledTimes(1);
+
+        fake.up();
+        expect(sentTopics(fake).slice(1)).toEqual(['paradox/test/events', 'paradox/test/lights/commands']);
+        expect(flushed).toHaveBeenCalledWith({
+            sent: 2,
+            expired: 2,
+            dropped: 0,
+            classes: { command: { sent: 1, expired: 2 }, event: { sent: 1, expired: 0 } }
+        });
+    });
+
+    test('each class keeps a bounded queue and drops its oldest messages first', () => {
+        const fake = fakeBroker();
+        const client = new MqttClient('mqtt://broker', { messageClasses: { command: { queueSize: 2 }, event: { queue: false } } }).connect();
+        const flushed = jest.fn();
+        client.on('backlog-flushed', flushed);
+
+        ['a', 'b', 'c'].forEach(zone => client.publish(`paradox/test/${zone}/commands`, { command: 'on' }));
+        expect(client.publish('paradox/test/warnings', { warning: 'x' })).toBe(false);
+        client.publish('paradox/test/discovery', { zones: [] }, { retain: true });
+
+        fake.up();
+        expect(fake.publish.mock.calls.map(([topic, , options]) => [topic, options])).toEqual([
+            ['paradox/test/b/commands', { qos: 1, retain: false }],
+            ['paradox/test/c/commands', { qos: 1, retain: false }],
+            ['paradox/test/discovery', { qos: 0, retain: true }]
+        ]);
+        expect(flushed.mock.calls[0][0]).toEqual(expect.objectContaining({ sent: 3, expired: 0, dropped: 1 }));
+
+        // A hot-standby follower publishes only its lease and status.
+        client.setStandby(true, ['paradox/test/leader']);
+        expect(client.publish('paradox/test/a/commands', { command: 'on' })).toBe(false);
+        expect(client.publish('paradox/test/leader', { leader: 'pxo-b' })).toBe(true);
+        expect(fake.publish).toHaveBeenCalledTimes(4);
+    });
+
+    test('disconnect ends gracefully so in-flight safe-state commands go out; an unreachable backlog is discarded', () => {
+        const fake = fakeBroker();
+        const client = new MqttClient('mqtt://broker', { statusTopic: 'paradox/test/status' }).connect();
+        client.publish('paradox/test/maglocks/commands', { command: 'release' });
+        client.disconnect({ reason: 'fatal_error' });
+        expect(fake.end).toHaveBeenCalledWith(false);
+        expect(client.backlog).toEqual([]);
+        expect(client.publish('paradox/test/maglocks/commands', { command: 'release' })).toBe(false);
+
+        const up = fakeBroker();
+        const second = new MqttClient('mqtt://broker').connect();
+        up.up();
+        second.publish('paradox/test/maglocks/commands', { command: 'release' });
+        second.disconnect();
+        expect(sentTopics(up)).toEqual(['paradox/test/maglocks/commands']);
+        expect(up.end).toHaveBeenCalledWith(false);
+    });
+
+    test('pxo.ini [mqtt] sets credentials, TLS and class policies', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxo-mqtt-'));
+        fs.writeFileSync(path.join(dir, 'ca.pem'), 'CA');
+        fs.writeFileSync(path.join(dir, 'pxo.ini'), [
+            '[mqtt]', 'broker = broker.local', 'port = 8883', 'tls = true', 'client_id = pxo-houdini',
+            'username = pxo', 'password = hunter22', 'keepalive = 30', `ca_file = ${path.join(dir, 'ca.pem')}`,
+            'reject_unauthorized = false',
+            '[mqtt.state]', 'qos = 0', 'retain = true',
+            '[mqtt.command]', 'queue_size = 50', 'max_age_sec = 10'
+        ].join('\n'));
+
+        const ini = loadIniConfig(path.join(dir, 'pxo.ini')).mqtt;
+        expect(ini.broker).toBe('mqtts://broker.local:8883');
+        expect(ini.classes).toEqual({ command: { queue_size: 50, max_age_sec: 10 }, state: { qos: 0, retain: true } });
+
+        const options = MqttClient.optionsFromIni(ini);
+        expect(options).toEqual(expect.objectContaining({
+            clientId: 'pxo-houdini', username: 'pxo', password: 'hunter22', keepalive: 30, rejectUnauthorized: false
+        }));
+        expect(options.ca.toString()).toBe('CA');
+        expect(MqttClient.optionsFromIni({}).clientId).toMatch(/^pxo-[0-9a-f]{8}$/);
+
+        const client = new MqttClient(ini.broker, options);
+        expect(client.policyFor('paradox/test/state')).toEqual({ messageClass: 'state', qos: 0, retain: true, queue: false, queueSize: 0, maxAgeMs: 0 });
+        expect(client.policyFor('paradox/test/x/commands')).toEqual(expect.objectContaining({ queueSize: 50, maxAgeMs: 10000, qos: 1 }));
+    });
+});
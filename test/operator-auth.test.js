@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OperatorAuth, loadOperators, signCommand } = require('../src/operator-auth');
+const { loadIniConfig } = require('../src/ini-config-loader');
+const { createCommandRegistry } = require('../src/builtin-commands');
+const GameStateMachine = require('../src/stateMachine');
+const { CommandReplies } = require('../src/command-replies');
+const { admitCommand } = require('../src/game');
+
+const operators = {
+    dana: { role: 'gm', secret: 'dana-secret-0123456789' },
+    tech: { role: 'technician', secret: 'tech-secret-0123456789' }
+};
+
+describe('operator auth', () => {
+    test('signed commands name their operator; tampered, stale and replayed ones are refused', () => {
+        let now = 1000000;
+        const auth = new OperatorAuth({ operators, now: () => now });
+        const signed = signCommand({ command: 'bypassPuzzle', id: 'safe' }, { operator: 'tech', secret: operators.tech.secret, ts: now });
+
+        expect(auth.authenticate(signed)).toEqual({ ok: true, operator: { name: 'tech', role: 'technician' } });
+        expect(auth.authenticate(signed)).toEqual({ ok: false, error: 'replayed_signature', operator: 'tech' });
+        expect(auth.authenticate({ ...signed, id: 'vault' })).toEqual({ ok: false, error: 'bad_signature', operator: 'tech' });
+        expect(auth.authenticate({ command: 'pause' })).toEqual({ ok: false, error: 'missing_signature' });
+        expect(auth.authenticate(signCommand({ command: 'pause' }, { operator: 'eve', secret: 'x', ts: now }))).toEqual(expect.objectContaining({ error: 'unknown_operator' }));
+
+        const late = signCommand({ command: 'pause' }, { operator: 'dana', secret: operators.dana.secret, ts: now });
+        now += 30001;
+        expect(auth.authenticate(late)).toEqual({ ok: false, error: 'stale_signature', operator: 'dana' });
+
+        const open = new OperatorAuth({ operators, anonymousRole: 'viewer' });
+        expect(open.authenticate({ command: 'getState' })).toEqual({ ok: true, operator: { name: null, role: 'viewer' } });
+        expect(() => new OperatorAuth({ operators: { bob: { role: 'owner', secret: 'short' } } })).toThrow(
+            'operator bob role must be one of viewer, gm, technician, admin; operator bob secret must be at least 16 characters'
+        );
+    });
+
+    test('a retried signed command is answered as a duplicate, not refused as a replay', () => {
+        const now = 1000000;
+        const auth = new OperatorAuth({ operators, now: () => now });
+        const published = [];
+        const commandReplies = new CommandReplies({
+            mqtt: { publish: (topic, payload) => published.push(payload) },
+            topic: 'paradox/test/replies',
+            now: () => now
+        });
+        const admit = (payload) => admitCommand(payload, { operatorAuth: auth, commandReplies, command: payload.command });
+        const signed = signCommand({ command: 'solvePuzzle', id: 'safe', correlationId: 'ui-1' }, { operator: 'dana', secret: operators.dana.secret, ts: now });
+
+        const first = admit(signed);
+        expect(first.identity).toEqual({ ok: true, operator: { name: 'dana', role: 'gm' } });
+        expect(first.request.duplicate).toBe(false);
+        first.request.reply('completed', { result: true });
+
+        const retry = admit(signed);
+        expect(retry.identity.ok).toBe(true);
+        expect(retry.request.duplicate).toBe(true);
+        expect(published).toHaveLength(2);
+        expect(published[1]).toEqual(expect.objectContaining({ correlationId: 'ui-1', status: 'completed', duplicate: true }));
+
+        // Without a correlation id there is nothing to de-duplicate, so the replay check applies.
+        const bare = signCommand({ command: 'pause' }, { operator: 'dana', secret: operators.dana.secret, ts: now });
+        expect(admit(bare).identity.ok).toBe(true);
+        expect(admit(bare).identity).toEqual({ ok: false, error: 'replayed_signature', operator: 'dana' });
+
+        // A forged retry is refused and does not touch the original reply.
+        const forged = admit({ ...signed, id: 'vault' });
+        expect(forged.identity).toEqual({ ok: false, error: 'bad_signature', operator: 'dana' });
+        expect(forged.request.duplicate).toBe(false);
+    });
+
+    test('each command needs a minimum role, which pxo.ini can override', () => {
+        const registry = createCommandRegistry();
+        const auth = new OperatorAuth({ operators, commandRoles: { solvePuzzle: 'technician' } });
+        const gm = { name: 'dana', role: 'gm' };
+
+        expect(auth.authorize(registry.resolve('pause'), gm)).toEqual({ ok: true, required: 'gm' });
+        expect(auth.authorize(registry.resolve('bypassPuzzle'), gm)).toEqual({ ok: false, required: 'technician' });
+        expect(auth.authorize(registry.resolve('solvePuzzle'), gm)).toEqual({ ok: false, required: 'technician' });
+        expect(auth.authorize(registry.resolve('machineShutdown'), { name: 'tech', role: 'technician' })).toEqual({ ok: false, required: 'admin' });
+        expect(auth.authorize(registry.resolve('getState'), { name: null, role: 'viewer' }).ok).toBe(true);
+        expect(auth.authorize(registry.resolve('getState'), null).ok).toBe(false);
+        expect(registry.schema().find(c => c.command === 'halt').role).toBe('admin');
+        expect(() => registry.register({ name: 'fog', role: 'owner', handler: () => true })).toThrow("command 'fog' role must be one of");
+    });
+
+    test('handleCommand enforces the policy for operator commands but not for PxO\'s own', async () => {
+        const published = [];
+        const sm = new GameStateMachine({
+            cfg: { global: { mqtt: { 'game-topic': 'paradox/test' }, settings: {} }, game: { 'hc-60': {} } },
+            mqtt: { publish: (topic, payload) => published.push({ topic, payload }), subscribe: () => { }, on: () => { } }
+        });
+        sm.setOperatorAuth(new OperatorAuth({ operators }));
+        sm._logicPuzzleCommand = jest.fn(async () => true);
+
+        await expect(sm.handleCommand({ command: 'bypassPuzzle', id: 'safe' }, { operator: { name: 'dana', role: 'gm' } })).resolves.toBe(false);
+        expect(published.filter(m => m.topic === 'paradox/test/warnings').pop().payload.data).toEqual({
+            command: 'bypassPuzzle', operator: 'dana', role: 'gm', required: 'technician'
+        });
+        expect(sm._logicPuzzleCommand).not.toHaveBeenCalled();
+
+        await expect(sm.handleCommand({ command: 'bypassPuzzle', id: 'safe' }, { operator: { name: 'tech', role: 'technician' } })).resolves.toBe(true);
+        await expect(sm.handleCommand({ command: 'bypassPuzzle', id: 'safe' })).resolves.toBe(true);
+        expect(sm.authorizeCommand('bypasspuzzle', { name: 'dana', role: 'gm' })).toEqual({ ok: false, required: 'technician' });
+    });
+
+    test('operators come from pxo.ini and the credentials file', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxo-auth-'));
+        const credentials = path.join(dir, 'operators.ini');
+        fs.writeFileSync(credentials, ['[operator.tech]', 'role = technician', 'secret = tech-secret-0123456789'].join('\n'));
+        fs.writeFileSync(path.join(dir, 'pxo.ini'), [
+            '[auth]', 'enabled = true', `credentials_file = ${credentials}`, 'anonymous_role = viewer',
+            '[auth.commands]', 'bypassPuzzle = admin',
+            '[operator.dana]', 'role = gm', 'secret = dana-secret-0123456789'
+        ].join('\n'));
+
+        const cfg = loadIniConfig(path.join(dir, 'pxo.ini'));
+        expect(cfg.auth).toEqual({ enabled: true, credentials_file: credentials, anonymous_role: 'viewer', max_skew_sec: 30, commands: { bypassPuzzle: 'admin' } });
+        expect(loadOperators(cfg.auth, cfg.operators)).toEqual(operators);
+        expect(loadIniConfig(path.join(dir, 'missing.ini')).auth.enabled).toBe(false);
+    });
+});
@@ -0,0 +1,177 @@
+const { SafetyInterlock, egressZones, validateEgress, validateSafety } = require('../src/safety');
+const GameStateMachine = require('../src/stateMachine');
+
+const zones = {
+    door: {
+        type: 'mqtt',
+        'base-topic': 'paradox/test/door',
+        egress: { release: { command: 'unlock' }, released: { locked: false }, 'verify-ms': 1000, retries: 1 }
+    },
+    maglocks: { type: 'mqtt-raw', 'base-topic': 'paradox/test/maglocks', 'safe-state': { payload: '0' }, egress: true },
+    screen: { type: 'pfx-media', 'base-topic': 'paradox/test/screen' }
+};
+const safety = {
+    inputs: {
+        fire: { topic: 'paradox/test/fire-panel', value: 1 },
+        panic: { source: 'panic-button', condition: { pressed: true } }
+    }
+};
+const inputSources = { 'panic-button': { topic: 'paradox/test/panic' } };
+
+describe('safety interlock', () => {
+    afterEach(() => jest.useRealTimers());
+
+    test('egress zones and safety inputs are validated', () => {
+        expect(egressZones(zones).map(zone => [zone.zone, zone.topic, zone.release])).toEqual([
+            ['door', 'paradox/test/door/state', [{ command: 'unlock', zone: 'door' }]],
+            ['maglocks', 'paradox/test/maglocks/state', [{ payload: '0', zone: 'maglocks' }]]
+        ]);
+        expect(validateSafety(safety, inputSources)).toEqual([]);
+        expect(validateSafety({ inputs: { a: { topic: 'x', source: 'y' }, b: { source: 'nope', value: 1, condition: {} } } }, inputSources)).toEqual([
+            'safety.inputs.a needs exactly one of :topic or :source',
+            "safety.inputs.b :source 'nope' is not an :inputs source with a :topic",
+            'safety.inputs.b takes :condition or :value, not both'
+        ]);
+        expect(validateEgress({ egress: true }, 'z')).toEqual(['z :egress needs :release, or a :safe-state to release with']);
+        expect(validateEgress({ egress: { release: [], retries: -1 } }, 'z')).toEqual([
+            'z :egress :release must not be empty',
+            'z :egress :retries must be a non-negative integer'
+        ]);
+    });
+
+    test('inputs trip once per activation and the latch holds until cleared', () => {
+        const interlock = new SafetyInterlock(safety, { zones: {}, inputSources, now: () => 7 });
+        expect(interlock.topics()).toEqual(['paradox/test/fire-panel', 'paradox/test/panic']);
+
+        expect(interlock.noteMessage('paradox/test/fire-panel', 0)).toEqual([]);
+        expect(interlock.noteMessage('paradox/test/fire-panel', '1')).toEqual([{ input: 'fire', topic: 'paradox/test/fire-panel', payload: '1' }]);
+        expect(interlock.noteMessage('paradox/test/fire-panel', 1)).toEqual([]);
+        expect(interlock.noteMessage('paradox/test/panic', { pressed: true })).toHaveLength(1);
+
+        expect(interlock.clear()).toEqual({ ok: false, error: 'not_latched' });
+        expect(interlock.latch({ input: 'fire' })).toBe(true);
+        expect(interlock.latch({ input: 'panic' })).toBe(false);
+        expect(interlock.clear()).toEqual({ ok: false, error: 'inputs_active', active: ['fire', 'panic'] });
+
+        interlock.noteMessage('paradox/test/fire-panel', 0);
+        const cleared = interlock.clear({ by: 'dana', force: true });
+        expect(cleared.ok).toBe(true);
+        expect(cleared.cleared).toEqual(expect.objectContaining({ by: 'dana', forced: true, since: 7 }));
+        expect(interlock.snapshot()).toEqual(expect.objectContaining({ status: 'clear', sources: [] }));
+    });
+
+    test('egress releases are verified, retried, and re-sent when a door re-locks during the alarm', async () => {
+        jest.useFakeTimers();
+        const sent = [];
+        const failed = [];
+        const interlock = new SafetyInterlock(safety, {
+            zones,
+            inputSources,
+            executeAction: async (action, label) => sent.push([label, action.command || action.payload]),
+            onReleaseFailed: zone => failed.push(zone.zone),
+            logger: { warn() { }, error() { } }
+        });
+        interlock.latch({ input: 'fire' });
+
+        const round = interlock.releaseEgress();
+        await jest.advanceTimersByTimeAsync(0);
+        interlock.noteMessage('paradox/test/door/state', { locked: true });
+        await jest.advanceTimersByTimeAsync(1000);
+        interlock.noteMessage('paradox/test/door/state', { locked: false });
+        await expect(round).resolves.toEqual(['maglocks']);
+        expect(interlock.snapshot().egress).toEqual({
+            door: { status: 'released', attempt: 2, verified: true },
+            maglocks: { status: 'sent', attempt: 1, verified: false }
+        });
+        expect(sent).toEqual([['safety:egress:door', 'unlock'], ['safety:egress:maglocks', '0'], ['safety:egress:door', 'unlock']]);
+
+        interlock.noteMessage('paradox/test/door/state', { locked: true });
+        expect(interlock.snapshot().egress.door.status).toBe('releasing');
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(interlock.snapshot().egress.door.status).toBe('failed');
+        expect(failed).toEqual(['door']);
+        expect(sent.filter(([label]) => label === 'safety:egress:door')).toHaveLength(4);
+    });
+
+    test('a trip in ready stops the room, releases egress and blocks start until safetyClear', async () => {
+        const published = [];
+        const sm = new GameStateMachine({
+            cfg: {
+                global: { mqtt: { 'game-topic': 'paradox/test', zones }, settings: {}, inputs: inputSources, safety },
+                game: { 'hc-60': {} }
+            },
+            mqtt: { publish: (topic, payload, options) => published.push({ topic, payload, options }), subscribe: () => { }, on: () => { } }
+        });
+        sm.state = 'ready';
+        sm.emergencyStop = jest.fn(async () => true);
+        sm.executeCueAction = jest.fn(async (action) => {
+            if (action.zone === 'door') setImmediate(() => sm.noteSafetyMessage('paradox/test/door/state', { locked: false }));
+        });
+        sm._startViaSequences = jest.fn(async () => true);
+
+        await expect(sm.raiseSafetyAlarm({ input: 'fire', topic: 'paradox/test/fire-panel', payload: 1 })).resolves.toEqual(['maglocks']);
+        expect(sm.emergencyStop).toHaveBeenCalledWith({ source: 'safety:fire' });
+        expect(published.find(m => m.topic === 'paradox/test/warnings').payload).toEqual(expect.objectContaining({
+            warning: 'safety_alarm',
+            data: expect.objectContaining({ input: 'fire', first: true })
+        }));
+        const latched = published.filter(m => m.topic === 'paradox/test/safety').pop();
+        expect(latched.options).toEqual({ retain: true });
+        expect(latched.payload).toEqual(expect.objectContaining({ status: 'alarm', sources: [expect.objectContaining({ input: 'fire' })] }));
+
+        await expect(sm.handleCommand({ command: 'start', mode: 'hc-60' })).resolves.toBe(false);
+        await expect(sm.handleCommand({ command: 'reset' })).resolves.toBe(false);
+        expect(published.pop().payload.warning).toBe('reset_blocked_safety_alarm');
+        expect(sm._startViaSequences).not.toHaveBeenCalled();
+
+        await expect(sm.handleCommand({ command: 'safetyClear', by: 'dana' })).resolves.toBe(true);
+        expect(published.find(m => m.payload && m.payload.event === 'safety_cleared').payload.data).toEqual(expect.objectContaining({ by: 'dana', inputs: ['fire'] }));
+        await expect(sm.handleCommand({ command: 'start', mode: 'hc-60' })).resolves.toBe(true);
+    });
+
+    test('the stop skips the reset while latched, and the latch survives a restart', async () => {
+        const saved = [];
+        const store = { save: snapshot => saved.push(snapshot), clear: () => saved.push(null), load: () => null };
+        const createMachine = () => {
+            const published = [];
+            const sm = new GameStateMachine({
+                cfg: {
+                    global: { mqtt: { 'game-topic': 'paradox/test', zones }, settings: {}, inputs: inputSources, safety },
+                    game: { 'hc-60': {} }
+                },
+                mqtt: { publish: (topic, payload) => published.push({ topic, payload }), subscribe: () => { }, on: () => { } }
+            });
+            sm.setStatePersistence(store);
+            sm.sequenceRunner.runControlSequence = jest.fn(async () => ({ ok: true }));
+            sm.executeCueAction = jest.fn(async (action) => {
+                if (action.zone === 'door') setImmediate(() => sm.noteSafetyMessage('paradox/test/door/state', { locked: false }));
+            });
+            sm._runResetSequence = jest.fn(async () => true);
+            return { sm, published };
+        };
+
+        const before = createMachine();
+        before.sm.state = 'gameplay';
+        await before.sm.raiseSafetyAlarm({ input: 'fire', topic: 'paradox/test/fire-panel', payload: 1 });
+        expect(before.sm._runResetSequence).not.toHaveBeenCalled();
+        expect(before.sm.state).toBe('ready');
+        expect(before.published.find(m => m.payload && m.payload.event === 'emergency_stop_complete').payload.data)
+            .toEqual(expect.objectContaining({ resetOk: false, resetSkipped: 'safety_alarm' }));
+        const snapshot = saved[saved.length - 1];
+        expect(snapshot).toEqual(expect.objectContaining({ state: 'ready', safety: expect.objectContaining({ sources: [expect.objectContaining({ input: 'fire' })] }) }));
+
+        const after = createMachine();
+        after.sm.init({ recoverySnapshot: snapshot, autoRecover: true });
+        after.sm.stopHeartbeat();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(after.sm.safety.isLatched()).toBe(true);
+        expect(after.sm.state).toBe('ready');
+        expect(after.sm._runResetSequence).not.toHaveBeenCalled();
+        expect(after.sm._recoverableSnapshot).toBeNull();
+        expect(after.published.find(m => m.payload && m.payload.event === 'safety_egress_released').payload.data)
+            .toEqual({ input: 'fire', zones: ['door', 'maglocks'], unconfirmed: ['maglocks'], restored: true });
+
+        await expect(after.sm.handleCommand({ command: 'safetyClear', force: true })).resolves.toBe(true);
+        expect(saved[saved.length - 1]).toBeNull();
+    });
+});
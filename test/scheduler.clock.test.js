@@ -0,0 +1,105 @@
+const Game = require('../src/stateMachine');
+
+function createMachine(globalOverrides = {}) {
+  const published = [];
+  const cfg = {
+    global: { mqtt: { 'game-topic': 'paradox/test' }, settings: {}, ...globalOverrides },
+    game: {}
+  };
+  const sm = new Game({
+    cfg,
+    mqtt: { publish: (topic, payload) => published.push({ topic, payload }), subscribe: () => { }, on: () => { } }
+  });
+  sm.fireByName = jest.fn(async () => { });
+  sm._triggerEnd = jest.fn();
+  sm.state = 'gameplay';
+  sm.remaining = 60;
+  return { sm, published };
+}
+
+function firedNames(sm) {
+  return sm.fireByName.mock.calls.map(([name]) => name);
+}
+
+describe('monotonic phase scheduler', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('fires fractional :at entries with sub-second accuracy', () => {
+    const { sm } = createMachine();
+    sm.registerPhaseSchedule('gameplay', [{ at: 50.5, fire: 'light-hit' }, { at: 50, fire: 'audio-hit' }], 60);
+    sm.startUnifiedTimer();
+
+    jest.advanceTimersByTime(9400);
+    expect(firedNames(sm)).toEqual([]);
+    jest.advanceTimersByTime(100);
+    expect(firedNames(sm)).toEqual(['light-hit']);
+    expect(sm.remaining).toBe(51);
+    jest.advanceTimersByTime(500);
+    expect(firedNames(sm)).toEqual(['light-hit', 'audio-hit']);
+    expect(sm.remaining).toBe(50);
+    sm.stopUnifiedTimer();
+  });
+
+  test('catches up on entries missed during an event-loop stall', () => {
+    const { sm, published } = createMachine();
+    sm.registerPhaseSchedule('gameplay', [
+      { at: 58, fire: 'hint-a' },
+      { at: 57, fire: 'hint-b', 'late-policy': 'skip' },
+      { at: 56.5, fire: 'hint-c' }
+    ], 60);
+    sm.startUnifiedTimer();
+
+    // Pretend the loop was blocked for 4s: the next tick sees the whole gap.
+    sm._lastClockTickAt -= 4000;
+    jest.advanceTimersByTime(100);
+
+    expect(sm.remaining).toBe(56);
+    expect(firedNames(sm)).toEqual(['hint-a', 'hint-c']);
+    const late = published.filter(m => m.payload && m.payload.event === 'schedule_entry_late').map(m => m.payload.data);
+    expect(late).toEqual([
+      expect.objectContaining({ phase: 'gameplay', at: 58, policy: 'fire' }),
+      expect.objectContaining({ phase: 'gameplay', at: 57, policy: 'skip' })
+    ]);
+
+    // Skipped entries stay consumed for the rest of the phase.
+    sm.remaining = 58;
+    jest.advanceTimersByTime(2000);
+    expect(firedNames(sm)).toEqual(['hint-a', 'hint-c']);
+    sm.stopUnifiedTimer();
+  });
+
+  test('pausing keeps the partial tick and adjustTime does not replay entries', () => {
+    const { sm } = createMachine({ scheduleTickMs: 1000 });
+    sm.sequenceRunner.runControlSequence = async () => ({ ok: true });
+    sm.registerPhaseSchedule('gameplay', [{ at: 55, fire: 'hint-a' }], 60);
+    sm.startUnifiedTimer();
+
+    jest.advanceTimersByTime(2500);
+    sm.pause();
+    expect(sm._remainingMs).toBe(57500);
+
+    jest.advanceTimersByTime(30000);
+    expect(sm._remainingMs).toBe(57500);
+
+    sm.adjustTime(-10);
+    expect(sm._remainingMs).toBe(47500);
+    sm.resume();
+    jest.advanceTimersByTime(2000);
+    expect(firedNames(sm)).toEqual([]);
+    expect(sm.remaining).toBe(46);
+    sm.stopUnifiedTimer();
+  });
+
+  test('gameplay ends when the countdown reaches zero', () => {
+    const { sm } = createMachine();
+    sm.remaining = 1.25;
+    sm.startUnifiedTimer();
+    jest.advanceTimersByTime(1200);
+    expect(sm._triggerEnd).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(100);
+    expect(sm.remaining).toBe(0);
+    expect(sm._triggerEnd).toHaveBeenCalledWith('fail');
+    sm.stopUnifiedTimer();
+  });
+});
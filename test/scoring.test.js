@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { computeScore, validateScoring } = require('../src/scoring');
+const { Leaderboard } = require('../src/leaderboard');
+const GameStateMachine = require('../src/stateMachine');
+
+const scoring = {
+    base: 1000,
+    'per-second': 2,
+    hints: { text: 25, video: 100, default: 50 },
+    logic: { breaker: 200 },
+    min: 0,
+    max: 5000
+};
+
+function makeTmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxo-leaderboard-'));
+    return path.join(dir, 'data', 'pxo-leaderboard.json');
+}
+
+function createMachine(modeScoring = scoring) {
+    const cfg = {
+        global: {
+            mqtt: { 'game-topic': 'paradox/test' },
+            settings: {},
+            inputs: {
+                gpio: { topic: 'paradox/test/gpio', 'signal-key': 'pin', 'value-key': 'value' }
+            },
+            logic: {
+                breaker: { type: 'match', inputs: ['gpio/F1'], target: { F1: 1 }, latch: true }
+            }
+        },
+        game: {
+            'hc-60': { scoring: modeScoring },
+            'kids-30': {}
+        }
+    };
+    const published = [];
+    const sm = new GameStateMachine({
+        cfg,
+        mqtt: {
+            publish: (topic, payload, opts) => published.push({ topic, payload, opts }),
+            subscribe: () => { },
+            on: () => { }
+        }
+    });
+    sm.transitionToPhase = jest.fn();
+    sm.gameType = 'hc-60';
+    sm.state = 'gameplay';
+    sm.remaining = 600;
+    return { sm, published };
+}
+
+function eventData(published, name) {
+    const match = published.find(m => m.payload && m.payload.event === name);
+    return match ? match.payload.data : undefined;
+}
+
+describe('computeScore', () => {
+    test('combines time, weighted hints, logic outputs and adjustments', () => {
+        const result = computeScore(scoring, {
+            outcome: 'win',
+            remainingSec: 600,
+            hints: [{ type: 'text' }, { type: 'video' }, { type: 'audiofx' }],
+            logic: node => (node === 'breaker' ? true : undefined),
+            adjustments: [{ delta: -30 }, { delta: 5 }]
+        });
+
+        expect(result.breakdown).toEqual({ base: 1000, time: 1200, hints: -175, logic: 200, adjustments: -25 });
+        expect(result.score).toBe(2200);
+    });
+
+    test('time only counts on a win, :fail-score overrides and :min/:max clamp', () => {
+        expect(computeScore(scoring, { outcome: 'fail', remainingSec: 600 }).score).toBe(1000);
+        expect(computeScore({ ...scoring, 'fail-score': 0 }, { outcome: 'fail', remainingSec: 600 }).score).toBe(0);
+        expect(computeScore(scoring, { outcome: 'win', remainingSec: 3600 }).score).toBe(5000);
+        expect(computeScore(scoring, { outcome: 'fail', adjustments: [{ delta: -2000 }] }).score).toBe(0);
+    });
+
+    test('validateScoring reports bad shapes', () => {
+        expect(validateScoring(scoring)).toEqual([]);
+        expect(validateScoring({ base: '10', hints: { video: 'lots' }, min: 10, max: 5, leaderboard: { size: 0 } })).toEqual([
+            'scoring.base must be a number',
+            'scoring.hints.video must be a number',
+            'scoring.min must not exceed :max',
+            'scoring.leaderboard.size must be a positive integer'
+        ]);
+    });
+});
+
+describe('Leaderboard', () => {
+    test('ranks daily, weekly and all-time boards per mode and persists them', () => {
+        const filePath = makeTmpFile();
+        let now = new Date(2026, 9, 12, 20, 0).getTime(); // Monday
+        const board = new Leaderboard({ filePath, now: () => now });
+
+        board.record({ mode: 'hc-60', score: 900, outcome: 'win' });
+        now = new Date(2026, 9, 14, 20, 0).getTime(); // Wednesday
+        board.record({ mode: 'hc-60', score: 700, outcome: 'win' });
+        board.record({ mode: 'kids-30', score: 50, outcome: 'win' });
+        now = new Date(2026, 9, 20, 20, 0).getTime(); // next Tuesday
+        board.record({ mode: 'hc-60', score: 800, outcome: 'win' });
+        board.record({ mode: 'hc-60', score: 300, outcome: 'fail' });
+
+        const reloaded = new Leaderboard({ filePath, now: () => now });
+        const standings = reloaded.standings('hc-60', 2);
+        expect(standings.daily.map(e => e.score)).toEqual([800, 300]);
+        expect(standings.weekly.map(e => e.score)).toEqual([800, 300]);
+        expect(standings.allTime.map(e => e.score)).toEqual([900, 800]);
+        expect(standings.allTime[0].at).toBe(new Date(2026, 9, 12, 20, 0).toISOString());
+        expect(reloaded.modes().sort()).toEqual(['hc-60', 'kids-30']);
+    });
+});
+
+describe('GameStateMachine scoring', () => {
+    test('scores the game at the end and publishes score_final, state and leaderboard', async () => {
+        const { sm, published } = createMachine();
+        sm.setLeaderboard(new Leaderboard({ filePath: makeTmpFile() }));
+        sm.lookupHint = () => ({ id: 'mirror-hint', type: 'video' });
+        sm.executeVideoHint = async () => { };
+
+        await sm.fireHint('mirror-hint', 'manual');
+        await sm.logicEngine.forceSolve('breaker');
+        expect(sm.adjustScore(50, 'great teamwork')).toBe(true);
+        sm.remaining = 100;
+        sm._triggerEnd('win');
+
+        expect(eventData(published, 'score_adjusted')).toEqual({ delta: 50, reason: 'great teamwork', total: 50 });
+        const final = eventData(published, 'score_final');
+        expect(final).toEqual(expect.objectContaining({ score: 1350, outcome: 'win', mode: 'hc-60', hintsUsed: 1 }));
+        expect(sm.transitionToPhase).toHaveBeenCalledWith('solved');
+
+        sm.publishState();
+        const state = published.filter(m => m.topic === 'paradox/test/state').pop();
+        expect(state.payload.score).toBe(1350);
+
+        const board = published.find(m => m.topic === 'paradox/test/leaderboard/hc-60');
+        expect(board.opts).toEqual({ retain: true });
+        expect(board.payload.daily).toEqual([expect.objectContaining({ score: 1350, outcome: 'win', hints: 1 })]);
+    });
+
+    test('failed games stay off the leaderboard unless :include-failed is set', () => {
+        const { sm, published } = createMachine({ base: 100 });
+        sm.setLeaderboard(new Leaderboard({ filePath: makeTmpFile() }));
+        sm._triggerEnd('fail');
+
+        expect(eventData(published, 'score_final').score).toBe(100);
+        expect(published.some(m => m.topic.startsWith('paradox/test/leaderboard/'))).toBe(false);
+    });
+
+    test('adjustScore outside gameplay is rejected and modes without :scoring are not scored', () => {
+        const { sm, published } = createMachine();
+        sm.state = 'ready';
+        expect(sm.adjustScore(10)).toBe(false);
+
+        sm.gameType = 'kids-30';
+        sm.state = 'gameplay';
+        sm._triggerEnd('win');
+        expect(eventData(published, 'score_final')).toBeUndefined();
+        sm.publishState();
+        expect(published.filter(m => m.topic === 'paradox/test/state').pop().payload).not.toHaveProperty('score');
+    });
+});
@@ -0,0 +1,134 @@
+const SequenceRunner = require('../src/sequenceRunner');
+const GameStateMachine = require('../src/stateMachine');
+
+function makeMockMqtt() {
+    const published = [];
+    return {
+        published,
+        publish(topic, payload) {
+            published.push({ topic, payload });
+        },
+        subscribe() { },
+        on() { }
+    };
+}
+
+function makeCfg() {
+    return {
+        global: {
+            mqtt: { 'game-topic': 'paradox/houdini' },
+            settings: { 'sequence-max-depth': 3 }
+        },
+        game: {}
+    };
+}
+
+function eventNames(mqtt) {
+    return mqtt.published
+        .filter(m => m.topic === 'paradox/houdini/events')
+        .map(m => m.payload.event);
+}
+
+function stepPublished(mqtt) {
+    return mqtt.published.some(m => m.topic === 'paradox/test/after-wait');
+}
+
+const waitThenPublish = {
+    sequence: [
+        { wait: 10 },
+        { command: 'publish', topic: 'paradox/test/after-wait', payload: { ok: true } }
+    ]
+};
+
+describe('SequenceRunner pause / resume / cancel', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('pause freezes the remaining wait and resume continues it', async () => {
+        const mqtt = makeMockMqtt();
+        const runner = new SequenceRunner({ cfg: makeCfg(), zones: null, mqtt });
+
+        const run = runner.runInlineSequence('hint-seq', waitThenPublish, {});
+        await jest.advanceTimersByTimeAsync(4000);
+        expect(runner.pauseAll('game_paused')).toBe(1);
+
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(stepPublished(mqtt)).toBe(false);
+
+        const paused = mqtt.published.find(m => m.payload && m.payload.event === 'sequence_paused');
+        expect(paused.payload.data).toEqual(expect.objectContaining({ name: 'hint-seq', reason: 'game_paused', remainingWaitMs: 6000 }));
+
+        expect(runner.resumeAll('game_resumed')).toBe(1);
+        await jest.advanceTimersByTimeAsync(5900);
+        expect(stepPublished(mqtt)).toBe(false);
+        // A bare {:wait n} step also honours the post-step wait, so the run holds another 10s.
+        await jest.advanceTimersByTimeAsync(10200);
+
+        const res = await run;
+        expect(res.ok).toBe(true);
+        expect(stepPublished(mqtt)).toBe(true);
+        expect(eventNames(mqtt)).toEqual(expect.arrayContaining(['sequence_paused', 'sequence_resumed', 'sequence_complete']));
+        expect(runner.getActiveSequences()).toHaveLength(0);
+    });
+
+    test('cancel stops an in-flight sequence without running later steps', async () => {
+        const mqtt = makeMockMqtt();
+        const runner = new SequenceRunner({ cfg: makeCfg(), zones: null, mqtt });
+
+        const run = runner.runInlineSequence('hint-seq', waitThenPublish, {});
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(runner.cancelAll('abort')).toBe(1);
+
+        const res = await run;
+        await jest.advanceTimersByTimeAsync(20000);
+
+        expect(res).toEqual(expect.objectContaining({ ok: false, error: 'sequence_cancelled', reason: 'abort' }));
+        expect(stepPublished(mqtt)).toBe(false);
+        expect(eventNames(mqtt)).toContain('sequence_cancelled');
+        expect(eventNames(mqtt)).not.toContain('sequence_failed');
+        expect(runner.getActiveSequences()).toHaveLength(0);
+    });
+
+    test('cancelling a paused sequence releases it', async () => {
+        const mqtt = makeMockMqtt();
+        const runner = new SequenceRunner({ cfg: makeCfg(), zones: null, mqtt });
+
+        const run = runner.runSequenceDefNew('vector-seq', waitThenPublish.sequence, {});
+        await jest.advanceTimersByTimeAsync(500);
+        runner.pauseAll();
+        runner.cancelAll('reset');
+
+        const res = await run;
+        expect(res).toEqual(expect.objectContaining({ ok: false, error: 'sequence_cancelled', reason: 'reset' }));
+        expect(stepPublished(mqtt)).toBe(false);
+    });
+});
+
+describe('GameStateMachine sequence control', () => {
+    test('emergencyStop cancels every active sequence', async () => {
+        const cfg = makeCfg();
+        const sm = new GameStateMachine({ cfg, mqtt: makeMockMqtt() });
+        const cancelAll = jest.spyOn(sm.sequenceRunner, 'cancelAll');
+        sm.sequenceRunner.runControlSequence = async () => ({ ok: false, error: 'sequence_not_found' });
+        sm._runResetSequence = async () => true;
+
+        await sm.handleCommand({ command: 'emergencyStop' });
+
+        expect(cancelAll).toHaveBeenCalledWith('emergency_stop');
+    });
+
+    test('pause and resume freeze and release running sequences', () => {
+        const cfg = makeCfg();
+        const sm = new GameStateMachine({ cfg, mqtt: makeMockMqtt() });
+        const pauseAll = jest.spyOn(sm.sequenceRunner, 'pauseAll');
+        const resumeAll = jest.spyOn(sm.sequenceRunner, 'resumeAll');
+        sm.sequenceRunner.runControlSequence = async () => ({ ok: true });
+        sm.startUnifiedTimer = () => { };
+        sm.state = 'gameplay';
+
+        expect(sm._pauseViaSequence()).toBe(true);
+        expect(pauseAll).toHaveBeenCalledWith('game_paused');
+        expect(sm._resumeViaSequence()).toBe(true);
+        expect(resumeAll).toHaveBeenCalledWith('game_resumed');
+    });
+});
@@ -0,0 +1,159 @@
+const SequenceRunner = require('../src/sequenceRunner');
+
+function makeMockMqtt() {
+    const published = [];
+    return {
+        published,
+        publish(topic, payload) {
+            published.push({ topic, payload });
+        },
+        subscribe() { },
+        on() { }
+    };
+}
+
+function makeCfg() {
+    return {
+        global: {
+            mqtt: { 'game-topic': 'paradox/houdini' },
+            settings: { 'sequence-max-depth': 3 }
+        },
+        game: {}
+    };
+}
+
+function mark(label) {
+    return { command: 'publish', topic: 'paradox/test/mark', payload: label };
+}
+
+function marks(mqtt) {
+    return mqtt.published.filter(m => m.topic === 'paradox/test/mark').map(m => m.payload);
+}
+
+function makeRunner({ state = 'gameplay', outputs = {} } = {}) {
+    const mqtt = makeMockMqtt();
+    const stateMachine = {
+        state,
+        remaining: 120,
+        logicEngine: { getOutput: name => outputs[name] }
+    };
+    const runner = new SequenceRunner({ cfg: makeCfg(), zones: null, mqtt, stateMachine });
+    return { runner, mqtt, stateMachine, outputs };
+}
+
+describe('SequenceRunner control-flow steps', () => {
+    test(':if picks a branch from logic outputs, game state and variables', async () => {
+        const { runner, mqtt } = makeRunner({ outputs: { breaker: true } });
+        const res = await runner.runInlineSequence('branching', {
+            sequence: [
+                { if: { logic: 'breaker' }, then: [mark('breaker-on')], else: [mark('breaker-off')] },
+                { if: { state: ['paused', 'solved'] }, then: [mark('closing')], else: [mark('playing')] },
+                { if: { all: [{ var: 'remaining', lte: 300 }, { not: { var: 'hintText', equals: 'skip' } }] }, then: [mark('late-game')] },
+                { if: { var: 'team', equals: 'red' }, then: [mark('red')] }
+            ]
+        }, { hintText: 'keep', team: 'blue' });
+
+        expect(res.ok).toBe(true);
+        expect(marks(mqtt)).toEqual(['breaker-on', 'playing', 'late-game']);
+    });
+
+    test(':repeat runs a fixed count or until a condition holds', async () => {
+        const { runner, mqtt, outputs } = makeRunner();
+        let polls = 0;
+        runner.stateMachine.logicEngine.getOutput = (name) => {
+            if (name === 'door') polls += 1;
+            return name === 'door' ? polls >= 3 : outputs[name];
+        };
+
+        const res = await runner.runInlineSequence('loops', {
+            sequence: [
+                { repeat: 2, steps: [mark('pulse-{{iteration}}')] },
+                { repeat: { until: { logic: 'door' }, max: 10 }, steps: [mark('poll')] }
+            ]
+        });
+
+        expect(res.ok).toBe(true);
+        expect(marks(mqtt)).toEqual(['pulse-1', 'pulse-2', 'poll', 'poll', 'poll']);
+    });
+
+    describe('concurrent branches', () => {
+        beforeEach(() => jest.useFakeTimers());
+        afterEach(() => jest.useRealTimers());
+
+        test(':parallel waits for all branches by default', async () => {
+            const { runner, mqtt } = makeRunner();
+            const run = runner.runSequenceDefNew('both', [
+                { parallel: [[{ wait: 2 }, mark('slow')], [{ wait: 1 }, mark('fast')]] },
+                mark('after')
+            ], {});
+
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(marks(mqtt)).toEqual(['fast']);
+            await jest.advanceTimersByTimeAsync(1000);
+
+            expect((await run).ok).toBe(true);
+            expect(marks(mqtt)).toEqual(['fast', 'slow', 'after']);
+            expect(runner.getActiveSequences()).toHaveLength(0);
+        });
+
+        test(':parallel :join :first continues while other branches keep running', async () => {
+            const { runner, mqtt } = makeRunner();
+            const run = runner.runSequenceDefNew('first', [
+                { parallel: [[{ wait: 3 }, mark('slow')], [{ wait: 1 }, mark('fast')]], join: 'first' },
+                mark('after')
+            ], {});
+
+            await jest.advanceTimersByTimeAsync(1000);
+            expect((await run).ok).toBe(true);
+            expect(marks(mqtt)).toEqual(['fast', 'after']);
+
+            await jest.advanceTimersByTimeAsync(2000);
+            expect(marks(mqtt)).toEqual(['fast', 'after', 'slow']);
+        });
+
+        test(':race cancels the losing branches', async () => {
+            const { runner, mqtt } = makeRunner();
+            const run = runner.runSequenceDefNew('race', [
+                { race: [[{ wait: 5 }, mark('timeout')], [{ wait: 2 }, mark('solved')]] },
+                mark('after')
+            ], {});
+
+            await jest.advanceTimersByTimeAsync(2000);
+            expect((await run).ok).toBe(true);
+            await jest.advanceTimersByTimeAsync(5000);
+
+            expect(marks(mqtt)).toEqual(['solved', 'after']);
+            const cancelled = mqtt.published.find(m => m.payload && m.payload.event === 'sequence_cancelled');
+            expect(cancelled.payload.data).toEqual(expect.objectContaining({ name: 'race/race[0]', reason: 'race_lost' }));
+        });
+
+        test('pausing the game freezes every branch', async () => {
+            const { runner, mqtt } = makeRunner();
+            const run = runner.runSequenceDefNew('paused-branches', [
+                { parallel: [[{ wait: 2 }, mark('a')], [{ wait: 2 }, mark('b')]] }
+            ], {});
+
+            await jest.advanceTimersByTimeAsync(1000);
+            expect(runner.pauseAll()).toBe(3);
+            await jest.advanceTimersByTimeAsync(10000);
+            expect(marks(mqtt)).toEqual([]);
+
+            runner.resumeAll();
+            await jest.advanceTimersByTimeAsync(1000);
+            expect((await run).ok).toBe(true);
+            expect(marks(mqtt)).toEqual(['a', 'b']);
+        });
+    });
+
+    test('estimates durations through control-flow steps', () => {
+        const { runner } = makeRunner();
+        expect(runner.estimateDuration({
+            sequence: [
+                { if: { state: 'gameplay' }, then: [{ wait: 4 }], else: [{ wait: 1 }] },
+                { repeat: 3, steps: [{ wait: 2 }] },
+                { parallel: [[{ wait: 5 }], [{ wait: 1 }]] },
+                { race: [[{ wait: 5 }], [{ wait: 1 }]] }
+            ]
+        })).toBe(4 + 6 + 5 + 1 + 1);
+    });
+});
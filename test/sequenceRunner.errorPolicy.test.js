@@ -0,0 +1,166 @@
+const SequenceRunner = require('../src/sequenceRunner');
+
+function makeMockMqtt() {
+    const published = [];
+    return {
+        published,
+        publish(topic, payload) {
+            published.push({ topic, payload });
+        },
+        subscribe() { },
+        on() { }
+    };
+}
+
+function makeCfg(settings = {}) {
+    return {
+        global: {
+            mqtt: { 'game-topic': 'paradox/houdini' },
+            settings: { 'sequence-max-depth': 3, ...settings }
+        },
+        game: {}
+    };
+}
+
+// Zones that fail the first `failures[zone]` calls, then succeed.
+function makeZones(failures = {}) {
+    const calls = [];
+    return {
+        calls,
+        getZone: () => ({ zoneType: 'mqtt-lights' }),
+        async execute(zone, command, options) {
+            calls.push({ zone, command, options });
+            if (failures[zone] > 0) {
+                failures[zone] -= 1;
+                throw new Error(`${zone} offline`);
+            }
+        }
+    };
+}
+
+function makeRunner({ failures, settings } = {}) {
+    const mqtt = makeMockMqtt();
+    const zones = makeZones(failures);
+    const stateMachine = { state: 'gameplay', fireByName: jest.fn(async () => { }) };
+    const runner = new SequenceRunner({ cfg: makeCfg(settings), zones, mqtt, stateMachine });
+    return { runner, mqtt, zones, stateMachine };
+}
+
+function events(mqtt, name) {
+    return mqtt.published
+        .filter(m => m.payload && m.payload.event === name)
+        .map(m => m.payload.data);
+}
+
+function scenes(zones) {
+    return zones.calls.map(c => `${c.zone}:${c.options.name}`);
+}
+
+const strobe = { zone: 'lights', command: 'scene', name: 'strobe' };
+const house = { zone: 'lights', command: 'scene', name: 'house' };
+const mirror = { zone: 'mirror', command: 'scene', name: 'flash' };
+
+describe('SequenceRunner step error policies', () => {
+    test('zone failures are skipped by default; :abort stops the run and :finally still runs', async () => {
+        const lenient = makeRunner({ failures: { mirror: 1 } });
+        const skipped = await lenient.runner.runInlineSequence('flash', { sequence: [mirror, strobe] });
+        expect(skipped).toEqual(expect.objectContaining({ ok: true, errors: [expect.objectContaining({ step: 0, policy: 'continue' })] }));
+        expect(scenes(lenient.zones)).toEqual(['mirror:flash', 'lights:strobe']);
+
+        const { runner, mqtt, zones } = makeRunner({ failures: { mirror: 1 } });
+        const res = await runner.runInlineSequence('flash', {
+            'on-error': 'abort',
+            sequence: [mirror, strobe],
+            finally: [house]
+        });
+
+        expect(res).toEqual(expect.objectContaining({ ok: false, error: 'step_failed', step: 0, policy: 'abort' }));
+        expect(scenes(zones)).toEqual(['mirror:flash', 'lights:house']);
+        expect(events(mqtt, 'sequence_failed')[0]).toEqual(expect.objectContaining({ name: 'flash', step: 0, policy: 'abort' }));
+        expect(events(mqtt, 'sequence_step_failed')[0]).toEqual(expect.objectContaining({ attempts: 1, policy: 'abort' }));
+    });
+
+    test(':retry re-runs the step and strips policy keys from zone options', async () => {
+        jest.useFakeTimers();
+        try {
+            const { runner, mqtt, zones } = makeRunner({ failures: { lights: 2 } });
+            const run = runner.runSequenceDefNew('flash', [
+                { ...strobe, retry: { count: 2, delay: 0.5 }, 'on-error': 'abort' }
+            ], {});
+
+            await jest.advanceTimersByTimeAsync(400);
+            expect(zones.calls).toHaveLength(1);
+            await jest.advanceTimersByTimeAsync(700);
+
+            expect(await run).toEqual({ ok: true });
+            expect(zones.calls).toHaveLength(3);
+            expect(zones.calls[2].options).toEqual({ name: 'strobe' });
+            expect(events(mqtt, 'sequence_step_retry').map(e => e.attempt)).toEqual([1, 2]);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('step :on-error overrides the sequence policy and :continue records the failure', async () => {
+        const { runner, zones } = makeRunner({ failures: { mirror: 2 } });
+        const res = await runner.runInlineSequence('flash', {
+            'on-error': 'abort',
+            sequence: [
+                { ...mirror, 'on-error': ':continue' },
+                { if: { state: 'gameplay' }, then: [{ ...mirror, 'on-error': 'continue' }] },
+                strobe
+            ]
+        });
+
+        expect(res.ok).toBe(true);
+        expect(res.errors).toHaveLength(2);
+        expect(res.errors[0]).toEqual(expect.objectContaining({ step: 0, policy: 'continue', error: expect.stringContaining('mirror offline') }));
+        expect(scenes(zones)).toEqual(['mirror:flash', 'mirror:flash', 'lights:strobe']);
+    });
+
+    test('{:fire handler} runs the handler and a nested abort stops the whole sequence', async () => {
+        const { runner, mqtt, zones, stateMachine } = makeRunner({ failures: { mirror: 1 } });
+        const res = await runner.runInlineSequence('flash', {
+            sequence: [
+                { repeat: 2, steps: [{ ...mirror, 'on-error': { fire: 'lights-fallback' } }] },
+                strobe
+            ]
+        });
+
+        expect(res).toEqual(expect.objectContaining({ ok: false, step: 0, policy: 'fire', handler: 'lights-fallback' }));
+        expect(stateMachine.fireByName).toHaveBeenCalledWith('lights-fallback', expect.objectContaining({ failedSequence: 'flash', failedStep: 0 }));
+        expect(scenes(zones)).toEqual(['mirror:flash']);
+        expect(events(mqtt, 'sequence_step_failed')).toHaveLength(1);
+    });
+
+    test(':settings :sequence-on-error is the fallback policy', async () => {
+        const { runner, zones } = makeRunner({ failures: { mirror: 1 }, settings: { 'sequence-on-error': 'continue' } });
+        const res = await runner.runSequenceDefNew('flash', [mirror, strobe], {});
+
+        expect(res).toEqual({ ok: true, errors: [expect.objectContaining({ policy: 'continue' })] });
+        expect(scenes(zones)).toEqual(['mirror:flash', 'lights:strobe']);
+    });
+
+    test(':finally runs after an abort but not after an emergency stop', async () => {
+        jest.useFakeTimers();
+        try {
+            const { runner, zones } = makeRunner();
+            const run = runner.runSequenceDefNew('flash', { sequence: [{ wait: 10 }, strobe], finally: [house] }, {});
+
+            await jest.advanceTimersByTimeAsync(1000);
+            runner.cancelAll('abort');
+
+            expect(await run).toEqual(expect.objectContaining({ ok: false, error: 'sequence_cancelled' }));
+            expect(scenes(zones)).toEqual(['lights:house']);
+            expect(runner.getActiveSequences()).toHaveLength(0);
+
+            const stopped = runner.runSequenceDefNew('flash', { sequence: [{ wait: 10 }, strobe], finally: [house] }, {});
+            await jest.advanceTimersByTimeAsync(1000);
+            runner.cancelAll('emergency_stop');
+            expect(await stopped).toEqual(expect.objectContaining({ ok: false, reason: 'emergency_stop' }));
+            expect(scenes(zones)).toEqual(['lights:house']);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
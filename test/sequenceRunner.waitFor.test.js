@@ -0,0 +1,168 @@
+const EventEmitter = require('events');
+const SequenceRunner = require('../src/sequenceRunner');
+
+function makeMockMqtt() {
+    const mqtt = new EventEmitter();
+    mqtt.published = [];
+    mqtt.subscriptions = new Set();
+    mqtt.publish = (topic, payload) => mqtt.published.push({ topic, payload });
+    mqtt.subscribe = (topic) => mqtt.subscriptions.add(topic);
+    mqtt.unsubscribe = (topic) => mqtt.subscriptions.delete(topic);
+    return mqtt;
+}
+
+function makeCfg() {
+    return {
+        global: {
+            mqtt: { 'game-topic': 'paradox/houdini' },
+            settings: { 'sequence-max-depth': 3 },
+            inputs: {
+                'front-door': { topic: 'paradox/houdini/inputs/front-door/events' },
+                keypad: { topic: 'paradox/houdini/inputs/keypad', transform: [{ parse: 'kv' }, { rename: { k: 'key' } }] }
+            }
+        },
+        game: {}
+    };
+}
+
+function mark(label) {
+    return { command: 'publish', topic: 'paradox/test/mark', payload: label };
+}
+
+function marks(mqtt) {
+    return mqtt.published.filter(m => m.topic === 'paradox/test/mark').map(m => m.payload);
+}
+
+function makeRunner(outputs = {}) {
+    const mqtt = makeMockMqtt();
+    const stateMachine = { state: 'intro', logicEngine: { getOutput: name => outputs[name] } };
+    const runner = new SequenceRunner({ cfg: makeCfg(), zones: null, mqtt, stateMachine });
+    return { runner, mqtt, outputs };
+}
+
+describe('SequenceRunner :wait-for steps', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('continues when a matching MQTT message arrives', async () => {
+        const { runner, mqtt } = makeRunner();
+        const run = runner.runSequenceDefNew('intro', [
+            { 'wait-for': { topic: 'paradox/houdini/mirror/events', condition: { event: 'video_ended' } }, timeout: 120 },
+            mark('after-video')
+        ], {});
+
+        await jest.advanceTimersByTimeAsync(500);
+        expect(mqtt.subscriptions).toContain('paradox/houdini/mirror/events');
+        mqtt.emit('message', 'paradox/houdini/mirror/events', { event: 'video_started' });
+        await jest.advanceTimersByTimeAsync(500);
+        expect(marks(mqtt)).toEqual([]);
+
+        mqtt.emit('message', 'paradox/houdini/mirror/events', { event: 'video_ended' });
+        await jest.advanceTimersByTimeAsync(200);
+
+        expect((await run).ok).toBe(true);
+        expect(marks(mqtt)).toEqual(['after-video']);
+        expect(mqtt.listenerCount('message')).toBe(0);
+    });
+
+    test('resolves :source through the input registry', async () => {
+        const { runner, mqtt } = makeRunner();
+        const run = runner.runSequenceDefNew('door', [
+            { 'wait-for': { source: 'front-door', condition: { event: 'closed' } } },
+            mark('door-closed')
+        ], {});
+
+        await jest.advanceTimersByTimeAsync(100);
+        mqtt.emit('message', 'paradox/houdini/inputs/front-door/events', { event: 'closed' });
+        await jest.advanceTimersByTimeAsync(200);
+
+        expect((await run).ok).toBe(true);
+        expect(marks(mqtt)).toEqual(['door-closed']);
+    });
+
+    test('applies the source :transform and drops the wait subscription afterwards', async () => {
+        const { runner, mqtt } = makeRunner();
+        mqtt.subscribe('paradox/houdini/inputs/front-door/events'); // a trigger's subscription
+        const run = runner.runSequenceDefNew('keypad', [
+            { 'wait-for': { source: 'keypad', condition: { key: '#' } } },
+            { 'wait-for': { source: 'front-door', condition: { event: 'closed' } } },
+            mark('done')
+        ], {});
+
+        await jest.advanceTimersByTimeAsync(100);
+        expect(mqtt.subscriptions).toContain('paradox/houdini/inputs/keypad');
+        mqtt.emit('message', 'paradox/houdini/inputs/keypad', 'k=#');
+        await jest.advanceTimersByTimeAsync(200);
+        expect(mqtt.subscriptions).not.toContain('paradox/houdini/inputs/keypad');
+
+        mqtt.emit('message', 'paradox/houdini/inputs/front-door/events', { event: 'closed' });
+        await jest.advanceTimersByTimeAsync(200);
+        expect((await run).ok).toBe(true);
+        expect(marks(mqtt)).toEqual(['done']);
+        expect(mqtt.subscriptions).toContain('paradox/houdini/inputs/front-door/events');
+    });
+
+    test('waits for a logic node to change or reach a value', async () => {
+        const { runner, mqtt, outputs } = makeRunner({ door: false, counter: 1 });
+        const run = runner.runSequenceDefNew('logic', [
+            { 'wait-for': { logic: 'door' } },
+            mark('door-changed'),
+            { 'wait-for': { source: 'logic/counter', gte: 3 } },
+            mark('counter-ready')
+        ], {});
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(marks(mqtt)).toEqual([]);
+        outputs.door = true;
+        await jest.advanceTimersByTimeAsync(200);
+        expect(marks(mqtt)).toEqual(['door-changed']);
+
+        outputs.counter = 2;
+        await jest.advanceTimersByTimeAsync(500);
+        expect(marks(mqtt)).toEqual(['door-changed']);
+        outputs.counter = 3;
+        await jest.advanceTimersByTimeAsync(200);
+
+        expect((await run).ok).toBe(true);
+        expect(marks(mqtt)).toEqual(['door-changed', 'counter-ready']);
+    });
+
+    test('runs :on-timeout after the timeout and does not count paused time', async () => {
+        const { runner, mqtt } = makeRunner();
+        const run = runner.runSequenceDefNew('intro', [
+            {
+                'wait-for': { topic: 'paradox/houdini/mirror/events', condition: { event: 'video_ended' } },
+                timeout: 5,
+                'on-timeout': [mark('fallback')]
+            },
+            mark('continue')
+        ], {});
+
+        await jest.advanceTimersByTimeAsync(3000);
+        runner.pauseAll();
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(marks(mqtt)).toEqual([]);
+        runner.resumeAll();
+        await jest.advanceTimersByTimeAsync(2100);
+
+        expect((await run).ok).toBe(true);
+        expect(marks(mqtt)).toEqual(['fallback', 'continue']);
+        const timeout = mqtt.published.find(m => m.payload && m.payload.event === 'sequence_wait_timeout');
+        expect(timeout.payload.data).toEqual(expect.objectContaining({ name: 'intro', target: 'paradox/houdini/mirror/events', timeout: 5 }));
+    });
+
+    test('cancelling stops the wait', async () => {
+        const { runner, mqtt } = makeRunner();
+        const run = runner.runSequenceDefNew('intro', [
+            { 'wait-for': { topic: 'paradox/houdini/mirror/events' } },
+            mark('never')
+        ], {});
+
+        await jest.advanceTimersByTimeAsync(300);
+        runner.cancelAll('abort');
+
+        expect(await run).toEqual(expect.objectContaining({ ok: false, error: 'sequence_cancelled' }));
+        expect(marks(mqtt)).toEqual([]);
+        expect(mqtt.listenerCount('message')).toBe(0);
+    });
+});
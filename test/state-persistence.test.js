@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { StatePersistence, SNAPSHOT_VERSION } = require('../src/state-persistence');
+const GameStateMachine = require('../src/stateMachine');
+
+function makeTmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxo-persist-'));
+    return path.join(dir, 'state', 'pxo-state.json');
+}
+
+function createMachine() {
+    const cfg = {
+        global: {
+            mqtt: { 'game-topic': 'paradox/test' },
+            settings: {},
+            inputs: {
+                gpio: { topic: 'paradox/test/gpio', 'signal-key': 'pin', 'value-key': 'value' }
+            },
+            logic: {
+                breaker: { type: 'match', inputs: ['gpio/F1'], target: { F1: 1 }, latch: true }
+            }
+        },
+        game: {
+            'hc-60': {
+                phases: {
+                    gameplay: { schedule: 'gameplay-sched' },
+                    solved: { sequence: 'noop', duration: 30 },
+                    failed: { sequence: 'noop', duration: 30 }
+                }
+            }
+        }
+    };
+    const published = [];
+    const sm = new GameStateMachine({
+        cfg,
+        mqtt: { publish: (topic, payload) => published.push({ topic, payload }), subscribe: () => { }, on: () => { } }
+    });
+    sm.sequenceRunner.resolveSequence = (name) => {
+        if (name === 'gameplay-sched') {
+            return { duration: 100, schedule: [{ at: 100, fire: 'intro-cue' }, { at: 90, fire: 'hint-one' }, { at: 50, fire: 'hint-two' }] };
+        }
+        if (name === 'noop') return { sequence: [] };
+        return undefined;
+    };
+    sm.sequenceRunner.runControlSequence = async () => ({ ok: true });
+    sm.startUnifiedTimer = jest.fn();
+    sm.fireByName = jest.fn(async () => { });
+    return { sm, published };
+}
+
+describe('StatePersistence', () => {
+    test('writes snapshots atomically and loads them back', () => {
+        const filePath = makeTmpFile();
+        const store = new StatePersistence({ filePath });
+
+        store.save({ state: 'gameplay', remaining: 42 });
+        const loaded = store.load();
+
+        expect(loaded.version).toBe(SNAPSHOT_VERSION);
+        expect(loaded.state).toBe('gameplay');
+        expect(loaded.remaining).toBe(42);
+        expect(typeof loaded.savedAt).toBe('number');
+        expect(fs.readdirSync(path.dirname(filePath))).toEqual(['pxo-state.json']);
+
+        expect(store.clear()).toBe(true);
+        expect(store.load()).toBe(null);
+    });
+
+    test('ignores corrupt or foreign snapshot files', () => {
+        const filePath = makeTmpFile();
+        const logger = { warn: jest.fn() };
+        const store = new StatePersistence({ filePath, logger });
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        fs.writeFileSync(filePath, '{"state":');
+        expect(store.load()).toBe(null);
+        fs.writeFileSync(filePath, JSON.stringify({ version: 99, state: 'gameplay' }));
+        expect(store.load()).toBe(null);
+        expect(logger.warn).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('GameStateMachine crash recovery', () => {
+    test('recover re-enters gameplay with saved clock, fired entries and logic state', async () => {
+        const filePath = makeTmpFile();
+        const { sm: before } = createMachine();
+        before.setStatePersistence(new StatePersistence({ filePath }));
+        before.state = 'ready';
+
+        before.gameType = 'hc-60';
+        before.loadPhases('hc-60');
+        await before.transitionToPhase('gameplay');
+        expect(before.fireByName).toHaveBeenCalledWith('intro-cue', expect.any(Object));
+
+        before.remaining = 90;
+        before.checkSchedule();
+        before.remaining = 75;
+        before.disabledHints.set('hint-two', Date.now());
+        await before.logicEngine.handleMessage('paradox/test/gpio', { pin: 'F1', value: 1 });
+        before.persistSnapshot();
+
+        const { sm: after, published } = createMachine();
+        const store = new StatePersistence({ filePath });
+        after.setStatePersistence(store);
+        after.state = 'ready';
+        after._recoverableSnapshot = store.load();
+
+        const ok = await after.handleCommand({ command: 'recover' });
+
+        expect(ok).toBe(true);
+        expect(after.state).toBe('gameplay');
+        expect(after.gameType).toBe('hc-60');
+        expect(after.remaining).toBe(75);
+        expect(after.startUnifiedTimer).toHaveBeenCalled();
+        expect(after.disabledHints.has('hint-two')).toBe(true);
+        expect(after.logicEngine.getSnapshot().breaker.output).toBe(true);
+        expect(after.logicEngine.latched.has('breaker')).toBe(true);
+        // Start-of-phase and already-passed entries are not replayed.
+        expect(after.fireByName).not.toHaveBeenCalled();
+        after.remaining = 90;
+        after.checkSchedule();
+        expect(after.fireByName).not.toHaveBeenCalled();
+        after.remaining = 50;
+        after.checkSchedule();
+        expect(after.fireByName).toHaveBeenCalledWith('hint-two', expect.any(Object));
+
+        const recovered = published.find((m) => m.payload && m.payload.event === 'game_recovered');
+        expect(recovered.payload.data).toEqual(expect.objectContaining({ source: 'command', state: 'gameplay', remaining: 75 }));
+    });
+
+    test('the clock is saved and restored to the millisecond; older snapshots fall back to seconds', async () => {
+        const { sm: before } = createMachine();
+        before.gameType = 'hc-60';
+        before.state = 'gameplay';
+        before.currentPhase = 'gameplay';
+        before._remainingMs = 74250;
+        const snapshot = before.exportSnapshot();
+        expect(snapshot).toEqual(expect.objectContaining({ remaining: 75, remainingMs: 74250 }));
+
+        const { sm: after } = createMachine();
+        after.state = 'ready';
+        after._recoverableSnapshot = JSON.parse(JSON.stringify(snapshot));
+        expect(await after.recoverFromSnapshot()).toBe(true);
+        expect(after._remainingMs).toBe(74250);
+
+        const { sm: legacy } = createMachine();
+        legacy.state = 'ready';
+        legacy._recoverableSnapshot = { gameType: 'hc-60', state: 'gameplay', phase: 'gameplay', remaining: 75 };
+        expect(await legacy.recoverFromSnapshot()).toBe(true);
+        expect(legacy._remainingMs).toBe(75000);
+    });
+
+    test('recover is rejected without a snapshot or mid-game', async () => {
+        const { sm, published } = createMachine();
+        sm.state = 'ready';
+        expect(await sm.handleCommand({ command: 'recover' })).toBe(false);
+        expect(published.some((m) => m.payload && m.payload.warning === 'recover_no_snapshot')).toBe(true);
+
+        sm._recoverableSnapshot = { gameType: 'hc-60', state: 'gameplay', phase: 'gameplay', remaining: 10 };
+        sm.state = 'gameplay';
+        expect(await sm.handleCommand({ command: 'recover' })).toBe(false);
+        expect(published.some((m) => m.payload && m.payload.warning === 'recover_ignored_not_ready')).toBe(true);
+    });
+
+    test('paused snapshots resume paused without starting the timer', async () => {
+        const { sm } = createMachine();
+        sm.state = 'ready';
+        sm._recoverableSnapshot = { gameType: 'hc-60', state: 'paused', phase: 'gameplay', remaining: 33 };
+
+        expect(await sm.recoverFromSnapshot()).toBe(true);
+        expect(sm.state).toBe('paused');
+        expect(sm.remaining).toBe(33);
+        expect(sm.startUnifiedTimer).not.toHaveBeenCalled();
+    });
+
+    test('returning to ready clears the snapshot unless one is waiting for recover', () => {
+        const filePath = makeTmpFile();
+        const store = new StatePersistence({ filePath });
+        const { sm } = createMachine();
+        sm.setStatePersistence(store);
+        store.save({ gameType: 'hc-60', state: 'gameplay' });
+
+        sm._recoverableSnapshot = store.load();
+        sm.changeState('ready');
+        expect(store.load()).not.toBe(null);
+
+        sm._recoverableSnapshot = null;
+        sm.changeState('resetting');
+        expect(store.load()).toBe(null);
+    });
+    test('changes inside a phase are written by the timer, state changes at once', () => {
+        const store = new StatePersistence({ filePath: makeTmpFile() });
+        const save = jest.spyOn(store, 'save');
+        const { sm } = createMachine();
+        sm.setStatePersistence(store);
+        sm.state = 'ready';
+        sm.changeState('gameplay');
+        expect(save).toHaveBeenCalledTimes(1);
+
+        sm.remaining = 100;
+        sm.adjustTime(30);
+        sm.adjustScore(5, 'bonus');
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(sm.flushSnapshot()).toBe(true);
+        expect(store.load()).toEqual(expect.objectContaining({ remaining: 130 }));
+        // Nothing changed and the clock is stopped: the next tick skips the write.
+        expect(sm.flushSnapshot()).toBe(false);
+        expect(save).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,97 @@
+const GameStateMachine = require('../src/stateMachine');
+
+function createMachine(stuck) {
+    const cfg = {
+        global: {
+            mqtt: { 'game-topic': 'paradox/test' },
+            settings: {},
+            inputs: {
+                gpio: { topic: 'paradox/test/gpio', 'signal-key': 'pin', 'value-key': 'value' }
+            },
+            logic: {
+                drawer: { type: 'match', inputs: ['gpio/D1'], target: { D1: 1 }, latch: true },
+                safe: { type: 'match', inputs: ['gpio/S1'], target: { S1: 1 }, latch: true }
+            },
+            hints: {
+                'drawer-nudge': { type: 'speech', file: 'drawer.mp3', puzzle: 'drawer', tier: 1 },
+                'safe-nudge': { type: 'speech', file: 'safe.mp3', puzzle: 'safe', tier: 1 },
+                'safe-clue': { type: 'speech', file: 'safe-clue.mp3', puzzle: 'safe', tier: 2 }
+            }
+        },
+        game: { 'hc-60': { 'stuck-detection': stuck } }
+    };
+    const published = [];
+    const sm = new GameStateMachine({
+        cfg,
+        mqtt: {
+            publish: (topic, payload) => published.push({ topic, payload }),
+            subscribe: () => { },
+            on: () => { }
+        }
+    });
+    sm.executeSpeechHint = jest.fn(async () => { });
+    sm.gameType = 'hc-60';
+    sm.state = 'gameplay';
+    sm._remainingMs = 3600000;
+    return { sm, published };
+}
+
+function events(published, name) {
+    return published.filter(m => m.payload && m.payload.event === name).map(m => m.payload.data);
+}
+
+describe('GameStateMachine stuck-team detection', () => {
+    test('recommends the least-helped unsolved puzzle after the stall time; progress restarts the clock', async () => {
+        const { sm, published } = createMachine({ after: 300 });
+        await sm.fireHint('drawer-nudge', 'manual');
+
+        sm._advanceStuckDetection(200000);
+        await sm.logicEngine.forceSolve('drawer');
+        sm._advanceStuckDetection(200000);
+        expect(events(published, 'hint_recommended')).toEqual([]);
+
+        sm._advanceStuckDetection(100000);
+        expect(events(published, 'hint_recommended')).toEqual([
+            { puzzle: 'safe', hint: 'safe-nudge', tier: 1, stalledSec: 300, auto: false, countdown: null }
+        ]);
+        sm.publishState();
+        const state = published.filter(m => m.topic === 'paradox/test/state').pop().payload;
+        expect(state.hintRecommendation).toEqual({ puzzle: 'safe', hint: 'safe-nudge', tier: 1, countdown: null });
+        expect(sm.executeSpeechHint).toHaveBeenCalledTimes(1);
+    });
+
+    test(':auto sends the hint after the countdown unless the GM vetoes it', async () => {
+        const { sm, published } = createMachine({ after: 60, auto: true, countdown: 20 });
+
+        sm._advanceStuckDetection(60000);
+        sm._advanceStuckDetection(10000);
+        expect(await sm.handleCommand({ command: 'vetoHint' })).toBe(true);
+        expect(events(published, 'hint_recommendation_cancelled')).toEqual([
+            { puzzle: 'drawer', hint: 'drawer-nudge', reason: 'veto' }
+        ]);
+        sm._advanceStuckDetection(20000);
+        expect(sm.executeSpeechHint).not.toHaveBeenCalled();
+
+        sm._advanceStuckDetection(60000);
+        sm._advanceStuckDetection(20000);
+        await Promise.resolve();
+        expect(sm.executeSpeechHint).toHaveBeenCalledTimes(1);
+        expect(events(published, 'hint_executed').pop()).toEqual(expect.objectContaining({ id: 'drawer-nudge', source: 'auto' }));
+        expect(sm.vetoHintRecommendation()).toBe(false);
+    });
+
+    test('disabled puzzles are skipped and progress cancels a pending recommendation', async () => {
+        const { sm, published } = createMachine({ after: 60, auto: true, countdown: 20 });
+        await sm.handleCommand({ command: 'disablePuzzle', id: 'drawer' });
+
+        sm._advanceStuckDetection(60000);
+        expect(events(published, 'hint_recommended')[0].puzzle).toBe('safe');
+
+        await sm.logicEngine.forceSolve('safe');
+        expect(events(published, 'hint_recommendation_cancelled')).toEqual([
+            { puzzle: 'safe', hint: 'safe-nudge', reason: 'progress' }
+        ]);
+        sm._advanceStuckDetection(60000);
+        expect(events(published, 'hint_recommended')).toHaveLength(1);
+    });
+});
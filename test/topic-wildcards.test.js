@@ -0,0 +1,89 @@
+'use strict';
+
+const { matchTopic, validateTopicFilter, topicVariables } = require('../src/logic/bindings');
+const { collectMqttTopics } = require('../src/logic/graph');
+const { LogicEngine } = require('../src/logic/engine');
+const { buildInputSourceMap, buildTriggerRules, executeTriggerAction } = require('../src/game');
+
+describe('MQTT wildcard topics', () => {
+  test('matchTopic captures + and # levels', () => {
+    expect(matchTopic('room/lockers/+/events', 'room/lockers/12/events')).toEqual(['12']);
+    expect(matchTopic('room/+/+/events', 'room/lockers/12/events')).toEqual(['lockers', '12']);
+    expect(matchTopic('room/#', 'room/lockers/12/events')).toEqual(['lockers/12/events']);
+    expect(matchTopic('room/lockers/+/events', 'room/lockers/12/state')).toBeNull();
+    expect(matchTopic('room/lockers/+', 'room/lockers/12/events')).toBeNull();
+    expect(matchTopic('room/lockers/1', 'room/lockers/1')).toEqual([]);
+    expect(topicVariables('room/lockers/+/events', 'room/lockers/12/events')).toEqual({
+      topic: 'room/lockers/12/events',
+      'topic.1': '12'
+    });
+  });
+
+  test('malformed filters are rejected for inputs and triggers', () => {
+    expect(validateTopicFilter('room/lockers/+/events')).toBeNull();
+    expect(validateTopicFilter('room/#/events')).toBe("'#' must be the whole last level of 'room/#/events'");
+    expect(validateTopicFilter('room/locker+/events')).toBe("'+' must be a whole level of 'room/locker+/events'");
+
+    const { sourceMap, diagnostics } = buildInputSourceMap({
+      global: { inputs: { lockers: { topic: 'room/lockers/+/events' }, broken: { topic: 'room/#/x' } } }
+    });
+    expect([...sourceMap.keys()]).toEqual(['lockers']);
+    expect(diagnostics.invalidSources[0]).toEqual(expect.objectContaining({ source: 'broken', reason: 'invalid_topic_filter' }));
+
+    const rules = buildTriggerRules([{ name: 'bad', trigger: { topic: 'room/a+b' }, actions: [] }], new Map());
+    expect(rules.triggerRules).toEqual([]);
+    expect(rules.diagnostics.invalidTopicRules).toHaveLength(1);
+  });
+
+  test('logic engine routes wildcard sources and names signals after a captured level', async () => {
+    const actions = [];
+    const engine = new LogicEngine({
+      logicConfig: {
+        'locker-7': {
+          type: 'passthrough',
+          input: 'lockers/7',
+          'on-true': [{ zone: 'lockers', command: 'unlock', locker: '{{topic.1}}' }]
+        }
+      },
+      inputSources: {
+        lockers: { topic: 'room/lockers/+/events', 'signal-key': 'topic.1', 'value-key': 'open' }
+      },
+      onAction: async (action, meta) => actions.push({ action, meta })
+    });
+
+    expect(engine.getTopics()).toEqual(['room/lockers/+/events']);
+    await engine.handleMessage('room/lockers/3/events', { open: true });
+    expect(engine.getOutput('locker-7')).toBeFalsy();
+    await engine.handleMessage('room/lockers/7/events', { open: true });
+    expect(engine.getOutput('locker-7')).toBe(1);
+    expect(actions).toHaveLength(1);
+    expect(actions[0].action).toEqual({ zone: 'lockers', command: 'unlock', locker: '7' });
+    expect(actions[0].meta.topicVars).toEqual({ topic: 'room/lockers/7/events', 'topic.1': '7' });
+  });
+
+  test('collectMqttTopics leaves out exact topics a wildcard already covers', () => {
+    const graph = {
+      nodes: new Map([
+        ['a', { bindings: [{ kind: 'topic', topic: 'room/lockers/+/events' }] }],
+        ['b', { bindings: [{ kind: 'topic', topic: 'room/lockers/4/events' }, { kind: 'topic', topic: 'room/door' }] }]
+      ])
+    };
+    expect(collectMqttTopics(graph, {})).toEqual(['room/lockers/+/events', 'room/door']);
+  });
+
+  test('trigger actions see {{topic.N}} and pass the captures to fired sequences', async () => {
+    const sm = {
+      fireByName: jest.fn(async () => true),
+      executeCueAction: jest.fn(async () => true),
+      _buildFireContext: () => ({})
+    };
+    const topicVars = topicVariables('room/lockers/+/events', 'room/lockers/12/events');
+    const logger = { info() { }, warn() { } };
+
+    await executeTriggerAction({ zone: 'lockers', command: 'unlock', locker: '{{topic.1}}' }, 'locker-opened', { sm, log: logger, topicVars });
+    await executeTriggerAction({ fire: 'locker-{{topic.1}}-opened' }, 'locker-opened', { sm, log: logger, topicVars });
+
+    expect(sm.executeCueAction).toHaveBeenCalledWith({ zone: 'lockers', command: 'unlock', locker: '12' }, 'trigger:locker-opened');
+    expect(sm.fireByName).toHaveBeenCalledWith('locker-12-opened', { topic: 'room/lockers/12/events', 'topic.1': '12' });
+  });
+});
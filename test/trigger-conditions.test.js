@@ -0,0 +1,94 @@
+const { matchTriggerCondition, validateTriggerCondition } = require('../src/trigger-conditions');
+const { buildTriggerRules, triggerConditionContext } = require('../src/game');
+
+describe('trigger condition expressions', () => {
+    const payload = { value: '7', code: '1234', event: 'opened', sensor: { temp: 21.5 } };
+
+    test('operators compare payload fields', () => {
+        expect(matchTriggerCondition(payload, { value: { gt: 5, lte: 7 } })).toBe(true);
+        expect(matchTriggerCondition(payload, { value: { lt: 7 } })).toBe(false);
+        expect(matchTriggerCondition(payload, { 'sensor.temp': { range: [18, 22] } })).toBe(true);
+        expect(matchTriggerCondition(payload, { code: { regex: '^12' } })).toBe(true);
+        expect(matchTriggerCondition(payload, { code: { in: ['0000', '1234'] } })).toBe(true);
+        expect(matchTriggerCondition(payload, { event: { 'not-equals': 'open' } })).toBe(false);
+        expect(matchTriggerCondition(payload, { code: { equals: '1234' } })).toBe(true);
+        expect(matchTriggerCondition(payload, { missing: { lt: 10 } })).toBe(false);
+    });
+
+    test('combinators and game references', () => {
+        const context = {
+            state: 'gameplay',
+            remaining: 240,
+            logic: node => ({ safe: true, dial: 4 })[node],
+            variable: name => ({ 'lights-broken': 2 })[name]
+        };
+        const condition = {
+            'game/state': ['gameplay', 'paused'],
+            'game/remaining': { lt: 300 },
+            any: [{ 'game/logic': { safe: true, dial: { gte: 5 } } }, { 'game/var': { 'lights-broken': { gte: 2 } } }],
+            not: { code: '0000' }
+        };
+
+        expect(matchTriggerCondition(payload, condition, context)).toBe(true);
+        expect(matchTriggerCondition(payload, condition, { ...context, state: 'intro' })).toBe(false);
+        expect(matchTriggerCondition(payload, { all: [{ 'game/logic': { dial: { gte: 5 } } }] }, context)).toBe(false);
+    });
+
+    test('the short spellings are aliases of the operator, combinator and game keys', () => {
+        const context = {
+            state: 'gameplay',
+            remaining: 240,
+            logic: node => ({ safe: true })[node],
+            variable: name => ({ 'lights-broken': 2 })[name]
+        };
+        const condition = {
+            phase: ':gameplay',
+            remaining: { lt: 300 },
+            or: [{ logic: { safe: false } }, { var: { 'lights-broken': { ne: 0 } } }],
+            and: [{ code: { ne: '0000' } }]
+        };
+
+        expect(validateTriggerCondition(condition)).toEqual([]);
+        expect(matchTriggerCondition(payload, condition, context)).toBe(true);
+        expect(matchTriggerCondition(payload, condition, { ...context, remaining: 400 })).toBe(false);
+        expect(matchTriggerCondition(payload, { event: { ne: 'open' } })).toBe(false);
+        // As condition keys the bare game names refer to the game, not to payload fields.
+        expect(matchTriggerCondition({ phase: 'armed' }, { phase: 'armed' }, context)).toBe(false);
+        expect(validateTriggerCondition({ and: 'x', var: [1] })).toEqual([
+            'condition.and must be a non-empty vector of condition maps',
+            'condition.var must map variable names to expected values'
+        ]);
+    });
+
+    test('triggerConditionContext reads state, clock, logic and variables from the state machine', () => {
+        const sm = {
+            state: 'paused',
+            remaining: 90,
+            logicEngine: { getOutput: node => (node === 'safe' ? 1 : undefined) },
+            variables: { get: name => (name === 'wire' ? 'red' : undefined) }
+        };
+        const condition = { 'game/state': 'paused', 'game/remaining': 90, 'game/logic': { safe: 1 }, 'game/var': { wire: 'red' } };
+        expect(matchTriggerCondition({}, condition, triggerConditionContext(sm))).toBe(true);
+    });
+
+    test('malformed expressions are reported and their rules skipped at startup', () => {
+        expect(validateTriggerCondition({ value: { between: [1, 2] } })).toEqual([
+            'condition.value has unknown operator(s) :between; use one of :gt, :gte, :lt, :lte, :equals, :not-equals, :in, :range, :regex'
+        ]);
+        expect(validateTriggerCondition({ any: [{ code: { regex: '(' } }], not: 'x', 'game/var': { count: { gt: 'many' } }, 'game/phase': 'intro' })).toEqual([
+            expect.stringMatching(/^condition\.any\[0\]\.code\.regex is not a valid regular expression/),
+            'condition.not must be a condition map',
+            'condition.game/var.count.gt must be a number',
+            'condition.game/phase is not a game reference; use one of :game/state, :game/remaining, :game/logic, :game/var'
+        ]);
+
+        const { triggerRules, diagnostics } = buildTriggerRules([
+            { name: 'ok', trigger: { topic: 'a', condition: { value: { range: [1, 3] } } }, actions: [] },
+            { name: 'broken', trigger: { topic: 'b', condition: { value: { range: 3 } } }, actions: [] }
+        ], new Map());
+        expect(triggerRules.map(rule => rule.name)).toEqual(['ok']);
+        expect(diagnostics.invalidConditions).toEqual([
+            { name: 'broken', index: 1, problems: ['condition.value.range must be a [min max] pair of numbers'] }
+        ]);
+    });
+});
@@ -0,0 +1,131 @@
+const { TriggerGate, TriggerGates, isGameResetEvent, triggerFiringOptions, validateTriggerFiringOptions } = require('../src/trigger-gate');
+const ModularConfigAdapter = require('../src/modular-config-adapter');
+const GameStateMachine = require('../src/stateMachine');
+
+function createGate(rule) {
+    let now = 0;
+    const fired = [];
+    const gate = new TriggerGate(triggerFiringOptions(rule), { now: () => now });
+    return {
+        gate,
+        fired,
+        advance: (ms) => { now += ms; },
+        offer: (matched) => gate.offer(matched, suppressed => fired.push({ at: now, suppressed }))
+    };
+}
+
+describe('trigger firing policy', () => {
+    afterEach(() => jest.useRealTimers());
+
+    test('rules without firing keys have no gate', () => {
+        expect(triggerFiringOptions({ name: 'plain', trigger: { condition: {} } })).toBeNull();
+        expect(triggerFiringOptions({ trigger: { edge: ':rising' } })).toEqual({ cooldownMs: 0, once: false, edge: 'rising', debounceMs: 0 });
+    });
+
+    test(':cooldown-ms drops repeats until the window has passed', () => {
+        const { offer, advance, fired } = createGate({ 'cooldown-ms': 1000 });
+
+        expect(offer(true).outcome).toBe('fired');
+        advance(400);
+        expect(offer(true)).toEqual({ outcome: 'suppressed', reason: 'cooldown' });
+        advance(600);
+        expect(offer(true).outcome).toBe('fired');
+        expect(fired).toEqual([{ at: 0, suppressed: 0 }, { at: 1000, suppressed: 1 }]);
+    });
+
+    test(':once fires a single time until reset, which reports what was suppressed', () => {
+        const { gate, offer, fired } = createGate({ once: true });
+
+        offer(true);
+        offer(true);
+        offer(false);
+        expect(offer(true).reason).toBe('once');
+        expect(gate.reset()).toEqual({ edge: 0, debounce: 0, cooldown: 0, once: 2 });
+        expect(offer(true).outcome).toBe('fired');
+        expect(fired).toHaveLength(2);
+    });
+
+    test(':edge fires on transitions of the condition only', () => {
+        const rising = createGate({ edge: 'rising' });
+        expect([true, true, false, true].map(m => rising.offer(m).outcome)).toEqual(['fired', 'suppressed', 'ignored', 'fired']);
+
+        const falling = createGate({ edge: 'falling' });
+        expect([false, true, true, false].map(m => falling.offer(m).outcome)).toEqual(['ignored', 'suppressed', 'suppressed', 'fired']);
+
+        const change = createGate({ edge: 'change' });
+        expect([true, true, false].map(m => change.offer(m).outcome)).toEqual(['fired', 'suppressed', 'fired']);
+    });
+
+    test(':debounce-ms waits for the input to hold and drops chatter', () => {
+        jest.useFakeTimers();
+        const { offer, fired } = createGate({ edge: 'rising', 'debounce-ms': 200 });
+
+        offer(true);
+        jest.advanceTimersByTime(100);
+        offer(false);
+        offer(true);
+        jest.advanceTimersByTime(150);
+        expect(offer(true).outcome).toBe('deferred');
+        expect(fired).toEqual([]);
+
+        jest.advanceTimersByTime(50);
+        expect(fired).toEqual([{ at: 0, suppressed: 1 }]);
+    });
+
+    test('a wildcard rule keeps separate state for each matched topic', () => {
+        const rule = { name: 'locker-opened', trigger: { topic: 'room/lockers/+/events' }, once: true, edge: 'rising' };
+        const gates = new TriggerGates([rule, { name: 'plain', trigger: { topic: 'room/door' } }]);
+        const fired = [];
+        const offer = (topic, matched) => gates.offer(rule, topic, matched, () => fired.push(topic)).outcome;
+
+        expect(gates.has(rule)).toBe(true);
+        expect(offer('room/lockers/3/events', true)).toBe('fired');
+        expect(offer('room/lockers/7/events', true)).toBe('fired');
+        expect(offer('room/lockers/3/events', true)).toBe('suppressed');
+        expect(fired).toEqual(['room/lockers/3/events', 'room/lockers/7/events']);
+        expect(gates.reset()).toEqual({ 'locker-opened': { edge: 1, debounce: 0, cooldown: 0, once: 0, total: 1 } });
+    });
+
+    test('the reset command re-arms the gates', async () => {
+        const published = [];
+        const sm = new GameStateMachine({
+            cfg: { global: { mqtt: { 'game-topic': 'paradox/test' }, settings: {} }, game: { 'hc-60': {} } },
+            mqtt: { publish: (topic, payload) => published.push({ topic, payload }), subscribe: () => { }, on: () => { } }
+        });
+        sm.state = 'gameplay';
+        const rule = { name: 'vault-opened', trigger: { topic: 'room/vault' }, once: true };
+        const gates = new TriggerGates([rule]);
+        const offer = () => gates.offer(rule, 'room/vault', true, () => true).outcome;
+        offer();
+        expect(offer()).toBe('suppressed');
+
+        await sm.handleCommand({ command: 'reset' });
+        const summaries = published
+            .filter(m => m.topic === 'paradox/test/events' && isGameResetEvent(m.payload.event, m.payload.data))
+            .map(() => gates.reset());
+
+        expect(summaries).toEqual([{ 'vault-opened': { edge: 0, debounce: 0, cooldown: 0, once: 1, total: 1 } }]);
+        expect(offer()).toBe('fired');
+    });
+
+    test('options are validated and carried through the modular config adapter', () => {
+        expect(validateTriggerFiringOptions({ 'cooldown-ms': -5, once: 'yes', edge: 'up' })).toEqual([
+            ':cooldown-ms must be a non-negative number of milliseconds',
+            ':once must be true or false',
+            ':edge must be one of :rising, :falling, :change'
+        ]);
+
+        const runtime = ModularConfigAdapter.transform({
+            global: {
+                settings: {},
+                mqtt: { 'game-topic': 'paradox/test' },
+                triggers: {
+                    'lever-pulled': { topic: 'paradox/test/lever', condition: { value: 1 }, edge: 'rising', 'cooldown-ms': 500, actions: [] }
+                }
+            },
+            'game-modes': {}
+        });
+        const [rule] = runtime.global.triggers.escapeRoomRules;
+        expect(triggerFiringOptions(rule)).toEqual({ cooldownMs: 500, once: false, edge: 'rising', debounceMs: 0 });
+    });
+});
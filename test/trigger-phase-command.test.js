@@ -85,6 +85,7 @@ describe('triggerPhase command routing', () => {
         expect(sm.transitionToPhase.mock.calls.length).toBe(0);
         expect(sm.publishWarning.mock.calls.length).toBe(1);
         expect(sm.publishWarning.mock.calls[0][0]).toBe('trigger_phase_missing_name');
+        expect(sm.publishWarning.mock.calls[0][1].errors).toEqual([{ arg: 'phase', error: 'missing' }]);
     });
 
     test('operator-hold transition publishes closing metadata in state payload', () => {
@@ -0,0 +1,96 @@
+const GameStateMachine = require('../src/stateMachine');
+const { executeTriggerAction } = require('../src/game');
+const { VariableStore, parseVariableAction } = require('../src/variables');
+
+function createMachine() {
+    const cfg = {
+        global: {
+            mqtt: { 'game-topic': 'paradox/test' },
+            settings: {},
+            variables: { 'lights-broken': 0, wire: null },
+            cues: {
+                'break-light': { inc: 'lights-broken' }
+            }
+        },
+        game: {}
+    };
+    const published = [];
+    const sm = new GameStateMachine({
+        cfg,
+        mqtt: {
+            publish: (topic, payload) => published.push({ topic, payload }),
+            subscribe: () => { },
+            on: () => { }
+        }
+    });
+    sm.state = 'gameplay';
+    return { sm, published };
+}
+
+function events(published, name) {
+    return published.filter(m => m.payload && m.payload.event === name).map(m => m.payload.data);
+}
+
+function marks(published) {
+    return published.filter(m => m.topic === 'paradox/test/mark').map(m => m.payload);
+}
+
+describe('VariableStore', () => {
+    test('set, inc, toggle and unset, with reset back to the declared defaults', () => {
+        const changes = [];
+        const store = new VariableStore({ defaults: { ':count': 1 }, onChange: change => changes.push(change) });
+
+        store.apply({ set: { wire: 'red', door: true } });
+        store.apply({ inc: ':count', by: 2 });
+        store.apply({ toggle: 'door' });
+        store.apply({ unset: 'wire' });
+        expect(store.toJSON()).toEqual({ count: 3, door: false });
+
+        expect(store.reset().map(c => c.name).sort()).toEqual(['count', 'door']);
+        expect(store.toJSON()).toEqual({ count: 1 });
+        expect(changes[changes.length - 1]).toEqual({ name: 'door', op: 'reset', value: null, previous: false, source: 'reset' });
+    });
+
+    test('parseVariableAction reports malformed actions', () => {
+        expect(parseVariableAction({ set: 'wire' }).problems).toEqual([':set wire needs a :value']);
+        expect(parseVariableAction({ inc: 'count', by: 'two' }).problems).toEqual([':inc count :by must be a number']);
+        expect(parseVariableAction({ inc: 'a', toggle: 'b' }).problems).toHaveLength(1);
+    });
+});
+
+describe('GameStateMachine variables', () => {
+    test('cues, triggers and sequence steps change variables, which feed {{var}} and :var conditions', async () => {
+        const { sm, published } = createMachine();
+
+        await sm.fireCueByName('break-light');
+        await executeTriggerAction({ set: 'wire', value: 'red' }, 'wire-cut', { sm, log: { info() { }, warn() { } } });
+        const res = await sm.sequenceRunner.runSequenceDefNew('report', [
+            { inc: 'lights-broken' },
+            { command: 'publish', topic: 'paradox/test/mark', payload: 'wire={{wire}} broken={{lights-broken}}' },
+            { if: { var: 'wire', equals: 'red' }, then: [{ command: 'publish', topic: 'paradox/test/mark', payload: 'red' }] }
+        ], {});
+
+        expect(res.ok).toBe(true);
+        expect(marks(published)).toEqual(['wire=red broken=2', 'red']);
+        expect(events(published, 'variable_changed')).toEqual([
+            { name: 'lights-broken', op: 'inc', value: 1, previous: 0, source: 'cue:break-light' },
+            { name: 'wire', op: 'set', value: 'red', previous: null, source: 'wire-cut' },
+            { name: 'lights-broken', op: 'inc', value: 2, previous: 1, source: 'sequence:report' }
+        ]);
+
+        sm.publishState();
+        const state = published.filter(m => m.topic === 'paradox/test/state').pop().payload;
+        expect(state.variables).toEqual({ 'lights-broken': 2, wire: 'red' });
+        expect(sm.exportSnapshot().variables).toEqual({ 'lights-broken': 2, wire: 'red' });
+    });
+
+    test('an invalid action is rejected with a warning and fails the sequence step', async () => {
+        const { sm, published } = createMachine();
+        const res = await sm.sequenceRunner.runSequenceDefNew('broken', [{ set: 'wire' }], {});
+
+        expect(res.ok).toBe(false);
+        const warning = published.find(m => m.payload && m.payload.warning === 'variable_action_invalid');
+        expect(warning.payload.data).toEqual({ source: 'sequence:broken', problems: [':set wire needs a :value'] });
+        expect(sm.variables.get('wire')).toBeNull();
+    });
+});
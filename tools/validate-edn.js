@@ -567,6 +567,8 @@ function validateStrayTopLevelStepFields(modularConfig, issues) {
   const suspiciousStepKeys = new Set([
     'at', 'fire', 'hint', 'wait', 'zone', 'zones', 'command', 'commands',
     'play-hint', 'playHint', 'fire-cue', 'fire-seq', 'end',
+    'if', 'then', 'else', 'repeat', 'parallel', 'race', 'wait-for', 'on-timeout', 'retry',
+    'set', 'inc', 'toggle', 'unset',
     'topic', 'payload', 'message', 'url', 'visible', 'timeout', 'file', 'image'
   ]);
 